@@ -0,0 +1,9 @@
+/**
+ * Babel configuration (used by Jest only)
+ *
+ * Extension sources are loaded by Chrome as native ES modules, so the only
+ * transform needed is ESM -> CommonJS for the Node test environment.
+ */
+module.exports = {
+  plugins: ['@babel/plugin-transform-modules-commonjs'],
+};
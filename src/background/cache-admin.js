@@ -0,0 +1,217 @@
+/**
+ * CacheAdmin - Cache management messages from the popup and the cache inspector page
+ *
+ * Message types (chrome.runtime.sendMessage):
+ *   { type: 'CLEAR_CACHE' }                       → { success, cleared }
+ *   { type: 'GET_CACHE_STATS' }                   → { success, stats }
+ *   { type: 'CACHE_DURATION_CHANGED', duration }  → { success, message }
+ *   { type: 'CACHE_BACKEND_CHANGED', backend }    → { success, backend }
+ *   { type: 'CACHE_SIZE_LIMIT_CHANGED', limit, unit } → { success, evicted }
+ *   { type: 'VERIFY_CACHE' }                      → { success, report: { ratings, responses } }
+ *   { type: 'GET_CACHE_ENTRIES' }                 → { success, entries }
+ *   { type: 'INVALIDATE_ENTRY', key }             → { success, key, removed }
+ *   { type: 'REFRESH_ENTRY', key }                → { success, key, ratings }
+ *
+ * Failures are answered with { success: false, error }. Clearing, switching backends and
+ * verifying apply to both caches (ratings and raw OMDB responses); size limits, stats and
+ * entries apply to the ratings cache.
+ *
+ * @module CacheAdmin
+ */
+
+// Message type → handler method
+const MESSAGE_HANDLERS = {
+  CLEAR_CACHE: 'clearCache',
+  GET_CACHE_STATS: 'getStats',
+  CACHE_DURATION_CHANGED: 'setDuration',
+  CACHE_BACKEND_CHANGED: 'switchBackend',
+  CACHE_SIZE_LIMIT_CHANGED: 'setSizeLimit',
+  VERIFY_CACHE: 'verifyCache',
+  GET_CACHE_ENTRIES: 'getEntries',
+  INVALIDATE_ENTRY: 'invalidateEntry',
+  REFRESH_ENTRY: 'refreshEntry',
+};
+
+class CacheAdmin {
+  /**
+   * @param {Object} services - Provided by the service worker
+   * @param {CacheManager} services.ratingsCache - Ratings cache
+   * @param {CacheManager} services.responseCache - Raw OMDB response cache
+   * @param {RequestQueue} services.requestQueue - OMDB request queue (for stats)
+   * @param {Function} services.ready - () → Promise, resolves once the caches are initialized
+   * @param {Function} services.refresh - (key) → Promise, re-fetches a cached title now; resolves
+   *   to the fresh ratings, or null if the entry was removed to be looked up again instead
+   */
+  constructor(services = {}) {
+    const required = ['ratingsCache', 'responseCache', 'requestQueue', 'ready', 'refresh'];
+    if (required.some(name => !services[name])) {
+      throw new Error('CacheAdmin requires ratingsCache, responseCache, requestQueue, ready and refresh');
+    }
+
+    this.ratingsCache = services.ratingsCache;
+    this.responseCache = services.responseCache;
+    this.requestQueue = services.requestQueue;
+    this.ready = services.ready;
+    this.refresh = services.refresh;
+  }
+
+  /**
+   * Check whether a message type is a cache management message
+   * @param {string} type - Message type
+   * @returns {boolean}
+   */
+  handles(type) {
+    return Object.prototype.hasOwnProperty.call(MESSAGE_HANDLERS, type);
+  }
+
+  /**
+   * Handle a cache management message and answer it
+   * @param {Object} request - Message { type, ... }
+   * @param {Function} sendResponse - Response callback
+   * @returns {Promise<void>}
+   */
+  async handle(request, sendResponse) {
+    try {
+      await this.ready();
+      const result = await this[MESSAGE_HANDLERS[request.type]](request);
+      sendResponse({ success: true, ...result });
+    } catch (error) {
+      console.error('[CacheAdmin] Error handling', request.type, ':', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Clear both caches
+   * @returns {Promise<Object>} { cleared } - ratings entries removed
+   */
+  async clearCache() {
+    // Get stats before clearing
+    const stats = await this.ratingsCache.getStats();
+    const cleared = stats.totalItems || 0;
+
+    await this.ratingsCache.clear();
+    await this.responseCache.clear();
+    console.log(`[CacheAdmin] Cache cleared. Removed ${cleared} entries`);
+
+    return { cleared };
+  }
+
+  /**
+   * Ratings cache stats, with the request queue's
+   * @returns {Promise<Object>} { stats }
+   */
+  async getStats() {
+    const stats = {
+      ...await this.ratingsCache.getStats(),
+      requestQueue: this.requestQueue.getStats(),
+    };
+    console.log('[CacheAdmin] Cache stats:', stats);
+
+    return { stats };
+  }
+
+  /**
+   * Apply a new cache duration
+   * @param {Object} request - { duration } in hours
+   * @returns {Promise<Object>} { message }
+   */
+  async setDuration({ duration }) {
+    console.log('[CacheAdmin] Cache duration changed to:', duration, 'hours');
+    await this.ratingsCache.setCacheDuration(duration);
+
+    return { message: 'Cache duration updated' };
+  }
+
+  /**
+   * Move both caches to another storage backend
+   * @param {Object} request - { backend } - 'indexedDB' or 'chromeStorage'
+   * @returns {Promise<Object>} { backend } - backend now in use
+   */
+  async switchBackend({ backend }) {
+    console.log('[CacheAdmin] Cache backend changed to:', backend);
+    const active = await this.ratingsCache.switchBackend(backend);
+    await this.responseCache.switchBackend(backend);
+
+    return { backend: active };
+  }
+
+  /**
+   * Save a new size limit and evict what no longer fits (ratings cache only, see CacheSizeLimit)
+   * @param {Object} request - { limit, unit } - limit null for the backend maximum
+   * @returns {Promise<Object>} { evicted } - ratings entries evicted
+   */
+  async setSizeLimit({ limit, unit }) {
+    console.log('[CacheAdmin] Cache size limit changed to:', limit, unit);
+    const evicted = await this.ratingsCache.setSizeLimit(limit, unit);
+
+    return { evicted };
+  }
+
+  /**
+   * Check both caches for malformed entries, removing them
+   * @returns {Promise<Object>} { report: { ratings, responses } } - each cache's integrity report
+   */
+  async verifyCache() {
+    const report = {
+      ratings: await this.ratingsCache.verify(),
+      responses: await this.responseCache.verify(),
+    };
+    console.log('[CacheAdmin] Cache verified:', report);
+
+    return { report };
+  }
+
+  /**
+   * Every ratings entry with its details and ratings, for the cache inspector
+   * @returns {Promise<Object>} { entries } - see CacheInspector.describe, plus `data`
+   */
+  async getEntries() {
+    const entries = await this.ratingsCache.getDetailedInfo({ includeData: true });
+    console.log('[CacheAdmin] Listed cache entries:', entries.length);
+
+    return { entries };
+  }
+
+  /**
+   * Remove one ratings entry, so its title is looked up again the next time it's shown
+   * @param {Object} request - { key } - cache key
+   * @returns {Promise<Object>} { key, removed }
+   */
+  async invalidateEntry({ key }) {
+    CacheAdmin.requireKey(key);
+    const removed = await this.ratingsCache.delete(key);
+    console.log('[CacheAdmin] Invalidated cache entry:', key, removed ? '' : '(not cached)');
+
+    return { key, removed };
+  }
+
+  /**
+   * Re-fetch one ratings entry from OMDB now
+   * @param {Object} request - { key } - cache key
+   * @returns {Promise<Object>} { key, ratings } - ratings null if the entry was removed instead
+   */
+  async refreshEntry({ key }) {
+    CacheAdmin.requireKey(key);
+    const ratings = await this.refresh(key);
+    console.log('[CacheAdmin] Refreshed cache entry:', key, ratings ? '' : '(removed, looked up when next shown)');
+
+    return { key, ratings };
+  }
+
+  /**
+   * Check a message's cache key
+   * @param {*} key - Cache key from the message
+   * @returns {void}
+   */
+  static requireKey(key) {
+    if (typeof key !== 'string' || key === '') {
+      throw new Error('Cache key is required');
+    }
+  }
+}
+
+CacheAdmin.MESSAGE_TYPES = Object.keys(MESSAGE_HANDLERS);
+
+// Export for use in modules
+export default CacheAdmin;
@@ -0,0 +1,132 @@
+/**
+ * MatchOverrides - User-chosen OMDB matches
+ *
+ * When automatic matching picks the wrong title (a same-name documentary, a remake),
+ * the user can pick the right one from the badge. The choice is stored in
+ * chrome.storage.sync, one small item per title ({ imdbID, title, year, type }) so it
+ * syncs across devices and stays well under the per-item quota:
+ *
+ *   matchOverride:netflix:<netflixId>                - for cards that carry a Netflix video ID
+ *   matchOverride:title:<normalized>:<year>:<type>   - for cards without one ('any' for an
+ *                                                      unknown year or type, so a remake or the
+ *                                                      series of a film keeps its own match)
+ *
+ * chrome.storage.sync holds at most 512 items (100KB); once it's full, set() fails with
+ * an error the picker can show instead of the raw quota error.
+ *
+ * @module MatchOverrides
+ */
+
+import TitleMatcher from '../services/title-matcher.js';
+
+const KEY_PREFIX = 'matchOverride:';
+
+// chrome.storage.sync errors for a full sync area (item count or total size)
+const QUOTA_ERROR_PATTERN = /QUOTA_BYTES|MAX_ITEMS/;
+
+class MatchOverrides {
+  /**
+   * Get the override for a title, preferring the Netflix ID entry over the title entry
+   * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+   * @returns {Promise<Object|null>} { imdbID, title, year, type } or null
+   */
+  async get(titleInfo) {
+    const keys = MatchOverrides.getStorageKeys(titleInfo);
+    if (keys.length === 0) {
+      return null;
+    }
+
+    try {
+      const result = await chrome.storage.sync.get(keys);
+
+      for (const key of keys) {
+        if (result[key] && result[key].imdbID) {
+          console.log('[MatchOverrides] Override found:', key, '→', result[key].imdbID);
+          return result[key];
+        }
+      }
+    } catch (error) {
+      // Without overrides we fall back to automatic matching
+      console.warn('[MatchOverrides] Error reading overrides:', error.message);
+    }
+
+    return null;
+  }
+
+  /**
+   * Save the user's chosen match for a title
+   * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+   * @param {Object} match - Chosen OMDB record { imdbID, Title?, Year?, Type? }
+   * @returns {Promise<Object>} Stored override
+   */
+  async set(titleInfo, match) {
+    if (!match || !match.imdbID) {
+      throw new Error('IMDb ID is required for a match override');
+    }
+
+    const key = MatchOverrides.getStorageKeys(titleInfo)[0];
+    if (!key) {
+      throw new Error('Title or Netflix ID is required for a match override');
+    }
+
+    const override = {
+      imdbID: match.imdbID,
+      title: match.Title || null,
+      year: match.Year || null,
+      type: match.Type || null,
+    };
+
+    try {
+      await chrome.storage.sync.set({ [key]: override });
+    } catch (error) {
+      if (QUOTA_ERROR_PATTERN.test(error.message)) {
+        console.warn('[MatchOverrides] Sync storage full:', error.message);
+        throw new Error('Too many saved matches to sync. Reset a few titles to their automatic match first.');
+      }
+      throw error;
+    }
+    console.log('[MatchOverrides] Override saved:', key, '→', override.imdbID);
+
+    return override;
+  }
+
+  /**
+   * Remove every override that applies to a title
+   * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+   * @returns {Promise<void>}
+   */
+  async remove(titleInfo) {
+    const keys = MatchOverrides.getStorageKeys(titleInfo);
+    if (keys.length === 0) {
+      return;
+    }
+
+    await chrome.storage.sync.remove(keys);
+    console.log('[MatchOverrides] Overrides removed:', keys);
+  }
+
+  /**
+   * Storage keys that may hold an override for a title, most specific first
+   * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+   * @returns {string[]} chrome.storage.sync keys
+   */
+  static getStorageKeys(titleInfo) {
+    const keys = [];
+
+    if (titleInfo && titleInfo.netflixId) {
+      keys.push(`${KEY_PREFIX}netflix:${titleInfo.netflixId}`);
+    }
+
+    const normalized = titleInfo ? TitleMatcher.normalizeTitle(titleInfo.title) : '';
+    if (normalized) {
+      keys.push(`${KEY_PREFIX}title:${normalized}:${titleInfo.year || 'any'}:${titleInfo.type || 'any'}`);
+    }
+
+    return keys;
+  }
+}
+
+MatchOverrides.KEY_PREFIX = KEY_PREFIX;
+
+// Export for use in modules
+export default MatchOverrides;
@@ -0,0 +1,249 @@
+/**
+ * QuotaTracker - OMDB daily request quota and circuit breaker
+ *
+ * Free OMDB keys allow 1,000 requests per UTC day. This tracker:
+ * - Counts outgoing requests per API key per UTC day (persisted in chrome.storage.local)
+ * - Opens a circuit breaker when OMDB reports the limit or rejects the key, or once a key's
+ *   count reaches the daily limit (so the last requests aren't sent just to be refused)
+ * - Keeps the breaker open until the next UTC midnight (limit), or until closeCircuit() - the
+ *   service worker calls it when the user saves an API key or retries from the popup
+ *
+ * @module QuotaTracker
+ */
+
+const DEFAULT_DAILY_LIMIT = 1000;
+
+/**
+ * Reasons the circuit breaker can be open for
+ * Values match the OmdbService.ERROR_CODES that trip the breaker
+ */
+const BREAKER_REASONS = {
+  LIMIT_REACHED: 'OMDB_LIMIT_REACHED',
+  INVALID_KEY: 'OMDB_INVALID_KEY',
+};
+
+class QuotaTracker {
+  /**
+   * @param {string} storageKey - Key for chrome.storage.local (default: 'omdb_quota')
+   * @param {number} dailyLimit - Requests allowed per key per UTC day (default: 1000)
+   */
+  constructor(storageKey = 'omdb_quota', dailyLimit = DEFAULT_DAILY_LIMIT) {
+    this.storageKey = storageKey;
+    this.dailyLimit = dailyLimit;
+    this.state = this._createEmptyState(this._getUtcDay());
+    this.initialized = false;
+
+    console.log('[QuotaTracker] Initialized with storageKey:', storageKey, 'dailyLimit:', dailyLimit);
+  }
+
+  /**
+   * Load persisted quota state
+   * @returns {Promise<void>}
+   */
+  async init() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      const stored = result[this.storageKey];
+
+      if (stored && stored.counts && stored.breakers) {
+        this.state = stored;
+      }
+
+      this.initialized = true;
+      this._rollOverIfNeeded();
+      console.log('[QuotaTracker] Quota state loaded for day:', this.state.day);
+    } catch (error) {
+      // Counting still works in memory; it just won't survive a worker restart
+      console.warn('[QuotaTracker] Error loading quota state:', error.message);
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Check whether a request may be sent with this API key
+   * @param {string} apiKey - OMDB API key
+   * @returns {Promise<Object>} { allowed, reason, resetAt }
+   */
+  async checkAvailability(apiKey) {
+    await this._ensureInitialized();
+    this._rollOverIfNeeded();
+
+    if (!this.state.breakers[apiKey] && (this.state.counts[apiKey] || 0) >= this.dailyLimit) {
+      await this.openCircuit(apiKey, BREAKER_REASONS.LIMIT_REACHED);
+    }
+
+    const breaker = this.state.breakers[apiKey];
+    if (!breaker) {
+      return { allowed: true, reason: null, resetAt: null };
+    }
+
+    console.warn('[QuotaTracker] Circuit open for API key:', breaker.reason);
+    return { allowed: false, reason: breaker.reason, resetAt: breaker.resetAt };
+  }
+
+  /**
+   * Count one outgoing request for this API key
+   * @param {string} apiKey - OMDB API key
+   * @returns {Promise<number>} Requests used today for this key
+   */
+  async recordRequest(apiKey) {
+    await this._ensureInitialized();
+    this._rollOverIfNeeded();
+
+    const used = (this.state.counts[apiKey] || 0) + 1;
+    this.state.counts[apiKey] = used;
+
+    if (used === this.dailyLimit) {
+      console.warn('[QuotaTracker] Daily quota fully used:', used, '/', this.dailyLimit);
+    }
+
+    await this._save();
+    return used;
+  }
+
+  /**
+   * Open the circuit breaker for an API key
+   * @param {string} apiKey - OMDB API key
+   * @param {string} reason - One of BREAKER_REASONS
+   * @returns {Promise<void>}
+   */
+  async openCircuit(apiKey, reason) {
+    await this._ensureInitialized();
+
+    // An invalid key never recovers on its own - it stays blocked until closeCircuit()
+    const resetAt = reason === BREAKER_REASONS.LIMIT_REACHED ? this._getNextResetMs() : null;
+
+    this.state.breakers[apiKey] = {
+      reason,
+      openedAt: Date.now(),
+      resetAt,
+    };
+
+    console.warn('[QuotaTracker] Circuit opened:', reason, resetAt ? `until ${new Date(resetAt).toISOString()}` : '');
+    await this._save();
+  }
+
+  /**
+   * Close the circuit breaker for an API key, e.g. once the user saved it again (an OMDB key
+   * only works after it's activated) or asked to retry. A key still over today's limit is
+   * blocked again on its next request
+   * @param {string} apiKey - OMDB API key
+   * @returns {Promise<boolean>} Whether a breaker was open
+   */
+  async closeCircuit(apiKey) {
+    await this._ensureInitialized();
+
+    const breaker = this.state.breakers[apiKey];
+    if (!breaker) {
+      return false;
+    }
+
+    delete this.state.breakers[apiKey];
+    console.log('[QuotaTracker] Circuit closed:', breaker.reason);
+    await this._save();
+    return true;
+  }
+
+  /**
+   * Get quota usage and breaker status for an API key
+   * @param {string} apiKey - OMDB API key
+   * @returns {Promise<Object>} { day, used, limit, remaining, breakerOpen, reason, resetAt }
+   */
+  async getStatus(apiKey) {
+    await this._ensureInitialized();
+    this._rollOverIfNeeded();
+
+    const used = this.state.counts[apiKey] || 0;
+    const breaker = this.state.breakers[apiKey] || null;
+
+    return {
+      day: this.state.day,
+      used,
+      limit: this.dailyLimit,
+      remaining: Math.max(this.dailyLimit - used, 0),
+      breakerOpen: Boolean(breaker),
+      reason: breaker ? breaker.reason : null,
+      resetAt: breaker ? breaker.resetAt : this._getNextResetMs(),
+    };
+  }
+
+  /**
+   * Initialize on first use
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      await this.init();
+    }
+  }
+
+  /**
+   * Reset daily counts and expired breakers once the UTC day has changed
+   * @private
+   */
+  _rollOverIfNeeded() {
+    const now = Date.now();
+    const today = this._getUtcDay(now);
+
+    if (this.state.day !== today) {
+      console.log('[QuotaTracker] New UTC day, resetting request counts:', today);
+      const breakers = this.state.breakers;
+      this.state = this._createEmptyState(today);
+      this.state.breakers = breakers;
+    }
+
+    for (const [apiKey, breaker] of Object.entries(this.state.breakers)) {
+      if (breaker.resetAt !== null && now >= breaker.resetAt) {
+        console.log('[QuotaTracker] Circuit closed after reset:', breaker.reason);
+        delete this.state.breakers[apiKey];
+      }
+    }
+  }
+
+  /**
+   * Persist quota state
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _save() {
+    try {
+      await chrome.storage.local.set({ [this.storageKey]: this.state });
+    } catch (error) {
+      console.warn('[QuotaTracker] Error saving quota state:', error.message);
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} day - UTC day (YYYY-MM-DD)
+   * @returns {Object} Empty quota state
+   */
+  _createEmptyState(day) {
+    return { day, counts: {}, breakers: {} };
+  }
+
+  /**
+   * @private
+   * @param {number} now - Timestamp in ms
+   * @returns {string} UTC day (YYYY-MM-DD)
+   */
+  _getUtcDay(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+  }
+
+  /**
+   * @private
+   * @param {number} now - Timestamp in ms
+   * @returns {number} Timestamp of the next UTC midnight
+   */
+  _getNextResetMs(now = Date.now()) {
+    const date = new Date(now);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  }
+}
+
+QuotaTracker.BREAKER_REASONS = BREAKER_REASONS;
+
+// Export for use in modules
+export default QuotaTracker;
@@ -0,0 +1,185 @@
+/**
+ * RatingsPortServer - Batched ratings lookups over a long-lived port
+ *
+ * Content scripts open one `chrome.runtime.connect({ name: 'netflix-ratings' })`
+ * port per tab instead of sending two one-shot messages per card. Over it they send
+ * batches of title infos and the worker streams back one result per title as soon
+ * as it resolves - cache hits right away, OMDB lookups when they finish.
+ *
+ * Stale cache hits (stale-while-revalidate) are answered twice: the cached ratings
+ * right away with `stale: true, final: false`, then the refreshed ratings once the
+ * worker has re-fetched them from OMDB. Fresh cache hits are never refreshed.
+ *
+ * Protocol (content → worker):
+ *   { type: 'FETCH_RATINGS_BATCH', requests: [{ id, titleInfo, priority? }] }
+ *
+ * Protocol (worker → content), once or more per request id:
+ *   { type: 'RATINGS_RESULT', id, ratings, source: 'cache'|'omdb'|null, stale?, final, error? }
+ *
+ * `final: false` results are followed by another result for the same id. If a refresh
+ * fails, the stale ratings are sent again as the final result (with `error`).
+ *
+ * The one-shot FETCH_RATINGS / FETCH_RATINGS_CACHED messages stay for the popup.
+ *
+ * @module RatingsPortServer
+ */
+
+const RATINGS_PORT_NAME = 'netflix-ratings';
+
+const PORT_MESSAGE_TYPES = {
+  BATCH: 'FETCH_RATINGS_BATCH',
+  RESULT: 'RATINGS_RESULT',
+};
+
+class RatingsPortServer {
+  /**
+   * @param {Object} handlers - Lookup functions provided by the service worker
+   * @param {Function} handlers.getCached - (titleInfo) → Promise<{ ratings, stale }|null>, cache only
+   * @param {Function} handlers.fetchRatings - (titleInfo, priority) → Promise<ratings>, cache then OMDB
+   * @param {Function} handlers.revalidate - (titleInfo, staleRatings) → Promise<ratings>, OMDB only
+   */
+  constructor(handlers = {}) {
+    const required = ['getCached', 'fetchRatings', 'revalidate'];
+    if (required.some(name => typeof handlers[name] !== 'function')) {
+      throw new Error('RatingsPortServer requires getCached, fetchRatings and revalidate handlers');
+    }
+
+    this.getCached = handlers.getCached;
+    this.fetchRatings = handlers.fetchRatings;
+    this.revalidate = handlers.revalidate;
+
+    // Ports whose tab went away - results for them are dropped
+    this.disconnected = new WeakSet();
+  }
+
+  /**
+   * Start serving a newly connected port
+   *
+   * @param {chrome.runtime.Port} port - Port from chrome.runtime.onConnect
+   * @returns {boolean} True if the port speaks this protocol
+   */
+  attach(port) {
+    if (port.name !== RATINGS_PORT_NAME) {
+      return false;
+    }
+
+    console.log('[RatingsPort] Port connected from tab:', port.sender?.tab?.id);
+
+    port.onMessage.addListener((message) => {
+      if (message && message.type === PORT_MESSAGE_TYPES.BATCH) {
+        this.handleBatch(port, message.requests);
+      } else {
+        console.log('[RatingsPort] Unknown port message type:', message?.type);
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      console.log('[RatingsPort] Port disconnected from tab:', port.sender?.tab?.id);
+      this.disconnected.add(port);
+    });
+
+    return true;
+  }
+
+  /**
+   * Resolve every request in a batch independently, posting each result as it settles
+   *
+   * @param {chrome.runtime.Port} port - Port to answer on
+   * @param {Object[]} requests - [{ id, titleInfo, priority? }]
+   * @returns {Promise<void>} Resolves once every request has been answered
+   */
+  async handleBatch(port, requests) {
+    if (!Array.isArray(requests) || requests.length === 0) {
+      return;
+    }
+
+    console.log(`[RatingsPort] Received batch of ${requests.length} requests`);
+    await Promise.all(requests.map(request => this._handleRequest(port, request)));
+  }
+
+  /**
+   * Answer one request: cache right away, OMDB later if missing or stale
+   *
+   * @private
+   * @param {chrome.runtime.Port} port - Port to answer on
+   * @param {Object} request - { id, titleInfo, priority? }
+   * @returns {Promise<void>}
+   */
+  async _handleRequest(port, request) {
+    const { id, titleInfo, priority } = request || {};
+
+    if (!titleInfo || !titleInfo.title) {
+      this._post(port, { id, ratings: null, source: null, final: true, error: 'Title is required' });
+      return;
+    }
+
+    try {
+      const cached = await this.getCached(titleInfo);
+
+      if (cached && cached.stale) {
+        this._post(port, { id, ratings: cached.ratings, source: 'cache', stale: true, final: false });
+        await this._revalidate(port, id, titleInfo, cached.ratings);
+        return;
+      }
+
+      if (cached) {
+        this._post(port, { id, ratings: cached.ratings, source: 'cache', final: true });
+        return;
+      }
+
+      const ratings = await this.fetchRatings(titleInfo, priority);
+      this._post(port, { id, ratings: ratings || null, source: 'omdb', final: true });
+    } catch (error) {
+      console.error('[RatingsPort] Error resolving request:', titleInfo.title, error);
+      this._post(port, { id, ratings: null, source: null, final: true, error: error.message });
+    }
+  }
+
+  /**
+   * Refresh a stale hit and push the fresh ratings (or the stale ones again, on failure)
+   *
+   * @private
+   * @param {chrome.runtime.Port} port - Port to answer on
+   * @param {number} id - Request id
+   * @param {Object} titleInfo - Title information
+   * @param {Object} staleRatings - Ratings already sent to the tab
+   * @returns {Promise<void>}
+   */
+  async _revalidate(port, id, titleInfo, staleRatings) {
+    try {
+      const ratings = await this.revalidate(titleInfo, staleRatings);
+      this._post(port, { id, ratings, source: 'omdb', final: true });
+    } catch (error) {
+      console.warn('[RatingsPort] Refresh failed, keeping stale ratings:', titleInfo.title, error.message);
+      this._post(port, { id, ratings: staleRatings, source: 'cache', stale: true, final: true, error: error.message });
+    }
+  }
+
+  /**
+   * Post a result unless the tab has gone away
+   *
+   * @private
+   * @param {chrome.runtime.Port} port - Port to answer on
+   * @param {Object} result - { id, ratings, source, final, error? }
+   */
+  _post(port, result) {
+    if (this.disconnected.has(port)) {
+      console.log('[RatingsPort] Dropping result for disconnected port:', result.id);
+      return;
+    }
+
+    try {
+      port.postMessage({ type: PORT_MESSAGE_TYPES.RESULT, ...result });
+    } catch (error) {
+      // The port closed between the check and the post
+      console.warn('[RatingsPort] Could not post result:', error.message);
+      this.disconnected.add(port);
+    }
+  }
+}
+
+RatingsPortServer.PORT_NAME = RATINGS_PORT_NAME;
+RatingsPortServer.MESSAGE_TYPES = PORT_MESSAGE_TYPES;
+
+// Export for use in modules
+export default RatingsPortServer;
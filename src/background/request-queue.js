@@ -0,0 +1,210 @@
+/**
+ * RequestQueue - Priority scheduler for OMDB lookups
+ *
+ * A Netflix page load can ask for dozens of titles at once. Instead of firing them
+ * all at OMDB in parallel (and tripping its throttling), lookups are queued and at
+ * most `maxConcurrent` run at a time, most important first:
+ *
+ *   modal (open detail modal) > hover (hovered card) > visible (on-screen card) > prefetch
+ *
+ * Requests of the same priority run in arrival order. A queued request can be
+ * promoted when a more important caller asks for the same key.
+ *
+ * @module RequestQueue
+ */
+
+// Lower rank runs first
+const PRIORITIES = {
+  modal: 0,
+  hover: 1,
+  visible: 2,
+  prefetch: 3,
+};
+
+const DEFAULT_PRIORITY = 'visible';
+const DEFAULT_MAX_CONCURRENT = 3;
+const MAX_CONCURRENT_LIMIT = 10;
+
+class RequestQueue {
+  /**
+   * @param {number} maxConcurrent - Requests allowed to run at once (default: 3)
+   */
+  constructor(maxConcurrent = DEFAULT_MAX_CONCURRENT) {
+    this.maxConcurrent = RequestQueue._validateMaxConcurrent(maxConcurrent);
+
+    // Waiting requests: { key, task, priority, sequence, promise, resolve, reject }
+    this.queue = [];
+    this.active = 0;
+    this.sequence = 0;
+
+    console.log('[RequestQueue] Initialized with maxConcurrent:', this.maxConcurrent);
+  }
+
+  /**
+   * Queue a task and run it once a slot is free
+   * A key that is already queued shares the queued request (promoted if needed)
+   *
+   * @param {string} key - Request identity (e.g. cache key)
+   * @param {Function} task - Async function doing the actual work
+   * @param {string} priority - One of RequestQueue.PRIORITIES (default: 'visible')
+   * @returns {Promise<any>} Result of the task
+   */
+  run(key, task, priority = DEFAULT_PRIORITY) {
+    const queued = this.queue.find(entry => entry.key === key);
+    if (queued) {
+      this.promote(key, priority);
+      return queued.promise;
+    }
+
+    const entry = {
+      key,
+      task,
+      priority: RequestQueue.normalizePriority(priority),
+      sequence: this.sequence++,
+    };
+
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    this.queue.push(entry);
+    console.log('[RequestQueue] Queued:', key, `(${entry.priority})`, `Depth: ${this.queue.length}, active: ${this.active}`);
+
+    this._pump();
+    return entry.promise;
+  }
+
+  /**
+   * Raise the priority of a queued request (never lowers it)
+   *
+   * @param {string} key - Request identity
+   * @param {string} priority - New priority
+   * @returns {boolean} True if the request was promoted
+   */
+  promote(key, priority) {
+    const entry = this.queue.find(queued => queued.key === key);
+    const normalized = RequestQueue.normalizePriority(priority);
+
+    if (!entry || PRIORITIES[normalized] >= PRIORITIES[entry.priority]) {
+      return false;
+    }
+
+    console.log('[RequestQueue] Promoted:', key, entry.priority, '→', normalized);
+    entry.priority = normalized;
+    return true;
+  }
+
+  /**
+   * Change how many requests may run at once
+   * Raising the limit starts waiting requests immediately
+   *
+   * @param {number} maxConcurrent - Requests allowed to run at once (1-10)
+   */
+  setMaxConcurrent(maxConcurrent) {
+    this.maxConcurrent = RequestQueue._validateMaxConcurrent(maxConcurrent);
+    console.log('[RequestQueue] maxConcurrent set to:', this.maxConcurrent);
+    this._pump();
+  }
+
+  /**
+   * Number of requests waiting for a slot
+   * @returns {number}
+   */
+  get depth() {
+    return this.queue.length;
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} { queued, active, maxConcurrent, byPriority }
+   */
+  getStats() {
+    const byPriority = {};
+    Object.keys(PRIORITIES).forEach((priority) => {
+      byPriority[priority] = 0;
+    });
+    this.queue.forEach((entry) => {
+      byPriority[entry.priority]++;
+    });
+
+    return {
+      queued: this.queue.length,
+      active: this.active,
+      maxConcurrent: this.maxConcurrent,
+      byPriority,
+    };
+  }
+
+  /**
+   * Map an unknown or missing priority to the default
+   *
+   * @param {string} priority - Requested priority
+   * @returns {string} Known priority
+   */
+  static normalizePriority(priority) {
+    return Object.prototype.hasOwnProperty.call(PRIORITIES, priority) ? priority : DEFAULT_PRIORITY;
+  }
+
+  /**
+   * Start queued requests while slots are free
+   *
+   * @private
+   */
+  _pump() {
+    while (this.active < this.maxConcurrent && this.queue.length > 0) {
+      const entry = this._takeNext();
+
+      this.active++;
+      Promise.resolve()
+        .then(() => entry.task())
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.active--;
+          this._pump();
+        });
+    }
+  }
+
+  /**
+   * Remove and return the most important waiting request (oldest first within a priority)
+   *
+   * @private
+   * @returns {Object} Queue entry
+   */
+  _takeNext() {
+    let bestIndex = 0;
+
+    for (let i = 1; i < this.queue.length; i++) {
+      const entry = this.queue[i];
+      const best = this.queue[bestIndex];
+      const rankDiff = PRIORITIES[entry.priority] - PRIORITIES[best.priority];
+
+      if (rankDiff < 0 || (rankDiff === 0 && entry.sequence < best.sequence)) {
+        bestIndex = i;
+      }
+    }
+
+    return this.queue.splice(bestIndex, 1)[0];
+  }
+
+  /**
+   * @private
+   * @param {number} maxConcurrent - Requested limit
+   * @returns {number} Valid limit
+   */
+  static _validateMaxConcurrent(maxConcurrent) {
+    if (!Number.isInteger(maxConcurrent) || maxConcurrent < 1 || maxConcurrent > MAX_CONCURRENT_LIMIT) {
+      throw new Error(`Max concurrent requests must be an integer between 1 and ${MAX_CONCURRENT_LIMIT}`);
+    }
+
+    return maxConcurrent;
+  }
+}
+
+RequestQueue.PRIORITIES = PRIORITIES;
+RequestQueue.DEFAULT_MAX_CONCURRENT = DEFAULT_MAX_CONCURRENT;
+RequestQueue.MAX_CONCURRENT_LIMIT = MAX_CONCURRENT_LIMIT;
+
+// Export for use in modules
+export default RequestQueue;
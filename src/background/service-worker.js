@@ -5,90 +5,96 @@
  * - Message passing between content scripts and OMDB API
  * - API key management
  * - Rating data caching (via CacheManager)
+ * - OMDB daily quota tracking and circuit breaker (via QuotaTracker)
+ * - Netflix video ID → IMDb ID mapping (via TitleIdMap)
+ * - User-chosen match overrides (via MatchOverrides)
+ * - Prioritized, concurrency-limited OMDB lookups (via RequestQueue)
+ * - Batched lookups from content scripts over a long-lived port (via RatingsPortServer)
+ * - Cache management messages from the popup (via CacheAdmin)
+ * - Cache and settings schema migrations after an update (via CacheMigrations)
  * - Background fetch operations
  *
  * @module ServiceWorker
  */
 
+import CacheManager from '../utils/cache-manager.js';
+import CacheMigrations from '../utils/cache-migrations.js';
+import OmdbService from '../services/omdb-service.js';
+import TitleMatcher from '../services/title-matcher.js';
+import QuotaTracker from './quota-tracker.js';
+import TitleIdMap from './title-id-map.js';
+import MatchOverrides from './match-overrides.js';
+import RequestQueue from './request-queue.js';
+import RatingsPortServer from './ratings-port.js';
+import CacheAdmin from './cache-admin.js';
+
 console.log('[Service Worker] Netflix Ratings service worker loaded');
 
-// Import CacheManager
-// In Chrome extensions, we need to use dynamic imports or inline
-// For now, we'll create a minimal instance here
-const OMDB_API_BASE_URL = 'https://www.omdbapi.com/';
 const DEFAULT_API_KEY = 'b9bd48a6'; // Fallback API key
 
-// Global cache manager instance
-let cacheManager = null;
+// Global cache manager instance for extracted ratings (persistent via chrome.storage.local)
+const cacheManager = new CacheManager();
 
-/**
- * Initialize cache manager
- */
-async function initializeCacheManager() {
-  try {
-    // Import CacheManager class
-    const CacheManager = await import('../utils/cache-manager.js').then(m => m.default || m);
-    cacheManager = new CacheManager();
-    await cacheManager.init();
-    console.log('[Service Worker] Cache manager initialized');
-  } catch (error) {
-    console.warn('[Service Worker] Failed to load CacheManager, using fallback cache:', error.message);
-    // Fallback: create simple in-memory cache if CacheManager fails
-    cacheManager = createFallbackCacheManager();
-  }
-}
+// Cache backend for raw OMDB responses, kept apart from the ratings cache
+const omdbResponseCache = new CacheManager('omdb_response_cache');
 
-/**
- * Create fallback cache manager for when CacheManager import fails
- * @returns {Object} Simple cache manager object
- */
-function createFallbackCacheManager() {
-  const fallbackCache = new Map();
-  const CACHE_DURATION_MS = 24 * 60 * 60 * 1000; // 24 hours
+// Per-key daily request counter and circuit breaker, shared by every OmdbService instance
+const quotaTracker = new QuotaTracker();
 
-  return {
-    get: async function(key) {
-      const entry = fallbackCache.get(key);
-      if (!entry) return null;
-
-      const age = Date.now() - entry.timestamp;
-      if (age > CACHE_DURATION_MS) {
-        fallbackCache.delete(key);
-        return null;
-      }
-      return entry.data;
-    },
+// Netflix video ID → IMDb ID, so matched titles are looked up by ID from then on
+const titleIdMap = new TitleIdMap();
 
-    set: async function(key, data) {
-      fallbackCache.set(key, {
-        data,
-        timestamp: Date.now(),
-      });
-      console.log('[Service Worker] Cached to fallback:', key, `Cache size: ${fallbackCache.size}`);
-    },
+// Matches picked by the user via "Wrong match?" (chrome.storage.sync), checked before any matching
+const matchOverrides = new MatchOverrides();
 
-    clear: async function() {
-      const size = fallbackCache.size;
-      fallbackCache.clear();
-      return size;
-    },
+// Cache misses wait here for an OMDB slot (modal > hover > visible > prefetch)
+const requestQueue = new RequestQueue();
 
-    getStats: async function() {
-      return {
-        totalItems: fallbackCache.size,
-        sizeEstimateKb: 0,
-        cacheDurationHours: 24,
-      };
-    },
+// Serves batched lookups on content script ports; the one-shot messages below remain for the popup
+const ratingsPortServer = new RatingsPortServer({
+  getCached: getCachedRatings,
+  fetchRatings: getRatingsCoalesced,
+  revalidate: revalidateCoalesced,
+});
+
+// Cache management messages from the popup and the cache inspector page
+const cacheAdmin = new CacheAdmin({
+  ratingsCache: cacheManager,
+  responseCache: omdbResponseCache,
+  requestQueue,
+  ready: initializeCacheManager,
+  refresh: refreshCacheEntry,
+});
 
-    getCacheDuration: async function() {
-      return 24;
-    },
+// OmdbService instance, recreated whenever the configured API key changes
+let omdbService = null;
 
-    setCacheDuration: async function(hours) {
-      console.log('[Service Worker] Fallback cache manager ignoring duration change');
-    },
-  };
+// In-flight rating lookups keyed by createCacheKey, shared by concurrent identical requests
+const inFlightRequests = new Map();
+
+// Pending/complete initialization, shared by every handler
+let cacheManagerReady = null;
+
+/**
+ * Initialize cache manager
+ * Safe to call repeatedly - initialization only runs once unless it failed
+ *
+ * @returns {Promise<void>}
+ */
+function initializeCacheManager() {
+  if (!cacheManagerReady) {
+    cacheManagerReady = Promise.all([cacheManager.init(), omdbResponseCache.init(), quotaTracker.init(), loadMaxConcurrentRequests()])
+      .then(() => {
+        console.log('[Service Worker] Cache manager initialized');
+      })
+      .catch((error) => {
+        // Allow the next request to retry initialization
+        cacheManagerReady = null;
+        throw error;
+      });
+  }
+
+  return cacheManagerReady;
 }
 
 /**
@@ -102,9 +108,21 @@ chrome.runtime.onInstalled.addListener((details) => {
     chrome.storage.sync.set({
       omdbApiKey: DEFAULT_API_KEY,
       cacheDurationHours: 24, // Default 24 hours
+      maxConcurrentRequests: RequestQueue.DEFAULT_MAX_CONCURRENT,
+      [CacheMigrations.SETTINGS_VERSION_KEY]: CacheMigrations.SETTINGS_VERSION,
     });
   }
 
+  // Bring cached entries and settings saved by the previous version to the current schema
+  if (details.reason === 'update') {
+    console.log('[Service Worker] Updated from version', details.previousVersion, '- running migrations');
+    initializeCacheManager()
+      .then(() => CacheMigrations.run([cacheManager, omdbResponseCache]))
+      .catch(err => {
+        console.error('[Service Worker] Migrations failed:', err);
+      });
+  }
+
   // Initialize cache manager
   initializeCacheManager().catch(err => {
     console.error('[Service Worker] Failed to initialize cache manager:', err);
@@ -116,6 +134,15 @@ initializeCacheManager().catch(err => {
   console.error('[Service Worker] Failed to initialize cache manager on startup:', err);
 });
 
+/**
+ * Handle long-lived ports from content scripts
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (!ratingsPortServer.attach(port)) {
+    console.log('[Service Worker] Ignoring port with unknown name:', port.name);
+  }
+});
+
 /**
  * Handle messages from content scripts and popup
  */
@@ -134,21 +161,39 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
 
-  if (request.type === 'CLEAR_CACHE') {
-    console.log('[Service Worker] Handling CLEAR_CACHE request');
-    handleClearCache(sendResponse);
+  if (request.type === 'SEARCH_CANDIDATES') {
+    console.log('[Service Worker] Handling SEARCH_CANDIDATES request');
+    handleSearchCandidates(request.payload, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'SET_MATCH_OVERRIDE') {
+    console.log('[Service Worker] Handling SET_MATCH_OVERRIDE request');
+    handleSetMatchOverride(request.payload, sendResponse);
+    return true;
+  }
+
+  if (cacheAdmin.handles(request.type)) {
+    console.log('[Service Worker] Handling', request.type, 'request');
+    cacheAdmin.handle(request, sendResponse);
     return true;
   }
 
-  if (request.type === 'GET_CACHE_STATS') {
-    console.log('[Service Worker] Handling GET_CACHE_STATS request');
-    handleGetCacheStats(sendResponse);
+  if (request.type === 'GET_QUOTA_STATUS') {
+    console.log('[Service Worker] Handling GET_QUOTA_STATUS request');
+    handleGetQuotaStatus(sendResponse);
     return true;
   }
 
-  if (request.type === 'CACHE_DURATION_CHANGED') {
-    console.log('[Service Worker] Handling CACHE_DURATION_CHANGED request');
-    handleCacheDurationChanged(request.duration, sendResponse);
+  if (request.type === 'RESET_QUOTA_BREAKER') {
+    console.log('[Service Worker] Handling RESET_QUOTA_BREAKER request');
+    handleResetQuotaBreaker(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'MAX_CONCURRENT_CHANGED') {
+    console.log('[Service Worker] Handling MAX_CONCURRENT_CHANGED request');
+    handleMaxConcurrentChanged(request.maxConcurrent, sendResponse);
     return true;
   }
 
@@ -159,8 +204,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 /**
  * Handle fetch ratings request
+ * Titles OMDB doesn't know are answered with ratings { notFound: true } (negative-cached)
  *
- * @param {Object} payload - Request payload { title, year?, type? }
+ * @param {Object} payload - Request payload { title, year?, type?, netflixId?, priority? }
  * @param {Function} sendResponse - Response callback
  */
 async function handleFetchRatings(payload, sendResponse) {
@@ -173,55 +219,164 @@ async function handleFetchRatings(payload, sendResponse) {
   }
 
   try {
-    // Wait for cache manager to be ready
-    if (!cacheManager) {
-      await initializeCacheManager();
+    const { priority, ...titleInfo } = payload;
+    const ratings = await getRatingsCoalesced(titleInfo, priority);
+
+    if (!ratings) {
+      sendResponse({ success: false, error: 'No data found' });
+      return;
     }
 
-    // Get API key from storage
-    const apiKey = await getApiKey();
-    console.log('[Service Worker] API key retrieved:', apiKey ? '✓' : '✗');
+    sendResponse({ success: true, ratings });
+  } catch (error) {
+    console.error('[Service Worker] Error fetching ratings:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
 
-    // Check cache first
-    const cacheKey = createCacheKey(payload);
-    const cached = await cacheManager.get(cacheKey);
+/**
+ * Get ratings for a title, sharing one lookup between concurrent identical requests
+ * A Netflix page shows the same title in several rows, so cold-cache duplicates are common
+ * A more important duplicate (e.g. the card was opened) promotes the queued lookup
+ *
+ * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+ * @param {string} priority - Request priority (RequestQueue.PRIORITIES, default: 'visible')
+ * @returns {Promise<Object>} Ratings, or { notFound: true } if OMDB has no match
+ */
+function getRatingsCoalesced(titleInfo, priority) {
+  const cacheKey = createCacheKey(titleInfo);
+
+  const pending = inFlightRequests.get(cacheKey);
+  if (pending) {
+    console.log('[Service Worker] Joining in-flight lookup for:', cacheKey);
+    requestQueue.promote(cacheKey, priority);
+    return pending;
+  }
 
-    if (cached) {
-      console.log('[Service Worker] Cache hit for:', payload.title);
-      sendResponse({ success: true, ratings: cached });
-      return;
-    }
+  const lookup = lookupRatings(titleInfo, cacheKey, priority).finally(() => {
+    inFlightRequests.delete(cacheKey);
+  });
 
-    console.log('[Service Worker] Cache miss, fetching from OMDB');
+  inFlightRequests.set(cacheKey, lookup);
+  console.log('[Service Worker] Started lookup for:', cacheKey, `In flight: ${inFlightRequests.size}`);
 
-    // Fetch from OMDB API
-    const omdbData = await fetchFromOmdb(apiKey, payload);
+  return lookup;
+}
 
-    if (!omdbData) {
-      console.log('[Service Worker] No data found for:', payload.title);
-      sendResponse({ success: false, error: 'No data found' });
-      return;
-    }
+/**
+ * Look up ratings: cache first, then OMDB once the request queue has a slot (result is cached)
+ *
+ * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+ * @param {string} cacheKey - Cache key for the title
+ * @param {string} priority - Request priority (RequestQueue.PRIORITIES)
+ * @returns {Promise<Object>} Ratings, or { notFound: true } if OMDB has no match
+ */
+async function lookupRatings(titleInfo, cacheKey, priority) {
+  // Wait for cache manager to be ready
+  await initializeCacheManager();
 
-    // Extract ratings
-    const ratings = extractRatings(omdbData);
-    console.log('[Service Worker] Extracted ratings:', ratings);
+  // A user override wins over everything, including ratings cached from an automatic match
+  const override = await matchOverrides.get(titleInfo);
 
-    // Cache the result
-    await cacheManager.set(cacheKey, ratings);
+  // Check cache first
+  const cached = await cacheManager.get(cacheKey);
 
-    sendResponse({ success: true, ratings });
-  } catch (error) {
-    console.error('[Service Worker] Error fetching ratings:', error);
-    sendResponse({ success: false, error: error.message });
+  if (cached && (!override || cached.imdbID === override.imdbID)) {
+    console.log('[Service Worker] Cache hit for:', titleInfo.title, CacheManager.isNotFound(cached) ? '(known missing)' : '');
+    return cached;
+  }
+
+  console.log('[Service Worker] Cache miss, queueing OMDB lookup');
+
+  return requestQueue.run(cacheKey, () => fetchAndCacheRatings(titleInfo, cacheKey, override), priority);
+}
+
+/**
+ * Fetch ratings from OMDB and cache them (runs in a request queue slot)
+ *
+ * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+ * @param {string} cacheKey - Cache key for the title
+ * @param {Object|null} override - User match override { imdbID } or null
+ * @returns {Promise<Object>} Ratings, or { notFound: true } if OMDB has no match
+ */
+async function fetchAndCacheRatings(titleInfo, cacheKey, override) {
+  console.log('[Service Worker] Fetching from OMDB:', titleInfo.title);
+
+  // Resolve the title to an OMDB record (override, known Netflix ID, else exact lookup, then scored search)
+  const omdb = await getOmdbService();
+  const match = override
+    ? { data: await omdb.getById(override.imdbID), confidence: 1, strategy: 'override' }
+    : await matchTitle(omdb, titleInfo);
+
+  if (!match) {
+    // Remember the miss so repeat visits don't spend quota asking again
+    console.log('[Service Worker] No data found for:', titleInfo.title);
+    await cacheManager.setNotFound(cacheKey);
+    return { notFound: true };
   }
+
+  // Extract ratings
+  const ratings = buildRatingsRecord(omdb, match, titleInfo);
+  console.log('[Service Worker] Extracted ratings:', ratings);
+
+  // Cache the result
+  await cacheManager.set(cacheKey, ratings);
+
+  return ratings;
+}
+
+/**
+ * Resolve a title to an OMDB record
+ * A Netflix ID with a known mapping is fetched by IMDb ID; otherwise the title is matched
+ * by text and, on success, the mapping is remembered for next time
+ *
+ * @param {OmdbService} omdb - OMDB client
+ * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+ * @returns {Promise<Object|null>} TitleMatcher-style result { data, confidence, strategy } or null
+ */
+async function matchTitle(omdb, titleInfo) {
+  const netflixId = titleInfo.netflixId;
+  const mapping = await titleIdMap.get(netflixId);
+
+  if (mapping) {
+    console.log('[Service Worker] Netflix ID', netflixId, 'mapped to', mapping.imdbID);
+
+    try {
+      const data = await omdb.getById(mapping.imdbID);
+      return {
+        data,
+        confidence: typeof mapping.confidence === 'number' ? mapping.confidence : 1,
+        strategy: 'netflix-id',
+      };
+    } catch (error) {
+      if (error.code !== OmdbService.ERROR_CODES.NOT_FOUND) {
+        throw error;
+      }
+
+      // The IMDb ID no longer resolves - forget it and match by title again
+      console.log('[Service Worker] Mapped IMDb ID no longer found, rematching:', mapping.imdbID);
+      await titleIdMap.delete(netflixId);
+    }
+  }
+
+  const match = await new TitleMatcher(omdb).match(titleInfo);
+
+  if (match && netflixId && match.data.imdbID) {
+    await titleIdMap.set(netflixId, {
+      imdbID: match.data.imdbID,
+      confidence: match.confidence,
+      strategy: match.strategy,
+    });
+  }
+
+  return match;
 }
 
 /**
  * Handle fetch ratings from cache only (synchronous cache, no API call)
  * Used for immediate display on page reload
  *
- * @param {Object} payload - Request payload { title, year?, type? }
+ * @param {Object} payload - Request payload { title, year?, type?, netflixId? }
  * @param {Function} sendResponse - Response callback
  */
 async function handleFetchRatingsCached(payload, sendResponse) {
@@ -234,29 +389,9 @@ async function handleFetchRatingsCached(payload, sendResponse) {
   }
 
   try {
-    // Wait for cache manager to be ready
-    if (!cacheManager) {
-      await initializeCacheManager();
-    }
-
-    // Create cache key
-    const cacheKey = createCacheKey(payload);
-
-    // Try synchronous cache lookup (memory cache only, immediate)
-    if (cacheManager.getSync) {
-      const cached = cacheManager.getSync(cacheKey);
-      if (cached) {
-        console.log('[Service Worker] Sync cache hit for:', payload.title);
-        sendResponse({ success: true, ratings: cached, source: 'memory-cache' });
-        return;
-      }
-    }
-
-    // Try async cache lookup as fallback
-    const cached = await cacheManager.get(cacheKey);
+    const cached = await getCachedRatings(payload);
     if (cached) {
-      console.log('[Service Worker] Cache hit (persistent) for:', payload.title);
-      sendResponse({ success: true, ratings: cached, source: 'persistent-cache' });
+      sendResponse({ success: true, ratings: cached.ratings, source: cached.source, stale: cached.stale });
       return;
     }
 
@@ -269,248 +404,397 @@ async function handleFetchRatingsCached(payload, sendResponse) {
 }
 
 /**
- * Handle clear cache request
+ * Look up cached ratings without ever calling OMDB
+ * The memory cache is checked first (immediate), then persistent storage.
+ * Stale entries (see CacheManager.getWithMeta) are returned too, flagged for revalidation.
+ * Entries that don't match the user's override for the title are ignored.
  *
- * @param {Function} sendResponse - Response callback
+ * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+ * @returns {Promise<Object|null>} { ratings, source: 'memory-cache'|'persistent-cache', stale } or null
  */
-async function handleClearCache(sendResponse) {
-  try {
-    if (!cacheManager) {
-      await initializeCacheManager();
-    }
+async function getCachedRatings(titleInfo) {
+  // Wait for cache manager to be ready
+  await initializeCacheManager();
+
+  const cacheKey = createCacheKey(titleInfo);
+
+  // Ratings cached from an automatic match don't count once the user picked another title,
+  // possibly on another device (overrides sync; only the device that set one rewrote its cache)
+  const override = await matchOverrides.get(titleInfo);
+  const matchesOverride = ratings => !override || ratings.imdbID === override.imdbID;
+
+  // Try synchronous cache lookup (memory cache only, immediate)
+  const syncCached = cacheManager.getSync(cacheKey);
+  if (syncCached && matchesOverride(syncCached)) {
+    console.log('[Service Worker] Sync cache hit for:', titleInfo.title, CacheManager.isNotFound(syncCached) ? '(known missing)' : '');
+    return { ratings: syncCached, source: 'memory-cache', stale: cacheManager.isStaleSync(cacheKey) };
+  }
+
+  // Try async cache lookup as fallback
+  const cached = await cacheManager.getWithMeta(cacheKey);
+  if (cached && matchesOverride(cached.data)) {
+    console.log('[Service Worker] Cache hit (persistent) for:', titleInfo.title, cached.stale ? '(stale)' : '');
+    return { ratings: cached.data, source: 'persistent-cache', stale: cached.stale };
+  }
+
+  return null;
+}
 
-    // Get stats before clearing
-    const stats = await cacheManager.getStats();
-    const cleared = stats.totalItems || 0;
+/**
+ * Refresh stale cached ratings from OMDB, sharing one refresh between every tab waiting on it
+ * Stale ratings are already on screen, so refreshes wait behind everything else in the queue
+ *
+ * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+ * @param {Object} staleRatings - Cached ratings record being refreshed
+ * @returns {Promise<Object>} Fresh ratings (also written to the cache)
+ */
+function revalidateCoalesced(titleInfo, staleRatings) {
+  const cacheKey = createCacheKey(titleInfo);
+  const refreshKey = `refresh:${cacheKey}`;
+
+  const pending = inFlightRequests.get(refreshKey);
+  if (pending) {
+    console.log('[Service Worker] Joining in-flight refresh for:', cacheKey);
+    return pending;
+  }
+
+  const refresh = requestQueue
+    .run(refreshKey, () => refreshRatings(titleInfo, cacheKey, staleRatings), 'prefetch')
+    .finally(() => {
+      inFlightRequests.delete(refreshKey);
+    });
+
+  inFlightRequests.set(refreshKey, refresh);
+  console.log('[Service Worker] Started refresh for:', cacheKey);
+
+  return refresh;
+}
+
+/**
+ * Re-fetch a matched title by IMDb ID, bypassing every cache, and store the result
+ * The original match details are kept - only the ratings are refreshed
+ *
+ * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+ * @param {string} cacheKey - Cache key for the title
+ * @param {Object} staleRatings - Cached ratings record { imdbID, matchConfidence, matchStrategy, ... }
+ * @returns {Promise<Object>} Fresh ratings
+ */
+async function refreshRatings(titleInfo, cacheKey, staleRatings) {
+  if (!staleRatings.imdbID) {
+    // Records cached before IMDb IDs were stored can only be refreshed by matching again
+    console.log('[Service Worker] Stale record has no IMDb ID, matching again:', titleInfo.title);
+    return fetchAndCacheRatings(titleInfo, cacheKey, await matchOverrides.get(titleInfo));
+  }
+
+  console.log('[Service Worker] Refreshing stale ratings from OMDB:', titleInfo.title, staleRatings.imdbID);
+
+  const omdb = await getOmdbService();
+  const data = await omdb.getById(staleRatings.imdbID, { bypassCache: true });
+  const match = {
+    data,
+    confidence: staleRatings.matchConfidence !== undefined ? staleRatings.matchConfidence : 1,
+    strategy: staleRatings.matchStrategy || 'refresh',
+    yearUsed: staleRatings.yearUsed,
+  };
+
+  const ratings = buildRatingsRecord(omdb, match, { yearSource: staleRatings.yearSource });
+  await cacheManager.set(cacheKey, ratings);
+
+  return ratings;
+}
+
+/**
+ * Refresh one cached title from OMDB now ("Refresh" in the cache inspector)
+ * Shares the background refresh path (see revalidateCoalesced), queued like a visible card.
+ * An entry keyed by Netflix ID without an IMDb ID (e.g. "not on OMDB") has no title to match
+ * again, so it's removed instead and looked up the next time it's shown.
+ *
+ * @param {string} cacheKey - Cache key of the entry
+ * @returns {Promise<Object|null>} Fresh ratings, or null if the entry was removed instead
+ */
+async function refreshCacheEntry(cacheKey) {
+  await initializeCacheManager();
+
+  const entry = await cacheManager.peek(cacheKey);
+  if (!entry) {
+    throw new Error('Entry not found');
+  }
+
+  const titleInfo = titleInfoFromCacheKey(cacheKey);
+  if (!entry.data.imdbID && !titleInfo.title) {
+    console.log('[Service Worker] No IMDb ID or title to refresh by, removing:', cacheKey);
+    await cacheManager.delete(cacheKey);
+    return null;
+  }
 
-    // Clear cache
-    await cacheManager.clear();
-    console.log(`[Service Worker] Cache cleared. Removed ${cleared} entries`);
+  const refresh = revalidateCoalesced(titleInfo, entry.data);
+  requestQueue.promote(`refresh:${cacheKey}`, 'visible');
+  return refresh;
+}
 
-    sendResponse({ success: true, cleared });
+/**
+ * Handle search candidates request
+ * Lists OMDB search results for the "Wrong match?" picker, best scored first
+ *
+ * @param {Object} payload - Request payload { title, year?, type? }
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleSearchCandidates(payload, sendResponse) {
+  if (!payload || !payload.title) {
+    console.error('[Service Worker] Invalid payload: missing title');
+    sendResponse({ success: false, error: 'Title is required' });
+    return;
+  }
+
+  try {
+    await initializeCacheManager();
+
+    // The picker is open in a detail modal, so the user is waiting on this one
+    const omdb = await getOmdbService();
+    const result = await requestQueue.run(
+      `search:${payload.title}:${payload.type || ''}`,
+      () => omdb.search(payload.title, { type: payload.type }),
+      'modal'
+    );
+
+    const candidates = result.results
+      .filter(candidate => candidate.imdbID)
+      .map(candidate => ({
+        imdbID: candidate.imdbID,
+        title: candidate.Title,
+        year: candidate.Year,
+        type: candidate.Type,
+        confidence: TitleMatcher.scoreCandidate(payload, candidate),
+      }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    console.log(`[Service Worker] Found ${candidates.length} candidates for:`, payload.title);
+    sendResponse({ success: true, candidates });
   } catch (error) {
-    console.error('[Service Worker] Error clearing cache:', error);
+    console.error('[Service Worker] Error searching candidates:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
 /**
- * Handle get cache stats request
+ * Handle set match override request
+ * Saves the user's chosen IMDb ID for a title and returns ratings for it.
+ * A missing imdbID removes the override and goes back to automatic matching.
  *
+ * @param {Object} payload - Request payload { titleInfo, imdbID? }
  * @param {Function} sendResponse - Response callback
  */
-async function handleGetCacheStats(sendResponse) {
+async function handleSetMatchOverride(payload, sendResponse) {
+  const titleInfo = payload && payload.titleInfo;
+
+  if (!titleInfo || !titleInfo.title) {
+    console.error('[Service Worker] Invalid payload: missing title');
+    sendResponse({ success: false, error: 'Title is required' });
+    return;
+  }
+
   try {
-    if (!cacheManager) {
-      await initializeCacheManager();
+    await initializeCacheManager();
+
+    const cacheKey = createCacheKey(titleInfo);
+
+    if (!payload.imdbID) {
+      await matchOverrides.remove(titleInfo);
+      await titleIdMap.delete(titleInfo.netflixId);
+      await cacheManager.delete(cacheKey);
+
+      console.log('[Service Worker] Match override removed for:', titleInfo.title);
+      const ratings = await getRatingsCoalesced(titleInfo, 'modal');
+      sendResponse({ success: true, ratings });
+      return;
     }
 
-    const stats = await cacheManager.getStats();
-    console.log('[Service Worker] Cache stats:', stats);
+    const omdb = await getOmdbService();
+    const data = await requestQueue.run(`id:${payload.imdbID}`, () => omdb.getById(payload.imdbID), 'modal');
+    await matchOverrides.set(titleInfo, data);
 
-    sendResponse({ success: true, stats });
+    const ratings = buildRatingsRecord(omdb, { data, confidence: 1, strategy: 'override' }, titleInfo);
+    await cacheManager.set(cacheKey, ratings);
+
+    console.log('[Service Worker] Match override set:', titleInfo.title, '→', payload.imdbID);
+    sendResponse({ success: true, ratings });
   } catch (error) {
-    console.error('[Service Worker] Error getting cache stats:', error);
+    console.error('[Service Worker] Error setting match override:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
 /**
- * Handle cache duration change notification
+ * Handle get quota status request
+ * Reports today's OMDB usage and circuit breaker state for the configured API key
  *
- * @param {number} duration - New cache duration in hours
  * @param {Function} sendResponse - Response callback
  */
-async function handleCacheDurationChanged(duration, sendResponse) {
+async function handleGetQuotaStatus(sendResponse) {
   try {
-    console.log('[Service Worker] Cache duration changed to:', duration, 'hours');
+    await initializeCacheManager();
 
-    if (!cacheManager) {
-      await initializeCacheManager();
-    }
-
-    // Update cache manager's understanding of the new duration
-    await cacheManager.setCacheDuration(duration);
+    const apiKey = await getApiKey();
+    const quota = await quotaTracker.getStatus(apiKey);
+    console.log('[Service Worker] Quota status:', quota);
 
-    console.log('[Service Worker] Cache duration updated successfully');
-    sendResponse({ success: true, message: 'Cache duration updated' });
+    sendResponse({ success: true, quota });
   } catch (error) {
-    console.error('[Service Worker] Error updating cache duration:', error);
+    console.error('[Service Worker] Error getting quota status:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
 /**
- * Get API key from storage
+ * Handle reset quota breaker request
+ * Sent by the popup when the API key is saved and when the user retries a blocked key; the
+ * breaker opens again if OMDB still refuses the key
  *
- * @returns {Promise<string>} API key
+ * @param {Function} sendResponse - Response callback
  */
-async function getApiKey() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get(['omdbApiKey'], (result) => {
-      const apiKey = result.omdbApiKey || DEFAULT_API_KEY;
-      console.log('[Service Worker] Retrieved API key from storage');
-      resolve(apiKey);
-    });
-  });
+async function handleResetQuotaBreaker(sendResponse) {
+  try {
+    await initializeCacheManager();
+
+    const apiKey = await getApiKey();
+    const closed = await quotaTracker.closeCircuit(apiKey);
+    console.log('[Service Worker] Quota breaker reset:', closed);
+
+    sendResponse({ success: true, closed });
+  } catch (error) {
+    console.error('[Service Worker] Error resetting quota breaker:', error);
+    sendResponse({ success: false, error: error.message });
+  }
 }
 
 /**
- * Fetch data from OMDB API
+ * Handle max concurrent requests change notification
  *
- * @param {string} apiKey - OMDB API key
- * @param {Object} titleInfo - Title information { title, year?, type? }
- * @returns {Promise<Object|null>} OMDB response data
+ * @param {number} maxConcurrent - Requests allowed to run at once
+ * @param {Function} sendResponse - Response callback
  */
-async function fetchFromOmdb(apiKey, titleInfo) {
-  console.log('[Service Worker] Fetching from OMDB:', titleInfo);
-
-  const params = new URLSearchParams({
-    apikey: apiKey,
-    t: titleInfo.title.trim(),
-    plot: 'short',
-  });
+async function handleMaxConcurrentChanged(maxConcurrent, sendResponse) {
+  try {
+    console.log('[Service Worker] Max concurrent requests changed to:', maxConcurrent);
 
-  if (titleInfo.year) {
-    params.append('y', titleInfo.year);
-    console.log('[Service Worker] Adding year filter:', titleInfo.year);
-  }
+    requestQueue.setMaxConcurrent(maxConcurrent);
 
-  if (titleInfo.type) {
-    params.append('type', titleInfo.type);
-    console.log('[Service Worker] Adding type filter:', titleInfo.type);
+    sendResponse({ success: true, message: 'Max concurrent requests updated' });
+  } catch (error) {
+    console.error('[Service Worker] Error updating max concurrent requests:', error);
+    sendResponse({ success: false, error: error.message });
   }
+}
 
-  const url = `${OMDB_API_BASE_URL}?${params.toString()}`;
-  console.log('[Service Worker] OMDB URL:', url.replace(apiKey, 'API_KEY_HIDDEN'));
-
+/**
+ * Load the configured request concurrency into the request queue
+ * An invalid stored value keeps the default
+ *
+ * @returns {Promise<void>}
+ */
+async function loadMaxConcurrentRequests() {
   try {
-    const response = await fetchWithRetry(url, 3);
-
-    if (!response.ok) {
-      console.error('[Service Worker] HTTP error:', response.status, response.statusText);
-      throw new Error(`HTTP error! Status: ${response.status}`);
-    }
+    const result = await chrome.storage.sync.get(['maxConcurrentRequests']);
 
-    const data = await response.json();
-    console.log('[Service Worker] OMDB response received');
-
-    if (data.Response === 'False') {
-      console.warn('[Service Worker] OMDB API returned error:', data.Error);
-      return null;
+    if (result.maxConcurrentRequests) {
+      requestQueue.setMaxConcurrent(result.maxConcurrentRequests);
     }
-
-    console.log('[Service Worker] Successfully fetched:', data.Title, `(${data.Year})`);
-    return data;
   } catch (error) {
-    console.error('[Service Worker] Error fetching from OMDB:', error);
-    throw error;
+    console.warn('[Service Worker] Error loading max concurrent requests, keeping default:', error.message);
   }
 }
 
 /**
- * Fetch with retry logic
+ * Get API key from storage
  *
- * @param {string} url - URL to fetch
- * @param {number} maxRetries - Maximum number of retries
- * @returns {Promise<Response>} Fetch response
+ * @returns {Promise<string>} API key
  */
-async function fetchWithRetry(url, maxRetries = 3) {
-  let lastError;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    console.log(`[Service Worker] Fetch attempt ${attempt}/${maxRetries}`);
-
-    try {
-      const response = await fetch(url);
-      console.log('[Service Worker] Fetch successful');
-      return response;
-    } catch (error) {
-      console.error(`[Service Worker] Fetch attempt ${attempt} failed:`, error.message);
-      lastError = error;
+async function getApiKey() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(['omdbApiKey'], (result) => {
+      const apiKey = result.omdbApiKey || DEFAULT_API_KEY;
+      console.log('[Service Worker] Retrieved API key from storage');
+      resolve(apiKey);
+    });
+  });
+}
 
-      if (attempt < maxRetries) {
-        const delay = Math.pow(2, attempt - 1) * 1000; // Exponential backoff
-        console.log(`[Service Worker] Retrying in ${delay}ms...`);
-        await sleep(delay);
-      }
-    }
+/**
+ * Get the shared OmdbService for the currently configured API key
+ *
+ * @returns {Promise<OmdbService>} OMDB client backed by the persistent response cache
+ */
+async function getOmdbService() {
+  const apiKey = await getApiKey();
+
+  if (!omdbService || omdbService.apiKey !== apiKey) {
+    console.log('[Service Worker] Creating OmdbService for current API key');
+    // Raw responses keep the fixed duration, not the adaptive policy: they only spare repeat
+    // searches and lookups while matching, and rating refreshes bypass them (bypassCache),
+    // so a long-lived title's ratings are never held back by its cached response
+    omdbService = new OmdbService(apiKey, { cache: omdbResponseCache, quota: quotaTracker, getCacheDurationMs: () => omdbResponseCache.getFreshness().durationMs });
   }
 
-  console.error('[Service Worker] All retry attempts exhausted');
-  throw new Error(`Failed after ${maxRetries} attempts: ${lastError.message}`);
+  return omdbService;
 }
 
 /**
- * Extract ratings from OMDB response
+ * Build the cached ratings record for a matched OMDB title
+ * Match details are stored alongside the ratings so the UI can flag uncertain matches,
+ * and the year used for matching (and where it came from) is kept for debugging
  *
- * @param {Object} omdbData - OMDB API response
- * @returns {Object} Ratings { imdb?, metacritic?, rottenTomatoes? }
+ * @param {OmdbService} omdb - OMDB client
+ * @param {Object} match - TitleMatcher result { data, confidence, strategy, yearUsed? }
+ * @param {Object} titleInfo - Title information { year?, yearSource? }
+ * @returns {Object} Ratings { imdb, metacritic, rottenTomatoes, imdbID, matchedTitle, matchedYear, matchConfidence, matchStrategy, yearUsed, yearSource }
  */
-function extractRatings(omdbData) {
-  console.log('[Service Worker] Extracting ratings from:', omdbData.Title);
+function buildRatingsRecord(omdb, match, titleInfo) {
+  const yearUsed = match.yearUsed !== undefined ? match.yearUsed : null;
 
-  const ratings = {
-    imdb: null,
-    metacritic: null,
-    rottenTomatoes: null,
+  return {
+    ...omdb.extractRatings(match.data),
+    imdbID: match.data.imdbID || null,
+    matchedTitle: match.data.Title || null,
+    matchedYear: match.data.Year || null,
+    matchConfidence: match.confidence,
+    matchStrategy: match.strategy,
+    yearUsed,
+    yearSource: yearUsed ? titleInfo.yearSource || null : null,
   };
-
-  // Extract IMDb rating
-  if (omdbData.imdbRating && omdbData.imdbRating !== 'N/A') {
-    ratings.imdb = {
-      value: omdbData.imdbRating,
-      votes: omdbData.imdbVotes || 'N/A',
-      outOf: '10',
-    };
-    console.log('[Service Worker] IMDb rating:', ratings.imdb.value);
-  }
-
-  // Extract Metacritic score
-  if (omdbData.Metascore && omdbData.Metascore !== 'N/A') {
-    ratings.metacritic = {
-      value: omdbData.Metascore,
-      outOf: '100',
-    };
-    console.log('[Service Worker] Metacritic score:', ratings.metacritic.value);
-  }
-
-  // Extract Rotten Tomatoes rating
-  if (omdbData.Ratings && Array.isArray(omdbData.Ratings)) {
-    const rtRating = omdbData.Ratings.find(r => r.Source === 'Rotten Tomatoes');
-    if (rtRating && rtRating.Value) {
-      ratings.rottenTomatoes = {
-        value: rtRating.Value,
-        source: rtRating.Source,
-      };
-      console.log('[Service Worker] Rotten Tomatoes rating:', ratings.rottenTomatoes.value);
-    }
-  }
-
-  const availableRatings = Object.keys(ratings).filter(k => ratings[k] !== null);
-  console.log('[Service Worker] Available ratings:', availableRatings.join(', ') || 'None');
-
-  return ratings;
 }
 
 /**
  * Create cache key from title info
+ * The Netflix video ID is preferred because it survives title text changes and localization
  *
  * @param {Object} titleInfo - Title information
  * @returns {string} Cache key
  */
 function createCacheKey(titleInfo) {
+  if (titleInfo.netflixId) {
+    return `netflix:${titleInfo.netflixId}`;
+  }
+
   return `${titleInfo.title}:${titleInfo.year || ''}:${titleInfo.type || ''}`;
 }
 
 /**
- * Sleep utility
+ * Recover title info from a cache key (the reverse of createCacheKey)
+ * Keys by Netflix ID carry no title
  *
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
+ * @param {string} cacheKey - Cache key
+ * @returns {Object} Title information { title?, year?, type?, netflixId? }
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function titleInfoFromCacheKey(cacheKey) {
+  if (cacheKey.startsWith('netflix:')) {
+    return { netflixId: cacheKey.slice('netflix:'.length) };
+  }
+
+  // Titles may contain ':', years and types can't
+  const parts = cacheKey.split(':');
+  const type = parts.pop();
+  const year = parts.pop();
+  return { title: parts.join(':'), year: year || undefined, type: type || undefined };
 }
 
 console.log('[Service Worker] Initialization complete');
@@ -0,0 +1,119 @@
+/**
+ * TitleIdMap - Persistent Netflix video ID → IMDb ID mapping
+ *
+ * Netflix video IDs (e.g. 80057281 in /title/80057281 or /watch/80057281) are stable
+ * across title text changes and localization. Once a title has been matched, its
+ * IMDb ID is remembered here so later lookups can go straight to OMDB by ID.
+ *
+ * Entries never expire; they are only replaced or removed when a mapped ID stops resolving.
+ * Each mapping is its own chrome.storage.local key, `nid:<Netflix video ID>`, so a lookup
+ * or a new mapping touches only that key however many titles have been matched. Mappings
+ * read or written are kept in memory for the rest of the worker's life.
+ *
+ * @module TitleIdMap
+ */
+
+class TitleIdMap {
+  /**
+   * @param {string} keyPrefix - Prefix of the per-mapping chrome.storage.local keys (default: 'nid')
+   */
+  constructor(keyPrefix = 'nid') {
+    this.keyPrefix = keyPrefix;
+
+    // Netflix video ID → mapping, or null once known to be unmapped
+    this.entries = new Map();
+
+    console.log('[TitleIdMap] Initialized with keyPrefix:', keyPrefix);
+  }
+
+  /**
+   * Get the mapping for a Netflix video ID
+   * @param {string} netflixId - Netflix video ID
+   * @returns {Promise<Object|null>} { imdbID, confidence, strategy, updatedAt } or null
+   */
+  async get(netflixId) {
+    if (!netflixId) {
+      return null;
+    }
+
+    if (!this.entries.has(netflixId)) {
+      const storageKey = this._getStorageKey(netflixId);
+
+      try {
+        const result = await chrome.storage.local.get([storageKey]);
+        this.entries.set(netflixId, result[storageKey] || null);
+      } catch (error) {
+        // Not remembered: the next lookup tries storage again
+        console.warn('[TitleIdMap] Error loading mapping:', error.message);
+        return null;
+      }
+    }
+
+    return this.entries.get(netflixId);
+  }
+
+  /**
+   * Remember the IMDb ID a Netflix video ID resolved to
+   * @param {string} netflixId - Netflix video ID
+   * @param {Object} mapping - { imdbID, confidence?, strategy? }
+   * @returns {Promise<void>}
+   */
+  async set(netflixId, mapping) {
+    if (!netflixId || !mapping || !mapping.imdbID) {
+      throw new Error('Netflix ID and IMDb ID are required');
+    }
+
+    const existing = await this.get(netflixId);
+    if (existing && existing.imdbID === mapping.imdbID && existing.confidence === mapping.confidence) {
+      return;
+    }
+
+    const entry = {
+      imdbID: mapping.imdbID,
+      confidence: typeof mapping.confidence === 'number' ? mapping.confidence : null,
+      strategy: mapping.strategy || null,
+      updatedAt: Date.now(),
+    };
+    this.entries.set(netflixId, entry);
+
+    console.log('[TitleIdMap] Mapped Netflix ID', netflixId, '→', mapping.imdbID);
+    try {
+      await chrome.storage.local.set({ [this._getStorageKey(netflixId)]: entry });
+    } catch (error) {
+      // The mapping still works in memory; it just won't survive a worker restart
+      console.warn('[TitleIdMap] Error saving mapping:', error.message);
+    }
+  }
+
+  /**
+   * Forget the mapping for a Netflix video ID
+   * @param {string} netflixId - Netflix video ID
+   * @returns {Promise<boolean>} True if a mapping was removed
+   */
+  async delete(netflixId) {
+    if (!(await this.get(netflixId))) {
+      return false;
+    }
+
+    this.entries.set(netflixId, null);
+    console.log('[TitleIdMap] Removed mapping for Netflix ID:', netflixId);
+    try {
+      await chrome.storage.local.remove(this._getStorageKey(netflixId));
+    } catch (error) {
+      console.warn('[TitleIdMap] Error removing mapping:', error.message);
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {string} netflixId - Netflix video ID
+   * @returns {string} chrome.storage.local key of its mapping
+   */
+  _getStorageKey(netflixId) {
+    return `${this.keyPrefix}:${netflixId}`;
+  }
+}
+
+// Export for use in modules
+export default TitleIdMap;
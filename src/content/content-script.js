@@ -14,8 +14,13 @@ console.log('[Netflix Ratings] Content script loaded');
 // Configuration
 const CONFIG = {
   DEBOUNCE_DELAY_MS: 200,
+  IDLE_CHUNK_SIZE: 10, // Max cards processed per idle callback
+  IDLE_TIMEOUT_MS: 500, // Process queued cards even if the page never goes idle
+  VIEWPORT_MARGIN: '200px', // Fetch ratings for cards this close to the viewport
+  MAX_CONCURRENT_FETCHES: 12, // Rating requests in flight at once from this tab (the worker queues OMDB calls)
   RATING_BADGE_CLASS: 'netflix-ratings-badge',
   PROCESSED_ATTRIBUTE: 'data-ratings-processed',
+  UNCERTAIN_MATCH_THRESHOLD: 0.8, // Match confidence below this is flagged on the badge
 };
 
 // State management
@@ -23,12 +28,33 @@ let debounceTimer = null;
 let processedElements = new WeakSet();
 let observer = null;
 
+// Added nodes collected across observer callbacks until the debounce settles
+const pendingNodes = new Set();
+
+// Title cards waiting to be processed in idle time
+const pendingCards = new Set();
+let idleCallbackId = null;
+
+// Sends rating requests only for cards near the viewport (created in init)
+let viewportScheduler = null;
+
+// Long-lived port to the service worker; requests are batched and results streamed back
+const ratingsPort = new RatingsPortClient();
+
 /**
  * Initialize the content script
  */
 function init() {
   console.log('[Netflix Ratings] Initializing content script');
 
+  if (!viewportScheduler) {
+    viewportScheduler = new ViewportScheduler({
+      rootMargin: CONFIG.VIEWPORT_MARGIN,
+      maxConcurrent: CONFIG.MAX_CONCURRENT_FETCHES,
+      onRequest: refreshRatingsInBackground,
+    });
+  }
+
   // Process existing content
   processExistingContent();
 
@@ -47,10 +73,7 @@ function processExistingContent() {
   const titleCards = findAllTitleCards();
   console.log(`[Netflix Ratings] Found ${titleCards.length} title cards`);
 
-  titleCards.forEach((card, index) => {
-    console.log(`[Netflix Ratings] Processing card ${index + 1}/${titleCards.length}`);
-    processTitleCard(card);
-  });
+  queueTitleCards(titleCards);
 }
 
 /**
@@ -67,11 +90,14 @@ function setupMutationObserver() {
   observer = new MutationObserver((mutations) => {
     console.log(`[Netflix Ratings] Detected ${mutations.length} DOM mutations`);
 
+    // Accumulate every batch - the debounce only delays processing, it must not drop earlier batches
+    collectAddedNodes(mutations);
+
     // Debounce to avoid excessive processing
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(() => {
-      console.log('[Netflix Ratings] Debounce timer fired, processing mutations');
-      handleMutations(mutations);
+      console.log(`[Netflix Ratings] Debounce timer fired, processing ${pendingNodes.size} added nodes`);
+      flushPendingNodes();
     }, CONFIG.DEBOUNCE_DELAY_MS);
   });
 
@@ -84,35 +110,106 @@ function setupMutationObserver() {
 }
 
 /**
- * Handle detected mutations
+ * Collect added element nodes from a mutation batch (deduplicated across batches)
  *
  * @param {MutationRecord[]} mutations - Array of mutation records
  */
-function handleMutations(mutations) {
-  const newTitleCards = new Set();
-
+function collectAddedNodes(mutations) {
   mutations.forEach((mutation) => {
     mutation.addedNodes.forEach((node) => {
       if (node.nodeType === Node.ELEMENT_NODE) {
-        // Check if the node itself is a title card
-        if (isTitleCard(node)) {
-          newTitleCards.add(node);
-        }
-
-        // Check for title cards within the node
-        const cards = findTitleCardsInElement(node);
-        cards.forEach(card => newTitleCards.add(card));
+        pendingNodes.add(node);
       }
     });
   });
+}
+
+/**
+ * Find title cards in every node collected since the last flush and queue them
+ */
+function flushPendingNodes() {
+  const nodes = [...pendingNodes];
+  pendingNodes.clear();
+
+  // Rows Netflix re-rendered may have taken cards with unsent requests with them
+  viewportScheduler.cancelDetached();
+
+  const newTitleCards = new Set();
+
+  nodes.forEach((node) => {
+    // Netflix often re-renders rows - skip nodes that are already gone
+    if (!node.isConnected) {
+      return;
+    }
+
+    // Check if the node itself is a title card
+    if (isTitleCard(node)) {
+      newTitleCards.add(node);
+    }
+
+    // Check for title cards within the node
+    const cards = findTitleCardsInElement(node);
+    cards.forEach(card => newTitleCards.add(card));
+  });
 
-  console.log(`[Netflix Ratings] Found ${newTitleCards.size} new title cards`);
+  console.log(`[Netflix Ratings] Found ${newTitleCards.size} new title cards in ${nodes.length} added nodes`);
 
-  newTitleCards.forEach((card) => {
+  queueTitleCards([...newTitleCards]);
+}
+
+/**
+ * Queue title cards for processing in idle time
+ *
+ * @param {HTMLElement[]} cards - Title card elements
+ */
+function queueTitleCards(cards) {
+  cards.forEach((card) => {
     if (!processedElements.has(card)) {
-      processTitleCard(card);
+      pendingCards.add(card);
     }
   });
+
+  scheduleIdleProcessing();
+}
+
+/**
+ * Schedule processing of queued cards when the browser is idle
+ * Large carousel loads are processed in chunks so Netflix's UI stays responsive
+ */
+function scheduleIdleProcessing() {
+  if (idleCallbackId !== null || pendingCards.size === 0) {
+    return;
+  }
+
+  idleCallbackId = requestIdleCallback(processPendingCards, { timeout: CONFIG.IDLE_TIMEOUT_MS });
+}
+
+/**
+ * Process a chunk of queued cards, rescheduling if any remain
+ *
+ * @param {IdleDeadline} deadline - Idle callback deadline
+ */
+function processPendingCards(deadline) {
+  idleCallbackId = null;
+  let processed = 0;
+
+  for (const card of pendingCards) {
+    // Always make progress, then stop when the chunk (or the idle period, unless we timed out) is used up
+    const outOfIdleTime = !deadline.didTimeout && deadline.timeRemaining() <= 1;
+    if (processed > 0 && (processed >= CONFIG.IDLE_CHUNK_SIZE || outOfIdleTime)) {
+      break;
+    }
+
+    pendingCards.delete(card);
+
+    if (card.isConnected && !processedElements.has(card)) {
+      processTitleCard(card);
+      processed++;
+    }
+  }
+
+  console.log(`[Netflix Ratings] Processed ${processed} cards in idle time, ${pendingCards.size} remaining`);
+  scheduleIdleProcessing();
 }
 
 /**
@@ -211,19 +308,12 @@ async function processTitleCard(card) {
 
   console.log('[Netflix Ratings] Extracted title info:', titleInfo);
 
-  // Try to fetch ratings from cache immediately (cache-first strategy)
-  let ratings = await fetchRatingsCached(titleInfo);
-
-  if (ratings) {
-    console.log('[Netflix Ratings] Received ratings from cache:', ratings);
-    injectRatingBadge(card, ratings, { isFromCache: true });
-  }
-
-  // Fetch fresh ratings in background (non-blocking)
+  // Fetch ratings in background once the card is near the viewport (non-blocking)
+  // Cached ratings come back within the same batch round trip
   try {
-    refreshRatingsInBackground(card, titleInfo);
+    viewportScheduler.observe(card, titleInfo);
   } catch (error) {
-    console.error('[Netflix Ratings] Error starting background refresh:', error);
+    console.error('[Netflix Ratings] Error scheduling background refresh:', error);
   }
 }
 
@@ -231,14 +321,17 @@ async function processTitleCard(card) {
  * Extract title information from a card element
  *
  * @param {HTMLElement} card - Title card element
- * @returns {Object|null} Title info { title, year?, type? }
+ * @returns {Object|null} Title info { title, year?, yearSource?, yearConfidence?, type?, netflixId? }
  */
 function extractTitleInfo(card) {
   console.log('[Netflix Ratings] Extracting title info from card');
 
   let title = null;
   let year = null;
+  let yearSource = null;
+  let yearConfidence = null;
   let type = null;
+  let netflixId = null;
 
   // Strategy 1: data-uia="video-title" attribute
   const titleElement = card.querySelector('[data-uia="video-title"]');
@@ -280,15 +373,28 @@ function extractTitleInfo(card) {
     console.log('[Netflix Ratings] Found title via dialog aria-label:', title);
   }
 
-  // Extract year if available - try multiple strategies
-  year = extractYear(card);
-  if (year) {
-    console.log('[Netflix Ratings] Found year:', year);
+  // Extract year if available - every strategy proposes candidates, the most confident wins
+  const yearCandidates = YearExtractor.extractCandidates(card, title);
+  if (yearCandidates.length > 0) {
+    ({ year, source: yearSource, confidence: yearConfidence } = yearCandidates[0]);
+    console.log('[Netflix Ratings] Found year:', year, `(${yearSource}, confidence ${yearConfidence})`, 'candidates:', yearCandidates);
+  }
+
+  // Detect movie vs series so same-name titles don't collide
+  type = TitleTypeDetector.detect(card);
+  if (type) {
+    console.log('[Netflix Ratings] Found type:', type);
+  }
+
+  // Extract the stable Netflix video ID if the card links to one
+  netflixId = extractNetflixId(card);
+  if (netflixId) {
+    console.log('[Netflix Ratings] Found Netflix ID:', netflixId);
   }
 
-  // Clean up title (remove season/episode info)
+  // Clean up title (remove season/episode info, keep franchise subtitles)
   if (title) {
-    title = cleanTitle(title);
+    title = TitleNormalizer.normalize(title, { type });
     console.log('[Netflix Ratings] Cleaned title:', title);
   }
 
@@ -297,129 +403,73 @@ function extractTitleInfo(card) {
     return null;
   }
 
-  return { title, year, type };
+  return { title, year, yearSource, yearConfidence, type, netflixId };
 }
 
 /**
- * Extract year from card using multiple strategies
+ * Extract the Netflix video ID from card links (/title/<id>, /watch/<id>)
+ * Detail modals have no link of their own, so the page URL (/title/<id> or ?jbv=<id>) is used
  *
  * @param {HTMLElement} card - Title card element
- * @returns {string|null} Year or null if not found
+ * @returns {string|null} Numeric Netflix video ID or null if not found
  */
-function extractYear(card) {
-  // Strategy 1: Direct year element selectors
-  const yearSelectors = [
-    '.year',
-    '.titleCard-year',
-    '.item-year',
-    '.video-metadata-year',
-    '.year-text',
-    '.release-year',
-    '[data-uia="mini-modal-year"]',
-    '.metadata-year',
-  ];
-
-  for (const selector of yearSelectors) {
-    const element = card.querySelector(selector);
-    if (element) {
-      const text = element.textContent.trim();
-      const year = extractYearFromText(text);
-      if (year) {
-        console.log('[Netflix Ratings] Year found via selector:', selector, '→', year);
-        return year;
-      }
-    }
-  }
-
-  // Strategy 2: Search in text content for year pattern (4 digits between 1900-2100)
-  const allText = card.textContent;
-  const yearMatch = allText.match(/\b(19\d{2}|20[0-9]{2})\b/);
-  if (yearMatch) {
-    console.log('[Netflix Ratings] Year found via text pattern:', yearMatch[1]);
-    return yearMatch[1];
+function extractNetflixId(card) {
+  const links = [];
+  if (card.matches('a[href]')) {
+    links.push(card);
   }
+  links.push(...card.querySelectorAll('a[href*="/title/"], a[href*="/watch/"]'));
 
-  // Strategy 3: Look in metadata strings like "2024 | 2h 30m | Drama"
-  const metadataElements = card.querySelectorAll('span, div, p');
-  for (const elem of metadataElements) {
-    const text = elem.textContent.trim();
-    // Match pattern like "2024 |" or "2024, "
-    const metaMatch = text.match(/^(19\d{2}|20[0-9]{2})\s*[|,]/);
-    if (metaMatch) {
-      console.log('[Netflix Ratings] Year found via metadata pattern:', metaMatch[1]);
-      return metaMatch[1];
+  for (const link of links) {
+    const id = extractNetflixIdFromUrl(link.getAttribute('href'));
+    if (id) {
+      return id;
     }
   }
 
-  // Strategy 4: Billboard/hero specific selectors
-  const billboardYear = card.querySelector('.billboard-year, .hero-year, .preview-year');
-  if (billboardYear) {
-    const text = billboardYear.textContent.trim();
-    const year = extractYearFromText(text);
-    if (year) {
-      console.log('[Netflix Ratings] Year found via billboard selector:', year);
-      return year;
-    }
+  if (card.getAttribute('role') === 'dialog' || card.classList.contains('jawBone')) {
+    return extractNetflixIdFromUrl(location.href);
   }
 
   return null;
 }
 
 /**
- * Extract 4-digit year from text
+ * Extract a Netflix video ID from a URL or path
  *
- * @param {string} text - Text to search
- * @returns {string|null} Year or null if not found
+ * @param {string} url - URL such as '/title/80057281', '/watch/80057281?trackId=1' or '/browse?jbv=80057281'
+ * @returns {string|null} Numeric Netflix video ID or null if not found
  */
-function extractYearFromText(text) {
-  const match = text.match(/\b(19\d{2}|20[0-9]{2})\b/);
-  return match ? match[1] : null;
-}
+function extractNetflixIdFromUrl(url) {
+  if (!url) {
+    return null;
+  }
 
-/**
- * Clean title by removing season/episode information
- *
- * @param {string} title - Raw title text
- * @returns {string} Cleaned title
- */
-function cleanTitle(title) {
-  // Remove season/episode info (e.g., "Title: Season 1: Episode 1")
-  const colonIndex = title.indexOf(':');
-  if (colonIndex !== -1) {
-    const beforeColon = title.substring(0, colonIndex).trim();
-    // Only keep part before colon if it looks like a title (not empty, reasonable length)
-    if (beforeColon.length >= 2) {
-      console.log('[Netflix Ratings] Removed season/episode info from title');
-      return beforeColon;
-    }
+  const pathMatch = url.match(/\/(?:title|watch)\/(\d+)/);
+  if (pathMatch) {
+    return pathMatch[1];
   }
 
-  return title;
+  const queryMatch = url.match(/[?&]jbv=(\d+)/);
+  return queryMatch ? queryMatch[1] : null;
 }
 
 /**
- * Fetch ratings for a title from the service worker
+ * Fetch ratings for a title from the service worker over the ratings port
+ * Results are streamed: a cache hit arrives right away, an OMDB lookup when it finishes
  *
  * @param {Object} titleInfo - Title information { title, year?, type? }
- * @returns {Promise<Object|null>} Ratings object or null
+ * @param {string} priority - Request priority: 'modal', 'hover', 'visible' or 'prefetch'
+ * @param {Function} onResult - Called with (ratings, source) for every streamed result (optional)
+ * @returns {Promise<Object|null>} Final ratings object or null
  */
-async function fetchRatings(titleInfo) {
-  console.log('[Netflix Ratings] Sending message to service worker:', titleInfo);
+async function fetchRatings(titleInfo, priority = 'visible', onResult = null) {
+  console.log('[Netflix Ratings] Requesting ratings from service worker:', titleInfo, `(${priority})`);
 
   try {
-    const response = await chrome.runtime.sendMessage({
-      type: 'FETCH_RATINGS',
-      payload: titleInfo,
-    });
-
-    console.log('[Netflix Ratings] Received response from service worker:', response);
-
-    if (response && response.success) {
-      return response.ratings;
-    } else {
-      console.log('[Netflix Ratings] Service worker returned error:', response?.error);
-      return null;
-    }
+    const ratings = await ratingsPort.request(titleInfo, { priority, onResult });
+    console.log('[Netflix Ratings] Received ratings from service worker:', ratings);
+    return ratings;
   } catch (error) {
     console.error('[Netflix Ratings] Error communicating with service worker:', error);
     return null;
@@ -427,38 +477,32 @@ async function fetchRatings(titleInfo) {
 }
 
 /**
- * Fetch ratings with cache check (cache-first strategy)
- * Uses synchronous memory cache for immediate availability on page reload
+ * Decide how urgently the service worker should fetch a card's ratings
+ * Open detail modals first, then the hovered card, then cards on screen; cards only
+ * inside the viewport margin are prefetches
  *
- * @param {Object} titleInfo - Title information { title, year?, type? }
- * @returns {Promise<Object|null>} Ratings object or null
+ * @param {HTMLElement} card - Title card element
+ * @returns {string} 'modal', 'hover', 'visible' or 'prefetch'
  */
-async function fetchRatingsCached(titleInfo) {
-  console.log('[Netflix Ratings] Fetching ratings (cache-first):', titleInfo);
+function getRequestPriority(card) {
+  if (card.matches('[role="dialog"], .jawBone')) {
+    return 'modal';
+  }
 
-  try {
-    const response = await chrome.runtime.sendMessage({
-      type: 'FETCH_RATINGS_CACHED',
-      payload: titleInfo,
-    });
+  if (card.matches(':hover')) {
+    return 'hover';
+  }
 
-    console.log('[Netflix Ratings] Received cached response from service worker:', response);
+  const rect = card.getBoundingClientRect();
+  const onScreen = rect.bottom > 0 && rect.right > 0 &&
+    rect.top < window.innerHeight && rect.left < window.innerWidth;
 
-    if (response && response.success) {
-      return response.ratings;
-    } else {
-      console.log('[Netflix Ratings] Service worker returned no cached data:', response?.error);
-      return null;
-    }
-  } catch (error) {
-    console.error('[Netflix Ratings] Error fetching cached ratings:', error);
-    return null;
-  }
+  return onScreen ? 'visible' : 'prefetch';
 }
 
 /**
  * Refresh ratings in background without blocking UI
- * If fresh data differs from cache, updates the badge
+ * The badge is updated for every streamed result (cached first, then fresh)
  *
  * @param {HTMLElement} card - Title card element
  * @param {Object} titleInfo - Title information { title, year?, type? }
@@ -467,14 +511,12 @@ async function refreshRatingsInBackground(card, titleInfo) {
   try {
     console.log('[Netflix Ratings] Starting background refresh:', titleInfo);
 
-    // Fetch fresh ratings from service worker (will hit API if cache is stale)
-    const ratings = await fetchRatings(titleInfo);
-
-    if (ratings) {
-      console.log('[Netflix Ratings] Background refresh complete, updating badge');
-      // Update the badge with fresh data
-      injectRatingBadge(card, ratings, { isFromCache: false });
-    }
+    // Cache hits are answered right away, misses once OMDB responds; stale hits are
+    // answered right away and again once the worker has refreshed them
+    await fetchRatings(titleInfo, getRequestPriority(card), (ratings, source) => {
+      console.log('[Netflix Ratings] Ratings received, updating badge:', source);
+      injectRatingBadge(card, ratings, { isFromCache: source === 'cache', titleInfo });
+    });
   } catch (error) {
     console.error('[Netflix Ratings] Error in background refresh:', error);
   }
@@ -484,8 +526,8 @@ async function refreshRatingsInBackground(card, titleInfo) {
  * Inject rating badge into title card
  *
  * @param {HTMLElement} card - Title card element
- * @param {Object} ratings - Ratings object { imdb?, metacritic?, rottenTomatoes? }
- * @param {Object} options - Options { isFromCache?: boolean }
+ * @param {Object} ratings - Ratings object { imdb?, metacritic?, rottenTomatoes? } or { notFound: true }
+ * @param {Object} options - Options { isFromCache?: boolean, titleInfo?: Object }
  */
 function injectRatingBadge(card, ratings, options = {}) {
   console.log('[Netflix Ratings] Injecting rating badge into card', options.isFromCache ? '[CACHED]' : '[FRESH]');
@@ -501,6 +543,37 @@ function injectRatingBadge(card, ratings, options = {}) {
   const badge = document.createElement('div');
   badge.className = CONFIG.RATING_BADGE_CLASS;
 
+  if (ratings.notFound) {
+    // OMDB doesn't know this title (Netflix exclusives, stand-up specials) - say so instead of three N/As
+    badge.classList.add('not-found');
+    badge.appendChild(createRatingElement('OMDB', 'No match', 'missing', true));
+    badge.title = `No OMDB match for ${options.titleInfo ? options.titleInfo.title : 'this title'}`;
+  } else {
+    appendRatingElements(badge, ratings);
+  }
+
+  // Let the user correct the match
+  if (options.titleInfo) {
+    badge.appendChild(createFixMatchButton(card, ratings, options.titleInfo));
+  }
+
+  // Inject badge into card
+  const injectionPoint = findBadgeInjectionPoint(card);
+  if (injectionPoint) {
+    injectionPoint.appendChild(badge);
+    console.log('[Netflix Ratings] Badge injected successfully', ratings.notFound ? '(no OMDB match)' : 'with all 3 rating sources');
+  } else {
+    console.log('[Netflix Ratings] Could not find suitable injection point');
+  }
+}
+
+/**
+ * Append the IMDb, Metacritic and Rotten Tomatoes ratings to a badge
+ *
+ * @param {HTMLElement} badge - Rating badge element
+ * @param {Object} ratings - Ratings object { imdb?, metacritic?, rottenTomatoes?, matchConfidence? }
+ */
+function appendRatingElements(badge, ratings) {
   // Always add all three rating sources, showing 'N/A' for missing ones
   const ratingElements = [];
 
@@ -521,16 +594,65 @@ function injectRatingBadge(card, ratings, options = {}) {
 
   ratingElements.forEach(elem => badge.appendChild(elem));
 
-  // Inject badge into card
-  const injectionPoint = findBadgeInjectionPoint(card);
-  if (injectionPoint) {
-    injectionPoint.appendChild(badge);
-    console.log('[Netflix Ratings] Badge injected successfully with all 3 rating sources');
+  // Flag low-confidence matches so the user knows the ratings may belong to another title
+  applyMatchConfidence(badge, ratings);
+}
+
+/**
+ * Mark a badge with the matched OMDB title and flag uncertain matches
+ *
+ * @param {HTMLElement} badge - Rating badge element
+ * @param {Object} ratings - Ratings object { matchedTitle?, matchedYear?, matchConfidence? }
+ */
+function applyMatchConfidence(badge, ratings) {
+  if (!ratings.matchedTitle) {
+    return;
+  }
+
+  const matchedLabel = `${ratings.matchedTitle}${ratings.matchedYear ? ` (${ratings.matchedYear})` : ''}`;
+  const confidence = ratings.matchConfidence;
+
+  if (typeof confidence === 'number' && confidence < CONFIG.UNCERTAIN_MATCH_THRESHOLD) {
+    console.log('[Netflix Ratings] Uncertain match:', matchedLabel, 'confidence:', confidence);
+    badge.classList.add('uncertain-match');
+    badge.title = `Possible match: ${matchedLabel} (${Math.round(confidence * 100)}% confidence)`;
   } else {
-    console.log('[Netflix Ratings] Could not find suitable injection point');
+    badge.title = `Ratings for ${matchedLabel}`;
   }
 }
 
+/**
+ * Create the "Wrong match?" button that opens the match picker
+ *
+ * @param {HTMLElement} card - Title card element
+ * @param {Object} ratings - Ratings object currently shown { imdbID?, matchStrategy? }
+ * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+ * @returns {HTMLElement} Button element
+ */
+function createFixMatchButton(card, ratings, titleInfo) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'rating-fix-match';
+  button.textContent = '✎';
+  button.title = 'Wrong match?';
+  button.setAttribute('aria-label', 'Wrong match?');
+
+  button.addEventListener('click', (event) => {
+    // Cards are links - don't navigate to the title
+    event.preventDefault();
+    event.stopPropagation();
+
+    const picker = new MatchPicker(titleInfo, {
+      currentImdbID: ratings.imdbID,
+      isOverride: ratings.matchStrategy === 'override',
+      onSelect: (newRatings) => injectRatingBadge(card, newRatings, { isFromCache: false, titleInfo }),
+    });
+    picker.open(button.closest(`.${CONFIG.RATING_BADGE_CLASS}`).parentElement);
+  });
+
+  return button;
+}
+
 /**
  * Create a single rating element
  *
@@ -601,6 +723,7 @@ new MutationObserver(() => {
     console.log('[Netflix Ratings] URL changed, re-initializing');
     lastUrl = currentUrl;
     processedElements = new WeakSet();
+    viewportScheduler.reset();
     init();
   }
 }).observe(document, { subtree: true, childList: true });
@@ -0,0 +1,251 @@
+/**
+ * Match Picker
+ *
+ * Small "Wrong match?" picker shown from a rating badge. Lists OMDB search
+ * candidates for the title (via SEARCH_CANDIDATES) and saves the user's choice
+ * as a match override (via SET_MATCH_OVERRIDE).
+ *
+ * Loaded as a classic content script before content-script.js.
+ *
+ * @module MatchPicker
+ */
+
+class MatchPicker {
+  /**
+   * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+   * @param {Object} options - { currentImdbID?, isOverride?, onSelect(ratings) }
+   */
+  constructor(titleInfo, options = {}) {
+    this.titleInfo = titleInfo;
+    this.currentImdbID = options.currentImdbID || null;
+    this.isOverride = Boolean(options.isOverride);
+    this.onSelect = options.onSelect || (() => {});
+    this.element = null;
+    this.list = null;
+    this.status = null;
+  }
+
+  /**
+   * Show the picker inside a container and load candidates for the current title
+   *
+   * @param {HTMLElement} container - Element the picker is appended to (the badge's parent)
+   */
+  open(container) {
+    // Only one picker on the page at a time
+    if (MatchPicker.current) {
+      MatchPicker.current.close();
+    }
+    MatchPicker.current = this;
+
+    console.log('[Netflix Ratings] Opening match picker for:', this.titleInfo.title);
+
+    this.element = this._render();
+    container.appendChild(this.element);
+
+    this.search(this.titleInfo.title);
+  }
+
+  /**
+   * Remove the picker from the page
+   */
+  close() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+
+    if (MatchPicker.current === this) {
+      MatchPicker.current = null;
+    }
+  }
+
+  /**
+   * Search OMDB for candidates and list them
+   *
+   * @param {string} query - Title to search for
+   * @returns {Promise<void>}
+   */
+  async search(query) {
+    if (!query || !query.trim()) {
+      return;
+    }
+
+    this._setStatus('Searching…');
+    this.list.textContent = '';
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SEARCH_CANDIDATES',
+        payload: { ...this.titleInfo, title: query.trim() },
+      });
+
+      if (!response || !response.success) {
+        this._setStatus(response?.error || 'Search failed');
+        return;
+      }
+
+      if (response.candidates.length === 0) {
+        this._setStatus('No titles found');
+        return;
+      }
+
+      this._setStatus('');
+      response.candidates.forEach(candidate => {
+        this.list.appendChild(this._renderCandidate(candidate));
+      });
+    } catch (error) {
+      console.error('[Netflix Ratings] Error searching match candidates:', error);
+      this._setStatus('Search failed');
+    }
+  }
+
+  /**
+   * Save a candidate (or null to go back to automatic matching) and hand the new ratings back
+   *
+   * @param {string|null} imdbID - Chosen IMDb ID, or null to remove the override
+   * @returns {Promise<void>}
+   */
+  async choose(imdbID) {
+    this._setStatus('Saving…');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SET_MATCH_OVERRIDE',
+        payload: { titleInfo: this.titleInfo, imdbID },
+      });
+
+      if (!response || !response.success) {
+        this._setStatus(response?.error || 'Could not save match');
+        return;
+      }
+
+      console.log('[Netflix Ratings] Match override saved:', this.titleInfo.title, '→', imdbID || 'automatic');
+      this.close();
+
+      if (response.ratings) {
+        this.onSelect(response.ratings);
+      }
+    } catch (error) {
+      console.error('[Netflix Ratings] Error saving match override:', error);
+      this._setStatus('Could not save match');
+    }
+  }
+
+  /**
+   * Build the picker element
+   *
+   * @private
+   * @returns {HTMLElement} Picker element
+   */
+  _render() {
+    const picker = document.createElement('div');
+    picker.className = 'netflix-ratings-picker';
+    picker.setAttribute('aria-label', `Choose the correct title for ${this.titleInfo.title}`);
+
+    // Netflix cards are links and the page has keyboard shortcuts - keep our events to ourselves
+    ['click', 'mousedown', 'keydown', 'keyup'].forEach(type => {
+      picker.addEventListener(type, event => event.stopPropagation());
+    });
+    picker.addEventListener('click', event => event.preventDefault());
+
+    const header = document.createElement('div');
+    header.className = 'picker-header';
+
+    const heading = document.createElement('span');
+    heading.textContent = 'Wrong match? Pick the right title';
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'picker-close';
+    closeButton.textContent = '×';
+    closeButton.setAttribute('aria-label', 'Close');
+    closeButton.addEventListener('click', () => this.close());
+
+    header.appendChild(heading);
+    header.appendChild(closeButton);
+
+    const form = document.createElement('form');
+    form.className = 'picker-search';
+
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.value = this.titleInfo.title;
+    input.setAttribute('aria-label', 'Search OMDB');
+
+    const searchButton = document.createElement('button');
+    searchButton.type = 'submit';
+    searchButton.textContent = 'Search';
+
+    form.appendChild(input);
+    form.appendChild(searchButton);
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.search(input.value);
+    });
+
+    this.list = document.createElement('ul');
+    this.list.className = 'picker-list';
+
+    this.status = document.createElement('p');
+    this.status.className = 'picker-status';
+
+    picker.appendChild(header);
+    picker.appendChild(form);
+    picker.appendChild(this.status);
+    picker.appendChild(this.list);
+
+    if (this.isOverride) {
+      const resetButton = document.createElement('button');
+      resetButton.type = 'button';
+      resetButton.className = 'picker-reset';
+      resetButton.textContent = 'Use automatic match';
+      resetButton.addEventListener('click', () => this.choose(null));
+      picker.appendChild(resetButton);
+    }
+
+    return picker;
+  }
+
+  /**
+   * Build one candidate row
+   *
+   * @private
+   * @param {Object} candidate - { imdbID, title, year, type }
+   * @returns {HTMLElement} List item
+   */
+  _renderCandidate(candidate) {
+    const item = document.createElement('li');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'picker-candidate';
+    button.textContent = `${candidate.title} (${candidate.year})${candidate.type ? ` · ${candidate.type}` : ''}`;
+
+    if (candidate.imdbID === this.currentImdbID) {
+      button.classList.add('current');
+      button.setAttribute('aria-current', 'true');
+    }
+
+    button.addEventListener('click', () => this.choose(candidate.imdbID));
+    item.appendChild(button);
+
+    return item;
+  }
+
+  /**
+   * @private
+   * @param {string} text - Status message (empty to hide)
+   */
+  _setStatus(text) {
+    this.status.textContent = text;
+    this.status.hidden = !text;
+  }
+}
+
+// Currently open picker, if any
+MatchPicker.current = null;
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MatchPicker;
+}
@@ -0,0 +1,241 @@
+/**
+ * Ratings Port Client
+ *
+ * Talks to the service worker over one long-lived `chrome.runtime.connect` port
+ * instead of two `sendMessage` round trips per card:
+ * - Requests made within a short window are sent as one FETCH_RATINGS_BATCH message
+ * - The worker streams back one RATINGS_RESULT per title as it resolves
+ *   (cache hits right away, OMDB lookups when they finish)
+ * - If the worker restarts and the port drops, unanswered requests are resent once
+ *   on a fresh port; after that they resolve to null
+ *
+ * See src/background/ratings-port.js for the protocol.
+ *
+ * Loaded as a classic content script before content-script.js.
+ *
+ * @module RatingsPortClient
+ */
+
+// Must match RatingsPortServer.PORT_NAME in the service worker
+const RATINGS_PORT_NAME = 'netflix-ratings';
+
+// Times a request is sent before giving up on a port that keeps dropping
+const MAX_SEND_ATTEMPTS = 2;
+
+class RatingsPortClient {
+  /**
+   * @param {Object} options - { batchDelayMs? } - how long to collect requests before sending
+   */
+  constructor(options = {}) {
+    this.batchDelayMs = options.batchDelayMs !== undefined ? options.batchDelayMs : 20;
+
+    this.port = null;
+    this.nextId = 1;
+
+    // id → { request, resolve, onResult, attempts } for every unanswered request
+    this.pending = new Map();
+
+    // Ids waiting for the next batch
+    this.unsent = [];
+    this.flushTimer = null;
+  }
+
+  /**
+   * Ask the worker for a title's ratings
+   *
+   * @param {Object} titleInfo - Title information { title, year?, type?, netflixId? }
+   * @param {Object} options - Request options
+   * @param {string} options.priority - 'modal', 'hover', 'visible' or 'prefetch' (optional)
+   * @param {Function} options.onResult - Called with (ratings, source) for every streamed result (optional)
+   * @returns {Promise<Object|null>} Final ratings, or null if none / on error
+   */
+  request(titleInfo, options = {}) {
+    const id = this.nextId++;
+
+    return new Promise((resolve) => {
+      this.pending.set(id, {
+        request: {
+          id,
+          titleInfo,
+          priority: options.priority,
+        },
+        resolve,
+        onResult: options.onResult || null,
+        attempts: 0,
+      });
+
+      this.unsent.push(id);
+      this._scheduleFlush();
+    });
+  }
+
+  /**
+   * Close the port and resolve everything outstanding with null
+   */
+  disconnect() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.port) {
+      this.port.disconnect();
+      this.port = null;
+    }
+
+    this._failAll('Port closed');
+  }
+
+  /**
+   * Send collected requests after the batch window
+   *
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this._flush();
+    }, this.batchDelayMs);
+  }
+
+  /**
+   * Send every unsent request as one batch
+   *
+   * @private
+   */
+  _flush() {
+    const ids = this.unsent.filter(id => this.pending.has(id));
+    this.unsent = [];
+
+    if (ids.length === 0) {
+      return;
+    }
+
+    const port = this._getPort();
+    if (!port) {
+      this._failAll('Could not connect to service worker');
+      return;
+    }
+
+    const requests = ids.map((id) => {
+      const entry = this.pending.get(id);
+      entry.attempts++;
+      return entry.request;
+    });
+
+    console.log(`[Netflix Ratings] Sending batch of ${requests.length} requests over port`);
+
+    try {
+      port.postMessage({ type: 'FETCH_RATINGS_BATCH', requests });
+    } catch (error) {
+      console.error('[Netflix Ratings] Error posting batch:', error);
+      this._handleDisconnect();
+    }
+  }
+
+  /**
+   * Return the open port, connecting if needed
+   *
+   * @private
+   * @returns {chrome.runtime.Port|null} Port, or null if the extension context is gone
+   */
+  _getPort() {
+    if (this.port) {
+      return this.port;
+    }
+
+    try {
+      const port = chrome.runtime.connect({ name: RATINGS_PORT_NAME });
+      port.onMessage.addListener(message => this._handleMessage(message));
+      port.onDisconnect.addListener(() => this._handleDisconnect());
+
+      console.log('[Netflix Ratings] Connected ratings port');
+      this.port = port;
+      return port;
+    } catch (error) {
+      // Happens after the extension is reloaded - this content script is orphaned
+      console.error('[Netflix Ratings] Error connecting to service worker:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Deliver a streamed result to its request
+   *
+   * @private
+   * @param {Object} message - { type: 'RATINGS_RESULT', id, ratings, source, final, error? }
+   */
+  _handleMessage(message) {
+    if (!message || message.type !== 'RATINGS_RESULT') {
+      return;
+    }
+
+    const entry = this.pending.get(message.id);
+    if (!entry) {
+      return;
+    }
+
+    if (message.error) {
+      console.log('[Netflix Ratings] Service worker returned error:', message.error);
+    }
+
+    if (message.ratings && entry.onResult) {
+      try {
+        entry.onResult(message.ratings, message.source);
+      } catch (error) {
+        console.error('[Netflix Ratings] Error handling streamed result:', error);
+      }
+    }
+
+    if (message.final) {
+      this.pending.delete(message.id);
+      entry.resolve(message.ratings || null);
+    }
+  }
+
+  /**
+   * The worker went away (restart, extension reload): resend unanswered requests once
+   *
+   * @private
+   */
+  _handleDisconnect() {
+    console.log('[Netflix Ratings] Ratings port disconnected,', this.pending.size, 'requests unanswered');
+    this.port = null;
+
+    this.pending.forEach((entry, id) => {
+      if (entry.attempts >= MAX_SEND_ATTEMPTS) {
+        this.pending.delete(id);
+        entry.resolve(null);
+      } else if (entry.attempts > 0 && !this.unsent.includes(id)) {
+        this.unsent.push(id);
+      }
+    });
+
+    if (this.unsent.length > 0) {
+      this._scheduleFlush();
+    }
+  }
+
+  /**
+   * Resolve every outstanding request with null
+   *
+   * @private
+   * @param {string} reason - Logged reason
+   */
+  _failAll(reason) {
+    if (this.pending.size > 0) {
+      console.log(`[Netflix Ratings] ${reason}, dropping ${this.pending.size} requests`);
+    }
+
+    this.pending.forEach(entry => entry.resolve(null));
+    this.pending.clear();
+    this.unsent = [];
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RatingsPortClient;
+}
@@ -0,0 +1,129 @@
+/**
+ * Title Normalizer
+ *
+ * Turns the title text found on a Netflix card into the title to look up on OMDB
+ * by stripping season/episode suffixes only:
+ *
+ *   "Stranger Things: Season 1: Chapter One: The Vanishing of Will Byers" → "Stranger Things"
+ *   "Dark – Staffel 2"                                                     → "Dark"
+ *   "Mission: Impossible – Dead Reckoning"                                 → unchanged
+ *   "Star Wars: The Clone Wars"                                            → unchanged
+ *
+ * The title is split on separators (":", dashes, "|"); everything from the first
+ * segment that is a season/episode marker onwards is dropped. "Part N", "Volume N",
+ * "Book N" and "Chapter N" are also real movie subtitles ("Dune: Part Two",
+ * "John Wick: Chapter 4", "Dune: Part One – IMAX Enhanced"), so they are only stripped
+ * when the card is known to be a series.
+ *
+ * Loaded as a classic content script before content-script.js.
+ *
+ * @module TitleNormalizer
+ */
+
+// Number written as digits or English words ("Chapter One")
+const NUMBER = '(?:\\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty)';
+
+// Roman numerals are only trusted after ambiguous markers - "Star Wars: Episode IV" is a movie
+const NUMBER_OR_ROMAN = `(?:${NUMBER}|[ivx]+)`;
+
+// "Season" in the languages Netflix localizes into most often
+const SEASON_WORDS = '(?:season|series|staffel|temporada|saison|stagione|seizoen|sezon|säsong|sæson|sesong|kausi|シーズン)';
+
+// Segments that always mark season/episode info
+const MARKER_PATTERNS = [
+  new RegExp(`^${SEASON_WORDS}\\s*${NUMBER}$`, 'i'),
+  new RegExp(`^${NUMBER}(?:st|nd|rd|th)?\\s+${SEASON_WORDS}$`, 'i'),
+  new RegExp(`^(?:episode|ep\\.?|episodio|épisode|folge)\\s*${NUMBER}$`, 'i'),
+  /^s\d{1,2}(?:\s*:?\s*e\d{1,3})?$/i,
+  /^e\d{1,3}$/i,
+  /^(?:limited series|miniseries|mini-series)$/i,
+];
+
+// Segments that are season markers on series but legitimate subtitles on movies
+const AMBIGUOUS_MARKER_PATTERNS = [
+  new RegExp(`^(?:part|vol\\.?|volume|book|chapter|capítulo|kapitel)\\s*${NUMBER_OR_ROMAN}$`, 'i'),
+];
+
+// Separators between title parts: colon, spaced hyphen/en dash/em dash, pipe
+const SEPARATOR = /(\s*:\s*|\s+[-–—]\s+|\s*\|\s*)/;
+
+// Trailing markers without a separator ("Stranger Things Season 2", "The Crown (Limited Series)")
+const TRAILING_MARKER_PATTERNS = [
+  new RegExp(`\\s+${SEASON_WORDS}\\s*${NUMBER}$`, 'i'),
+  /\s*\((?:limited series|miniseries|mini-series)\)$/i,
+  /\s+limited series$/i,
+];
+
+class TitleNormalizer {
+  /**
+   * Strip season/episode information from a Netflix title
+   *
+   * @param {string} rawTitle - Title text from the card
+   * @param {Object} options - { type?: 'movie'|'series'|null } - detected title type, if known
+   * @returns {string} Title to look up
+   */
+  static normalize(rawTitle, options = {}) {
+    if (!rawTitle) {
+      return '';
+    }
+
+    const title = String(rawTitle).replace(/\s+/g, ' ').trim();
+
+    // Split keeping separators so the kept part is rebuilt exactly as written
+    const parts = title.split(SEPARATOR);
+    const segments = parts.filter((_, index) => index % 2 === 0);
+
+    for (let i = 1; i < segments.length; i++) {
+      if (TitleNormalizer._isMarker(segments[i], options.type)) {
+        const kept = parts.slice(0, i * 2 - 1).join('').trim();
+        console.log('[Netflix Ratings] Removed season/episode info from title:', title, '→', kept);
+        return TitleNormalizer._stripTrailingMarker(kept);
+      }
+    }
+
+    return TitleNormalizer._stripTrailingMarker(title);
+  }
+
+  /**
+   * Check whether a title segment is season/episode info
+   *
+   * @private
+   * @param {string} segment - Title segment between separators
+   * @param {string|null} type - Detected title type
+   * @returns {boolean} True if the segment and everything after it should be dropped
+   */
+  static _isMarker(segment, type) {
+    const text = segment.trim();
+
+    if (MARKER_PATTERNS.some(pattern => pattern.test(text))) {
+      return true;
+    }
+
+    // "Money Heist: Part 3" (series) - but not "Dune: Part Two", whatever follows it
+    return type === 'series' && AMBIGUOUS_MARKER_PATTERNS.some(pattern => pattern.test(text));
+  }
+
+  /**
+   * Remove a season marker glued to the end of the title
+   *
+   * @private
+   * @param {string} title - Title
+   * @returns {string} Title without a trailing marker
+   */
+  static _stripTrailingMarker(title) {
+    for (const pattern of TRAILING_MARKER_PATTERNS) {
+      const stripped = title.replace(pattern, '').trim();
+      if (stripped !== title && stripped.length >= 2) {
+        console.log('[Netflix Ratings] Removed trailing season info from title:', title, '→', stripped);
+        return stripped;
+      }
+    }
+
+    return title;
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TitleNormalizer;
+}
@@ -0,0 +1,96 @@
+/**
+ * Title Type Detector
+ *
+ * Tells movies from series using signals in the Netflix DOM, so same-name
+ * movies and series don't collide (the type flows into the OMDB `type=` filter
+ * and the cache key):
+ * - Series: season counts ("3 Seasons", "2 Staffeln"), "Limited Series",
+ *   episode/part counts, and the "Episodes" section in the detail modal
+ * - Movie: runtimes like "2h 10m"
+ *
+ * Series signals win because a series modal also lists episode runtimes.
+ *
+ * Loaded as a classic content script before content-script.js.
+ *
+ * @module TitleTypeDetector
+ */
+
+// Counts of seasons/episodes, including a few localized season words Netflix uses
+const SERIES_TEXT_PATTERNS = [
+  /\b\d+\s+(?:seasons?|staffeln?|temporadas?|saisons?|stagion[ei])\b/i,
+  /\blimited series\b/i,
+  /\b(?:mini-?series|docuseries)\b/i,
+  /\b\d+\s+(?:episodes?|parts)\b/i,
+];
+
+// Feature runtimes ("2h 10m", "1h", "1 h 45 min")
+const MOVIE_TEXT_PATTERNS = [
+  /\b\d{1,2}\s?h(?:\s?\d{1,2}\s?m(?:in)?)?\b/i,
+];
+
+// Elements that only appear on series detail views
+const EPISODE_SECTION_SELECTORS = [
+  '.episodeSelector',
+  '[data-uia="episode-selector"]',
+  '[data-uia="episode-item"]',
+  '.episodeSelector-header',
+];
+
+class TitleTypeDetector {
+  /**
+   * Detect whether a card shows a movie or a series
+   *
+   * @param {HTMLElement} card - Title card element
+   * @returns {string|null} 'movie', 'series' or null if there is no clear signal
+   */
+  static detect(card) {
+    for (const selector of EPISODE_SECTION_SELECTORS) {
+      if (card.querySelector(selector)) {
+        console.log('[Netflix Ratings] Type detected via episode section:', selector, '→ series');
+        return 'series';
+      }
+    }
+
+    const headings = card.querySelectorAll('h3, h4');
+    for (const heading of headings) {
+      if (heading.textContent.trim().toLowerCase() === 'episodes') {
+        console.log('[Netflix Ratings] Type detected via "Episodes" heading → series');
+        return 'series';
+      }
+    }
+
+    const type = TitleTypeDetector.detectFromText(card.textContent || '');
+    if (type) {
+      console.log('[Netflix Ratings] Type detected via card text →', type);
+    }
+
+    return type;
+  }
+
+  /**
+   * Detect the type from card text (metadata line, badges, runtime)
+   *
+   * @param {string} text - Text content of the card
+   * @returns {string|null} 'movie', 'series' or null if there is no clear signal
+   */
+  static detectFromText(text) {
+    if (!text) {
+      return null;
+    }
+
+    if (SERIES_TEXT_PATTERNS.some(pattern => pattern.test(text))) {
+      return 'series';
+    }
+
+    if (MOVIE_TEXT_PATTERNS.some(pattern => pattern.test(text))) {
+      return 'movie';
+    }
+
+    return null;
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TitleTypeDetector;
+}
@@ -0,0 +1,178 @@
+/**
+ * Viewport Scheduler
+ *
+ * Defers rating requests until a card is near the viewport, so off-screen slider
+ * pages don't spend OMDB quota on titles the user never scrolls to.
+ * - Cards are watched with an IntersectionObserver (with a margin, so ratings are
+ *   ready by the time the card is on screen)
+ * - A card that scrolls into view jumps to the front of the queue
+ * - A card that scrolls away before its request is sent leaves the queue
+ * - A card removed from the page before its request is sent is cancelled
+ * - At most `maxConcurrent` requests run at once
+ *
+ * Loaded as a classic content script before content-script.js.
+ *
+ * @module ViewportScheduler
+ */
+
+class ViewportScheduler {
+  /**
+   * @param {Object} options - { onRequest(card, payload) → Promise, rootMargin?, maxConcurrent? }
+   */
+  constructor(options = {}) {
+    if (typeof options.onRequest !== 'function') {
+      throw new Error('ViewportScheduler requires an onRequest callback');
+    }
+
+    this.onRequest = options.onRequest;
+    this.maxConcurrent = options.maxConcurrent || 4;
+
+    // card → payload for every card waiting to be requested
+    this.watched = new Map();
+
+    // Cards near the viewport, next request first
+    this.queue = [];
+
+    this.inFlight = 0;
+
+    this.observer = new IntersectionObserver(
+      entries => this._handleIntersections(entries),
+      { rootMargin: options.rootMargin || '200px' }
+    );
+  }
+
+  /**
+   * Start watching a card; its request is sent once it is near the viewport
+   *
+   * @param {HTMLElement} card - Title card element
+   * @param {Object} payload - Data handed to onRequest (e.g. title info)
+   */
+  observe(card, payload) {
+    this.watched.set(card, payload);
+    this.observer.observe(card);
+  }
+
+  /**
+   * Stop watching a card and drop it from the queue if its request hasn't been sent
+   *
+   * @param {HTMLElement} card - Title card element
+   * @returns {boolean} True if a pending request was cancelled
+   */
+  cancel(card) {
+    if (!this.watched.has(card)) {
+      return false;
+    }
+
+    this.watched.delete(card);
+    this.observer.unobserve(card);
+    this._removeFromQueue(card);
+    return true;
+  }
+
+  /**
+   * Cancel every pending card that is no longer in the document
+   *
+   * @returns {number} Number of cancelled cards
+   */
+  cancelDetached() {
+    let cancelled = 0;
+
+    for (const card of [...this.watched.keys()]) {
+      if (!card.isConnected && this.cancel(card)) {
+        cancelled++;
+      }
+    }
+
+    if (cancelled > 0) {
+      console.log(`[Netflix Ratings] Cancelled ${cancelled} requests for removed cards`);
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Forget all pending cards (e.g. after SPA navigation)
+   * Requests already sent are left to finish
+   */
+  reset() {
+    this.observer.disconnect();
+    this.watched.clear();
+    this.queue = [];
+  }
+
+  /**
+   * Number of cards waiting (watched but not yet requested)
+   * @returns {number}
+   */
+  get pendingCount() {
+    return this.watched.size;
+  }
+
+  /**
+   * Queue cards entering the viewport (newest first) and drop cards leaving it
+   *
+   * @private
+   * @param {IntersectionObserverEntry[]} entries - Intersection changes
+   */
+  _handleIntersections(entries) {
+    entries.forEach((entry) => {
+      const card = entry.target;
+      if (!this.watched.has(card)) {
+        return;
+      }
+
+      this._removeFromQueue(card);
+
+      if (entry.isIntersecting) {
+        this.queue.unshift(card);
+      }
+    });
+
+    this._pump();
+  }
+
+  /**
+   * Send queued requests up to the concurrency limit
+   *
+   * @private
+   */
+  _pump() {
+    while (this.inFlight < this.maxConcurrent && this.queue.length > 0) {
+      const card = this.queue.shift();
+      const payload = this.watched.get(card);
+
+      this.watched.delete(card);
+      this.observer.unobserve(card);
+
+      if (!card.isConnected) {
+        console.log('[Netflix Ratings] Card removed before its request was sent, skipping');
+        continue;
+      }
+
+      this.inFlight++;
+      Promise.resolve()
+        .then(() => this.onRequest(card, payload))
+        .catch(error => console.error('[Netflix Ratings] Scheduled request failed:', error))
+        .finally(() => {
+          this.inFlight--;
+          this._pump();
+        });
+    }
+  }
+
+  /**
+   * @private
+   * @param {HTMLElement} card - Title card element
+   */
+  _removeFromQueue(card) {
+    const index = this.queue.indexOf(card);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    }
+  }
+}
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ViewportScheduler;
+}
@@ -0,0 +1,158 @@
+/**
+ * Year Extractor
+ *
+ * Collects release-year candidates from a Netflix card, each with the strategy
+ * it came from and a confidence, instead of trusting the first 4-digit number.
+ * Years scraped from free text (synopses, "Top 10 in 2023", award lines) get a
+ * low confidence so the service worker can retry without them on a miss.
+ *
+ * Loaded as a classic content script before content-script.js.
+ *
+ * @module YearExtractor
+ */
+
+// Dedicated year elements
+const YEAR_SELECTORS = [
+  '.year',
+  '.titleCard-year',
+  '.item-year',
+  '.video-metadata-year',
+  '.year-text',
+  '.release-year',
+  '[data-uia="mini-modal-year"]',
+  '.metadata-year',
+];
+
+// Billboard/hero year elements
+const BILLBOARD_YEAR_SELECTORS = '.billboard-year, .hero-year, .preview-year';
+
+// Confidence per strategy
+const YEAR_CONFIDENCE = {
+  selector: 0.95,
+  billboard: 0.9,
+  metadata: 0.8,
+  text: 0.4,
+  textNearNoise: 0.15,
+};
+
+// Words that make a nearby year unlikely to be the release year
+const YEAR_NOISE_PATTERN = /(top\s*10|award|emmy|oscar|golden globe|bafta|winner|nominee|nominated|festival|©|copyright)[^.]{0,30}$/i;
+
+// 4-digit year between 1900 and 2099
+const YEAR_PATTERN = /\b(19\d{2}|20\d{2})\b/g;
+
+class YearExtractor {
+  /**
+   * Collect year candidates from every strategy, best first
+   *
+   * @param {HTMLElement} card - Title card element
+   * @param {string} title - Title text found on the card, left out of the free-text scan
+   * @returns {Object[]} Candidates [{ year, source, confidence }] sorted by confidence
+   */
+  static extractCandidates(card, title = '') {
+    const candidates = [];
+
+    // Strategy 1: Direct year element selectors
+    for (const selector of YEAR_SELECTORS) {
+      const element = card.querySelector(selector);
+      const year = element ? YearExtractor.extractYearFromText(element.textContent) : null;
+      if (year) {
+        candidates.push({ year, source: `selector:${selector}`, confidence: YEAR_CONFIDENCE.selector });
+      }
+    }
+
+    // Strategy 2: Billboard/hero specific selectors
+    const billboardYear = card.querySelector(BILLBOARD_YEAR_SELECTORS);
+    const year = billboardYear ? YearExtractor.extractYearFromText(billboardYear.textContent) : null;
+    if (year) {
+      candidates.push({ year, source: 'billboard', confidence: YEAR_CONFIDENCE.billboard });
+    }
+
+    // Strategy 3: Metadata strings like "2024 | 2h 30m | Drama"
+    const metadataElements = card.querySelectorAll('span, div, p');
+    for (const element of metadataElements) {
+      const metaMatch = element.textContent.trim().match(/^(19\d{2}|20\d{2})\s*[|,]/);
+      if (metaMatch) {
+        candidates.push({ year: metaMatch[1], source: 'metadata', confidence: YEAR_CONFIDENCE.metadata });
+        break;
+      }
+    }
+
+    // Strategy 4: Any year in the card text, except in the title itself ("1917", "Blade Runner 2049")
+    candidates.push(...YearExtractor.candidatesFromText(YearExtractor._withoutTitle(card.textContent || '', title)));
+
+    return YearExtractor.rankCandidates(candidates);
+  }
+
+  /**
+   * Find every year in free text, with low confidence (lower next to award/"Top 10" wording)
+   *
+   * @param {string} text - Card text
+   * @returns {Object[]} Candidates [{ year, source, confidence }]
+   */
+  static candidatesFromText(text) {
+    const candidates = [];
+
+    for (const match of text.matchAll(YEAR_PATTERN)) {
+      const before = text.slice(Math.max(0, match.index - 40), match.index);
+      const nearNoise = YEAR_NOISE_PATTERN.test(before);
+
+      candidates.push({
+        year: match[1],
+        source: nearNoise ? 'text-near-noise' : 'text',
+        confidence: nearNoise ? YEAR_CONFIDENCE.textNearNoise : YEAR_CONFIDENCE.text,
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Merge duplicate years (keeping the most confident source) and sort best first
+   *
+   * @param {Object[]} candidates - Candidates [{ year, source, confidence }]
+   * @returns {Object[]} Unique candidates sorted by confidence
+   */
+  static rankCandidates(candidates) {
+    const byYear = new Map();
+
+    for (const candidate of candidates) {
+      const existing = byYear.get(candidate.year);
+      if (!existing || candidate.confidence > existing.confidence) {
+        byYear.set(candidate.year, candidate);
+      }
+    }
+
+    return [...byYear.values()].sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Remove every occurrence of the title from card text
+   *
+   * @private
+   * @param {string} text - Card text
+   * @param {string} title - Title text
+   * @returns {string} Text without the title
+   */
+  static _withoutTitle(text, title) {
+    return title ? text.split(title).join(' ') : text;
+  }
+
+  /**
+   * Extract 4-digit year from text
+   *
+   * @param {string} text - Text to search
+   * @returns {string|null} Year or null if not found
+   */
+  static extractYearFromText(text) {
+    const match = String(text || '').match(/\b(19\d{2}|20\d{2})\b/);
+    return match ? match[1] : null;
+  }
+}
+
+YearExtractor.CONFIDENCE = YEAR_CONFIDENCE;
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = YearExtractor;
+}
@@ -0,0 +1,325 @@
+/**
+ * Netflix Ratings Extension - Cache Inspector Page
+ *
+ * Lists every cached title (GET_CACHE_ENTRIES) with its ratings, age and expiry, searchable
+ * and sortable. Each entry can be refreshed from OMDB (REFRESH_ENTRY) or deleted so it's
+ * looked up again the next time it's shown (INVALIDATE_ENTRY). Opened from the popup.
+ */
+
+// DOM elements
+const searchInput = document.getElementById('entry-search');
+const statusFilterSelect = document.getElementById('status-filter');
+const reloadButton = document.getElementById('reload-entries');
+const entryCountElement = document.getElementById('entry-count');
+const entryRowsElement = document.getElementById('entry-rows');
+const sortButtons = document.querySelectorAll('.sort-button');
+const statusElement = document.getElementById('status');
+
+// Labels of entry statuses
+const STATUS_LABELS = {
+  fresh: 'Fresh',
+  stale: 'Stale',
+  expired: 'Expired',
+  notFound: 'Not on OMDB',
+};
+
+// Entries from the service worker, and how they are shown
+let entries = [];
+let sortBy = 'age';
+let descending = false;
+
+/**
+ * Initialize the page
+ */
+async function init() {
+  searchInput.addEventListener('input', renderEntries);
+  statusFilterSelect.addEventListener('change', renderEntries);
+  reloadButton.addEventListener('click', loadEntries);
+  sortButtons.forEach(button => button.addEventListener('click', () => handleSortClick(button.dataset.sort)));
+
+  await loadEntries();
+}
+
+/**
+ * Load every ratings cache entry from the service worker
+ */
+async function loadEntries() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_CACHE_ENTRIES',
+    });
+
+    if (response && response.success) {
+      entries = response.entries;
+    } else {
+      showStatus('Error loading cached titles', 'error');
+    }
+  } catch (error) {
+    console.error('[Cache Inspector] Error loading entries:', error);
+    showStatus('Error loading cached titles', 'error');
+  }
+
+  renderEntries();
+}
+
+/**
+ * Sort by a column, or flip the order if already sorted by it
+ * @param {string} column - 'title', 'imdb', 'age' or 'expires'
+ */
+function handleSortClick(column) {
+  descending = column === sortBy ? !descending : false;
+  sortBy = column;
+  renderEntries();
+}
+
+/**
+ * Show the entries matching the search and status filter, in the chosen order
+ */
+function renderEntries() {
+  const query = searchInput.value.trim().toLowerCase();
+  const status = statusFilterSelect.value;
+
+  const shown = entries
+    .filter(entry => status === 'all' || statusOf(entry) === status)
+    .filter(entry => !query || searchTextOf(entry).includes(query))
+    .sort((a, b) => compareEntries(a, b) * (descending ? -1 : 1));
+
+  sortButtons.forEach((button) => {
+    button.classList.toggle('active', button.dataset.sort === sortBy);
+    button.classList.toggle('descending', button.dataset.sort === sortBy && descending);
+  });
+
+  entryRowsElement.replaceChildren(...shown.map(createEntryRow));
+  entryCountElement.textContent = shown.length === entries.length
+    ? `${entries.length} cached title${entries.length !== 1 ? 's' : ''}`
+    : `${shown.length} of ${entries.length} cached titles`;
+}
+
+/**
+ * Compare two entries by the sort column (ascending)
+ * @param {Object} a - Entry
+ * @param {Object} b - Entry
+ * @returns {number}
+ */
+function compareEntries(a, b) {
+  switch (sortBy) {
+    case 'title':
+      return titleOf(a).localeCompare(titleOf(b));
+    case 'imdb':
+      return imdbScoreOf(a) - imdbScoreOf(b);
+    case 'expires':
+      return a.expiresInMs - b.expiresInMs;
+    default:
+      return a.ageMs - b.ageMs;
+  }
+}
+
+/**
+ * Build the table row of an entry
+ * @param {Object} entry - Entry from GET_CACHE_ENTRIES
+ * @returns {HTMLTableRowElement}
+ */
+function createEntryRow(entry) {
+  const row = document.createElement('tr');
+  const status = statusOf(entry);
+
+  const titleCell = document.createElement('td');
+  const key = document.createElement('span');
+  key.className = 'entry-key';
+  key.textContent = entry.data && entry.data.imdbID ? `${entry.key} · ${entry.data.imdbID}` : entry.key;
+  titleCell.append(titleOf(entry), key);
+
+  const ratingsCell = document.createElement('td');
+  ratingsCell.textContent = describeRatings(entry.data);
+
+  const ageCell = document.createElement('td');
+  ageCell.textContent = formatDuration(entry.ageMs);
+
+  const statusCell = document.createElement('td');
+  statusCell.className = `entry-status-${status}`;
+  statusCell.textContent = entry.expiresInMs > 0
+    ? `${STATUS_LABELS[status]}, expires in ${formatDuration(entry.expiresInMs)}`
+    : `${STATUS_LABELS[status]}, expired ${formatDuration(-entry.expiresInMs)} ago`;
+
+  const actionsCell = document.createElement('td');
+  actionsCell.className = 'entry-actions';
+  const refreshButton = createActionButton('Refresh', () => handleRefreshEntry(entry, refreshButton));
+  const deleteButton = createActionButton('Delete', () => handleDeleteEntry(entry, deleteButton));
+  actionsCell.append(refreshButton, deleteButton);
+
+  row.append(titleCell, ratingsCell, ageCell, statusCell, actionsCell);
+  return row;
+}
+
+/**
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+function createActionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'button button-secondary';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Handle refresh button click - re-fetch the title from OMDB now
+ * @param {Object} entry - Entry to refresh
+ * @param {HTMLButtonElement} button - Clicked button
+ */
+async function handleRefreshEntry(entry, button) {
+  button.disabled = true;
+  button.textContent = 'Refreshing...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'REFRESH_ENTRY', key: entry.key });
+
+    if (response && response.success) {
+      showStatus(response.ratings
+        ? `Refreshed ${titleOf(entry)}`
+        : `${titleOf(entry)} can't be refreshed from here; it was removed and will be looked up when next shown`, response.ratings ? 'success' : 'info');
+      await loadEntries();
+      return;
+    }
+
+    showStatus(`Error refreshing ${titleOf(entry)}: ${response ? response.error : 'no response'}`, 'error');
+  } catch (error) {
+    console.error('[Cache Inspector] Error refreshing entry:', error);
+    showStatus(`Error refreshing ${titleOf(entry)}`, 'error');
+  }
+
+  button.disabled = false;
+  button.textContent = 'Refresh';
+}
+
+/**
+ * Handle delete button click - remove the entry so the title is looked up again when next shown
+ * @param {Object} entry - Entry to delete
+ * @param {HTMLButtonElement} button - Clicked button
+ */
+async function handleDeleteEntry(entry, button) {
+  button.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'INVALIDATE_ENTRY', key: entry.key });
+
+    if (response && response.success) {
+      entries = entries.filter(other => other.key !== entry.key);
+      renderEntries();
+      showStatus(`Deleted ${titleOf(entry)}`, 'success');
+      return;
+    }
+
+    showStatus(`Error deleting ${titleOf(entry)}`, 'error');
+  } catch (error) {
+    console.error('[Cache Inspector] Error deleting entry:', error);
+    showStatus(`Error deleting ${titleOf(entry)}`, 'error');
+  }
+
+  button.disabled = false;
+}
+
+/**
+ * Status of an entry, for the status column and filter
+ * @param {Object} entry - Entry from GET_CACHE_ENTRIES
+ * @returns {string} 'notFound', 'expired', 'stale' or 'fresh'
+ */
+function statusOf(entry) {
+  if (entry.isNotFound) return 'notFound';
+  if (entry.isExpired) return 'expired';
+  if (entry.isStale) return 'stale';
+  return 'fresh';
+}
+
+/**
+ * Title of an entry - the matched OMDB title, else the title in its cache key
+ * @param {Object} entry - Entry from GET_CACHE_ENTRIES
+ * @returns {string}
+ */
+function titleOf(entry) {
+  const data = entry.data || {};
+  if (data.matchedTitle) {
+    return data.matchedYear ? `${data.matchedTitle} (${data.matchedYear})` : data.matchedTitle;
+  }
+
+  // Keys by Netflix ID carry no title (see createCacheKey in the service worker)
+  if (entry.key.startsWith('netflix:')) {
+    return `Netflix title ${entry.key.slice('netflix:'.length)}`;
+  }
+  return entry.key.split(':').slice(0, -2).join(':') || entry.key;
+}
+
+/**
+ * @param {Object} entry - Entry from GET_CACHE_ENTRIES
+ * @returns {string} Lowercase text the search matches against
+ */
+function searchTextOf(entry) {
+  return [titleOf(entry), entry.key, entry.data && entry.data.imdbID].filter(Boolean).join(' ').toLowerCase();
+}
+
+/**
+ * @param {Object} entry - Entry from GET_CACHE_ENTRIES
+ * @returns {number} IMDb rating, or -1 if none (sorted first)
+ */
+function imdbScoreOf(entry) {
+  const score = entry.data && entry.data.imdb ? parseFloat(entry.data.imdb.value) : NaN;
+  return Number.isNaN(score) ? -1 : score;
+}
+
+/**
+ * Describe a ratings record
+ * @param {Object|null} data - Ratings record { imdb, rottenTomatoes, metacritic } or { notFound: true }
+ * @returns {string} e.g. 'IMDb 8.7 (1,234 votes) · RT 93% · MC 81'
+ */
+function describeRatings(data) {
+  if (!data || data.notFound) {
+    return '-';
+  }
+
+  const parts = [];
+  if (data.imdb) parts.push(`IMDb ${data.imdb.value}${data.imdb.votes && data.imdb.votes !== 'N/A' ? ` (${data.imdb.votes} votes)` : ''}`);
+  if (data.rottenTomatoes) parts.push(`RT ${data.rottenTomatoes.value}`);
+  if (data.metacritic) parts.push(`MC ${data.metacritic.value}`);
+  return parts.length > 0 ? parts.join(' · ') : 'No ratings';
+}
+
+/**
+ * Format a duration
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. '5 min', '3 h', '12 d'
+ */
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} h`;
+
+  return `${Math.round(hours / 24)} d`;
+}
+
+/**
+ * Show status message
+ *
+ * @param {string} message - Message to display
+ * @param {string} type - Message type ('success', 'error', 'info')
+ */
+function showStatus(message, type = 'info') {
+  statusElement.className = 'status-message';
+  statusElement.classList.add('show', type);
+  statusElement.textContent = message;
+
+  // Auto-hide after 5 seconds
+  setTimeout(() => {
+    statusElement.classList.remove('show');
+  }, 5000);
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
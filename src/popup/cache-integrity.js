@@ -0,0 +1,73 @@
+/**
+ * Netflix Ratings Extension - Popup cache integrity check
+ *
+ * Loaded before popup.js, which shows the last check's report with the cache stats.
+ * "Check Cache" sends VERIFY_CACHE; the service worker removes malformed entries from
+ * both caches (see CacheIntegrity) and answers with each cache's report.
+ */
+
+// Integrity check elements
+const verifyCacheButton = document.getElementById('verify-cache');
+const integritySummaryElement = document.getElementById('integrity-summary');
+
+/**
+ * Show the last integrity check with the cache stats
+ * @param {Object|null} report - Ratings cache report from GET_CACHE_STATS
+ */
+function showIntegrityReport(report) {
+  integritySummaryElement.textContent = describeIntegrityReport(report);
+}
+
+/**
+ * Describe an integrity report
+ * @param {Object|null} report - { checkedAt, checked, quarantined, dropped }
+ * @returns {string} e.g. 'never', '120 entries OK (Oct 19, 10:42)', '2 of 120 entries removed (...)'
+ */
+function describeIntegrityReport(report) {
+  if (!report) {
+    return 'never';
+  }
+
+  const removed = report.quarantined + report.dropped;
+  const when = new Date(report.checkedAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  const entries = `${report.checked} entr${report.checked !== 1 ? 'ies' : 'y'}`;
+
+  return removed > 0 ? `${removed} of ${entries} removed (${when})` : `${entries} OK (${when})`;
+}
+
+/**
+ * Handle check cache button click
+ */
+async function handleVerifyCache() {
+  console.log('[Popup] Checking cache integrity');
+
+  verifyCacheButton.disabled = true;
+  verifyCacheButton.textContent = 'Checking...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'VERIFY_CACHE',
+    });
+
+    if (response && response.success && response.report) {
+      const { ratings, responses } = response.report;
+      const removed = [ratings, responses].reduce((total, report) => total + report.quarantined + report.dropped, 0);
+      console.log('[Popup] Cache checked:', response.report);
+
+      showIntegrityReport(ratings);
+      showStatus(removed > 0
+        ? `Removed ${removed} damaged cache entr${removed !== 1 ? 'ies' : 'y'}; they will be looked up again`
+        : `No problems found in ${ratings.checked + responses.checked} cache entries`, removed > 0 ? 'info' : 'success');
+      await loadCacheStats();
+    } else {
+      console.log('[Popup] Failed to check cache');
+      showStatus('Error checking cache', 'error');
+    }
+  } catch (error) {
+    console.error('[Popup] Error checking cache:', error);
+    showStatus('Error checking cache', 'error');
+  }
+
+  verifyCacheButton.textContent = 'Check Cache';
+  verifyCacheButton.disabled = false;
+}
@@ -0,0 +1,108 @@
+/**
+ * Netflix Ratings Extension - Popup expiry policy controls
+ *
+ * Loaded before popup.js, which calls loadCachePolicySetting() on init and shows the
+ * active policy with the cache stats. Settings are written to chrome.storage.sync; the
+ * service worker's CacheFreshness picks them up from chrome.storage.onChanged.
+ */
+
+// Expiry policy elements
+const cachePolicySelect = document.getElementById('cache-policy-select');
+const adaptiveBoundsContainer = document.getElementById('adaptive-bounds-container');
+const adaptiveMinInput = document.getElementById('adaptive-min-input');
+const adaptiveMaxInput = document.getElementById('adaptive-max-input');
+const saveCachePolicyButton = document.getElementById('save-cache-policy');
+
+// Defaults, matching CacheFreshness
+const DEFAULT_CACHE_POLICY = { mode: 'fixed', minHours: 6, maxHours: 720 };
+
+/**
+ * Load expiry policy setting from storage
+ */
+async function loadCachePolicySetting() {
+  console.log('[Popup] Loading expiry policy setting');
+
+  try {
+    const result = await chrome.storage.sync.get(['cachePolicy', 'adaptiveTtlMinHours', 'adaptiveTtlMaxHours']);
+    cachePolicySelect.value = result.cachePolicy === 'adaptive' ? 'adaptive' : DEFAULT_CACHE_POLICY.mode;
+    adaptiveMinInput.value = result.adaptiveTtlMinHours || DEFAULT_CACHE_POLICY.minHours;
+    adaptiveMaxInput.value = result.adaptiveTtlMaxHours || DEFAULT_CACHE_POLICY.maxHours;
+
+    console.log('[Popup] Expiry policy loaded:', cachePolicySelect.value);
+  } catch (error) {
+    console.error('[Popup] Error loading expiry policy:', error);
+    cachePolicySelect.value = DEFAULT_CACHE_POLICY.mode;
+  }
+
+  handleCachePolicySelectChange();
+}
+
+/**
+ * Show the adaptive TTL bounds only for the adaptive policy
+ */
+function handleCachePolicySelectChange() {
+  adaptiveBoundsContainer.style.display = cachePolicySelect.value === 'adaptive' ? 'block' : 'none';
+}
+
+/**
+ * Handle save expiry policy button click
+ */
+async function handleSaveCachePolicy() {
+  const mode = cachePolicySelect.value;
+  const minHours = Number(adaptiveMinInput.value);
+  const maxHours = Number(adaptiveMaxInput.value);
+  console.log('[Popup] Saving expiry policy:', mode, minHours, maxHours);
+
+  if (mode === 'adaptive') {
+    if (!Number.isInteger(minHours) || minHours <= 0 || !Number.isInteger(maxHours) || maxHours <= 0) {
+      showStatus('Minimum and maximum must be whole numbers of hours above 0', 'error');
+      return;
+    }
+    if (minHours > maxHours) {
+      showStatus('Minimum must not be longer than the maximum', 'error');
+      return;
+    }
+  }
+
+  try {
+    const settings = { cachePolicy: mode };
+    if (mode === 'adaptive') {
+      settings.adaptiveTtlMinHours = minHours;
+      settings.adaptiveTtlMaxHours = maxHours;
+    }
+    await chrome.storage.sync.set(settings);
+
+    showStatus(mode === 'adaptive'
+      ? `Ratings now expire by title age and votes, after ${formatPolicyHours(minHours)} to ${formatPolicyHours(maxHours)}`
+      : 'Ratings now expire after the cache duration', 'success');
+    await loadCacheStats();
+  } catch (error) {
+    console.error('[Popup] Error saving expiry policy:', error);
+    showStatus('Error saving setting', 'error');
+  }
+}
+
+/**
+ * Describe the active expiry policy, for the cache stats
+ * @param {Object} policy - { mode, minHours, maxHours } from GET_CACHE_STATS
+ * @returns {string|null} Description for the adaptive policy, null for the fixed one
+ */
+function describeCachePolicy(policy) {
+  if (!policy || policy.mode !== 'adaptive') {
+    return null;
+  }
+  return `Adaptive (${formatPolicyHours(policy.minHours)}–${formatPolicyHours(policy.maxHours)})`;
+}
+
+/**
+ * Format a number of hours as hours or days
+ * @param {number} hours - Hours
+ * @returns {string} e.g. '6 hours', '30 days'
+ */
+function formatPolicyHours(hours) {
+  if (hours % 24 === 0) {
+    const days = hours / 24;
+    return `${days} day${days !== 1 ? 's' : ''}`;
+  }
+  return `${hours} hour${hours !== 1 ? 's' : ''}`;
+}
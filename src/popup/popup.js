@@ -21,6 +21,26 @@ const customDurationContainer = document.getElementById('custom-duration-contain
 const customDurationInput = document.getElementById('custom-duration-input');
 const saveCacheDurationButton = document.getElementById('save-cache-duration');
 
+// Negative cache duration elements
+const negativeCacheSelect = document.getElementById('negative-cache-select');
+const notFoundCountElement = document.getElementById('not-found-count');
+
+// Stale threshold elements
+const staleThresholdSelect = document.getElementById('stale-threshold-select');
+
+// Request concurrency elements
+const maxConcurrentSelect = document.getElementById('max-concurrent-select');
+const queueDepthElement = document.getElementById('queue-depth');
+
+// Cache storage backend elements
+const cacheBackendSelect = document.getElementById('cache-backend-select');
+
+// Cache size limit elements
+const cacheLimitInput = document.getElementById('cache-limit-input');
+const cacheLimitUnitSelect = document.getElementById('cache-limit-unit');
+const saveCacheLimitButton = document.getElementById('save-cache-limit');
+const evictedCountElement = document.getElementById('evicted-count');
+
 /**
  * Initialize popup
  */
@@ -34,9 +54,30 @@ async function init() {
     // Load cache duration setting
     await loadCacheDurationSetting();
 
+    // Load expiry policy setting (cache-policy.js)
+    await loadCachePolicySetting();
+
+    // Load negative cache duration setting
+    await loadNegativeCacheSetting();
+
+    // Load stale threshold setting
+    await loadStaleThresholdSetting();
+
+    // Load request concurrency setting
+    await loadMaxConcurrentSetting();
+
+    // Load cache storage backend setting
+    await loadCacheBackendSetting();
+
+    // Load cache size limit setting
+    await loadCacheLimitSetting();
+
     // Load cache stats
     await loadCacheStats();
 
+    // Load OMDB quota usage (quota-status.js)
+    await loadQuotaStatus();
+
     // Set up event listeners
     setupEventListeners();
 
@@ -55,8 +96,17 @@ function setupEventListeners() {
 
   saveApiKeyButton.addEventListener('click', handleSaveApiKey);
   clearCacheButton.addEventListener('click', handleClearCache);
+  verifyCacheButton.addEventListener('click', handleVerifyCache);
+  retryOmdbButton.addEventListener('click', handleRetryOmdb);
   cacheDurationSelect.addEventListener('change', handleDurationSelectChange);
   saveCacheDurationButton.addEventListener('click', handleSaveCacheDuration);
+  cachePolicySelect.addEventListener('change', handleCachePolicySelectChange);
+  saveCachePolicyButton.addEventListener('click', handleSaveCachePolicy);
+  negativeCacheSelect.addEventListener('change', handleNegativeCacheChange);
+  staleThresholdSelect.addEventListener('change', handleStaleThresholdChange);
+  maxConcurrentSelect.addEventListener('change', handleMaxConcurrentChange);
+  cacheBackendSelect.addEventListener('change', handleCacheBackendChange);
+  saveCacheLimitButton.addEventListener('click', handleSaveCacheLimit);
 
   // Save on Enter key
   apiKeyInput.addEventListener('keypress', (e) => {
@@ -71,6 +121,13 @@ function setupEventListeners() {
       handleSaveCacheDuration();
     }
   });
+
+  // Save size limit on Enter key
+  cacheLimitInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      handleSaveCacheLimit();
+    }
+  });
 }
 
 /**
@@ -135,6 +192,242 @@ async function loadCacheDurationSetting() {
   }
 }
 
+/**
+ * Load negative cache duration setting from storage
+ */
+async function loadNegativeCacheSetting() {
+  console.log('[Popup] Loading negative cache duration setting');
+
+  try {
+    const result = await chrome.storage.sync.get(['negativeCacheHours']);
+    const hours = result.negativeCacheHours || 6;
+
+    // Fall back to the default option if the stored value isn't one of the choices
+    const option = negativeCacheSelect.querySelector(`option[value="${hours}"]`);
+    negativeCacheSelect.value = option ? String(hours) : '6';
+
+    console.log('[Popup] Negative cache duration loaded:', hours, 'hours');
+  } catch (error) {
+    console.error('[Popup] Error loading negative cache duration:', error);
+    negativeCacheSelect.value = '6';
+  }
+}
+
+/**
+ * Handle negative cache duration select change
+ */
+async function handleNegativeCacheChange() {
+  const hours = parseInt(negativeCacheSelect.value, 10);
+  console.log('[Popup] Negative cache duration changed:', hours);
+
+  try {
+    await chrome.storage.sync.set({ negativeCacheHours: hours });
+    showStatus(`Titles not on OMDB will be re-checked after ${hours} hour${hours !== 1 ? 's' : ''}`, 'success');
+  } catch (error) {
+    console.error('[Popup] Error saving negative cache duration:', error);
+    showStatus('Error saving setting', 'error');
+  }
+}
+
+/**
+ * Load stale threshold setting from storage
+ */
+async function loadStaleThresholdSetting() {
+  console.log('[Popup] Loading stale threshold setting');
+
+  try {
+    const result = await chrome.storage.sync.get(['staleAfterMinutes']);
+    const minutes = result.staleAfterMinutes || 60;
+
+    // Fall back to the default option if the stored value isn't one of the choices
+    const option = staleThresholdSelect.querySelector(`option[value="${minutes}"]`);
+    staleThresholdSelect.value = option ? String(minutes) : '60';
+
+    console.log('[Popup] Stale threshold loaded:', minutes, 'minutes');
+  } catch (error) {
+    console.error('[Popup] Error loading stale threshold:', error);
+    staleThresholdSelect.value = '60';
+  }
+}
+
+/**
+ * Handle stale threshold select change
+ * The service worker follows the setting through chrome.storage.onChanged
+ */
+async function handleStaleThresholdChange() {
+  const minutes = parseInt(staleThresholdSelect.value, 10);
+  console.log('[Popup] Stale threshold changed:', minutes);
+
+  try {
+    await chrome.storage.sync.set({ staleAfterMinutes: minutes });
+    showStatus(`Ratings older than ${staleThresholdSelect.selectedOptions[0].textContent.replace(' (default)', '')} will be refreshed in the background`, 'success');
+  } catch (error) {
+    console.error('[Popup] Error saving stale threshold:', error);
+    showStatus('Error saving setting', 'error');
+  }
+}
+
+/**
+ * Load request concurrency setting from storage
+ */
+async function loadMaxConcurrentSetting() {
+  console.log('[Popup] Loading max concurrent requests setting');
+
+  try {
+    const result = await chrome.storage.sync.get(['maxConcurrentRequests']);
+    const maxConcurrent = result.maxConcurrentRequests || 3;
+
+    // Fall back to the default option if the stored value isn't one of the choices
+    const option = maxConcurrentSelect.querySelector(`option[value="${maxConcurrent}"]`);
+    maxConcurrentSelect.value = option ? String(maxConcurrent) : '3';
+
+    console.log('[Popup] Max concurrent requests loaded:', maxConcurrent);
+  } catch (error) {
+    console.error('[Popup] Error loading max concurrent requests:', error);
+    maxConcurrentSelect.value = '3';
+  }
+}
+
+/**
+ * Handle request concurrency select change
+ */
+async function handleMaxConcurrentChange() {
+  const maxConcurrent = parseInt(maxConcurrentSelect.value, 10);
+  console.log('[Popup] Max concurrent requests changed:', maxConcurrent);
+
+  try {
+    await chrome.storage.sync.set({ maxConcurrentRequests: maxConcurrent });
+
+    // Notify service worker so the queue picks up the new limit right away
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'MAX_CONCURRENT_CHANGED',
+        maxConcurrent,
+      });
+      console.log('[Popup] Service worker notified about concurrency change');
+    } catch (err) {
+      console.warn('[Popup] Could not notify service worker:', err.message);
+    }
+
+    showStatus(`Up to ${maxConcurrent} OMDB request${maxConcurrent !== 1 ? 's' : ''} will run at once`, 'success');
+  } catch (error) {
+    console.error('[Popup] Error saving max concurrent requests:', error);
+    showStatus('Error saving setting', 'error');
+  }
+}
+
+/**
+ * Load cache storage backend setting from storage
+ */
+async function loadCacheBackendSetting() {
+  console.log('[Popup] Loading cache backend setting');
+
+  try {
+    const result = await chrome.storage.sync.get(['cacheBackend']);
+    const backend = result.cacheBackend || 'indexedDB';
+
+    // Fall back to the default option if the stored value isn't one of the choices
+    const option = cacheBackendSelect.querySelector(`option[value="${backend}"]`);
+    cacheBackendSelect.value = option ? backend : 'indexedDB';
+
+    console.log('[Popup] Cache backend loaded:', backend);
+  } catch (error) {
+    console.error('[Popup] Error loading cache backend:', error);
+    cacheBackendSelect.value = 'indexedDB';
+  }
+}
+
+/**
+ * Handle cache storage backend select change
+ * The service worker moves the cached entries to the new backend
+ */
+async function handleCacheBackendChange() {
+  const backend = cacheBackendSelect.value;
+  console.log('[Popup] Cache backend changed:', backend);
+
+  cacheBackendSelect.disabled = true;
+
+  try {
+    await chrome.storage.sync.set({ cacheBackend: backend });
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'CACHE_BACKEND_CHANGED',
+      backend,
+    });
+
+    if (response && response.success && response.backend !== backend) {
+      // IndexedDB couldn't be opened - the worker fell back to extension storage
+      showStatus('IndexedDB unavailable, using extension storage', 'error');
+    } else if (response && response.success) {
+      showStatus('Cache moved to the new storage', 'success');
+    } else {
+      showStatus('Error moving cache', 'error');
+    }
+
+    await loadCacheStats();
+  } catch (error) {
+    console.error('[Popup] Error changing cache backend:', error);
+    showStatus('Error saving setting', 'error');
+  } finally {
+    cacheBackendSelect.disabled = false;
+  }
+}
+
+/**
+ * Load cache size limit setting from storage
+ */
+async function loadCacheLimitSetting() {
+  console.log('[Popup] Loading cache size limit setting');
+
+  try {
+    const result = await chrome.storage.sync.get(['cacheSizeLimit', 'cacheSizeLimitUnit']);
+    const unit = result.cacheSizeLimitUnit === 'kb' ? 'kb' : 'items';
+
+    cacheLimitInput.value = result.cacheSizeLimit ? String(result.cacheSizeLimit) : '';
+    cacheLimitUnitSelect.value = unit;
+
+    console.log('[Popup] Cache size limit loaded:', result.cacheSizeLimit || 'none', unit);
+  } catch (error) {
+    console.error('[Popup] Error loading cache size limit:', error);
+    cacheLimitInput.value = '';
+    cacheLimitUnitSelect.value = 'items';
+  }
+}
+
+/**
+ * Handle save cache size limit button click
+ * An empty input removes the limit; the service worker saves it and evicts entries past it right away
+ */
+async function handleSaveCacheLimit() {
+  const rawValue = cacheLimitInput.value.trim();
+  const unit = cacheLimitUnitSelect.value;
+  console.log('[Popup] Saving cache size limit:', rawValue || 'none', unit);
+
+  let limit = null;
+  if (rawValue !== '') {
+    limit = Number(rawValue);
+    if (!Number.isInteger(limit) || limit <= 0) {
+      showStatus('Cache size limit must be a whole number above 0', 'error');
+      return;
+    }
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'CACHE_SIZE_LIMIT_CHANGED', limit, unit });
+
+    if (!response || !response.success) {
+      showStatus(`Error saving setting${response ? `: ${response.error}` : ''}`, 'error');
+    } else if (limit === null) {
+      showStatus('Cache size limit removed', 'success');
+    } else {
+      showStatus(`Cache limited to ${limit} ${unit === 'kb' ? 'KB' : `title${limit !== 1 ? 's' : ''}`}`, 'success');
+    }
+  } catch (error) {
+    console.error('[Popup] Error saving cache size limit:', error);
+    showStatus('Error saving setting', 'error');
+  }
+}
+
 /**
  * Update the current duration display
  * @param {number} hours - Duration in hours
@@ -205,10 +498,28 @@ async function loadCacheStats() {
       }
       console.log('[Popup] Cache size:', sizeKb, 'KB');
 
+      // Update count of titles known to be missing from OMDB
+      notFoundCountElement.textContent = stats.notFoundItems || 0;
+
+      // Update count of entries evicted by the size limit
+      evictedCountElement.textContent = stats.evictions ? stats.evictions.count : 0;
+
+      // Update number of lookups waiting for an OMDB slot
+      queueDepthElement.textContent = stats.requestQueue ? stats.requestQueue.queued : 0;
+
       // Update current duration if returned from service worker
       if (stats.cacheDurationHours) {
         updateCurrentDurationDisplay(stats.cacheDurationHours);
       }
+
+      // Show the adaptive policy in place of the fixed duration when active
+      const policyText = describeCachePolicy(stats.cachePolicy);
+      if (policyText) {
+        currentDurationElement.textContent = policyText;
+      }
+
+      // Update the last integrity check of the ratings cache
+      showIntegrityReport(stats.integrity);
     } else {
       console.log('[Popup] Failed to load cache stats');
       cacheSizeElement.textContent = '0';
@@ -338,6 +649,10 @@ async function handleSaveApiKey() {
     showStatus('API key saved successfully!', 'success');
     saveApiKeyButton.textContent = 'Saved ✓';
 
+    // Usage is tracked per key; a saved key gets another chance even if OMDB refused it before
+    await resetQuotaBreaker();
+    await loadQuotaStatus();
+
     // Reset button after delay
     setTimeout(() => {
       saveApiKeyButton.textContent = 'Save API Key';
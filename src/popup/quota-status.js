@@ -0,0 +1,105 @@
+/**
+ * Netflix Ratings Extension - Popup OMDB quota status
+ *
+ * Loaded before popup.js, which calls loadQuotaStatus() on init and after saving the API key.
+ * Shows today's usage from GET_QUOTA_STATUS. While requests are paused (see QuotaTracker),
+ * "Retry OMDB" sends RESET_QUOTA_BREAKER so the next lookup reaches OMDB again; the
+ * breaker opens again if OMDB still refuses the key.
+ */
+
+// Quota meter elements
+const quotaMeterElement = document.getElementById('quota-meter');
+const quotaMeterFillElement = document.getElementById('quota-meter-fill');
+const quotaTextElement = document.getElementById('quota-text');
+const quotaWarningElement = document.getElementById('quota-warning');
+const retryOmdbButton = document.getElementById('retry-omdb');
+
+/**
+ * Load OMDB quota usage and circuit breaker status
+ */
+async function loadQuotaStatus() {
+  console.log('[Popup] Loading quota status');
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_QUOTA_STATUS',
+    });
+
+    if (!response || !response.success || !response.quota) {
+      console.log('[Popup] Failed to load quota status');
+      quotaTextElement.textContent = '-';
+      return;
+    }
+
+    const quota = response.quota;
+    const percent = Math.min(Math.round((quota.used / quota.limit) * 100), 100);
+
+    quotaMeterFillElement.style.width = `${percent}%`;
+    quotaMeterFillElement.classList.toggle('warning', percent >= 80 && percent < 100);
+    quotaMeterFillElement.classList.toggle('exhausted', percent >= 100 || quota.breakerOpen);
+    quotaMeterElement.setAttribute('aria-valuenow', String(percent));
+    quotaTextElement.textContent = `${quota.used} / ${quota.limit} requests (resets ${formatResetTime(quota.resetAt)})`;
+    console.log('[Popup] Quota usage:', quota.used, '/', quota.limit);
+
+    if (quota.breakerOpen) {
+      quotaWarningElement.textContent = quota.reason === 'OMDB_INVALID_KEY'
+        ? 'OMDB rejected this API key. Requests are paused until you save it again or retry.'
+        : `Daily limit reached. Requests are paused until ${formatResetTime(quota.resetAt)}.`;
+      quotaWarningElement.style.display = 'block';
+    } else {
+      quotaWarningElement.style.display = 'none';
+    }
+    retryOmdbButton.style.display = quota.breakerOpen && quota.used < quota.limit ? 'block' : 'none';
+  } catch (error) {
+    console.error('[Popup] Error loading quota status:', error);
+    quotaTextElement.textContent = '-';
+  }
+}
+
+/**
+ * Format the quota reset timestamp in the user's local time
+ * @param {number|null} resetAt - Reset timestamp in ms
+ * @returns {string} Display text
+ */
+function formatResetTime(resetAt) {
+  if (!resetAt) {
+    return 'at midnight UTC';
+  }
+
+  return new Date(resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Close the circuit breaker for the configured API key
+ * @returns {Promise<boolean>} Whether the service worker reset it
+ */
+async function resetQuotaBreaker() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'RESET_QUOTA_BREAKER',
+    });
+
+    return Boolean(response && response.success);
+  } catch (error) {
+    console.error('[Popup] Error resetting quota breaker:', error);
+    return false;
+  }
+}
+
+/**
+ * Handle retry OMDB button click
+ */
+async function handleRetryOmdb() {
+  console.log('[Popup] Retrying OMDB');
+
+  retryOmdbButton.disabled = true;
+
+  if (await resetQuotaBreaker()) {
+    showStatus('OMDB requests resumed', 'success');
+  } else {
+    showStatus('Error resuming requests', 'error');
+  }
+
+  await loadQuotaStatus();
+  retryOmdbButton.disabled = false;
+}
@@ -4,30 +4,60 @@
  * Provides interface to fetch movie/series ratings from OMDB API.
  * Includes caching, error handling, and comprehensive logging.
  *
- * NOTE: This service includes its own caching implementation. For the extension's main
- * caching needs, the CacheManager (src/utils/cache-manager.js) is used in service-worker.js.
- * If this service is used in the future, consider refactoring to use the shared CacheManager
- * for consistency and persistence across service worker restarts.
+ * This is the only OMDB client in the extension. Responses are cached through a
+ * pluggable cache backend: the service worker passes a CacheManager instance so
+ * responses persist across worker restarts, while tests use the default Map.
+ * An optional quota tracker counts requests and blocks them while OMDB reports
+ * the daily limit or an invalid key.
  *
  * @module OmdbService
  */
 
 const OMDB_API_BASE_URL = 'https://www.omdbapi.com/';
-const CACHE_DURATION_MS = 24 * 60 * 60 * 1000; // 24 hours
+const CACHE_DURATION_MS = 24 * 60 * 60 * 1000; // 24 hours, unless the caller follows the setting
 const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_DELAY_MS = 1000;
 
+/**
+ * Error codes attached to errors thrown for OMDB "Response": "False" replies
+ */
+const OMDB_ERROR_CODES = {
+  NOT_FOUND: 'OMDB_NOT_FOUND',
+  LIMIT_REACHED: 'OMDB_LIMIT_REACHED',
+  INVALID_KEY: 'OMDB_INVALID_KEY',
+  CIRCUIT_OPEN: 'OMDB_CIRCUIT_OPEN',
+  API_ERROR: 'OMDB_API_ERROR',
+};
+
+/**
+ * Error codes that must not be retried (retrying only burns more quota)
+ */
+const NON_RETRYABLE_CODES = [
+  OMDB_ERROR_CODES.LIMIT_REACHED,
+  OMDB_ERROR_CODES.INVALID_KEY,
+  OMDB_ERROR_CODES.CIRCUIT_OPEN,
+];
+
 /**
  * OMDB API Service Class
  * Handles all interactions with the OMDB API including caching and retries
  */
 class OmdbService {
   /**
+   * The cache backend must expose get/set/delete/clear (sync or async) and store
+   * values as-is. A Map satisfies this, as does CacheManager.
+   *
    * @param {string} apiKey - OMDB API key
+   * @param {Object} options - Service options
+   * @param {Map|Object} options.cache - Cache backend (default: new Map())
+   * @param {QuotaTracker} options.quota - Quota tracker (optional)
+   * @param {Function} options.getCacheDurationMs - Returns the current cache duration in ms (default: 24 hours)
    */
-  constructor(apiKey) {
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
-    this.cache = new Map();
+    this.cache = options.cache || new Map();
+    this.quota = options.quota || null;
+    this.getCacheDurationMs = options.getCacheDurationMs || (() => CACHE_DURATION_MS);
     console.log('[OmdbService] Service initialized with API key:', apiKey ? '✓ Present' : '✗ Missing');
   }
 
@@ -98,6 +128,7 @@ class OmdbService {
    * @param {string} imdbId - IMDb ID (e.g., 'tt0111161')
    * @param {Object} options - Fetch options
    * @param {string} options.plot - 'short' or 'full' (default: 'short')
+   * @param {boolean} options.bypassCache - Skip the cached response and fetch fresh data (optional, result is still cached)
    * @returns {Promise<Object>} Movie/series details with ratings
    */
   async getById(imdbId, options = {}) {
@@ -108,9 +139,9 @@ class OmdbService {
       throw new Error('Invalid IMDb ID format. Must start with "tt"');
     }
 
-    // Check cache first
+    // Check cache first (unless refreshing)
     const cacheKey = `id:${imdbId}:${options.plot || 'short'}`;
-    const cached = this._getFromCache(cacheKey);
+    const cached = options.bypassCache ? null : await this._getFromCache(cacheKey);
     if (cached) {
       console.log('[OmdbService] Cache hit for IMDb ID:', imdbId);
       return cached;
@@ -130,13 +161,13 @@ class OmdbService {
 
       if (response.Response === 'False') {
         console.warn('[OmdbService] Fetch by ID failed:', response.Error);
-        throw new Error(`OMDB API Error: ${response.Error}`);
+        throw this._createApiError(response.Error);
       }
 
       console.log('[OmdbService] Successfully fetched data for:', response.Title, `(${response.Year})`);
 
       // Cache the result
-      this._setCache(cacheKey, response);
+      await this._setCache(cacheKey, response);
 
       return response;
     } catch (error) {
@@ -165,7 +196,7 @@ class OmdbService {
 
     // Check cache first
     const cacheKey = `title:${title}:${options.year || ''}:${options.type || ''}:${options.plot || 'short'}`;
-    const cached = this._getFromCache(cacheKey);
+    const cached = await this._getFromCache(cacheKey);
     if (cached) {
       console.log('[OmdbService] Cache hit for title:', title);
       return cached;
@@ -195,13 +226,13 @@ class OmdbService {
 
       if (response.Response === 'False') {
         console.warn('[OmdbService] Fetch by title failed:', response.Error);
-        throw new Error(`OMDB API Error: ${response.Error}`);
+        throw this._createApiError(response.Error);
       }
 
       console.log('[OmdbService] Successfully fetched data for:', response.Title, `(${response.Year})`);
 
       // Cache the result
-      this._setCache(cacheKey, response);
+      await this._setCache(cacheKey, response);
 
       return response;
     } catch (error) {
@@ -309,22 +340,26 @@ class OmdbService {
 
   /**
    * Clear all cached data
+   *
+   * @returns {Promise<void>}
    */
-  clearCache() {
+  async clearCache() {
     const size = this.cache.size;
-    this.cache.clear();
-    console.log(`[OmdbService] Cache cleared. Removed ${size} entries.`);
+    await this.cache.clear();
+    console.log(`[OmdbService] Cache cleared. Removed ${size ?? 'all'} entries.`);
   }
 
   /**
    * Get cache statistics
+   * Entry listing is only available for the default Map backend
    *
    * @returns {Object} Cache stats { size, entries }
    */
   getCacheStats() {
+    const isMapBackend = this.cache instanceof Map;
     const stats = {
-      size: this.cache.size,
-      entries: Array.from(this.cache.keys()),
+      size: isMapBackend ? this.cache.size : null,
+      entries: isMapBackend ? Array.from(this.cache.keys()) : [],
     };
     console.log('[OmdbService] Cache stats:', stats);
     return stats;
@@ -345,11 +380,25 @@ class OmdbService {
   async _fetchWithRetry(url, attempt = 1) {
     console.log(`[OmdbService] Fetch attempt ${attempt}/${MAX_RETRY_ATTEMPTS}`);
 
+    if (attempt === 1) {
+      await this._assertQuotaAvailable();
+    }
+
     try {
       const response = await fetch(url);
 
       console.log('[OmdbService] HTTP Response status:', response.status, response.statusText);
 
+      if (this.quota) {
+        await this.quota.recordRequest(this.apiKey);
+      }
+
+      // OMDB answers 401 both for an invalid key and for an exhausted daily limit
+      if (response.status === 401) {
+        const body = await response.json().catch(() => ({}));
+        throw await this._handleQuotaError(body.Error || 'Invalid API key!');
+      }
+
       if (!response.ok) {
         throw new Error(`HTTP error! Status: ${response.status} ${response.statusText}`);
       }
@@ -357,10 +406,18 @@ class OmdbService {
       const data = await response.json();
       console.log('[OmdbService] Response parsed successfully');
 
+      if (data.Response === 'False' && this._isQuotaError(data.Error)) {
+        throw await this._handleQuotaError(data.Error);
+      }
+
       return data;
     } catch (error) {
       console.error(`[OmdbService] Fetch attempt ${attempt} failed:`, error.message);
 
+      if (NON_RETRYABLE_CODES.includes(error.code)) {
+        throw error;
+      }
+
       if (attempt < MAX_RETRY_ATTEMPTS) {
         const delay = RETRY_DELAY_MS * Math.pow(2, attempt - 1); // Exponential backoff
         console.log(`[OmdbService] Retrying in ${delay}ms...`);
@@ -374,15 +431,99 @@ class OmdbService {
     }
   }
 
+  /**
+   * Build an Error for an OMDB "Response": "False" reply
+   *
+   * @private
+   * @param {string} omdbError - Error text returned by OMDB
+   * @returns {Error} Error with `code` and `omdbError` properties
+   */
+  _createApiError(omdbError) {
+    const error = new Error(`OMDB API Error: ${omdbError}`);
+    error.omdbError = omdbError;
+
+    const text = omdbError || '';
+    if (/request limit/i.test(text)) {
+      error.code = OMDB_ERROR_CODES.LIMIT_REACHED;
+    } else if (/invalid api key|no api key/i.test(text)) {
+      error.code = OMDB_ERROR_CODES.INVALID_KEY;
+    } else if (/not found|incorrect imdb id/i.test(text)) {
+      error.code = OMDB_ERROR_CODES.NOT_FOUND;
+    } else {
+      error.code = OMDB_ERROR_CODES.API_ERROR;
+    }
+
+    return error;
+  }
+
+  /**
+   * Check whether an OMDB error text means the key is blocked
+   *
+   * @private
+   * @param {string} omdbError - Error text returned by OMDB
+   * @returns {boolean} True for daily-limit and invalid-key errors
+   */
+  _isQuotaError(omdbError) {
+    const { code } = this._createApiError(omdbError);
+    return code === OMDB_ERROR_CODES.LIMIT_REACHED || code === OMDB_ERROR_CODES.INVALID_KEY;
+  }
+
+  /**
+   * Build the error for a limit/invalid-key reply and open the circuit breaker
+   *
+   * @private
+   * @param {string} omdbError - Error text returned by OMDB
+   * @returns {Promise<Error>} Error to throw
+   */
+  async _handleQuotaError(omdbError) {
+    const error = this._createApiError(omdbError);
+    console.warn('[OmdbService] OMDB rejected the API key:', omdbError);
+
+    if (this.quota) {
+      await this.quota.openCircuit(this.apiKey, error.code);
+    }
+
+    return error;
+  }
+
+  /**
+   * Throw if the quota tracker's circuit breaker blocks this API key
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _assertQuotaAvailable() {
+    if (!this.quota) {
+      return;
+    }
+
+    const availability = await this.quota.checkAvailability(this.apiKey);
+    if (availability.allowed) {
+      return;
+    }
+
+    const error = new Error(`OMDB requests paused: ${availability.reason}`);
+    error.code = OMDB_ERROR_CODES.CIRCUIT_OPEN;
+    error.reason = availability.reason;
+    error.resetAt = availability.resetAt;
+    throw error;
+  }
+
   /**
    * Get item from cache if not expired
    *
    * @private
    * @param {string} key - Cache key
-   * @returns {Object|null} Cached data or null
+   * @returns {Promise<Object|null>} Cached data or null
    */
-  _getFromCache(key) {
-    const cached = this.cache.get(key);
+  async _getFromCache(key) {
+    let cached;
+    try {
+      cached = await this.cache.get(key);
+    } catch (error) {
+      console.warn('[OmdbService] Cache backend read failed for key:', key, error.message);
+      return null;
+    }
 
     if (!cached) {
       console.log('[OmdbService] Cache miss for key:', key);
@@ -392,9 +533,9 @@ class OmdbService {
     const now = Date.now();
     const age = now - cached.timestamp;
 
-    if (age > CACHE_DURATION_MS) {
+    if (age > this.getCacheDurationMs()) {
       console.log('[OmdbService] Cache entry expired for key:', key, `Age: ${Math.round(age / 1000 / 60)} minutes`);
-      this.cache.delete(key);
+      await this.cache.delete(key);
       return null;
     }
 
@@ -404,17 +545,23 @@ class OmdbService {
 
   /**
    * Set item in cache with timestamp
+   * Backend failures are logged and ignored - the fetched data is still returned
    *
    * @private
    * @param {string} key - Cache key
    * @param {Object} data - Data to cache
+   * @returns {Promise<void>}
    */
-  _setCache(key, data) {
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now(),
-    });
-    console.log('[OmdbService] Data cached with key:', key, `Total cache size: ${this.cache.size}`);
+  async _setCache(key, data) {
+    try {
+      await this.cache.set(key, {
+        data,
+        timestamp: Date.now(),
+      });
+      console.log('[OmdbService] Data cached with key:', key, `Total cache size: ${this.cache.size ?? 'n/a'}`);
+    } catch (error) {
+      console.warn('[OmdbService] Cache backend write failed for key:', key, error.message);
+    }
   }
 
   /**
@@ -429,7 +576,7 @@ class OmdbService {
   }
 }
 
+OmdbService.ERROR_CODES = OMDB_ERROR_CODES;
+
 // Export for use in Chrome extension
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = OmdbService;
-}
+export default OmdbService;
@@ -0,0 +1,288 @@
+/**
+ * Title Matcher
+ *
+ * Resolves a Netflix title to a single OMDB record. The exact-title lookup (`t=`)
+ * is tried first; when it misses or returns a poor match (remakes, punctuation
+ * differences, "The" prefixes), OMDB search results are scored by normalized
+ * title similarity, year distance and type, and the best candidate is fetched by ID.
+ *
+ * Every match carries a confidence score in [0, 1] so the UI can flag uncertain matches.
+ *
+ * A year scraped with low confidence (e.g. from free card text) can be wrong and make
+ * OMDB's year filter miss; when that happens the match is retried without the year.
+ *
+ * @module TitleMatcher
+ */
+
+import OmdbService from './omdb-service.js';
+
+// An exact-title hit at or above this confidence is accepted without searching
+const ACCEPT_CONFIDENCE = 0.85;
+
+// Search candidates below this confidence are rejected
+const MIN_CONFIDENCE = 0.5;
+
+// Years extracted with lower confidence than this are dropped and retried on a miss
+const LOW_YEAR_CONFIDENCE = 0.7;
+
+// Relative weight of each signal; unknown signals (no year/type on the Netflix side) are skipped
+const WEIGHTS = {
+  title: 0.7,
+  year: 0.2,
+  type: 0.1,
+};
+
+/**
+ * Title Matcher Class
+ * Combines OmdbService exact lookups and searches into one scored match
+ */
+class TitleMatcher {
+  /**
+   * @param {OmdbService} omdbService - OMDB client used for lookups
+   */
+  constructor(omdbService) {
+    this.omdbService = omdbService;
+  }
+
+  /**
+   * Find the best OMDB record for a title
+   * Retries without the year if a low-confidence year found nothing
+   *
+   * @param {Object} titleInfo - Title information { title, year?, yearConfidence?, type? }
+   * @returns {Promise<Object|null>} { data, confidence, strategy, yearUsed } or null if nothing matched
+   */
+  async match(titleInfo) {
+    console.log('[TitleMatcher] Matching title:', titleInfo);
+
+    const result = await this._matchOnce(titleInfo);
+    if (result) {
+      return { ...result, yearUsed: titleInfo.year || null };
+    }
+
+    if (!TitleMatcher.isLowConfidenceYear(titleInfo)) {
+      return null;
+    }
+
+    console.log('[TitleMatcher] No match with low-confidence year', titleInfo.year, '- retrying without year');
+    const retry = await this._matchOnce({ ...titleInfo, year: null });
+
+    return retry ? { ...retry, yearUsed: null } : null;
+  }
+
+  /**
+   * Check whether the title's year was extracted with low confidence
+   *
+   * @param {Object} titleInfo - Title information { year?, yearConfidence? }
+   * @returns {boolean} True if the year is present but not trustworthy
+   */
+  static isLowConfidenceYear(titleInfo) {
+    return Boolean(titleInfo.year) &&
+      typeof titleInfo.yearConfidence === 'number' &&
+      titleInfo.yearConfidence < LOW_YEAR_CONFIDENCE;
+  }
+
+  /**
+   * Single matching pass: exact lookup, then scored search
+   *
+   * @private
+   * @param {Object} titleInfo - Title information { title, year?, type? }
+   * @returns {Promise<Object|null>} { data, confidence, strategy } or null if nothing matched
+   */
+  async _matchOnce(titleInfo) {
+    const exact = await this._getExact(titleInfo);
+    let exactConfidence = 0;
+
+    if (exact) {
+      exactConfidence = TitleMatcher.scoreCandidate(titleInfo, exact);
+      console.log('[TitleMatcher] Exact lookup returned:', exact.Title, `(${exact.Year})`, 'confidence:', exactConfidence);
+
+      if (exactConfidence >= ACCEPT_CONFIDENCE) {
+        return { data: exact, confidence: exactConfidence, strategy: 'exact' };
+      }
+    }
+
+    const best = await this._findBestSearchCandidate(titleInfo);
+
+    if (best && best.confidence > exactConfidence && best.confidence >= MIN_CONFIDENCE) {
+      console.log('[TitleMatcher] Best search candidate:', best.candidate.Title, `(${best.candidate.Year})`, 'confidence:', best.confidence);
+
+      const data = exact && exact.imdbID === best.candidate.imdbID
+        ? exact
+        : await this.omdbService.getById(best.candidate.imdbID);
+
+      return { data, confidence: best.confidence, strategy: 'search' };
+    }
+
+    if (exact && exactConfidence >= MIN_CONFIDENCE) {
+      return { data: exact, confidence: exactConfidence, strategy: 'exact' };
+    }
+
+    console.log('[TitleMatcher] No confident match for:', titleInfo.title);
+    return null;
+  }
+
+  /**
+   * Score how well an OMDB record matches the Netflix title info
+   *
+   * @param {Object} titleInfo - Title information { title, year?, type? }
+   * @param {Object} candidate - OMDB record or search result { Title, Year, Type }
+   * @returns {number} Confidence in [0, 1]
+   */
+  static scoreCandidate(titleInfo, candidate) {
+    let weighted = WEIGHTS.title * TitleMatcher.titleSimilarity(titleInfo.title, candidate.Title);
+    let totalWeight = WEIGHTS.title;
+
+    if (titleInfo.year) {
+      weighted += WEIGHTS.year * TitleMatcher.yearScore(titleInfo.year, candidate.Year);
+      totalWeight += WEIGHTS.year;
+    }
+
+    if (titleInfo.type) {
+      weighted += WEIGHTS.type * (candidate.Type === titleInfo.type ? 1 : 0);
+      totalWeight += WEIGHTS.type;
+    }
+
+    return Math.round((weighted / totalWeight) * 100) / 100;
+  }
+
+  /**
+   * Normalize a title for comparison
+   * Lowercases, strips accents and punctuation, spells out "&" and drops a leading article
+   *
+   * @param {string} title - Raw title
+   * @returns {string} Normalized title
+   */
+  static normalizeTitle(title) {
+    return String(title || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/['’]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim()
+      .replace(/^(the|a|an) /, '');
+  }
+
+  /**
+   * Similarity of two titles after normalization (Dice coefficient over character bigrams)
+   *
+   * @param {string} a - First title
+   * @param {string} b - Second title
+   * @returns {number} Similarity in [0, 1]
+   */
+  static titleSimilarity(a, b) {
+    const left = TitleMatcher.normalizeTitle(a).replace(/ /g, '');
+    const right = TitleMatcher.normalizeTitle(b).replace(/ /g, '');
+
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+    if (left.length < 2 || right.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < left.length - 1; i++) {
+      const bigram = left.slice(i, i + 2);
+      bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < right.length - 1; i++) {
+      const bigram = right.slice(i, i + 2);
+      const count = bigrams.get(bigram) || 0;
+      if (count > 0) {
+        bigrams.set(bigram, count - 1);
+        overlap++;
+      }
+    }
+
+    return (2 * overlap) / (left.length + right.length - 2);
+  }
+
+  /**
+   * Score year agreement, allowing for off-by-one release years and series year ranges
+   *
+   * @param {string|number} wantedYear - Year from Netflix
+   * @param {string} omdbYear - OMDB Year field (e.g. '2010', '2016–2022', '2019–')
+   * @returns {number} Score in [0, 1]
+   */
+  static yearScore(wantedYear, omdbYear) {
+    const wanted = parseInt(wantedYear, 10);
+    const match = String(omdbYear || '').match(/(\d{4})(?:\s*[–-]\s*(\d{4})?)?/);
+
+    if (!wanted || !match) return 0;
+
+    const start = parseInt(match[1], 10);
+    const isRange = match[0].length > 4;
+    const end = match[2] ? parseInt(match[2], 10) : (isRange ? Infinity : start);
+
+    if (wanted >= start && wanted <= end) return 1;
+
+    const distance = wanted < start ? start - wanted : wanted - end;
+    if (distance === 1) return 0.8;
+    if (distance === 2) return 0.5;
+    return 0;
+  }
+
+  /**
+   * Exact-title lookup, treating "not found" as no result
+   *
+   * @private
+   * @param {Object} titleInfo - Title information
+   * @returns {Promise<Object|null>} OMDB record or null
+   */
+  async _getExact(titleInfo) {
+    try {
+      return await this.omdbService.getByTitle(titleInfo.title, {
+        year: titleInfo.year,
+        type: titleInfo.type,
+      });
+    } catch (error) {
+      if (error.code === OmdbService.ERROR_CODES.NOT_FOUND) {
+        console.log('[TitleMatcher] Exact lookup found nothing for:', titleInfo.title);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Search OMDB and return the highest-scoring candidate
+   *
+   * @private
+   * @param {Object} titleInfo - Title information
+   * @returns {Promise<Object|null>} { candidate, confidence } or null if search found nothing
+   */
+  async _findBestSearchCandidate(titleInfo) {
+    const queries = [titleInfo.title.trim()];
+    const simplified = TitleMatcher.normalizeTitle(titleInfo.title);
+    if (simplified && simplified !== titleInfo.title.trim().toLowerCase()) {
+      queries.push(simplified);
+    }
+
+    for (const query of queries) {
+      const result = await this.omdbService.search(query, { type: titleInfo.type });
+
+      if (!result.success || result.results.length === 0) {
+        console.log('[TitleMatcher] Search returned nothing for query:', query);
+        continue;
+      }
+
+      return result.results
+        .filter(candidate => candidate.imdbID)
+        .map(candidate => ({
+          candidate,
+          confidence: TitleMatcher.scoreCandidate(titleInfo, candidate),
+        }))
+        .sort((a, b) => b.confidence - a.confidence)[0] || null;
+    }
+
+    return null;
+  }
+}
+
+TitleMatcher.ACCEPT_CONFIDENCE = ACCEPT_CONFIDENCE;
+TitleMatcher.MIN_CONFIDENCE = MIN_CONFIDENCE;
+TitleMatcher.LOW_YEAR_CONFIDENCE = LOW_YEAR_CONFIDENCE;
+
+// Export for use in modules
+export default TitleMatcher;
@@ -0,0 +1,162 @@
+/**
+ * AdaptiveTtl - Per-entry cache lifetime from how much a title's ratings still move
+ *
+ * A film released last week gains thousands of votes a day and its rating shifts; a 1994
+ * classic with two million votes never changes. When the `cachePolicy` setting is
+ * 'adaptive', CacheManager expires each entry after its own TTL instead of the single
+ * cache duration. The TTL combines:
+ * - Title age (release year; a series still airing counts as new): 12 hours this year,
+ *   2 days last year, 7 days up to 4 years old, 14 days up to 9, 30 days after that
+ * - IMDb votes: few votes move more (x0.5 under 1,000, x0.75 under 10,000), many less
+ *   (x1.5 from 100,000, x2 from 1,000,000)
+ * - Change history: a rating that changed on a refresh in the last 7 days halves the TTL;
+ *   each refresh that found it unchanged adds 25% (up to x2)
+ *
+ * Works on both ratings records ({ imdb: { value, votes }, matchedYear }) and raw OMDB
+ * responses ({ imdbRating, imdbVotes, Year }); the response cache holds the latter as
+ * OmdbService writes them, { data: response, timestamp }. The TTL stored here is unbounded; the
+ * user's minimum and maximum are applied when it is read (see CacheFreshness), so
+ * changing them affects every entry at once. Titles without a year keep the fixed duration.
+ *
+ * @module AdaptiveTtl
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// [maximum age in years, base TTL in hours], first match wins
+const AGE_TTL_HOURS = [
+  [0, 12],
+  [1, 48],
+  [4, 168],
+  [9, 336],
+  [Infinity, 720],
+];
+
+// [minimum votes, multiplier], first match wins
+const VOTE_MULTIPLIERS = [
+  [1000000, 2],
+  [100000, 1.5],
+  [10000, 1],
+  [1000, 0.75],
+  [0, 0.5],
+];
+
+// A rating change this recent halves the TTL
+const RECENT_CHANGE_MS = 7 * DAY_MS;
+const MAX_STABLE_BONUS_CHECKS = 4;
+
+class AdaptiveTtl {
+  /**
+   * TTL and change history fields for an entry about to be written
+   * @param {Object} entry - New entry { data, timestamp }
+   * @param {Object|null} previous - Entry it replaces, if any { data, stableChecks?, changedAt? }
+   * @returns {Object} { stableChecks, changedAt?, ttl? } to store with the entry
+   */
+  static annotate(entry, previous) {
+    const fields = { stableChecks: 0 };
+
+    const data = AdaptiveTtl._unwrap(entry.data);
+
+    if (previous && !previous.negative) {
+      if (AdaptiveTtl.ratingOf(AdaptiveTtl._unwrap(previous.data)) === AdaptiveTtl.ratingOf(data)) {
+        fields.stableChecks = (previous.stableChecks || 0) + 1;
+        if (previous.changedAt) {
+          fields.changedAt = previous.changedAt;
+        }
+      } else {
+        fields.changedAt = entry.timestamp;
+      }
+    }
+
+    const ttl = AdaptiveTtl.compute(data, { ...fields, now: entry.timestamp });
+    if (ttl !== null) {
+      fields.ttl = ttl;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Compute an unbounded TTL
+   * @param {Object} data - Ratings record or raw OMDB response
+   * @param {Object} history - { stableChecks, changedAt?, now }
+   * @returns {number|null} TTL in ms, or null without a release year
+   */
+  static compute(data, history) {
+    const year = AdaptiveTtl.releaseYearOf(data, history.now);
+    if (year === null) {
+      return null;
+    }
+
+    const age = Math.max(0, new Date(history.now).getUTCFullYear() - year);
+    const [, baseHours] = AGE_TTL_HOURS.find(([maxAge]) => age <= maxAge);
+
+    const votes = AdaptiveTtl.votesOf(data);
+    const [, voteMultiplier] = votes === null ? [0, 1] : VOTE_MULTIPLIERS.find(([minVotes]) => votes >= minVotes);
+
+    const changedRecently = history.changedAt && history.now - history.changedAt < RECENT_CHANGE_MS;
+    const historyMultiplier = changedRecently
+      ? 0.5
+      : 1 + 0.25 * Math.min(history.stableChecks || 0, MAX_STABLE_BONUS_CHECKS);
+
+    return Math.round(baseHours * voteMultiplier * historyMultiplier * HOUR_MS);
+  }
+
+  /**
+   * Release year, or the current year for a series still airing
+   * @param {Object} data - Ratings record or raw OMDB response
+   * @param {number} now - Current time
+   * @returns {number|null}
+   */
+  static releaseYearOf(data, now = Date.now()) {
+    const yearText = String((data && (data.matchedYear || data.Year)) || '');
+    const match = yearText.match(/(\d{4})(?:\s*[–-]\s*(\d{4})?)?/);
+    if (!match) {
+      return null;
+    }
+
+    // '2019–' is still airing, '2016–2022' ended in 2022
+    if (/[–-]\s*$/.test(yearText)) {
+      return new Date(now).getUTCFullYear();
+    }
+
+    return parseInt(match[2] || match[1], 10);
+  }
+
+  /**
+   * IMDb vote count
+   * @param {Object} data - Ratings record or raw OMDB response
+   * @returns {number|null}
+   */
+  static votesOf(data) {
+    const votes = data && (data.imdb ? data.imdb.votes : data.imdbVotes);
+    const count = parseInt(String(votes || '').replace(/,/g, ''), 10);
+    return Number.isNaN(count) ? null : count;
+  }
+
+  /**
+   * IMDb rating, compared across refreshes
+   * @param {Object} data - Ratings record or raw OMDB response
+   * @returns {string|null}
+   */
+  static ratingOf(data) {
+    if (!data) {
+      return null;
+    }
+    return (data.imdb ? data.imdb.value : data.imdbRating) || null;
+  }
+
+  /**
+   * Cached value without OmdbService's { data, timestamp } wrapper
+   * @private
+   * @param {Object} data - Cached value
+   * @returns {Object} Ratings record or raw OMDB response
+   */
+  static _unwrap(data) {
+    return data && data.data ? data.data : data;
+  }
+}
+
+// Export for use in modules
+export default AdaptiveTtl;
@@ -0,0 +1,109 @@
+/**
+ * CacheBackends - Choosing, opening and switching CacheManager storage backends
+ *
+ * The `cacheBackend` setting (chrome.storage.sync) picks where cached entries live:
+ * - 'indexedDB' (default): IndexedDbBackend, thousands of entries
+ * - 'chromeStorage': ChromeStorageBackend, one chrome.storage.local key per entry, 500 max
+ *
+ * If IndexedDB can't be opened, chrome.storage.local is used instead. When IndexedDB
+ * opens, entries left in chrome.storage.local (older versions, or an earlier fallback)
+ * are moved into it.
+ *
+ * @module CacheBackends
+ */
+
+import ChromeStorageBackend from './chrome-storage-backend.js';
+import IndexedDbBackend from './indexeddb-backend.js';
+
+// chrome.storage.sync key of the backend choice, and its values
+const BACKEND_SETTING_KEY = 'cacheBackend';
+const BACKEND_NAMES = [IndexedDbBackend.NAME, ChromeStorageBackend.NAME];
+const DEFAULT_BACKEND = IndexedDbBackend.NAME;
+
+class CacheBackends {
+  /**
+   * Get the configured backend name
+   * @returns {Promise<string>} 'indexedDB' or 'chromeStorage'
+   */
+  static async getPreference() {
+    try {
+      const result = await chrome.storage.sync.get([BACKEND_SETTING_KEY]);
+      const name = result[BACKEND_SETTING_KEY];
+      return BACKEND_NAMES.includes(name) ? name : DEFAULT_BACKEND;
+    } catch (error) {
+      console.error('[CacheBackends] Error getting cache backend setting:', error.message);
+      return DEFAULT_BACKEND;
+    }
+  }
+
+  /**
+   * Open a backend, falling back to chrome.storage.local if IndexedDB fails
+   * @param {string} name - 'indexedDB' or 'chromeStorage'
+   * @param {string} storageKey - Cache name
+   * @returns {Promise<Object>} Initialized backend
+   */
+  static async open(name, storageKey) {
+    if (name === IndexedDbBackend.NAME) {
+      try {
+        const backend = new IndexedDbBackend(storageKey);
+        await backend.init();
+        await CacheBackends._importChromeStorageEntries(backend, storageKey);
+        console.log('[CacheBackends] Using IndexedDB backend for', storageKey);
+        return backend;
+      } catch (error) {
+        console.warn('[CacheBackends] IndexedDB unavailable, falling back to chrome.storage.local:', error.message);
+      }
+    }
+
+    const backend = new ChromeStorageBackend(storageKey);
+    await backend.init();
+    console.log('[CacheBackends] Using chrome.storage.local backend for', storageKey);
+    return backend;
+  }
+
+  /**
+   * Copy every entry from one backend to another, keeping last-access times
+   * @param {Object} source - Backend to read from
+   * @param {Object} target - Backend to write to
+   * @returns {Promise<number>} Number of entries copied
+   */
+  static async copyEntries(source, target) {
+    let copied = 0;
+
+    for (const { key, lastAccess } of await source.list()) {
+      const entry = await source.get(key);
+      if (entry) {
+        await target.put(entry, lastAccess);
+        copied++;
+      }
+    }
+
+    return copied;
+  }
+
+  /**
+   * Move entries left in chrome.storage.local into IndexedDB
+   * @private
+   * @param {IndexedDbBackend} backend - Opened IndexedDB backend
+   * @param {string} storageKey - Cache name
+   * @returns {Promise<void>}
+   */
+  static async _importChromeStorageEntries(backend, storageKey) {
+    const source = new ChromeStorageBackend(storageKey);
+    await source.init();
+
+    if ((await source.list()).length === 0) {
+      return;
+    }
+
+    const imported = await CacheBackends.copyEntries(source, backend);
+    await source.clear();
+    console.log('[CacheBackends] Imported', imported, 'entries from chrome.storage.local into IndexedDB');
+  }
+}
+
+CacheBackends.NAMES = BACKEND_NAMES;
+CacheBackends.DEFAULT = DEFAULT_BACKEND;
+
+// Export for use in modules
+export default CacheBackends;
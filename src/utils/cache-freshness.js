@@ -0,0 +1,280 @@
+/**
+ * CacheFreshness - Expiry and staleness rules shared by every CacheManager method
+ *
+ * Three chrome.storage.sync settings decide how fresh an entry is:
+ * - `cacheDurationHours` (default 24): entries expire after this
+ * - `negativeCacheHours` (default 6): negative ("not on OMDB") entries expire after this
+ * - `staleAfterMinutes` (default 60): older entries are still served but flagged stale,
+ *   so callers refresh them in the background. Negative entries are never stale.
+ *   The threshold is for an entry living `cacheDurationHours`; entries with another TTL
+ *   go stale at the same fraction of their own lifetime.
+ *
+ * The `cachePolicy` setting picks how long positive entries live:
+ * - 'fixed' (default): `cacheDurationHours` for every entry
+ * - 'adaptive': each entry's own TTL (see AdaptiveTtl), kept between `adaptiveTtlMinHours`
+ *   (default 6) and `adaptiveTtlMaxHours` (default 720); entries without one use the fixed duration
+ *
+ * The values are held in memory - loaded on init and updated from chrome.storage.onChanged -
+ * so synchronous lookups (getSync, isStaleSync) follow the same settings as async ones.
+ *
+ * @module CacheFreshness
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_CACHE_HOURS = 24;
+const DEFAULT_NEGATIVE_CACHE_HOURS = 6;
+const DEFAULT_STALE_AFTER_MINUTES = 60;
+
+// chrome.storage.sync key of the stale threshold
+const STALE_AFTER_KEY = 'staleAfterMinutes';
+
+// chrome.storage.sync keys of the expiry policy, and its values
+const POLICY_KEY = 'cachePolicy';
+const TTL_MIN_KEY = 'adaptiveTtlMinHours';
+const TTL_MAX_KEY = 'adaptiveTtlMaxHours';
+const POLICIES = ['fixed', 'adaptive'];
+const DEFAULT_POLICY = 'fixed';
+const DEFAULT_TTL_MIN_HOURS = 6;
+const DEFAULT_TTL_MAX_HOURS = 720;
+const DEFAULT_POLICY_SETTINGS = { mode: DEFAULT_POLICY, minHours: DEFAULT_TTL_MIN_HOURS, maxHours: DEFAULT_TTL_MAX_HOURS };
+
+// Duration settings read and written through getSetting()/setSetting(), by name in this.keys
+const DURATION_SETTINGS = {
+  duration: { label: 'Cache duration', unit: 'hours', fallback: DEFAULT_CACHE_HOURS },
+  negativeDuration: { label: 'Negative cache duration', unit: 'hours', fallback: DEFAULT_NEGATIVE_CACHE_HOURS },
+  staleAfter: { label: 'Stale threshold', unit: 'minutes', fallback: DEFAULT_STALE_AFTER_MINUTES },
+};
+
+class CacheFreshness {
+  /**
+   * @param {string} durationKey - Setting key of the cache duration (hours)
+   * @param {string} negativeDurationKey - Setting key of the negative cache duration (hours)
+   * @param {string} staleAfterKey - Setting key of the stale threshold (minutes)
+   */
+  constructor(durationKey, negativeDurationKey, staleAfterKey = STALE_AFTER_KEY) {
+    this.keys = {
+      duration: durationKey,
+      negativeDuration: negativeDurationKey,
+      staleAfter: staleAfterKey,
+      policy: POLICY_KEY,
+      minTtl: TTL_MIN_KEY,
+      maxTtl: TTL_MAX_KEY,
+    };
+
+    // Defaults until load() - what getSync() used before the settings are known
+    this.durationMs = DEFAULT_CACHE_HOURS * HOUR_MS;
+    this.negativeDurationMs = DEFAULT_NEGATIVE_CACHE_HOURS * HOUR_MS;
+    this.staleAfterMs = DEFAULT_STALE_AFTER_MINUTES * MINUTE_MS;
+    this.policy = DEFAULT_POLICY;
+    this.minTtlMs = DEFAULT_TTL_MIN_HOURS * HOUR_MS;
+    this.maxTtlMs = DEFAULT_TTL_MAX_HOURS * HOUR_MS;
+
+    this.listening = false;
+  }
+
+  /**
+   * Read the current settings
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const keys = Object.values(this.keys);
+      const result = await chrome.storage.sync.get(keys);
+      // Unset keys apply as undefined, i.e. their defaults
+      this.apply(Object.fromEntries(keys.map(key => [key, result[key]])));
+      console.log('[CacheFreshness] Loaded. Policy:', this.policy, 'Duration:', this.durationMs, 'ms, Negative:', this.negativeDurationMs, 'ms, Stale after:', this.staleAfterMs, 'ms');
+    } catch (error) {
+      console.warn('[CacheFreshness] Error loading freshness settings, using defaults:', error.message);
+    }
+  }
+
+  /**
+   * Follow setting changes made anywhere (popup, other contexts, sync)
+   */
+  listen() {
+    if (this.listening || !chrome.storage.onChanged) {
+      return;
+    }
+
+    this.listening = true;
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync') {
+        return;
+      }
+
+      const values = {};
+      Object.values(this.keys)
+        .filter(key => key in changes)
+        .forEach((key) => { values[key] = changes[key].newValue; });
+
+      if (Object.keys(values).length > 0) {
+        this.apply(values);
+        console.log('[CacheFreshness] Settings changed:', values);
+      }
+    });
+  }
+
+  /**
+   * Take new setting values; keys present but unset (e.g. removed) reset to their default
+   * @param {Object} values - { [settingKey]: value } for any of the settings
+   */
+  apply(values) {
+    if (this.keys.duration in values) {
+      this.durationMs = (values[this.keys.duration] || DEFAULT_CACHE_HOURS) * HOUR_MS;
+    }
+    if (this.keys.negativeDuration in values) {
+      this.negativeDurationMs = (values[this.keys.negativeDuration] || DEFAULT_NEGATIVE_CACHE_HOURS) * HOUR_MS;
+    }
+    if (this.keys.staleAfter in values) {
+      this.staleAfterMs = (values[this.keys.staleAfter] || DEFAULT_STALE_AFTER_MINUTES) * MINUTE_MS;
+    }
+    if (this.keys.policy in values) {
+      this.policy = POLICIES.includes(values[this.keys.policy]) ? values[this.keys.policy] : DEFAULT_POLICY;
+    }
+    if (this.keys.minTtl in values) {
+      this.minTtlMs = (values[this.keys.minTtl] || DEFAULT_TTL_MIN_HOURS) * HOUR_MS;
+    }
+    if (this.keys.maxTtl in values) {
+      this.maxTtlMs = (values[this.keys.maxTtl] || DEFAULT_TTL_MAX_HOURS) * HOUR_MS;
+    }
+  }
+
+  /**
+   * Get a duration setting as saved, or its default if unset
+   * @param {string} name - 'duration', 'negativeDuration' (hours) or 'staleAfter' (minutes)
+   * @returns {Promise<number>}
+   */
+  async getSetting(name) {
+    const { label, fallback } = DURATION_SETTINGS[name];
+    try {
+      const result = await chrome.storage.sync.get([this.keys[name]]);
+      return result[this.keys[name]] || fallback;
+    } catch (error) {
+      console.error(`[CacheFreshness] Error getting ${label.toLowerCase()}:`, error.message);
+      return fallback;
+    }
+  }
+
+  /**
+   * Validate, save and apply a duration setting
+   * @param {string} name - 'duration', 'negativeDuration' (hours) or 'staleAfter' (minutes)
+   * @param {number} value - Positive integer
+   * @returns {Promise<void>}
+   */
+  async setSetting(name, value) {
+    const { label, unit } = DURATION_SETTINGS[name];
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`${label} must be a positive integer`);
+    }
+
+    console.log(`[CacheFreshness] Setting ${label.toLowerCase()} to:`, value, unit);
+    await chrome.storage.sync.set({ [this.keys[name]]: value });
+    this.apply({ [this.keys[name]]: value });
+  }
+
+  /**
+   * Get the expiry policy saved in settings
+   * @returns {Promise<Object>} { mode, minHours, maxHours }
+   */
+  async getPolicy() {
+    try {
+      const result = await chrome.storage.sync.get([POLICY_KEY, TTL_MIN_KEY, TTL_MAX_KEY]);
+      return {
+        mode: POLICIES.includes(result[POLICY_KEY]) ? result[POLICY_KEY] : DEFAULT_POLICY,
+        minHours: result[TTL_MIN_KEY] || DEFAULT_TTL_MIN_HOURS,
+        maxHours: result[TTL_MAX_KEY] || DEFAULT_TTL_MAX_HOURS,
+      };
+    } catch (error) {
+      console.error('[CacheFreshness] Error getting expiry policy:', error.message);
+      return { ...DEFAULT_POLICY_SETTINGS };
+    }
+  }
+
+  /**
+   * Validate, save and apply the expiry policy
+   * @param {Object} policy - { mode, minHours?, maxHours? } (bounds default to the current ones)
+   * @returns {Promise<void>}
+   */
+  async setPolicy({ mode, minHours, maxHours }) {
+    const current = await this.getPolicy();
+    const min = minHours === undefined ? current.minHours : minHours;
+    const max = maxHours === undefined ? current.maxHours : maxHours;
+
+    if (!POLICIES.includes(mode)) {
+      throw new Error(`Cache policy must be one of: ${POLICIES.join(', ')}`);
+    }
+    if (!Number.isInteger(min) || min <= 0 || !Number.isInteger(max) || max <= 0) {
+      throw new Error('Adaptive TTL bounds must be positive integers');
+    }
+    if (min > max) {
+      throw new Error('Adaptive TTL minimum must not exceed the maximum');
+    }
+
+    const values = { [POLICY_KEY]: mode, [TTL_MIN_KEY]: min, [TTL_MAX_KEY]: max };
+    console.log('[CacheFreshness] Setting expiry policy:', values);
+    await chrome.storage.sync.set(values);
+    this.apply(values);
+  }
+
+  /**
+   * Lifetime of an entry under the current settings
+   * @param {Object} entry - Entry { negative?, ttl? }
+   * @returns {number} TTL in ms
+   */
+  getTtlMs(entry) {
+    if (entry.negative) {
+      return this.negativeDurationMs;
+    }
+    if (this.policy === 'adaptive' && entry.ttl) {
+      return Math.min(Math.max(entry.ttl, this.minTtlMs), this.maxTtlMs);
+    }
+    return this.durationMs;
+  }
+
+  /**
+   * Check whether an entry has expired
+   * An entry whose age can't be computed (malformed timestamp or TTL) counts as expired
+   * @param {Object} entry - Entry { timestamp, negative?, ttl? }
+   * @param {number} now - Current time (default: now)
+   * @returns {boolean}
+   */
+  isExpired(entry, now = Date.now()) {
+    return !(now - entry.timestamp <= this.getTtlMs(entry));
+  }
+
+  /**
+   * Age after which an entry is stale - the stale threshold scaled to the entry's TTL,
+   * so an adaptive entry living 30 days isn't refreshed as often as one living a day
+   * @param {Object} entry - Entry { negative?, ttl? }
+   * @returns {number} Threshold in ms
+   */
+  getStaleAfterMs(entry) {
+    const ttlMs = this.getTtlMs(entry);
+    return Math.min(this.staleAfterMs * (ttlMs / this.durationMs), ttlMs);
+  }
+
+  /**
+   * Check whether a valid entry should be refreshed in the background
+   * @param {Object} entry - Entry { timestamp, negative?, ttl? }
+   * @param {number} now - Current time (default: now)
+   * @returns {boolean}
+   */
+  isStale(entry, now = Date.now()) {
+    return !entry.negative && now - entry.timestamp > this.getStaleAfterMs(entry);
+  }
+}
+
+CacheFreshness.DEFAULT_CACHE_HOURS = DEFAULT_CACHE_HOURS;
+CacheFreshness.DEFAULT_NEGATIVE_CACHE_HOURS = DEFAULT_NEGATIVE_CACHE_HOURS;
+CacheFreshness.DEFAULT_STALE_AFTER_MINUTES = DEFAULT_STALE_AFTER_MINUTES;
+CacheFreshness.STALE_AFTER_KEY = STALE_AFTER_KEY;
+CacheFreshness.POLICIES = POLICIES;
+CacheFreshness.DEFAULT_POLICY = DEFAULT_POLICY;
+CacheFreshness.DEFAULT_TTL_MIN_HOURS = DEFAULT_TTL_MIN_HOURS;
+CacheFreshness.DEFAULT_TTL_MAX_HOURS = DEFAULT_TTL_MAX_HOURS;
+CacheFreshness.DEFAULT_POLICY_SETTINGS = DEFAULT_POLICY_SETTINGS;
+
+// Export for use in modules
+export default CacheFreshness;
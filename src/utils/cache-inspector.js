@@ -0,0 +1,68 @@
+/**
+ * CacheInspector - Per-entry details of a cache, for debugging and the cache inspector page
+ *
+ * Details come from the backend's entry metadata (list()); entry data is only read when
+ * asked for, in batches, since it's the bulk of the cache. Reading never records access,
+ * so inspecting a cache doesn't change which entries are evicted first.
+ *
+ * @module CacheInspector
+ */
+
+// Entries read at a time when data is included
+const INSPECT_BATCH_SIZE = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class CacheInspector {
+  /**
+   * Describe one entry
+   * @param {Object} meta - Entry metadata { key, timestamp, lastAccess, negative?, ttl? }
+   * @param {CacheFreshness} freshness - Cache's freshness settings
+   * @param {number} now - Current time (default: now)
+   * @returns {Object} { key, ageMs, ageHours, isExpired, isStale, isNotFound, ttlMs, expiresInMs, timestampMs, lastAccessMs }
+   */
+  static describe(meta, freshness, now = Date.now()) {
+    const age = now - meta.timestamp;
+    const ttlMs = freshness.getTtlMs(meta);
+
+    return {
+      key: meta.key,
+      ageMs: age,
+      ageHours: Math.round(age / HOUR_MS * 10) / 10,
+      isExpired: freshness.isExpired(meta, now),
+      isStale: freshness.isStale(meta, now),
+      isNotFound: Boolean(meta.negative),
+      ttlMs,
+      expiresInMs: ttlMs - age,
+      timestampMs: meta.timestamp,
+      lastAccessMs: meta.lastAccess || null,
+    };
+  }
+
+  /**
+   * Describe every entry in a backend
+   * @param {Object} backend - Opened storage backend
+   * @param {CacheFreshness} freshness - Cache's freshness settings
+   * @param {Object} options - { includeData } - also return each entry's data (default: false)
+   * @returns {Promise<Object[]>} Entry details (see describe), with `data` if included
+   */
+  static async list(backend, freshness, { includeData = false } = {}) {
+    const now = Date.now();
+    const entries = (await backend.list()).map(meta => CacheInspector.describe(meta, freshness, now));
+    if (!includeData) {
+      return entries;
+    }
+
+    // Entries removed since list() keep data null
+    const dataByKey = new Map();
+    for (let i = 0; i < entries.length; i += INSPECT_BATCH_SIZE) {
+      const batch = await backend.getMany(entries.slice(i, i + INSPECT_BATCH_SIZE).map(entry => entry.key));
+      batch.forEach(stored => dataByKey.set(stored.key, stored.data));
+    }
+
+    return entries.map(entry => ({ ...entry, data: dataByKey.has(entry.key) ? dataByKey.get(entry.key) : null }));
+  }
+}
+
+// Export for use in modules
+export default CacheInspector;
@@ -0,0 +1,210 @@
+/**
+ * CacheIntegrity - Finding and removing malformed cache entries
+ *
+ * A cut-short write or a bug can leave entries the freshness checks can't judge - with a
+ * missing timestamp every age is NaN, so the entry would never expire. verify() removes
+ * persisted entries with a problem:
+ * - invalidTimestamp: missing, not a positive number, or more than a day in the future
+ * - invalidTtl: an adaptive TTL (see AdaptiveTtl) that isn't a positive number
+ * - invalidData: the entry isn't an object, or has no data (ratings data itself is checked by CacheMigrations)
+ * - unreadable: listed by the backend but not readable (e.g. the entry write never landed)
+ *
+ * A deep check reads every entry. A quick check only looks at the backend's metadata
+ * (timestamp and TTL) and reads just the entries that fail there, so it's cheap enough for
+ * every CacheManager init; the deep check runs on init once a day, and on demand.
+ *
+ * Removed entries are copied to chrome.storage.local (`<storageKey>_quarantine`, the last 50)
+ * for debugging; unreadable ones have nothing to copy and are just dropped. The report of
+ * the last check is kept in `<storageKey>_integrity`, so the popup can show it.
+ *
+ * @module CacheIntegrity
+ */
+
+// Problems, in the order they are checked
+const PROBLEMS = ['invalidTimestamp', 'invalidTtl', 'invalidData', 'unreadable'];
+
+// Timestamps further ahead than this can't come from a clock that's merely off
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+// Quarantined entries kept (newest), and entries read at a time while checking
+const MAX_QUARANTINED = 50;
+const VERIFY_BATCH_SIZE = 100;
+
+// CacheManager checks deeply on init() once the last deep check is this old
+const VERIFY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+class CacheIntegrity {
+  /**
+   * @param {string} storageKey - Cache name (quarantine and report keys derive from it)
+   */
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+    this.reportKey = `${storageKey}_integrity`;
+    this.quarantineKey = `${storageKey}_quarantine`;
+
+    // Report of the last check, once loaded
+    this.report = null;
+    this.reportLoaded = false;
+  }
+
+  /**
+   * Find what's wrong with an entry
+   * @param {Object} entry - Cached entry { data, timestamp, ttl?, ... }
+   * @param {number} now - Current time (default: now)
+   * @returns {string|null} Problem (one of PROBLEMS), or null if the entry is well-formed
+   */
+  static problemOf(entry, now = Date.now()) {
+    if (!entry || typeof entry !== 'object') {
+      return 'invalidData';
+    }
+
+    const metaProblem = CacheIntegrity.metaProblemOf(entry, now);
+    if (metaProblem) {
+      return metaProblem;
+    }
+    if (entry.data === undefined || entry.data === null) {
+      return 'invalidData';
+    }
+
+    return null;
+  }
+
+  /**
+   * Find what's wrong with an entry's metadata (the fields backends list without reading it)
+   * @param {Object} meta - Entry or backend metadata { timestamp, ttl?, ... }
+   * @param {number} now - Current time (default: now)
+   * @returns {string|null} 'invalidTimestamp', 'invalidTtl', or null
+   */
+  static metaProblemOf(meta, now = Date.now()) {
+    const { timestamp, ttl } = meta;
+    if (typeof timestamp !== 'number' || !Number.isFinite(timestamp) || timestamp <= 0 || timestamp > now + MAX_CLOCK_SKEW_MS) {
+      return 'invalidTimestamp';
+    }
+    if (ttl !== undefined && !(typeof ttl === 'number' && ttl > 0 && Number.isFinite(ttl))) {
+      return 'invalidTtl';
+    }
+
+    return null;
+  }
+
+  /**
+   * Load the report of the last check
+   * @returns {Promise<Object|null>} Report, or null if the cache was never checked
+   */
+  async loadReport() {
+    if (!this.reportLoaded) {
+      try {
+        const result = await chrome.storage.local.get([this.reportKey]);
+        this.report = result[this.reportKey] || null;
+      } catch (error) {
+        console.warn('[CacheIntegrity] Error loading integrity report:', error.message);
+      }
+      this.reportLoaded = true;
+    }
+
+    return this.report;
+  }
+
+  /**
+   * Check whether the last deep check is old enough to run another on init
+   * @param {number} now - Current time (default: now)
+   * @returns {Promise<boolean>}
+   */
+  async isDue(now = Date.now()) {
+    const report = await this.loadReport();
+    return !report || !(now - report.deepCheckedAt < VERIFY_INTERVAL_MS);
+  }
+
+  /**
+   * Report of the last check
+   * @returns {Object|null} { checkedAt, deepCheckedAt, checked, quarantined, dropped, problems } or null
+   */
+  getReport() {
+    return this.report ? { ...this.report, problems: { ...this.report.problems } } : null;
+  }
+
+  /**
+   * Check the entries in a backend, removing and quarantining malformed ones
+   * @param {Object} backend - Opened storage backend
+   * @param {Object} options - { deep } - false to only read entries whose metadata fails (default: true)
+   * @returns {Promise<Object>} { report, removedKeys }
+   */
+  async verify(backend, { deep = true } = {}) {
+    const now = Date.now();
+    const metas = (await backend.list()).filter(meta => typeof meta.key === 'string');
+    const keys = (deep ? metas : metas.filter(meta => CacheIntegrity.metaProblemOf(meta, now))).map(meta => meta.key);
+    const problems = Object.fromEntries(PROBLEMS.map(problem => [problem, 0]));
+    const quarantine = [];
+    const removedKeys = [];
+    const previous = await this.loadReport();
+
+    for (let i = 0; i < keys.length; i += VERIFY_BATCH_SIZE) {
+      const batch = keys.slice(i, i + VERIFY_BATCH_SIZE);
+      const entries = new Map((await backend.getMany(batch)).map(entry => [entry.key, entry]));
+
+      batch.forEach((key) => {
+        const entry = entries.get(key);
+        const problem = entry ? CacheIntegrity.problemOf(entry, now) : 'unreadable';
+        if (!problem) {
+          return;
+        }
+
+        problems[problem]++;
+        removedKeys.push(key);
+        if (entry) {
+          quarantine.push({ key, reason: problem, entry, quarantinedAt: now });
+        }
+      });
+    }
+
+    if (removedKeys.length > 0) {
+      await backend.remove(removedKeys);
+      console.warn('[CacheIntegrity] Removed malformed entries from', this.storageKey, problems);
+    }
+    if (quarantine.length > 0) {
+      await this._quarantine(quarantine);
+    }
+
+    this.report = {
+      checkedAt: now,
+      deepCheckedAt: deep ? now : (previous && previous.deepCheckedAt) || null,
+      checked: metas.length,
+      quarantined: quarantine.length,
+      dropped: removedKeys.length - quarantine.length,
+      problems,
+    };
+    this.reportLoaded = true;
+
+    try {
+      await chrome.storage.local.set({ [this.reportKey]: this.report });
+    } catch (error) {
+      console.warn('[CacheIntegrity] Error saving integrity report:', error.message);
+    }
+
+    console.log('[CacheIntegrity] Checked', this.storageKey, this.report);
+    return { report: this.getReport(), removedKeys };
+  }
+
+  /**
+   * Keep copies of removed entries, newest last
+   * @private
+   * @param {Object[]} records - [{ key, reason, entry, quarantinedAt }]
+   * @returns {Promise<void>}
+   */
+  async _quarantine(records) {
+    try {
+      const result = await chrome.storage.local.get([this.quarantineKey]);
+      const kept = [...(result[this.quarantineKey] || []), ...records].slice(-MAX_QUARANTINED);
+      await chrome.storage.local.set({ [this.quarantineKey]: kept });
+    } catch (error) {
+      console.warn('[CacheIntegrity] Error quarantining entries:', error.message);
+    }
+  }
+}
+
+CacheIntegrity.PROBLEMS = PROBLEMS;
+CacheIntegrity.MAX_QUARANTINED = MAX_QUARANTINED;
+CacheIntegrity.VERIFY_INTERVAL_MS = VERIFY_INTERVAL_MS;
+
+// Export for use in modules
+export default CacheIntegrity;
@@ -2,43 +2,130 @@
  * CacheManager - Unified cache management with persistent storage
  * Provides a single source of truth for cache operations across the extension
  * Implements both in-memory and persistent caching strategies
+ *
+ * Negative entries ("known missing", stored via setNotFound) expire after their own,
+ * shorter duration so titles OMDB doesn't know are re-checked now and then.
+ *
+ * Entries older than the stale threshold (`staleAfterMinutes`) are still served, but reported
+ * as stale by getWithMeta() so callers can revalidate them in the background
+ * (stale-while-revalidate). Durations and the stale threshold are held in memory and follow
+ * setting changes (see CacheFreshness), so every method and tier agrees on freshness.
+ * Under the 'adaptive' expiry policy, each rating gets its own TTL (see AdaptiveTtl).
+ *
+ * Persistent entries live in a storage backend - IndexedDB or chrome.storage.local, chosen
+ * by the `cacheBackend` setting (see CacheBackends). Backends implement init(), get(key),
+ * put(entry, lastAccess?), remove(keys), list() and clear() over entries
+ * { key, data, timestamp, negative? }, and record when each entry was last read.
+ *
+ * Size limit: after every write, least-recently-used entries are evicted until the cache
+ * fits the configured limit (items or KB, see CacheSizeLimit) and the backend's maximum.
+ * Evictions are counted in getStats().
+ *
+ * The memory cache is warmed on init with the most recently used entries, mirrored in
+ * chrome.storage.session and kept in step with other contexts (see MemoryCacheSync), so
+ * getSync() hits right after a service worker restart.
+ *
+ * Entries carry a schema version; older ones are migrated on read and by migrate() after an
+ * extension update, and those that can't be migrated are dropped and re-fetched (see CacheMigrations).
+ * Malformed entries are removed by verify(): by metadata on every init, in full daily and on demand (see CacheIntegrity).
  */
 
+import AdaptiveTtl from './adaptive-ttl.js';
+import CacheBackends from './cache-backends.js';
+import CacheFreshness from './cache-freshness.js';
+import CacheInspector from './cache-inspector.js';
+import CacheIntegrity from './cache-integrity.js';
+import CacheMigrations from './cache-migrations.js';
+import CacheSizeLimit from './cache-size-limit.js';
+import MemoryCacheSync from './memory-cache-sync.js';
+
+// Default lifetime of negative entries, in hours
+const DEFAULT_NEGATIVE_CACHE_HOURS = CacheFreshness.DEFAULT_NEGATIVE_CACHE_HOURS;
+
+// Default age, in minutes, after which a (still valid) entry should be revalidated
+const DEFAULT_STALE_AFTER_MINUTES = CacheFreshness.DEFAULT_STALE_AFTER_MINUTES;
+
+// Data returned by get() for a negative entry
+const NOT_FOUND_DATA = { notFound: true };
+
 class CacheManager {
   /**
    * Initialize CacheManager
    * @param {string} storageKey - Key for chrome.storage.local (default: 'netflix_ratings_cache')
    * @param {string} durationKey - Key for cache duration setting (default: 'cacheDurationHours')
+   * @param {string} negativeDurationKey - Key for negative cache duration setting (default: 'negativeCacheHours')
+   * @param {string} staleAfterKey - Key for stale threshold setting (default: 'staleAfterMinutes')
    */
-  constructor(storageKey = 'netflix_ratings_cache', durationKey = 'cacheDurationHours') {
+  constructor(storageKey = 'netflix_ratings_cache', durationKey = 'cacheDurationHours', negativeDurationKey = 'negativeCacheHours', staleAfterKey = CacheFreshness.STALE_AFTER_KEY) {
     this.storageKey = storageKey;
     this.durationKey = durationKey;
+    this.negativeDurationKey = negativeDurationKey;
+    this.staleAfterKey = staleAfterKey;
     this.memoryCache = new Map(); // Fallback in-memory cache
     this.initialized = false;
 
+    // Durations and stale threshold, held in memory for synchronous lookups
+    this.freshness = new CacheFreshness(durationKey, negativeDurationKey, staleAfterKey);
+
+    // Warms the memory cache on init and keeps it in step with storage
+    this.memorySync = new MemoryCacheSync(storageKey, this.memoryCache);
+
+    // Persistent storage backend, and the init() run opening it (shared by concurrent calls)
+    this.backend = null;
+    this.initializing = null;
+
+    // Size limit setting and eviction counters
+    this.sizeLimit = new CacheSizeLimit(storageKey);
+
+    // Malformed entry checks and the last check's report
+    this.integrity = new CacheIntegrity(storageKey);
+
     console.log('[CacheManager] Initialized with storageKey:', storageKey, 'durationKey:', durationKey);
   }
 
   /**
-   * Initialize cache manager - loads cache duration preference
+   * Initialize cache manager - loads cache duration preference and opens the storage backend
+   * Runs once; `initialized` is only set once it succeeds, and a failed run is retried by the next call
    * @returns {Promise<void>}
    */
   async init() {
-    try {
-      console.log('[CacheManager] Initializing cache manager...');
+    if (!this.initializing) {
+      this.initializing = this._init().then(() => { this.initialized = true; }, (error) => {
+        console.error('[CacheManager] Initialization error:', error.message);
+        this.initializing = null;
+        throw error;
+      });
+    }
+    return this.initializing;
+  }
 
-      // Verify chrome.storage is available
-      if (!chrome.storage || !chrome.storage.sync) {
-        throw new Error('chrome.storage.sync not available');
-      }
+  /**
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _init() {
+    console.log('[CacheManager] Initializing cache manager...');
 
-      this.initialized = true;
-      const duration = await this.getCacheDuration();
-      console.log('[CacheManager] Cache manager initialized. Duration:', duration, 'hours');
-    } catch (error) {
-      console.error('[CacheManager] Initialization error:', error.message);
-      throw error;
+    // Verify chrome.storage is available
+    if (!chrome.storage || !chrome.storage.sync) {
+      throw new Error('chrome.storage.sync not available');
     }
+
+    this.backend = await CacheBackends.open(await CacheBackends.getPreference(), this.storageKey);
+    await this.sizeLimit.load();
+    await this.freshness.load();
+    this.freshness.listen();
+
+    // Remove malformed entries before anything is read - by their metadata, reading every entry once a day
+    await this.integrity.verify(this.backend, { deep: await this.integrity.isDue() }).catch(error => console.warn('[CacheManager] Integrity check failed:', error.message));
+    this.sizeLimit.track(await this.backend.list());
+
+    // Warm the memory cache with the most recently used valid entries, migrated to the current schema
+    this.memorySync.listen(() => this.backend);
+    await this.memorySync.hydrate(this.backend, entry => !this.freshness.isExpired(entry), entry => (CacheIntegrity.problemOf(entry) ? null : CacheMigrations.upgradeEntry(entry, this.storageKey)));
+
+    const duration = await this.getCacheDuration();
+    console.log('[CacheManager] Cache manager initialized. Duration:', duration, 'hours');
   }
 
   /**
@@ -47,34 +134,17 @@ class CacheManager {
    * @returns {Promise<number>} Duration in milliseconds
    */
   async getCacheDurationMs() {
-    try {
-      const hours = await this.getCacheDuration();
-      const ms = hours * 60 * 60 * 1000;
-      console.log('[CacheManager] Cache duration in ms:', ms, `(${hours}h)`);
-      return ms;
-    } catch (error) {
-      console.error('[CacheManager] Error getting cache duration:', error.message);
-      // Default fallback
-      const defaultMs = 24 * 60 * 60 * 1000;
-      console.log('[CacheManager] Using default cache duration:', defaultMs, 'ms (24h)');
-      return defaultMs;
-    }
+    const hours = await this.getCacheDuration();
+    console.log('[CacheManager] Cache duration in ms:', hours * 60 * 60 * 1000, `(${hours}h)`);
+    return hours * 60 * 60 * 1000;
   }
 
   /**
-   * Get cache duration in hours
+   * Get cache duration in hours (default 24)
    * @returns {Promise<number>} Duration in hours
    */
   async getCacheDuration() {
-    try {
-      const result = await chrome.storage.sync.get([this.durationKey]);
-      const duration = result[this.durationKey] || 24;
-      console.log('[CacheManager] Retrieved cache duration:', duration, 'hours');
-      return duration;
-    } catch (error) {
-      console.error('[CacheManager] Error getting cache duration:', error.message);
-      return 24; // Default 24 hours
-    }
+    return this.freshness.getSetting('duration');
   }
 
   /**
@@ -83,18 +153,145 @@ class CacheManager {
    * @returns {Promise<void>}
    */
   async setCacheDuration(hours) {
+    return this.freshness.setSetting('duration', hours);
+  }
+
+  /**
+   * Get negative cache duration in hours (default 6)
+   * @returns {Promise<number>} Duration in hours
+   */
+  async getNegativeCacheDuration() {
+    return this.freshness.getSetting('negativeDuration');
+  }
+
+  /**
+   * Set negative cache duration in hours
+   * @param {number} hours - Duration in hours
+   * @returns {Promise<void>}
+   */
+  async setNegativeCacheDuration(hours) {
+    return this.freshness.setSetting('negativeDuration', hours);
+  }
+
+  /**
+   * Current freshness settings, as held in memory (synchronous)
+   * @returns {Object} { durationMs, negativeDurationMs, staleAfterMs }
+   */
+  getFreshness() {
+    const { durationMs, negativeDurationMs, staleAfterMs } = this.freshness;
+    return { durationMs, negativeDurationMs, staleAfterMs };
+  }
+
+  /**
+   * Get the stale threshold in minutes (default 60)
+   * @returns {Promise<number>} Minutes after which entries are revalidated
+   */
+  async getStaleThreshold() {
+    return this.freshness.getSetting('staleAfter');
+  }
+
+  /**
+   * Set the stale threshold in minutes
+   * @param {number} minutes - Age after which valid entries are revalidated
+   * @returns {Promise<void>}
+   */
+  async setStaleThreshold(minutes) {
+    return this.freshness.setSetting('staleAfter', minutes);
+  }
+
+  /**
+   * Get the expiry policy
+   * @returns {Promise<Object>} { mode: 'fixed'|'adaptive', minHours, maxHours }
+   */
+  async getCachePolicy() {
+    return this.freshness.getPolicy();
+  }
+
+  /**
+   * Set the expiry policy (applies to every entry, cached or not, right away)
+   * @param {Object} policy - { mode, minHours?, maxHours? } - adaptive TTL bounds in hours
+   * @returns {Promise<void>}
+   */
+  async setCachePolicy(policy) {
+    return this.freshness.setPolicy(policy);
+  }
+
+  /**
+   * Get the configured size limit
+   * @returns {Promise<Object>} { value, unit } - value is null when only the backend maximum applies
+   */
+  async getSizeLimit() {
+    return this.sizeLimit.get();
+  }
+
+  /**
+   * Set the size limit and evict entries that no longer fit
+   * @param {number|null} value - Number of items or KB, or null for the backend maximum
+   * @param {string} unit - 'items' or 'kb'
+   * @returns {Promise<number>} Number of entries evicted
+   */
+  async setSizeLimit(value, unit = CacheSizeLimit.DEFAULT_UNIT) {
+    try {
+      await this.sizeLimit.set(value, unit);
+      return await this.enforceSizeLimit();
+    } catch (error) {
+      console.error('[CacheManager] Error setting cache size limit:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Evict least-recently-used entries until the cache fits the size limit
+   * Runs after every write; only lists the backend once the cache is over the limit
+   * @returns {Promise<number>} Number of entries evicted
+   */
+  async enforceSizeLimit() {
     try {
-      if (!Number.isInteger(hours) || hours <= 0) {
-        throw new Error('Cache duration must be a positive integer');
+      if (!this.initialized) {
+        await this.init();
       }
 
-      console.log('[CacheManager] Setting cache duration to:', hours, 'hours');
-      await chrome.storage.sync.set({ [this.durationKey]: hours });
-      console.log('[CacheManager] Cache duration saved successfully');
+      const evictedKeys = await this.sizeLimit.enforce(this.backend);
+      this.memorySync.forget(evictedKeys);
+      return evictedKeys.length;
     } catch (error) {
-      console.error('[CacheManager] Error setting cache duration:', error.message);
-      throw error;
+      console.warn('[CacheManager] Error enforcing cache size limit:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Move the persistent cache to another backend, copying every entry across
+   * The setting itself is saved by the caller (popup)
+   * @param {string} name - 'indexedDB' or 'chromeStorage'
+   * @returns {Promise<string>} Name of the backend in use afterwards (may be the fallback)
+   */
+  async switchBackend(name) {
+    if (!CacheBackends.NAMES.includes(name)) {
+      throw new Error(`Cache backend must be one of: ${CacheBackends.NAMES.join(', ')}`);
+    }
+
+    if (!this.initialized) {
+      await this.init();
+    }
+
+    const previous = this.backend;
+    const next = await CacheBackends.open(name, this.storageKey);
+    if (next.name === previous.name) {
+      console.log('[CacheManager] Cache backend unchanged:', next.name);
+      return next.name;
     }
+
+    console.log('[CacheManager] Switching cache backend:', previous.name, '→', next.name);
+
+    const copied = await CacheBackends.copyEntries(previous, next);
+
+    this.backend = next;
+    this.sizeLimit.track(await next.list());
+    await previous.clear();
+
+    console.log('[CacheManager] Cache backend switched to', next.name, 'Entries copied:', copied);
+    return next.name;
   }
 
   /**
@@ -103,27 +300,63 @@ class CacheManager {
    * @returns {Promise<any|null>} Cached data or null if expired/missing
    */
   async get(key) {
+    const entry = await this._getValidEntry(key);
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * Get item from cache along with its age and staleness
+   * Negative entries are never stale - they simply expire after the negative cache duration
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { data, timestamp, ageMs, stale, negative } or null if expired/missing
+   */
+  async getWithMeta(key) {
+    const entry = await this._getValidEntry(key);
+    if (!entry) {
+      return null;
+    }
+
+    const now = Date.now();
+
+    return {
+      data: entry.data,
+      timestamp: entry.timestamp,
+      ageMs: now - entry.timestamp,
+      stale: this.freshness.isStale(entry, now),
+      negative: Boolean(entry.negative),
+    };
+  }
+
+  /**
+   * Find a valid entry (persistent storage first, then memory), removing it if expired
+   * @private
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry { data, timestamp, negative? } or null if expired/missing
+   */
+  async _getValidEntry(key) {
     try {
       if (!this.initialized) {
         console.warn('[CacheManager] Cache manager not initialized. Initializing...');
         await this.init();
       }
 
-      // Try persistent storage first
+      // Try persistent storage first (a single entry read)
       try {
-        const result = await chrome.storage.local.get([this.storageKey]);
-        const cache = result[this.storageKey] || {};
+        const stored = await this.backend.get(key);
 
-        if (cache[key]) {
-          const isValid = await this._isEntryValid(cache[key]);
-          if (isValid) {
+        if (stored) {
+          // Null if written under a schema that can't be migrated - re-fetched like an expired entry
+          const entry = CacheMigrations.upgradeEntry(stored, this.storageKey);
+          if (entry !== null && this._isEntryValid(entry)) {
             console.log('[CacheManager] Cache hit (persistent):', key);
-            return cache[key].data;
+            this.memorySync.remember(key, entry);
+            return entry;
           } else {
-            console.log('[CacheManager] Cache expired (persistent):', key);
+            console.log('[CacheManager] Cache expired or outdated (persistent):', key);
             // Remove expired entry
-            delete cache[key];
-            await chrome.storage.local.set({ [this.storageKey]: cache });
+            this.memorySync.forget([key]);
+            await this.backend.remove([key]);
+            this.sizeLimit.recordRemovals([key]);
             return null;
           }
         }
@@ -134,13 +367,12 @@ class CacheManager {
       // Fall back to memory cache
       const cached = this.memoryCache.get(key);
       if (cached) {
-        const isValid = await this._isEntryValid(cached);
-        if (isValid) {
+        if (this._isEntryValid(cached)) {
           console.log('[CacheManager] Cache hit (memory):', key);
-          return cached.data;
+          return cached;
         } else {
           console.log('[CacheManager] Cache expired (memory):', key);
-          this.memoryCache.delete(key);
+          this.memorySync.forget([key]);
           return null;
         }
       }
@@ -153,6 +385,19 @@ class CacheManager {
     }
   }
 
+  /**
+   * Read a stored entry as it is - expired or not, without recording access (e.g. to refresh it)
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry { key, data, timestamp, negative?, ... } or null if missing
+   */
+  async peek(key) {
+    if (!this.initialized) {
+      await this.init();
+    }
+
+    return (await this.backend.getMany([key]))[0] || null;
+  }
+
   /**
    * Get item from memory cache ONLY (synchronous, for immediate display)
    * @param {string} key - Cache key
@@ -166,13 +411,10 @@ class CacheManager {
         return null;
       }
 
-      // Check if expired (use default 24 hours if not initialized)
-      const durationMs = 24 * 60 * 60 * 1000; // Default
-      const age = Date.now() - cached.timestamp;
-
-      if (age > durationMs) {
+      // Same checks as get() (the defaults until init() has loaded the settings)
+      if (!this._isEntryValid(cached)) {
         console.log('[CacheManager] Sync cache expired:', key);
-        this.memoryCache.delete(key);
+        this.memorySync.forget([key]);
         return null;
       }
 
@@ -185,21 +427,20 @@ class CacheManager {
   }
 
   /**
-   * Check if cache entry is stale (older than 1 hour)
+   * Check if cache entry is stale (older than the stale threshold)
+   * Negative entries are never stale (see getWithMeta)
    * @param {string} key - Cache key
-   * @returns {boolean} True if entry is older than 1 hour
+   * @returns {boolean} True if entry is older than the stale threshold
    */
   isStaleSync(key) {
     try {
       const cached = this.memoryCache.get(key);
       if (!cached) return true; // Missing = stale
 
-      const oneHourMs = 60 * 60 * 1000;
-      const age = Date.now() - cached.timestamp;
-      const stale = age > oneHourMs;
+      const stale = this.freshness.isStale(cached);
 
       if (stale) {
-        console.log('[CacheManager] Entry is stale:', key, `(${Math.round(age / 60000)}m old)`);
+        console.log('[CacheManager] Entry is stale:', key, `(${Math.round((Date.now() - cached.timestamp) / 60000)}m old)`);
       }
       return stale;
     } catch (error) {
@@ -212,9 +453,10 @@ class CacheManager {
    * Set item in cache (both persistent and memory)
    * @param {string} key - Cache key
    * @param {any} data - Data to cache
+   * @param {Object} options - Options { negative?: boolean } - negative entries use the negative cache duration
    * @returns {Promise<void>}
    */
-  async set(key, data) {
+  async set(key, data, options = {}) {
     try {
       if (!this.initialized) {
         console.warn('[CacheManager] Cache manager not initialized. Initializing...');
@@ -224,26 +466,30 @@ class CacheManager {
       const entry = {
         data,
         timestamp: Date.now(),
+        schemaVersion: CacheMigrations.ENTRY_VERSION,
       };
 
-      // Store in memory cache
-      this.memoryCache.set(key, entry);
+      // Adaptive TTL (computed under either policy) from the entry this one replaces, if in memory
+      const previous = this.memoryCache.get(key) || null;
+      if (options.negative) {
+        entry.negative = true;
+      } else {
+        Object.assign(entry, AdaptiveTtl.annotate(entry, previous));
+      }
+
+      // Store in memory cache (and its session mirror)
+      this.memorySync.remember(key, entry);
       console.log('[CacheManager] Cached to memory:', key, 'Memory cache size:', this.memoryCache.size);
 
-      // Store in persistent cache
+      // Store in persistent cache, then make room if the cache outgrew its limit
       try {
-        const result = await chrome.storage.local.get([this.storageKey]);
-        const cache = result[this.storageKey] || {};
-        cache[key] = entry;
-
-        // Limit cache size to prevent excessive storage usage
-        if (Object.keys(cache).length > 500) {
-          console.warn('[CacheManager] Cache size exceeds 500 items. Cleaning up oldest entries...');
-          await this._cleanupOldestEntries(cache, 250);
+        if (!options.negative && !previous) {
+          await this._annotateTtl(key, entry);
         }
-
-        await chrome.storage.local.set({ [this.storageKey]: cache });
-        console.log('[CacheManager] Cached to persistent storage:', key, 'Total items:', Object.keys(cache).length);
+        await this.backend.put({ key, ...entry });
+        this.sizeLimit.recordWrite({ key, ...entry });
+        console.log('[CacheManager] Cached to persistent storage:', key, 'Backend:', this.backend.name);
+        await this.enforceSizeLimit();
       } catch (error) {
         console.warn('[CacheManager] Error saving to persistent cache:', error.message);
         // Continue without persistent cache - memory cache still works
@@ -254,6 +500,109 @@ class CacheManager {
     }
   }
 
+  /**
+   * Redo the adaptive TTL of an entry that wasn't in memory against the persisted one it
+   * replaces - runs before the put, while the backend still holds the old entry
+   * @private
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry being written { data, timestamp, ... }
+   * @returns {Promise<void>}
+   */
+  async _annotateTtl(key, entry) {
+    try {
+      const [previous] = await this.backend.getMany([key]);
+      if (previous) {
+        Object.assign(entry, AdaptiveTtl.annotate(entry, previous));
+        this.memorySync.remember(key, entry);
+      }
+    } catch (error) {
+      console.warn('[CacheManager] Error reading previous entry for TTL:', error.message);
+    }
+  }
+
+  /**
+   * Bring stored entries to the current schema version (after an extension update)
+   * Entries that can't be migrated are removed, so they are fetched again on their next lookup
+   * @returns {Promise<Object>} { migrated, removed } - numbers of entries
+   */
+  async migrate() {
+    if (!this.initialized) {
+      await this.init();
+    }
+
+    const { migrated, removedKeys } = await CacheMigrations.migrateBackend(this.backend, this.storageKey);
+    this.memorySync.forget(removedKeys);
+    this.sizeLimit.recordRemovals(removedKeys);
+
+    console.log('[CacheManager] Migrated cache:', this.storageKey, 'Updated:', migrated, 'Removed:', removedKeys.length);
+    return { migrated, removed: removedKeys.length };
+  }
+
+  /**
+   * Check stored entries, removing malformed ones (see CacheIntegrity)
+   * @param {Object} options - { deep } - false to only read entries whose metadata fails (default: true)
+   * @returns {Promise<Object>} Report { checkedAt, deepCheckedAt, checked, quarantined, dropped, problems }
+   */
+  async verify(options = {}) {
+    if (!this.initialized) {
+      await this.init();
+    }
+
+    const { report, removedKeys } = await this.integrity.verify(this.backend, options);
+    this.memorySync.forget(removedKeys);
+    this.sizeLimit.recordRemovals(removedKeys);
+
+    return report;
+  }
+
+  /**
+   * Remember that a key has no data (e.g. OMDB doesn't know the title)
+   * get() returns { notFound: true } for the key until the negative cache duration passes
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async setNotFound(key) {
+    console.log('[CacheManager] Caching not-found result:', key);
+    await this.set(key, { ...NOT_FOUND_DATA }, { negative: true });
+  }
+
+  /**
+   * Check whether cached data is a not-found marker
+   * @param {any} data - Data returned by get() or getSync()
+   * @returns {boolean} True if the data marks a known-missing key
+   */
+  static isNotFound(data) {
+    return Boolean(data && data.notFound === true);
+  }
+
+  /**
+   * Remove a single item from cache (both persistent and memory)
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if the key existed in persistent storage
+   */
+  async delete(key) {
+    try {
+      this.memorySync.forget([key]);
+
+      if (!this.initialized) {
+        await this.init();
+      }
+
+      const removed = await this.backend.remove([key]);
+      this.sizeLimit.recordRemovals([key]);
+      if (removed === 0) {
+        console.log('[CacheManager] Nothing to delete for key:', key);
+        return false;
+      }
+
+      console.log('[CacheManager] Deleted cache entry:', key);
+      return true;
+    } catch (error) {
+      console.warn('[CacheManager] Error deleting cache item:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Clear all cache (both persistent and memory)
    * @returns {Promise<void>}
@@ -262,18 +611,23 @@ class CacheManager {
     try {
       console.log('[CacheManager] Clearing cache...');
 
-      // Clear memory cache
-      const memorySize = this.memoryCache.size;
-      this.memoryCache.clear();
-      console.log('[CacheManager] Cleared memory cache. Items removed:', memorySize);
-
-      // Clear persistent cache
+      // Clear persistent cache (first, so initializing here can't warm memory with cleared entries)
       try {
-        await chrome.storage.local.set({ [this.storageKey]: {} });
-        console.log('[CacheManager] Cleared persistent cache');
+        if (!this.initialized) {
+          await this.init();
+        }
+
+        await this.backend.clear();
+        this.sizeLimit.track([]);
+        console.log('[CacheManager] Cleared persistent cache. Backend:', this.backend.name);
       } catch (error) {
         console.warn('[CacheManager] Error clearing persistent cache:', error.message);
       }
+
+      // Clear memory cache and its session mirror
+      const memorySize = this.memoryCache.size;
+      await this.memorySync.clear();
+      console.log('[CacheManager] Cleared memory cache. Items removed:', memorySize);
     } catch (error) {
       console.error('[CacheManager] Error clearing cache:', error.message);
       throw error;
@@ -292,31 +646,43 @@ class CacheManager {
 
       let totalItems = this.memoryCache.size;
       let persistentItems = 0;
+      let notFoundItems = 0;
       let sizeEstimate = 0;
 
-      // Get persistent cache stats
+      // Get persistent cache stats from entry metadata (no entry data is read)
       try {
-        const result = await chrome.storage.local.get([this.storageKey]);
-        const cache = result[this.storageKey] || {};
-        persistentItems = Object.keys(cache).length;
+        const indexed = await this.backend.list();
+        persistentItems = indexed.length;
+        notFoundItems = indexed.filter(entry => entry.negative).length;
         // Use persistent items count as it's the source of truth for storage
         totalItems = persistentItems > 0 ? persistentItems : this.memoryCache.size;
 
         // Rough size estimate in bytes
-        sizeEstimate = JSON.stringify(cache).length;
+        sizeEstimate = indexed.reduce((total, entry) => total + (entry.size || 0), 0);
       } catch (error) {
         console.warn('[CacheManager] Error getting persistent cache stats:', error.message);
       }
 
       const duration = await this.getCacheDuration();
+      const negativeDuration = await this.getNegativeCacheDuration();
+      const staleAfterMinutes = await this.getStaleThreshold();
+      const sizeLimit = await this.sizeLimit.get();
 
       const stats = {
         totalItems,
         memoryItems: this.memoryCache.size,
         persistentItems,
+        notFoundItems,
         sizeEstimateBytes: sizeEstimate,
         sizeEstimateKb: Math.round(sizeEstimate / 1024),
         cacheDurationHours: duration,
+        negativeCacheHours: negativeDuration,
+        staleAfterMinutes,
+        cachePolicy: await this.freshness.getPolicy(),
+        backend: this.backend ? this.backend.name : null,
+        sizeLimit: { ...sizeLimit, maxItems: this.backend ? this.backend.maxEntries : null },
+        evictions: this.sizeLimit.getStats(),
+        integrity: this.integrity.getReport(),
       };
 
       console.log('[CacheManager] Cache stats:', stats);
@@ -327,37 +693,35 @@ class CacheManager {
         totalItems: 0,
         memoryItems: 0,
         persistentItems: 0,
+        notFoundItems: 0,
         sizeEstimateBytes: 0,
         sizeEstimateKb: 0,
         cacheDurationHours: 24,
+        negativeCacheHours: DEFAULT_NEGATIVE_CACHE_HOURS,
+        staleAfterMinutes: DEFAULT_STALE_AFTER_MINUTES,
+        cachePolicy: { ...CacheFreshness.DEFAULT_POLICY_SETTINGS },
+        backend: null,
+        sizeLimit: { value: null, unit: CacheSizeLimit.DEFAULT_UNIT, maxItems: null },
+        evictions: this.sizeLimit.getStats(),
+        integrity: this.integrity.getReport(),
       };
     }
   }
 
   /**
-   * Get detailed cache info (for debugging)
+   * Get detailed cache info (for debugging and the cache inspector, see CacheInspector)
+   * @param {Object} options - { includeData } - also return each entry's data (default: false)
    * @returns {Promise<Array>} Array of cache entries with metadata
    */
-  async getDetailedInfo() {
+  async getDetailedInfo(options = {}) {
     try {
-      const result = await chrome.storage.local.get([this.storageKey]);
-      const cache = result[this.storageKey] || {};
-      const durationMs = await this.getCacheDurationMs();
-      const now = Date.now();
+      if (!this.initialized) {
+        await this.init();
+      }
 
-      const entries = Object.entries(cache).map(([key, entry]) => {
-        const age = now - entry.timestamp;
-        const isExpired = age > durationMs;
-        return {
-          key,
-          ageMs: age,
-          ageHours: Math.round(age / (60 * 60 * 1000) * 10) / 10,
-          isExpired,
-          timestampMs: entry.timestamp,
-        };
-      });
+      const entries = await CacheInspector.list(this.backend, this.freshness, options);
 
-      console.log('[CacheManager] Detailed cache info:', entries);
+      console.log('[CacheManager] Detailed cache info:', entries.length, 'entries');
       return entries;
     } catch (error) {
       console.error('[CacheManager] Error getting detailed cache info:', error.message);
@@ -372,35 +736,24 @@ class CacheManager {
   async cleanupExpired() {
     try {
       console.log('[CacheManager] Starting cleanup of expired entries...');
-      const durationMs = await this.getCacheDurationMs();
+      if (!this.initialized) {
+        await this.init();
+      }
+
       const now = Date.now();
+      const isExpired = entry => this.freshness.isExpired(entry, now);
       let removedCount = 0;
 
       // Clean memory cache
-      for (const [key, entry] of this.memoryCache.entries()) {
-        if (now - entry.timestamp > durationMs) {
-          this.memoryCache.delete(key);
-          removedCount++;
-        }
-      }
+      const expiredInMemory = Array.from(this.memoryCache.entries()).filter(([, entry]) => isExpired(entry)).map(([key]) => key);
+      this.memorySync.forget(expiredInMemory);
+      removedCount += expiredInMemory.length;
 
-      // Clean persistent cache
+      // Clean persistent cache (timestamps come from entry metadata, no entry reads needed)
       try {
-        const result = await chrome.storage.local.get([this.storageKey]);
-        const cache = result[this.storageKey] || {};
-        let persistentRemoved = 0;
-
-        for (const [key, entry] of Object.entries(cache)) {
-          if (now - entry.timestamp > durationMs) {
-            delete cache[key];
-            persistentRemoved++;
-          }
-        }
-
-        if (persistentRemoved > 0) {
-          await chrome.storage.local.set({ [this.storageKey]: cache });
-          removedCount += persistentRemoved;
-        }
+        const expired = (await this.backend.list()).filter(isExpired).map(entry => entry.key);
+        removedCount += await this.backend.remove(expired);
+        this.sizeLimit.recordRemovals(expired);
       } catch (error) {
         console.warn('[CacheManager] Error cleaning persistent cache:', error.message);
       }
@@ -417,17 +770,14 @@ class CacheManager {
    * Check if cache entry is still valid
    * @private
    * @param {Object} entry - Cache entry with data and timestamp
-   * @returns {Promise<boolean>} True if entry is valid, false if expired
+   * @returns {boolean} True if entry is valid, false if expired or malformed
    */
-  async _isEntryValid(entry) {
+  _isEntryValid(entry) {
     try {
-      const durationMs = await this.getCacheDurationMs();
-      const now = Date.now();
-      const age = now - entry.timestamp;
-      const isValid = age <= durationMs;
+      const isValid = !CacheIntegrity.problemOf(entry) && !this.freshness.isExpired(entry);
 
       if (!isValid) {
-        console.log('[CacheManager] Entry validation failed. Age:', age, 'ms, Duration:', durationMs, 'ms');
+        console.log('[CacheManager] Entry validation failed. Age:', Date.now() - entry.timestamp, 'ms');
       }
 
       return isValid;
@@ -437,30 +787,14 @@ class CacheManager {
     }
   }
 
-  /**
-   * Remove oldest entries from cache to maintain size limit
-   * @private
-   * @param {Object} cache - Cache object
-   * @param {number} targetSize - Target number of entries to remove to
-   * @returns {Promise<void>}
-   */
-  async _cleanupOldestEntries(cache, targetSize) {
-    try {
-      const entries = Object.entries(cache)
-        .sort((a, b) => a[1].timestamp - b[1].timestamp)
-        .slice(0, Object.keys(cache).length - targetSize);
-
-      const removedKeys = entries.map(([key]) => key);
-      removedKeys.forEach(key => delete cache[key]);
-
-      console.log('[CacheManager] Removed oldest entries:', removedKeys.length);
-    } catch (error) {
-      console.error('[CacheManager] Error during oldest entries cleanup:', error.message);
-    }
-  }
 }
 
+CacheManager.DEFAULT_NEGATIVE_CACHE_HOURS = DEFAULT_NEGATIVE_CACHE_HOURS;
+CacheManager.DEFAULT_STALE_AFTER_MINUTES = DEFAULT_STALE_AFTER_MINUTES;
+CacheManager.BACKENDS = CacheBackends.NAMES;
+CacheManager.DEFAULT_BACKEND = CacheBackends.DEFAULT;
+CacheManager.SIZE_LIMIT_UNITS = CacheSizeLimit.UNITS;
+CacheManager.CACHE_POLICIES = CacheFreshness.POLICIES;
+
 // Export for use in modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = CacheManager;
-}
+export default CacheManager;
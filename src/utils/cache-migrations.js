@@ -0,0 +1,248 @@
+/**
+ * CacheMigrations - Schema versions of cached entries and settings, and the steps between them
+ *
+ * Every entry CacheManager writes carries `schemaVersion` (ENTRY_VERSION); entries written
+ * before versioning count as version 1. Settings in chrome.storage.sync carry
+ * `settingsSchemaVersion` the same way. When the extension is updated, the service worker
+ * runs every step newer than the stored version (chrome.runtime.onInstalled, reason 'update').
+ *
+ * Entries that can't be migrated (data that isn't a ratings record, or written by a newer
+ * version) are removed, so their titles are looked up again the next time they are shown
+ * instead of breaking badges. Until the update run reaches an entry, CacheManager migrates
+ * it on read (and when warming the memory cache).
+ *
+ * Entry versions:
+ * - 2: Entries are versioned. Ratings entries whose data isn't a ratings record (or a
+ *   not-found marker, for negative entries) are dropped. Records missing fields added since
+ *   (imdbID, match details) are kept - refreshing them matches the title again.
+ *   Other caches' entries are unchanged.
+ *
+ * Settings versions:
+ * - 2: Numeric settings saved as text become numbers; invalid ones are removed (default applies)
+ *
+ * @module CacheMigrations
+ */
+
+const ENTRY_VERSION = 2;
+const SETTINGS_VERSION = 2;
+
+// chrome.storage.sync key of the settings schema version
+const SETTINGS_VERSION_KEY = 'settingsSchemaVersion';
+
+// Cache holding ratings records (see buildRatingsRecord in the service worker)
+const RATINGS_CACHE = 'netflix_ratings_cache';
+
+// Settings holding positive integers (cacheSizeLimit may also be null, for no limit)
+const NUMERIC_SETTINGS = [
+  'cacheDurationHours',
+  'negativeCacheHours',
+  'staleAfterMinutes',
+  'maxConcurrentRequests',
+  'cacheSizeLimit',
+  'adaptiveTtlMinHours',
+  'adaptiveTtlMaxHours',
+];
+
+// Entries read and rewritten at a time while migrating a cache
+const MIGRATION_BATCH_SIZE = 100;
+
+/**
+ * Entry steps, in order - each brings an entry from `version - 1` to `version`
+ * migrate(entry, storageKey) returns the migrated entry, or null if it can't be migrated
+ */
+const ENTRY_MIGRATIONS = [
+  {
+    version: 2,
+    migrate: (entry, storageKey) => (storageKey === RATINGS_CACHE ? checkRatingsRecord(entry) : entry),
+  },
+];
+
+/**
+ * Settings steps, in order - each brings the settings from `version - 1` to `version`
+ * migrate(settings) returns the changed settings, with undefined for those to remove
+ */
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 2,
+    migrate: normalizeNumericSettings,
+  },
+];
+
+/**
+ * Keep a ratings entry only if its data is something badges can show
+ * @param {Object} entry - Ratings cache entry
+ * @returns {Object|null} The entry, or null if its data isn't a ratings record / not-found marker
+ */
+function checkRatingsRecord(entry) {
+  const data = entry.data;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return null;
+  }
+  if (entry.negative && data.notFound !== true) {
+    return null;
+  }
+
+  return entry;
+}
+
+/**
+ * Turn numeric settings saved as text into numbers, and remove invalid ones
+ * @param {Object} settings - All chrome.storage.sync items
+ * @returns {Object} Changed settings (undefined = remove)
+ */
+function normalizeNumericSettings(settings) {
+  const changes = {};
+
+  NUMERIC_SETTINGS.filter(key => key in settings).forEach((key) => {
+    const value = settings[key];
+    if ((Number.isInteger(value) && value > 0) || (key === 'cacheSizeLimit' && value === null)) {
+      return;
+    }
+
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+    changes[key] = Number.isInteger(number) && number > 0 ? number : undefined;
+  });
+
+  return changes;
+}
+
+class CacheMigrations {
+  /**
+   * Schema version of an entry (1 if it predates versioning)
+   * @param {Object} entry - Cached entry
+   * @returns {number}
+   */
+  static versionOf(entry) {
+    return entry.schemaVersion || 1;
+  }
+
+  /**
+   * Check whether an entry is at the current schema version
+   * @param {Object} entry - Cached entry
+   * @returns {boolean}
+   */
+  static isCurrent(entry) {
+    return CacheMigrations.versionOf(entry) === ENTRY_VERSION;
+  }
+
+  /**
+   * Bring an entry to the current schema version
+   * @param {Object} entry - Cached entry { key?, data, timestamp, schemaVersion?, ... }
+   * @param {string} storageKey - Cache the entry belongs to
+   * @returns {Object|null} The entry (migrated copy if it was older), or null if it can't be migrated
+   */
+  static upgradeEntry(entry, storageKey) {
+    const version = CacheMigrations.versionOf(entry);
+    if (version === ENTRY_VERSION) {
+      return entry;
+    }
+    if (version > ENTRY_VERSION) {
+      // Written by a newer version of the extension - re-fetch rather than guess
+      return null;
+    }
+
+    let migrated = entry;
+    for (const step of ENTRY_MIGRATIONS.filter(({ version: stepVersion }) => stepVersion > version)) {
+      migrated = step.migrate(migrated, storageKey);
+      if (!migrated) {
+        return null;
+      }
+    }
+
+    return { ...migrated, schemaVersion: ENTRY_VERSION };
+  }
+
+  /**
+   * Migrate every outdated entry in a backend, removing those that can't be migrated
+   * Last access times are kept, so migrating doesn't change which entries are evicted first
+   * @param {Object} backend - Opened storage backend
+   * @param {string} storageKey - Cache name
+   * @returns {Promise<Object>} { migrated, removedKeys }
+   */
+  static async migrateBackend(backend, storageKey) {
+    const lastAccessByKey = new Map((await backend.list()).map(({ key, lastAccess }) => [key, lastAccess]));
+    const keys = [...lastAccessByKey.keys()];
+    const removedKeys = [];
+    let migrated = 0;
+
+    for (let i = 0; i < keys.length; i += MIGRATION_BATCH_SIZE) {
+      const entries = await backend.getMany(keys.slice(i, i + MIGRATION_BATCH_SIZE));
+
+      for (const entry of entries.filter(stored => !CacheMigrations.isCurrent(stored))) {
+        const upgraded = CacheMigrations.upgradeEntry(entry, storageKey);
+        if (upgraded) {
+          await backend.put(upgraded, lastAccessByKey.get(entry.key));
+          migrated++;
+        } else {
+          removedKeys.push(entry.key);
+        }
+      }
+    }
+
+    if (removedKeys.length > 0) {
+      await backend.remove(removedKeys);
+    }
+
+    console.log('[CacheMigrations] Migrated', storageKey, '- updated:', migrated, 'removed:', removedKeys.length);
+    return { migrated, removedKeys };
+  }
+
+  /**
+   * Run the settings steps newer than the saved settings version
+   * @returns {Promise<Object>} { from, to } - settings versions before and after
+   */
+  static async migrateSettings() {
+    const settings = await chrome.storage.sync.get(null);
+    const from = settings[SETTINGS_VERSION_KEY] || 1;
+    if (from >= SETTINGS_VERSION) {
+      return { from, to: from };
+    }
+
+    const changes = {};
+    for (const step of SETTINGS_MIGRATIONS.filter(({ version }) => version > from)) {
+      const stepChanges = step.migrate({ ...settings, ...changes });
+      Object.assign(changes, stepChanges);
+    }
+
+    const removed = Object.keys(changes).filter(key => changes[key] === undefined);
+    const updated = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+
+    if (removed.length > 0) {
+      await chrome.storage.sync.remove(removed);
+    }
+    await chrome.storage.sync.set({ ...updated, [SETTINGS_VERSION_KEY]: SETTINGS_VERSION });
+
+    console.log('[CacheMigrations] Migrated settings from version', from, 'to', SETTINGS_VERSION, '- updated:', Object.keys(updated), 'removed:', removed);
+    return { from, to: SETTINGS_VERSION };
+  }
+
+  /**
+   * Migrate settings, then every cache - run once after an extension update
+   * A failing cache doesn't stop the others; its old entries are still migrated on read
+   * @param {CacheManager[]} caches - Caches to migrate
+   * @returns {Promise<Object>} { settings: { from, to }, caches: { [storageKey]: { migrated, removed } } }
+   */
+  static async run(caches) {
+    console.log('[CacheMigrations] Running migrations...');
+    const results = { settings: await CacheMigrations.migrateSettings(), caches: {} };
+
+    for (const cache of caches) {
+      try {
+        results.caches[cache.storageKey] = await cache.migrate();
+      } catch (error) {
+        console.error('[CacheMigrations] Error migrating', cache.storageKey, ':', error.message);
+        results.caches[cache.storageKey] = { error: error.message };
+      }
+    }
+
+    console.log('[CacheMigrations] Migrations complete:', results);
+    return results;
+  }
+}
+
+CacheMigrations.ENTRY_VERSION = ENTRY_VERSION;
+CacheMigrations.SETTINGS_VERSION = SETTINGS_VERSION;
+CacheMigrations.SETTINGS_VERSION_KEY = SETTINGS_VERSION_KEY;
+
+// Export for use in modules
+export default CacheMigrations;
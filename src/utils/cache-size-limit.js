@@ -0,0 +1,265 @@
+/**
+ * CacheSizeLimit - Size limit setting and LRU eviction bookkeeping for CacheManager
+ *
+ * The limit is a number of items or of KB, stored in chrome.storage.sync
+ * (`cacheSizeLimit`, `cacheSizeLimitUnit`). It applies to the ratings cache only, so the
+ * setting is what the ratings cache may hold rather than a per-cache share: raw OMDB
+ * responses (`omdb_response_cache`) are kept just to spare repeat lookups while matching,
+ * and are capped by their backend's maximum alone. When the ratings cache outgrows the
+ * limit, the least recently used entries go first - a title checked every week outlives
+ * one-off lookups written after it. A backend's own maximum item count always applies,
+ * configured or not.
+ *
+ * The limit and each stored entry's estimated size are held in memory - loaded on init and
+ * kept in step with writes and removals - so a write only lists the backend's entries when
+ * the cache has actually outgrown the limit.
+ *
+ * Evictions are counted per cache in chrome.storage.local (`<storageKey>_evictions`)
+ * so the popup can show them across service worker restarts.
+ *
+ * @module CacheSizeLimit
+ */
+
+// chrome.storage.sync keys of the limit, and its units
+const SIZE_LIMIT_KEY = 'cacheSizeLimit';
+const SIZE_LIMIT_UNIT_KEY = 'cacheSizeLimitUnit';
+const SIZE_LIMIT_UNITS = ['items', 'kb'];
+const DEFAULT_SIZE_LIMIT_UNIT = 'items';
+
+// Caches the configured limit applies to
+const LIMITED_CACHES = ['netflix_ratings_cache'];
+
+class CacheSizeLimit {
+  /**
+   * @param {string} storageKey - Cache name, used for the eviction counters key
+   */
+  constructor(storageKey) {
+    this.statsKey = `${storageKey}_evictions`;
+    this.configurable = LIMITED_CACHES.includes(storageKey);
+    this.evictions = { count: 0, bytes: 0, lastEvictedAt: null };
+
+    // Limit in effect, refreshed by get() and set()
+    this.limit = { value: null, unit: DEFAULT_SIZE_LIMIT_UNIT };
+
+    // key → estimated size in bytes of every stored entry, and their total
+    this.sizes = new Map();
+    this.bytes = 0;
+  }
+
+  /**
+   * Get the configured limit (and hold it in memory)
+   * @returns {Promise<Object>} { value, unit } - value is null when only the backend maximum applies
+   */
+  async get() {
+    if (!this.configurable) {
+      return { ...this.limit };
+    }
+
+    try {
+      const result = await chrome.storage.sync.get([SIZE_LIMIT_KEY, SIZE_LIMIT_UNIT_KEY]);
+      const value = result[SIZE_LIMIT_KEY];
+      const unit = result[SIZE_LIMIT_UNIT_KEY];
+
+      this.limit = {
+        value: Number.isInteger(value) && value > 0 ? value : null,
+        unit: SIZE_LIMIT_UNITS.includes(unit) ? unit : DEFAULT_SIZE_LIMIT_UNIT,
+      };
+    } catch (error) {
+      console.error('[CacheSizeLimit] Error getting cache size limit:', error.message);
+    }
+
+    return { ...this.limit };
+  }
+
+  /**
+   * Validate and save the limit
+   * @param {number|null} value - Number of items or KB, or null for the backend maximum
+   * @param {string} unit - 'items' or 'kb'
+   * @returns {Promise<void>}
+   */
+  async set(value, unit) {
+    if (!this.configurable) {
+      throw new Error('The cache size limit only applies to the ratings cache');
+    }
+    if (value !== null && (!Number.isInteger(value) || value <= 0)) {
+      throw new Error('Cache size limit must be a positive integer');
+    }
+    if (!SIZE_LIMIT_UNITS.includes(unit)) {
+      throw new Error(`Cache size limit unit must be one of: ${SIZE_LIMIT_UNITS.join(', ')}`);
+    }
+
+    console.log('[CacheSizeLimit] Setting cache size limit to:', value, unit);
+    await chrome.storage.sync.set({ [SIZE_LIMIT_KEY]: value, [SIZE_LIMIT_UNIT_KEY]: unit });
+    this.limit = { value, unit };
+  }
+
+  /**
+   * Start tracking the entries of a (newly opened) backend
+   * @param {Object[]} entries - Backend metadata [{ key, size }]
+   */
+  track(entries) {
+    this.sizes = new Map(entries.map(entry => [entry.key, entry.size || 0]));
+    this.bytes = entries.reduce((total, entry) => total + (entry.size || 0), 0);
+  }
+
+  /**
+   * Record a written entry, sized the way the backends size it
+   * @param {Object} entry - Entry as stored { key, data, timestamp, ... }
+   */
+  recordWrite(entry) {
+    const size = JSON.stringify(entry).length;
+    this.bytes += size - (this.sizes.get(entry.key) || 0);
+    this.sizes.set(entry.key, size);
+  }
+
+  /**
+   * Record removed entries
+   * @param {string[]} keys - Cache keys (untracked ones are ignored)
+   */
+  recordRemovals(keys) {
+    keys.filter(key => this.sizes.has(key)).forEach((key) => {
+      this.bytes -= this.sizes.get(key);
+      this.sizes.delete(key);
+    });
+  }
+
+  /**
+   * Check whether the tracked entries outgrow the limit
+   * @param {number} maxItems - Backend maximum item count
+   * @returns {boolean}
+   */
+  isOverLimit(maxItems) {
+    const { itemLimit, byteLimit } = CacheSizeLimit.boundsOf(this.limit, maxItems);
+    return this.sizes.size > itemLimit || this.bytes > byteLimit;
+  }
+
+  /**
+   * Evict least recently used entries if the cache outgrew the limit
+   * The backend is only listed then, and its listing replaces the tracked sizes
+   * @param {Object} backend - Cache backend
+   * @returns {Promise<string[]>} Keys evicted
+   */
+  async enforce(backend) {
+    if (!this.isOverLimit(backend.maxEntries)) {
+      return [];
+    }
+
+    const entries = await backend.list();
+    this.track(entries);
+
+    const victims = this.selectVictims(entries, this.limit, backend.maxEntries);
+    if (victims.keys.length === 0) {
+      return [];
+    }
+
+    const evicted = await backend.remove(victims.keys);
+    this.recordRemovals(victims.keys);
+    await this.recordEvictions(evicted, victims.bytes);
+
+    console.log('[CacheSizeLimit] Evicted', evicted, 'least recently used entries. Limit:', this.limit.value || backend.maxEntries, this.limit.value ? this.limit.unit : 'items');
+    return victims.keys;
+  }
+
+  /**
+   * Pick the least recently used entries to evict so the rest fit the limit
+   * Entries without a last access fall back to their write time
+   * @param {Object[]} entries - Backend metadata [{ key, timestamp, lastAccess?, size }]
+   * @param {Object} limit - { value, unit } from get()
+   * @param {number} maxItems - Backend maximum item count
+   * @returns {Object} { keys, bytes } - keys to evict and their estimated size in bytes
+   */
+  selectVictims(entries, limit, maxItems) {
+    const { itemLimit, byteLimit } = CacheSizeLimit.boundsOf(limit, maxItems);
+
+    let items = entries.length;
+    let bytes = entries.reduce((total, entry) => total + (entry.size || 0), 0);
+    const victims = { keys: [], bytes: 0 };
+
+    if (items <= itemLimit && bytes <= byteLimit) {
+      return victims;
+    }
+
+    const byLastUse = [...entries].sort((a, b) => (a.lastAccess || a.timestamp) - (b.lastAccess || b.timestamp));
+
+    for (const entry of byLastUse) {
+      if (items <= itemLimit && bytes <= byteLimit) {
+        break;
+      }
+
+      victims.keys.push(entry.key);
+      victims.bytes += entry.size || 0;
+      items--;
+      bytes -= entry.size || 0;
+    }
+
+    return victims;
+  }
+
+  /**
+   * Item and byte bounds of a limit
+   * @param {Object} limit - { value, unit }
+   * @param {number} maxItems - Backend maximum item count
+   * @returns {Object} { itemLimit, byteLimit } - Infinity where unbounded
+   */
+  static boundsOf(limit, maxItems) {
+    return {
+      itemLimit: Math.min(limit.unit === 'items' && limit.value ? limit.value : Infinity, maxItems),
+      byteLimit: limit.unit === 'kb' && limit.value ? limit.value * 1024 : Infinity,
+    };
+  }
+
+  /**
+   * Load the limit and the eviction counters saved by earlier service worker runs
+   * @returns {Promise<void>}
+   */
+  async load() {
+    await this.get();
+
+    try {
+      const result = await chrome.storage.local.get([this.statsKey]);
+      if (result[this.statsKey]) {
+        this.evictions = { ...this.evictions, ...result[this.statsKey] };
+      }
+    } catch (error) {
+      console.warn('[CacheSizeLimit] Error loading eviction stats:', error.message);
+    }
+  }
+
+  /**
+   * Add evicted entries to the eviction counters
+   * @param {number} count - Entries evicted
+   * @param {number} bytes - Their estimated size in bytes
+   * @returns {Promise<void>}
+   */
+  async recordEvictions(count, bytes) {
+    if (count === 0) {
+      return;
+    }
+
+    this.evictions = {
+      count: this.evictions.count + count,
+      bytes: this.evictions.bytes + bytes,
+      lastEvictedAt: Date.now(),
+    };
+
+    try {
+      await chrome.storage.local.set({ [this.statsKey]: this.evictions });
+    } catch (error) {
+      console.warn('[CacheSizeLimit] Error saving eviction stats:', error.message);
+    }
+  }
+
+  /**
+   * Get the eviction counters
+   * @returns {Object} { count, bytes, lastEvictedAt }
+   */
+  getStats() {
+    return { ...this.evictions };
+  }
+}
+
+CacheSizeLimit.UNITS = SIZE_LIMIT_UNITS;
+CacheSizeLimit.DEFAULT_UNIT = DEFAULT_SIZE_LIMIT_UNIT;
+
+// Export for use in modules
+export default CacheSizeLimit;
@@ -0,0 +1,322 @@
+/**
+ * ChromeStorageBackend - CacheManager storage backend on chrome.storage.local
+ *
+ * Every entry is its own key, `<prefix>:<hash>` (e.g. `nr:1f3a9c0b2d4e6f` for the
+ * ratings cache), so reads and writes touch a single entry instead of the whole cache.
+ * A small index at `<prefix>:index` records each entry's key, timestamp, last access and
+ * size for stats, cleanup and LRU eviction. Index updates are serialized through a mutex
+ * so concurrent put() calls can't drop each other's entries. Reads only update last access
+ * in the in-memory index; it is saved with the next write. Caches saved in the old single-object
+ * format (everything under `storageKey`) are migrated on init().
+ *
+ * chrome.storage.local is small, so CacheManager keeps at most 500 entries here. It is
+ * the fallback when IndexedDB is unavailable or not selected (see IndexedDbBackend).
+ *
+ * @module ChromeStorageBackend
+ */
+
+const BACKEND_NAME = 'chromeStorage';
+
+// Per-entry storage key prefix for each known cache (other caches use their storage key)
+const ENTRY_PREFIXES = {
+  netflix_ratings_cache: 'nr',
+  omdb_response_cache: 'omdb',
+};
+
+// Most entries CacheManager keeps in this backend, whatever the configured limit
+const MAX_ENTRIES = 500;
+
+class ChromeStorageBackend {
+  /**
+   * @param {string} storageKey - Cache name, also the key of the old single-object format
+   */
+  constructor(storageKey) {
+    this.name = BACKEND_NAME;
+    this.storageKey = storageKey;
+    this.maxEntries = MAX_ENTRIES;
+
+    // Per-entry storage keys: `${entryPrefix}:<hash>`, index at `${entryPrefix}:index`
+    this.entryPrefix = ENTRY_PREFIXES[storageKey] || storageKey;
+    this.indexKey = `${this.entryPrefix}:index`;
+
+    // hash → { key, timestamp, lastAccess, negative?, ttl?, size } for every persisted entry
+    this.index = {};
+
+    // Tail of the queue of index-changing operations (see _withLock)
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Load the entry index, migrating the old single-object cache if present
+   * @returns {Promise<void>}
+   */
+  async init() {
+    await this._withLock(() => this._loadIndex());
+  }
+
+  /**
+   * Read a single entry and record the access
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry { key, data, timestamp, negative? } or null
+   */
+  async get(key) {
+    const hash = ChromeStorageBackend.hashKey(key);
+    const entryKey = this._getEntryKeyForHash(hash);
+    const result = await chrome.storage.local.get([entryKey]);
+    const entry = result[entryKey];
+
+    // The stored key guards against hash collisions
+    if (!entry || entry.key !== key) {
+      return null;
+    }
+
+    // Saved with the next put()/remove(), which write the whole index anyway
+    if (this.index[hash]) {
+      this.index[hash].lastAccess = Date.now();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Read several entries in one call, without recording access (e.g. to warm a memory cache)
+   * @param {string[]} keys - Cache keys
+   * @returns {Promise<Object[]>} Entries found, in key order
+   */
+  async getMany(keys) {
+    const entryKeys = keys.map(key => this._getEntryKeyForHash(ChromeStorageBackend.hashKey(key)));
+    const result = await chrome.storage.local.get(entryKeys);
+
+    return entryKeys
+      .map((entryKey, i) => result[entryKey] && result[entryKey].key === keys[i] ? result[entryKey] : null)
+      .filter(Boolean);
+  }
+
+  /**
+   * Write an entry under its own key
+   * @param {Object} entry - Entry { key, data, timestamp, negative? }
+   * @param {number} lastAccess - Last use time (default: now; kept when copying between backends)
+   * @returns {Promise<void>}
+   */
+  async put(entry, lastAccess = Date.now()) {
+    await this._withLock(async () => {
+      const hash = ChromeStorageBackend.hashKey(entry.key);
+      this.index[hash] = this._createIndexEntry(entry, lastAccess);
+
+      await chrome.storage.local.set({ [this._getEntryKeyForHash(hash)]: entry, [this.indexKey]: this.index });
+
+      console.log('[ChromeStorageBackend] Stored:', entry.key, 'Total items:', Object.keys(this.index).length);
+    });
+  }
+
+  /**
+   * Remove entries
+   * @param {string[]} keys - Cache keys
+   * @returns {Promise<number>} Number of indexed entries removed
+   */
+  async remove(keys) {
+    const hashes = keys
+      .map(key => ChromeStorageBackend.hashKey(key))
+      .filter((hash, i) => this.index[hash] && this.index[hash].key === keys[i]);
+
+    await this._withLock(() => this._removeEntries(hashes));
+    return hashes.length;
+  }
+
+  /**
+   * List every entry's metadata (after any pending writes)
+   * @returns {Promise<Object[]>} [{ key, timestamp, lastAccess, negative?, ttl?, size }]
+   */
+  async list() {
+    return this._withLock(() => Object.values(this.index).map(entry => ({ ...entry })));
+  }
+
+  /**
+   * Remove every key with this cache's prefix, indexed or not
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._withLock(async () => {
+      const all = await chrome.storage.local.get(null);
+      const keys = Object.keys(all).filter(storageKey => storageKey.startsWith(`${this.entryPrefix}:`));
+
+      this.index = {};
+      await chrome.storage.local.remove(keys);
+      console.log('[ChromeStorageBackend] Cleared', this.entryPrefix, 'Keys removed:', keys.length);
+    });
+  }
+
+  /**
+   * Map a chrome.storage.onChanged change to the entry of this cache it affects
+   * @param {string} storageKey - Changed chrome.storage.local key
+   * @param {Object} change - { oldValue?, newValue? }
+   * @returns {Object|null} { key, entry } (entry null if removed), or null for other keys
+   */
+  entryFromChange(storageKey, change) {
+    if (!storageKey.startsWith(`${this.entryPrefix}:`) || storageKey === this.indexKey) {
+      return null;
+    }
+
+    const stored = change.newValue || change.oldValue;
+    if (!stored || typeof stored.key !== 'string') {
+      return null;
+    }
+
+    return { key: stored.key, entry: change.newValue || null };
+  }
+
+  /**
+   * Run an index-changing operation after every earlier one has finished
+   * Keeps concurrent put()/remove()/clear() calls from overwriting each other's index
+   * @private
+   * @param {Function} operation - Async function to run exclusively
+   * @returns {Promise<any>} Result of the operation
+   */
+  _withLock(operation) {
+    const run = this.lock.then(operation, operation);
+    // A failed operation must not block the ones queued after it
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load the entry index, migrating the old single-object cache if present
+   * Must run under the lock
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _loadIndex() {
+    try {
+      const result = await chrome.storage.local.get([this.indexKey, this.storageKey]);
+      const index = result[this.indexKey];
+      this.index = index && typeof index === 'object' ? { ...index } : {};
+
+      // Index records without a key can't be read or removed - drop them along with the
+      // entries they point to, which nothing would clean up otherwise (see CacheIntegrity)
+      const keyless = Object.keys(this.index).filter(hash => !this.index[hash] || typeof this.index[hash].key !== 'string');
+      if (keyless.length > 0) {
+        await this._removeEntries(keyless);
+        console.warn('[ChromeStorageBackend] Removed', keyless.length, 'entries with unreadable index records');
+      }
+
+      const legacy = result[this.storageKey];
+      if (legacy && typeof legacy === 'object') {
+        await this._migrateLegacyCache(legacy);
+      }
+
+      console.log('[ChromeStorageBackend] Entry index loaded. Items:', Object.keys(this.index).length);
+    } catch (error) {
+      // get() still reads entries directly; only stats and cleanup rely on the index
+      console.warn('[ChromeStorageBackend] Error loading entry index:', error.message);
+    }
+  }
+
+  /**
+   * Move entries from the old single-object format to one key per entry
+   * Entries already stored per key win if they are newer. Must run under the lock
+   * @private
+   * @param {Object} legacy - Old cache object { key: { data, timestamp, negative? } }
+   * @returns {Promise<void>}
+   */
+  async _migrateLegacyCache(legacy) {
+    const items = {};
+
+    for (const [key, entry] of Object.entries(legacy)) {
+      if (!entry || typeof entry.timestamp !== 'number') {
+        continue;
+      }
+
+      const hash = ChromeStorageBackend.hashKey(key);
+      const existing = this.index[hash];
+      if (existing && existing.timestamp >= entry.timestamp) {
+        continue;
+      }
+
+      const stored = { key, ...entry };
+      items[this._getEntryKeyForHash(hash)] = stored;
+      this.index[hash] = this._createIndexEntry(stored, entry.timestamp);
+    }
+
+    await chrome.storage.local.set({ ...items, [this.indexKey]: this.index });
+    await chrome.storage.local.remove(this.storageKey);
+    console.log('[ChromeStorageBackend] Migrated', Object.keys(items).length, 'entries from', this.storageKey, 'to per-key storage');
+  }
+
+  /**
+   * Remove entries from storage and the index. Must run under the lock
+   * @private
+   * @param {string[]} hashes - Hashes of the entries to remove
+   * @returns {Promise<void>}
+   */
+  async _removeEntries(hashes) {
+    if (hashes.length === 0) {
+      return;
+    }
+
+    hashes.forEach(hash => delete this.index[hash]);
+    await chrome.storage.local.remove(hashes.map(hash => this._getEntryKeyForHash(hash)));
+    await chrome.storage.local.set({ [this.indexKey]: this.index });
+  }
+
+  /**
+   * Build the index record for a stored entry
+   * @private
+   * @param {Object} stored - Stored entry { key, data, timestamp, negative? }
+   * @param {number} lastAccess - Last read or write time
+   * @returns {Object} Index record { key, timestamp, lastAccess, negative?, ttl?, size }
+   */
+  _createIndexEntry(stored, lastAccess) {
+    const indexEntry = {
+      key: stored.key,
+      timestamp: stored.timestamp,
+      lastAccess,
+      size: JSON.stringify(stored).length,
+    };
+
+    if (stored.negative) {
+      indexEntry.negative = true;
+    }
+    if (stored.ttl) {
+      indexEntry.ttl = stored.ttl;
+    }
+
+    return indexEntry;
+  }
+
+  /**
+   * @private
+   * @param {string} hash - Hashed cache key
+   * @returns {string} chrome.storage.local key holding the entry
+   */
+  _getEntryKeyForHash(hash) {
+    return `${this.entryPrefix}:${hash}`;
+  }
+
+  /**
+   * Hash a cache key into a short, storage-safe string (53-bit cyrb53, hex)
+   * @param {string} key - Cache key
+   * @returns {string} Hex hash
+   */
+  static hashKey(key) {
+    const text = String(key);
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+  }
+}
+
+ChromeStorageBackend.NAME = BACKEND_NAME;
+ChromeStorageBackend.MAX_ENTRIES = MAX_ENTRIES;
+
+// Export for use in modules
+export default ChromeStorageBackend;
@@ -0,0 +1,344 @@
+/**
+ * IndexedDbBackend - CacheManager storage backend on IndexedDB
+ *
+ * chrome.storage.local caps the cache at a few hundred entries; IndexedDB (with the
+ * `unlimitedStorage` permission) holds thousands, which heavy users browsing large
+ * libraries need. Every cache shares one database and one object store, keyed by
+ * [cache, key], with indexes on:
+ * - timestamp  ([cache, timestamp])  - age-based cleanup
+ * - lastAccess ([cache, lastAccess]) - when an entry was last read or written (LRU eviction)
+ * - imdbID     ([cache, imdbID])     - every entry for an OMDB title
+ *
+ * Records: { cache, key, data, timestamp, schemaVersion?, negative?, ttl?, stableChecks?, changedAt?, imdbID?, lastAccess, size }
+ *
+ * Entry metadata (everything but data) is loaded into memory on init(), so list() -
+ * used for stats, cleanup and eviction on every write - doesn't read entry data.
+ *
+ * Selected through the `cacheBackend` setting (see CacheBackends); chrome.storage.local
+ * (ChromeStorageBackend) remains the fallback when IndexedDB can't be opened.
+ *
+ * @module IndexedDbBackend
+ */
+
+const BACKEND_NAME = 'indexedDB';
+
+const DB_NAME = 'netflix-ratings-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+// Most entries CacheManager keeps in this backend, whatever the configured limit
+const MAX_ENTRIES = 20000;
+
+// Optional entry fields stored as-is
+const ENTRY_FIELDS = ['schemaVersion', 'negative', 'ttl', 'stableChecks', 'changedAt'];
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<any>} Request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Open transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+class IndexedDbBackend {
+  /**
+   * @param {string} cacheName - Cache name (CacheManager storage key), stored with every record
+   */
+  constructor(cacheName) {
+    this.name = BACKEND_NAME;
+    this.cacheName = cacheName;
+    this.maxEntries = MAX_ENTRIES;
+    this.db = null;
+
+    // Pending open, shared by concurrent init() calls
+    this.opening = null;
+
+    // key → { key, timestamp, lastAccess, negative?, size, imdbID? } for every stored entry
+    this.meta = new Map();
+  }
+
+  /**
+   * Check whether IndexedDB exists in this context
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Open (and create or upgrade) the database and load entry metadata
+   * Concurrent calls wait for the same open
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this.db) {
+      return;
+    }
+
+    if (!this.opening) {
+      this.opening = this._open().finally(() => {
+        this.opening = null;
+      });
+    }
+    await this.opening;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _open() {
+    if (!IndexedDbBackend.isAvailable()) {
+      throw new Error('IndexedDB not available');
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => IndexedDbBackend._upgrade(request.result);
+
+    const db = await requestToPromise(request);
+
+    // Another context is upgrading the schema - let it, and reopen on next use
+    db.onversionchange = () => this.close();
+
+    const records = await requestToPromise(
+      db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('cache').getAll(this.cacheName),
+    );
+    this.meta = new Map(records.map(record => [record.key, IndexedDbBackend._toMeta(record)]));
+    this.db = db;
+
+    console.log('[IndexedDbBackend] Opened database for cache:', this.cacheName, 'Items:', this.meta.size);
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Read a single entry and record the access
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry { key, data, timestamp, negative? } or null
+   */
+  async get(key) {
+    const store = await this._store('readwrite');
+    const record = await requestToPromise(store.get([this.cacheName, key]));
+
+    if (!record) {
+      return null;
+    }
+
+    record.lastAccess = Date.now();
+    store.put(record);
+    this.meta.set(key, IndexedDbBackend._toMeta(record));
+
+    return IndexedDbBackend._toEntry(record);
+  }
+
+  /**
+   * Read several entries in one transaction, without recording access (e.g. to warm a memory cache)
+   * @param {string[]} keys - Cache keys
+   * @returns {Promise<Object[]>} Entries found, in key order
+   */
+  async getMany(keys) {
+    if (keys.length === 0) {
+      return [];
+    }
+
+    const store = await this._store('readonly');
+    const records = await Promise.all(keys.map(key => requestToPromise(store.get([this.cacheName, key]))));
+
+    return records.filter(Boolean).map(record => IndexedDbBackend._toEntry(record));
+  }
+
+  /**
+   * Write an entry
+   * @param {Object} entry - Entry { key, data, timestamp, negative? }
+   * @param {number} lastAccess - Last use time (default: now; kept when copying between backends)
+   * @returns {Promise<void>}
+   */
+  async put(entry, lastAccess = Date.now()) {
+    const record = {
+      cache: this.cacheName,
+      key: entry.key,
+      data: entry.data,
+      timestamp: entry.timestamp,
+      lastAccess,
+      size: JSON.stringify(entry).length,
+    };
+
+    // Schema version, negative flag and adaptive TTL history (see AdaptiveTtl), when set
+    ENTRY_FIELDS.filter(field => entry[field] !== undefined).forEach((field) => { record[field] = entry[field]; });
+
+    // Index ratings records and raw OMDB responses by title - OmdbService stores each
+    // response wrapped as { data, timestamp }
+    const payload = entry.data && entry.data.data ? entry.data.data : entry.data;
+    const imdbID = payload && payload.imdbID;
+    if (imdbID) {
+      record.imdbID = imdbID;
+    }
+
+    const store = await this._store('readwrite');
+    store.put(record);
+    await transactionDone(store.transaction);
+
+    this.meta.set(entry.key, IndexedDbBackend._toMeta(record));
+    console.log('[IndexedDbBackend] Stored:', entry.key, 'Total items:', this.meta.size);
+  }
+
+  /**
+   * Remove entries
+   * @param {string[]} keys - Cache keys
+   * @returns {Promise<number>} Number of entries that existed and were removed
+   */
+  async remove(keys) {
+    if (keys.length === 0) {
+      return 0;
+    }
+
+    const store = await this._store('readwrite');
+    const existing = await Promise.all(keys.map(key => requestToPromise(store.getKey([this.cacheName, key]))));
+
+    keys.forEach(key => store.delete([this.cacheName, key]));
+    await transactionDone(store.transaction);
+
+    keys.forEach(key => this.meta.delete(key));
+
+    return existing.filter(found => found !== undefined).length;
+  }
+
+  /**
+   * List every entry's metadata
+   * @returns {Promise<Object[]>} [{ key, timestamp, lastAccess, negative?, size, imdbID? }]
+   */
+  async list() {
+    await this.init();
+    return Array.from(this.meta.values(), meta => ({ ...meta }));
+  }
+
+  /**
+   * Keys of every entry stored for an IMDb ID
+   * @param {string} imdbID - IMDb ID (e.g. 'tt0903747')
+   * @returns {Promise<string[]>} Cache keys
+   */
+  async findKeysByImdbId(imdbID) {
+    const store = await this._store('readonly');
+    const primaryKeys = await requestToPromise(store.index('imdbID').getAllKeys([this.cacheName, imdbID]));
+
+    return primaryKeys.map(([, key]) => key);
+  }
+
+  /**
+   * Remove every entry of this cache
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const store = await this._store('readwrite');
+
+    // [cache] sorts before every [cache, key] and [cache, []] after them
+    store.delete(IDBKeyRange.bound([this.cacheName], [this.cacheName, []]));
+    await transactionDone(store.transaction);
+    this.meta.clear();
+
+    console.log('[IndexedDbBackend] Cleared cache:', this.cacheName);
+  }
+
+  /**
+   * Open a transaction on the entries store, reopening the database if needed
+   * @private
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @returns {Promise<IDBObjectStore>}
+   */
+  async _store(mode) {
+    await this.init();
+    return this.db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+
+  /**
+   * Create the object store and its indexes
+   * @private
+   * @param {IDBDatabase} db - Database being upgraded
+   */
+  static _upgrade(db) {
+    console.log('[IndexedDbBackend] Creating database schema version', DB_VERSION);
+
+    const store = db.createObjectStore(STORE_NAME, { keyPath: ['cache', 'key'] });
+    store.createIndex('cache', 'cache');
+    store.createIndex('timestamp', ['cache', 'timestamp']);
+    store.createIndex('lastAccess', ['cache', 'lastAccess']);
+    store.createIndex('imdbID', ['cache', 'imdbID']);
+  }
+
+  /**
+   * Metadata kept in memory for a record
+   * @private
+   * @param {Object} record - Stored record
+   * @returns {Object} { key, timestamp, lastAccess, negative?, ttl?, size, imdbID? }
+   */
+  static _toMeta(record) {
+    const meta = {
+      key: record.key,
+      timestamp: record.timestamp,
+      lastAccess: record.lastAccess,
+      size: record.size,
+    };
+
+    if (record.negative) {
+      meta.negative = true;
+    }
+    if (record.ttl) {
+      meta.ttl = record.ttl;
+    }
+    if (record.imdbID) {
+      meta.imdbID = record.imdbID;
+    }
+
+    return meta;
+  }
+
+  /**
+   * Strip backend bookkeeping from a record
+   * @private
+   * @param {Object} record - Stored record
+   * @returns {Object} Entry { key, data, timestamp, schemaVersion?, negative?, ttl?, stableChecks?, changedAt? }
+   */
+  static _toEntry(record) {
+    const entry = {
+      key: record.key,
+      data: record.data,
+      timestamp: record.timestamp,
+    };
+
+    ENTRY_FIELDS.filter(field => record[field] !== undefined).forEach((field) => { entry[field] = record[field]; });
+
+    return entry;
+  }
+}
+
+IndexedDbBackend.NAME = BACKEND_NAME;
+IndexedDbBackend.DB_NAME = DB_NAME;
+IndexedDbBackend.MAX_ENTRIES = MAX_ENTRIES;
+
+// Export for use in modules
+export default IndexedDbBackend;
@@ -0,0 +1,296 @@
+/**
+ * MemoryCacheSync - Keeps CacheManager's memory tier warm and consistent
+ *
+ * The memory cache (a Map read by getSync()) is empty whenever the service worker
+ * restarts, so immediate lookups would always miss. This module:
+ * - Hydrates it on init with the most recently used entries (up to 500): those in the
+ *   chrome.storage.session mirror, merged with the backend's most recently used ones. Only
+ *   backend entries the mirror lacks (or holds an older copy of) are read
+ * - Mirrors it in chrome.storage.session (if available), which outlives worker restarts
+ *   for the rest of the browser session and is much cheaper to load than the backend
+ * - Caps it at 500 entries, dropping the least recently used
+ * - Applies writes from other contexts via chrome.storage.onChanged: the session mirror
+ *   sees every CacheManager write; without it, the backend's chrome.storage.local entry
+ *   keys are watched instead
+ *
+ * Cross-context sync goes through chrome.storage.session. Where it's unavailable, an
+ * IndexedDB-backed cache has nothing to watch (IndexedDB has no change events): writes from
+ * other contexts reach its memory cache only on the next hydration, or via get(), which
+ * reads the backend first.
+ *
+ * Session keys: `mem:<storageKey>:<cache key>` → { data, timestamp, negative? }
+ *
+ * @module MemoryCacheSync
+ */
+
+// Most entries kept in memory (and in the session mirror) per cache
+const MEMORY_CACHE_LIMIT = 500;
+
+class MemoryCacheSync {
+  /**
+   * @param {string} storageKey - Cache name, used to namespace the session mirror
+   * @param {Map} memoryCache - CacheManager's memory cache (key → { data, timestamp, negative? })
+   */
+  constructor(storageKey, memoryCache) {
+    this.memoryCache = memoryCache;
+    this.limit = MEMORY_CACHE_LIMIT;
+    this.sessionPrefix = `mem:${storageKey}:`;
+
+    // Pending/complete hydration, shared by concurrent init calls
+    this.hydrated = null;
+    this.listening = false;
+  }
+
+  /**
+   * Check whether chrome.storage.session exists (Chrome 102+, extension contexts)
+   * @returns {boolean}
+   */
+  static isSessionAvailable() {
+    return typeof chrome !== 'undefined' && Boolean(chrome.storage && chrome.storage.session);
+  }
+
+  /**
+   * Fill the memory cache, once
+   * @param {Object} backend - Opened storage backend
+   * @param {Function} isValid - entry or metadata → boolean, false for expired entries
+   * @param {Function} prepare - entry → entry to keep (e.g. migrated), or null to skip it
+   * @returns {Promise<number>} Entries loaded
+   */
+  hydrate(backend, isValid, prepare = entry => entry) {
+    if (!this.hydrated) {
+      this.hydrated = this._hydrate(backend, isValid, prepare).catch((error) => {
+        console.warn('[MemoryCacheSync] Error hydrating memory cache:', error.message);
+        return 0;
+      });
+    }
+    return this.hydrated;
+  }
+
+  /**
+   * Start applying changes made by other contexts
+   * @param {Function} getBackend - Returns the backend in use (it may be switched later)
+   */
+  listen(getBackend) {
+    if (this.listening || !chrome.storage.onChanged) {
+      return;
+    }
+
+    this.listening = true;
+    chrome.storage.onChanged.addListener((changes, areaName) => this._applyChanges(changes, areaName, getBackend()));
+  }
+
+  /**
+   * Store an entry in memory as most recently used, and in the session mirror
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry { data, timestamp, negative? } (a key field is dropped)
+   */
+  remember(key, entry) {
+    const memoryEntry = MemoryCacheSync._toMemoryEntry(entry);
+    const dropped = this._setInMemory(key, memoryEntry);
+
+    this._mirror('set', { [this.sessionPrefix + key]: memoryEntry });
+    if (dropped.length > 0) {
+      this._mirror('remove', dropped.map(droppedKey => this.sessionPrefix + droppedKey));
+    }
+  }
+
+  /**
+   * Remove entries from memory and from the session mirror
+   * @param {string[]} keys - Cache keys
+   */
+  forget(keys) {
+    if (keys.length === 0) {
+      return;
+    }
+
+    keys.forEach(key => this.memoryCache.delete(key));
+    this._mirror('remove', keys.map(key => this.sessionPrefix + key));
+  }
+
+  /**
+   * Empty the memory cache and the session mirror
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.memoryCache.clear();
+
+    if (!MemoryCacheSync.isSessionAvailable()) {
+      return;
+    }
+
+    try {
+      const keys = Object.keys(await chrome.storage.session.get(null)).filter(key => key.startsWith(this.sessionPrefix));
+      await chrome.storage.session.remove(keys);
+    } catch (error) {
+      console.warn('[MemoryCacheSync] Error clearing session mirror:', error.message);
+    }
+  }
+
+  /**
+   * Load the session mirror's entries and the backend's most recently used ones, reading
+   * from the backend only what the mirror lacks or holds an older copy of
+   * @private
+   * @param {Object} backend - Opened storage backend
+   * @param {Function} isValid - entry or metadata → boolean
+   * @param {Function} prepare - entry → entry to keep, or null
+   * @returns {Promise<number>} Entries loaded
+   */
+  async _hydrate(backend, isValid, prepare) {
+    // key → { entry, lastUse }, mirrored entries last used no earlier than written
+    const candidates = new Map((await this._loadSessionMirror())
+      .map(({ key, entry }) => [key, { entry: prepare(entry), lastUse: entry.timestamp }])
+      .filter(([, { entry }]) => entry && isValid(entry)));
+    const mirroredCount = candidates.size;
+
+    let read = [];
+    try {
+      const recent = (await backend.list())
+        .filter(isValid)
+        .sort((a, b) => (b.lastAccess || b.timestamp) - (a.lastAccess || a.timestamp))
+        .slice(0, this.limit);
+
+      // key → last use of the backend entries to read
+      const missing = new Map();
+      recent.forEach((meta) => {
+        const lastUse = meta.lastAccess || meta.timestamp;
+        const mirrored = candidates.get(meta.key);
+        if (mirrored && mirrored.entry.timestamp >= meta.timestamp) {
+          mirrored.lastUse = lastUse;
+        } else {
+          missing.set(meta.key, lastUse);
+        }
+      });
+
+      read = missing.size > 0 ? (await backend.getMany(Array.from(missing.keys()))).map(prepare).filter(Boolean) : [];
+      read.forEach(entry => candidates.set(entry.key, { entry, lastUse: missing.get(entry.key) }));
+    } catch (error) {
+      console.warn('[MemoryCacheSync] Error reading backend, hydrating from session storage only:', error.message);
+    }
+
+    // Oldest first, so the most recently used end up most recent in memory too
+    const kept = Array.from(candidates.entries())
+      .sort(([, a], [, b]) => b.lastUse - a.lastUse)
+      .slice(0, this.limit)
+      .reverse();
+    kept.forEach(([key, { entry }]) => this._setInMemory(key, entry));
+
+    // Bring the mirror in line: add what was read, drop what didn't make the cut
+    const readKeys = new Set(read.map(entry => entry.key));
+    const added = kept.filter(([key]) => readKeys.has(key));
+    const dropped = Array.from(candidates.keys()).filter(key => !this.memoryCache.has(key) && !readKeys.has(key));
+    if (added.length > 0) {
+      this._mirror('set', Object.fromEntries(added.map(([key, { entry }]) => [this.sessionPrefix + key, MemoryCacheSync._toMemoryEntry(entry)])));
+    }
+    if (dropped.length > 0) {
+      this._mirror('remove', dropped.map(key => this.sessionPrefix + key));
+    }
+
+    console.log('[MemoryCacheSync] Hydrated memory cache. From session storage:', mirroredCount, 'From', `${backend.name}:`, read.length, 'Items:', this.memoryCache.size);
+    return this.memoryCache.size;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Object[]>} [{ key, entry }] from the session mirror (empty if unavailable)
+   */
+  async _loadSessionMirror() {
+    if (!MemoryCacheSync.isSessionAvailable()) {
+      return [];
+    }
+
+    try {
+      const all = await chrome.storage.session.get(null);
+      return Object.keys(all)
+        .filter(storageKey => storageKey.startsWith(this.sessionPrefix))
+        .map(storageKey => ({ key: storageKey.slice(this.sessionPrefix.length), entry: all[storageKey] }))
+        .sort((a, b) => a.entry.timestamp - b.entry.timestamp);
+    } catch (error) {
+      console.warn('[MemoryCacheSync] Error reading session mirror:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Apply storage changes from any context to the memory cache (never writes storage back)
+   * @private
+   * @param {Object} changes - chrome.storage.onChanged changes { storageKey: { oldValue?, newValue? } }
+   * @param {string} areaName - 'session', 'local', ...
+   * @param {Object|null} backend - Backend in use
+   */
+  _applyChanges(changes, areaName, backend) {
+    for (const [storageKey, change] of Object.entries(changes)) {
+      let applied = null;
+
+      if (areaName === 'session' && storageKey.startsWith(this.sessionPrefix)) {
+        applied = { key: storageKey.slice(this.sessionPrefix.length), entry: change.newValue || null };
+      } else if (areaName === 'local' && !MemoryCacheSync.isSessionAvailable() && backend && backend.entryFromChange) {
+        applied = backend.entryFromChange(storageKey, change);
+      }
+
+      if (!applied) {
+        continue;
+      }
+
+      if (applied.entry) {
+        this._setInMemory(applied.key, MemoryCacheSync._toMemoryEntry(applied.entry));
+      } else {
+        this.memoryCache.delete(applied.key);
+      }
+    }
+  }
+
+  /**
+   * Put an entry in memory as most recently used, dropping the least recently used past the limit
+   * @private
+   * @param {string} key - Cache key
+   * @param {Object} entry - Memory entry { data, timestamp, negative? }
+   * @returns {string[]} Keys dropped
+   */
+  _setInMemory(key, entry) {
+    // Map iteration follows insertion order: re-inserting moves the key to the end
+    this.memoryCache.delete(key);
+    this.memoryCache.set(key, entry);
+
+    const dropped = [];
+    for (const oldest of this.memoryCache.keys()) {
+      if (this.memoryCache.size <= this.limit) {
+        break;
+      }
+      this.memoryCache.delete(oldest);
+      dropped.push(oldest);
+    }
+
+    return dropped;
+  }
+
+  /**
+   * Write to the session mirror in the background
+   * @private
+   * @param {string} method - 'set' or 'remove'
+   * @param {Object|string[]} items - Items to set or keys to remove
+   */
+  _mirror(method, items) {
+    if (!MemoryCacheSync.isSessionAvailable()) {
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => chrome.storage.session[method](items))
+      .catch(error => console.warn('[MemoryCacheSync] Error updating session mirror:', error.message));
+  }
+
+  /**
+   * @private
+   * @param {Object} entry - Entry { key?, data, timestamp, negative?, ttl?, ... }
+   * @returns {Object} Memory entry - the same fields without the key
+   */
+  static _toMemoryEntry(entry) {
+    const { key, ...memoryEntry } = entry;
+    return memoryEntry;
+  }
+}
+
+MemoryCacheSync.MEMORY_CACHE_LIMIT = MEMORY_CACHE_LIMIT;
+
+// Export for use in modules
+export default MemoryCacheSync;
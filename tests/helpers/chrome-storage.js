@@ -0,0 +1,25 @@
+/**
+ * chrome.storage mocks shared by the unit tests
+ */
+
+/**
+ * Mock a chrome.storage area (sync, local, session) over an in-memory object. Values are
+ * copied in and out through JSON, as chrome.storage serializes them
+ * @param {Function} getData - Returns the area's contents
+ * @returns {Object} chrome.storage area mock { get, set, remove }
+ */
+function createArea(getData) {
+  return {
+    get: jest.fn(async (keys) => {
+      const data = getData();
+      if (keys === null) {
+        return JSON.parse(JSON.stringify(data));
+      }
+      return Object.fromEntries([].concat(keys).filter(key => key in data).map(key => [key, JSON.parse(JSON.stringify(data[key]))]));
+    }),
+    set: jest.fn(async (items) => { Object.assign(getData(), JSON.parse(JSON.stringify(items))); }),
+    remove: jest.fn(async (keys) => { [].concat(keys).forEach(key => delete getData()[key]); }),
+  };
+}
+
+module.exports = { createArea };
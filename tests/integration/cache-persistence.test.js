@@ -12,24 +12,25 @@ const mockStorage = {
 global.chrome = {
   storage: {
     sync: {
-      get: jest.fn((keys, callback) => {
-        setTimeout(() => {
-          const result = {};
-          if (Array.isArray(keys)) {
-            keys.forEach(key => {
-              if (mockStorage.sync[key]) {
-                result[key] = mockStorage.sync[key];
-              }
-            });
-          }
+      get: jest.fn(async (keys, callback) => {
+        const result = {};
+        if (Array.isArray(keys)) {
+          keys.forEach(key => {
+            if (mockStorage.sync[key]) {
+              result[key] = mockStorage.sync[key];
+            }
+          });
+        }
+        if (callback) {
           callback(result);
-        }, 0);
+        } else {
+          return Promise.resolve(result);
+        }
       }),
       set: jest.fn((obj, callback) => {
-        setTimeout(() => {
-          Object.assign(mockStorage.sync, obj);
-          if (callback) callback();
-        }, 0);
+        Object.assign(mockStorage.sync, obj);
+        if (callback) callback();
+        return Promise.resolve();
       }),
     },
     local: {
@@ -57,11 +58,17 @@ global.chrome = {
         if (callback) callback();
         return Promise.resolve();
       }),
+      remove: jest.fn((keys, callback) => {
+        [].concat(keys).forEach(key => delete mockStorage.local[key]);
+        if (callback) callback();
+        return Promise.resolve();
+      }),
     },
   },
 };
 
-const CacheManager = require('../../src/utils/cache-manager');
+const CacheManager = require('../../src/utils/cache-manager').default;
+const ChromeStorageBackend = require('../../src/utils/chrome-storage-backend').default;
 
 describe('Cache Persistence Integration Tests', () => {
   beforeEach(() => {
@@ -83,9 +90,9 @@ describe('Cache Persistence Integration Tests', () => {
     await manager1.init();
     await manager1.set(testKey, testData);
 
-    // Verify data was saved to persistent storage
-    expect(mockStorage.local.netflix_ratings_cache).toBeDefined();
-    expect(mockStorage.local.netflix_ratings_cache[testKey]).toBeDefined();
+    // Verify data was saved to persistent storage, under its own key
+    expect(mockStorage.local[`nr:${ChromeStorageBackend.hashKey(testKey)}`]).toBeDefined();
+    expect(mockStorage.local['nr:index']).toBeDefined();
 
     // Create second instance (simulating service worker restart)
     const manager2 = new CacheManager();
@@ -154,9 +161,8 @@ describe('Cache Persistence Integration Tests', () => {
 
   test('should handle cache size limit on persistent storage', async () => {
     const manager = new CacheManager();
-    await manager.init();
 
-    // Create large cache to trigger cleanup
+    // Create large cache (old single-object format, migrated on init) to trigger cleanup
     let largeCache = {};
     for (let i = 0; i < 502; i++) {
       largeCache[`key_${i}`] = {
@@ -166,13 +172,15 @@ describe('Cache Persistence Integration Tests', () => {
     }
 
     mockStorage.local.netflix_ratings_cache = largeCache;
+    await manager.init();
 
     // Add one more item (should trigger cleanup)
     await manager.set('key_final', { title: 'Final Show' });
 
     // Verify cache was cleaned up
-    const cacheSize = Object.keys(mockStorage.local.netflix_ratings_cache).length;
+    const cacheSize = Object.keys(mockStorage.local).filter(key => key.startsWith('nr:') && key !== 'nr:index').length;
     expect(cacheSize).toBeLessThanOrEqual(501);
+    expect(Object.keys(mockStorage.local['nr:index']).length).toBe(cacheSize);
   });
 
   test('should properly handle concurrent operations', async () => {
@@ -198,19 +206,24 @@ describe('Cache Persistence Integration Tests', () => {
   });
 
   test('should survive fallback to memory cache if persistent storage fails', async () => {
-    // Simulate storage failure
+    // Simulate storage failure (restored afterwards so later tests see working storage)
+    const workingGet = chrome.storage.local.get.getMockImplementation();
     chrome.storage.local.get.mockImplementation(() => {
       throw new Error('Storage unavailable');
     });
 
-    const manager = new CacheManager();
-    await manager.init();
+    try {
+      const manager = new CacheManager();
+      await manager.init();
 
-    // Memory cache should still work
-    await manager.set('fallback_key', { data: 'fallback_value' });
-    const retrieved = await manager.get('fallback_key');
+      // Memory cache should still work
+      await manager.set('fallback_key', { data: 'fallback_value' });
+      const retrieved = await manager.get('fallback_key');
 
-    expect(retrieved).toEqual({ data: 'fallback_value' });
+      expect(retrieved).toEqual({ data: 'fallback_value' });
+    } finally {
+      chrome.storage.local.get.mockImplementation(workingGet);
+    }
   });
 
   test('should cleanup expired entries on retrieval', async () => {
@@ -242,7 +255,8 @@ describe('Cache Persistence Integration Tests', () => {
     expect(expired).toBeNull();
 
     // Verify expired entry was removed
-    expect(mockStorage.local.netflix_ratings_cache.expired_key).toBeUndefined();
+    expect(mockStorage.local[`nr:${ChromeStorageBackend.hashKey('expired_key')}`]).toBeUndefined();
+    expect(mockStorage.local[`nr:${ChromeStorageBackend.hashKey('valid_key')}`]).toBeDefined();
   });
 
   test('should provide accurate stats from persistent storage', async () => {
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for AdaptiveTtl
+ */
+
+const AdaptiveTtl = require('../../src/utils/adaptive-ttl').default;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// 2025-06-15T00:00:00Z
+const NOW = Date.UTC(2025, 5, 15);
+
+/**
+ * Build a ratings record
+ * @param {string} year - matchedYear
+ * @param {string} votes - IMDb votes as OMDB formats them
+ * @param {string} rating - IMDb rating
+ * @returns {Object}
+ */
+function ratings(year, votes, rating = '7.0') {
+  return { imdb: { value: rating, votes }, matchedYear: year };
+}
+
+describe('AdaptiveTtl', () => {
+  describe('compute', () => {
+    test('should give a new release with few votes a short TTL', () => {
+      const ttl = AdaptiveTtl.compute(ratings('2025', '850'), { stableChecks: 0, now: NOW });
+
+      expect(ttl).toBe(6 * HOUR_MS);
+    });
+
+    test('should give a classic with millions of votes a long TTL', () => {
+      const ttl = AdaptiveTtl.compute(ratings('1994', '2,900,000', '9.3'), { stableChecks: 0, now: NOW });
+
+      expect(ttl).toBe(60 * DAY_MS);
+    });
+
+    test('should scale the base TTL with the title age', () => {
+      const ttlFor = year => AdaptiveTtl.compute(ratings(year, '50,000'), { stableChecks: 0, now: NOW });
+
+      expect(ttlFor('2024')).toBe(48 * HOUR_MS);
+      expect(ttlFor('2021')).toBe(7 * DAY_MS);
+      expect(ttlFor('2016')).toBe(14 * DAY_MS);
+      expect(ttlFor('2005')).toBe(30 * DAY_MS);
+    });
+
+    test('should halve the TTL after a recent rating change', () => {
+      const ttl = AdaptiveTtl.compute(ratings('2016', '50,000'), { stableChecks: 0, changedAt: NOW - 2 * DAY_MS, now: NOW });
+
+      expect(ttl).toBe(7 * DAY_MS);
+    });
+
+    test('should extend the TTL for each unchanged refresh, up to double', () => {
+      const ttlFor = stableChecks => AdaptiveTtl.compute(ratings('2016', '50,000'), { stableChecks, now: NOW });
+
+      expect(ttlFor(2)).toBe(21 * DAY_MS);
+      expect(ttlFor(4)).toBe(28 * DAY_MS);
+      expect(ttlFor(10)).toBe(28 * DAY_MS);
+    });
+
+    test('should return null without a release year', () => {
+      expect(AdaptiveTtl.compute({ imdb: { value: '7.0', votes: '1,000' } }, { stableChecks: 0, now: NOW })).toBeNull();
+    });
+
+    test('should work on raw OMDB responses', () => {
+      const ttl = AdaptiveTtl.compute({ Year: '1994', imdbVotes: '2,900,000', imdbRating: '9.3' }, { stableChecks: 0, now: NOW });
+
+      expect(ttl).toBe(60 * DAY_MS);
+    });
+  });
+
+  describe('releaseYearOf', () => {
+    test('should treat a series still airing as new', () => {
+      expect(AdaptiveTtl.releaseYearOf({ Year: '2019–' }, NOW)).toBe(2025);
+    });
+
+    test('should use the final year of an ended series', () => {
+      expect(AdaptiveTtl.releaseYearOf({ Year: '2016–2022' }, NOW)).toBe(2022);
+    });
+
+    test('should return null for a missing or unparseable year', () => {
+      expect(AdaptiveTtl.releaseYearOf({ Year: 'N/A' }, NOW)).toBeNull();
+      expect(AdaptiveTtl.releaseYearOf(null, NOW)).toBeNull();
+    });
+  });
+
+  describe('votesOf', () => {
+    test('should parse votes with thousands separators', () => {
+      expect(AdaptiveTtl.votesOf(ratings('2020', '1,234,567'))).toBe(1234567);
+      expect(AdaptiveTtl.votesOf({ imdbVotes: '12,345' })).toBe(12345);
+    });
+
+    test('should return null when votes are unknown', () => {
+      expect(AdaptiveTtl.votesOf({ imdbVotes: 'N/A' })).toBeNull();
+      expect(AdaptiveTtl.votesOf({})).toBeNull();
+    });
+  });
+
+  describe('annotate', () => {
+    test('should start the history of a first write', () => {
+      const fields = AdaptiveTtl.annotate({ data: ratings('2005', '50,000'), timestamp: NOW }, null);
+
+      expect(fields).toEqual({ stableChecks: 0, ttl: 30 * DAY_MS });
+    });
+
+    test('should count refreshes that found the same rating', () => {
+      const previous = { data: ratings('2005', '50,000'), stableChecks: 1, changedAt: NOW - 30 * DAY_MS };
+      const fields = AdaptiveTtl.annotate({ data: ratings('2005', '50,100'), timestamp: NOW }, previous);
+
+      expect(fields.stableChecks).toBe(2);
+      expect(fields.changedAt).toBe(NOW - 30 * DAY_MS);
+      expect(fields.ttl).toBe(45 * DAY_MS);
+    });
+
+    test('should record when the rating changed', () => {
+      const previous = { data: ratings('2005', '50,000', '7.0'), stableChecks: 3 };
+      const fields = AdaptiveTtl.annotate({ data: ratings('2005', '50,000', '7.1'), timestamp: NOW }, previous);
+
+      expect(fields.stableChecks).toBe(0);
+      expect(fields.changedAt).toBe(NOW);
+      expect(fields.ttl).toBe(15 * DAY_MS);
+    });
+
+    test('should read OMDB responses wrapped by OmdbService', () => {
+      const response = rating => ({ data: { Year: '1994', imdbVotes: '2,900,000', imdbRating: rating }, timestamp: NOW });
+      const previous = { data: response('9.3'), stableChecks: 0 };
+      const fields = AdaptiveTtl.annotate({ data: response('9.3'), timestamp: NOW }, previous);
+
+      expect(fields.stableChecks).toBe(1);
+      expect(fields.ttl).toBe(75 * DAY_MS);
+    });
+
+    test('should ignore a negative previous entry', () => {
+      const fields = AdaptiveTtl.annotate({ data: ratings('2005', '50,000'), timestamp: NOW }, { data: { notFound: true }, negative: true });
+
+      expect(fields.stableChecks).toBe(0);
+      expect(fields.changedAt).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for CacheAdmin
+ * Tests message routing, responses for each cache management message, and failures
+ */
+
+const CacheAdmin = require('../../src/background/cache-admin').default;
+
+/**
+ * Create a CacheManager stand-in
+ * @param {Object} stats - Stats returned by getStats()
+ * @returns {Object}
+ */
+function createCache(stats = {}) {
+  return {
+    getStats: jest.fn(async () => stats),
+    clear: jest.fn(async () => {}),
+    setCacheDuration: jest.fn(async () => {}),
+    switchBackend: jest.fn(async name => name),
+    setSizeLimit: jest.fn(async () => 2),
+    verify: jest.fn(async () => ({ checked: 3, quarantined: 1, dropped: 0 })),
+    getDetailedInfo: jest.fn(async () => [{ key: 'netflix:1', ageMs: 1000, isExpired: false, data: { imdb: { value: '8.0' } } }]),
+    delete: jest.fn(async () => true),
+  };
+}
+
+/**
+ * Send a message and wait for its response
+ * @param {CacheAdmin} admin - CacheAdmin under test
+ * @param {Object} request - Message
+ * @returns {Promise<Object>} Response
+ */
+async function send(admin, request) {
+  const sendResponse = jest.fn();
+  await admin.handle(request, sendResponse);
+  expect(sendResponse).toHaveBeenCalledTimes(1);
+  return sendResponse.mock.calls[0][0];
+}
+
+describe('CacheAdmin', () => {
+  let ratingsCache;
+  let responseCache;
+  let requestQueue;
+  let ready;
+  let refresh;
+  let admin;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    ratingsCache = createCache({ totalItems: 12 });
+    responseCache = createCache();
+    requestQueue = { getStats: jest.fn(() => ({ queued: 2, active: 1 })) };
+    ready = jest.fn(async () => {});
+    refresh = jest.fn(async () => ({ imdb: { value: '8.1' }, imdbID: 'tt0000001' }));
+    admin = new CacheAdmin({ ratingsCache, responseCache, requestQueue, ready, refresh });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should require every service', () => {
+    expect(() => new CacheAdmin({ ratingsCache, responseCache }))
+      .toThrow('CacheAdmin requires ratingsCache, responseCache, requestQueue, ready and refresh');
+  });
+
+  test('should only handle cache management messages', () => {
+    CacheAdmin.MESSAGE_TYPES.forEach(type => expect(admin.handles(type)).toBe(true));
+    expect(admin.handles('FETCH_RATINGS')).toBe(false);
+    expect(admin.handles('toString')).toBe(false);
+  });
+
+  test('should clear both caches and report the ratings entries removed', async () => {
+    const response = await send(admin, { type: 'CLEAR_CACHE' });
+
+    expect(response).toEqual({ success: true, cleared: 12 });
+    expect(ratingsCache.clear).toHaveBeenCalled();
+    expect(responseCache.clear).toHaveBeenCalled();
+    expect(ready).toHaveBeenCalled();
+  });
+
+  test('should report cache stats with the request queue', async () => {
+    const response = await send(admin, { type: 'GET_CACHE_STATS' });
+
+    expect(response).toEqual({ success: true, stats: { totalItems: 12, requestQueue: { queued: 2, active: 1 } } });
+  });
+
+  test('should apply a new cache duration', async () => {
+    const response = await send(admin, { type: 'CACHE_DURATION_CHANGED', duration: 48 });
+
+    expect(response).toEqual({ success: true, message: 'Cache duration updated' });
+    expect(ratingsCache.setCacheDuration).toHaveBeenCalledWith(48);
+  });
+
+  test('should switch both caches to the new backend', async () => {
+    const response = await send(admin, { type: 'CACHE_BACKEND_CHANGED', backend: 'chromeStorage' });
+
+    expect(response).toEqual({ success: true, backend: 'chromeStorage' });
+    expect(responseCache.switchBackend).toHaveBeenCalledWith('chromeStorage');
+  });
+
+  test('should apply a new size limit to the ratings cache only', async () => {
+    const response = await send(admin, { type: 'CACHE_SIZE_LIMIT_CHANGED', limit: 500, unit: 'kb' });
+
+    expect(response).toEqual({ success: true, evicted: 2 });
+    expect(ratingsCache.setSizeLimit).toHaveBeenCalledWith(500, 'kb');
+    expect(responseCache.setSizeLimit).not.toHaveBeenCalled();
+  });
+
+  test('should verify both caches and report each', async () => {
+    responseCache.verify.mockResolvedValue({ checked: 5, quarantined: 0, dropped: 2 });
+
+    const response = await send(admin, { type: 'VERIFY_CACHE' });
+
+    expect(response).toEqual({
+      success: true,
+      report: {
+        ratings: { checked: 3, quarantined: 1, dropped: 0 },
+        responses: { checked: 5, quarantined: 0, dropped: 2 },
+      },
+    });
+  });
+
+  test('should list ratings entries with their data', async () => {
+    const response = await send(admin, { type: 'GET_CACHE_ENTRIES' });
+
+    expect(response).toEqual({
+      success: true,
+      entries: [{ key: 'netflix:1', ageMs: 1000, isExpired: false, data: { imdb: { value: '8.0' } } }],
+    });
+    expect(ratingsCache.getDetailedInfo).toHaveBeenCalledWith({ includeData: true });
+  });
+
+  test('should invalidate a single ratings entry', async () => {
+    const response = await send(admin, { type: 'INVALIDATE_ENTRY', key: 'netflix:1' });
+
+    expect(response).toEqual({ success: true, key: 'netflix:1', removed: true });
+    expect(ratingsCache.delete).toHaveBeenCalledWith('netflix:1');
+    expect(responseCache.delete).not.toHaveBeenCalled();
+  });
+
+  test('should refresh a single ratings entry', async () => {
+    const response = await send(admin, { type: 'REFRESH_ENTRY', key: 'netflix:1' });
+
+    expect(response).toEqual({ success: true, key: 'netflix:1', ratings: { imdb: { value: '8.1' }, imdbID: 'tt0000001' } });
+    expect(refresh).toHaveBeenCalledWith('netflix:1');
+  });
+
+  test('should require a key to invalidate or refresh', async () => {
+    expect(await send(admin, { type: 'INVALIDATE_ENTRY' })).toEqual({ success: false, error: 'Cache key is required' });
+    expect(await send(admin, { type: 'REFRESH_ENTRY', key: '' })).toEqual({ success: false, error: 'Cache key is required' });
+    expect(ratingsCache.delete).not.toHaveBeenCalled();
+    expect(refresh).not.toHaveBeenCalled();
+  });
+
+  test('should answer failures with the error message', async () => {
+    ratingsCache.setCacheDuration.mockRejectedValue(new Error('Cache duration must be a positive integer'));
+
+    const response = await send(admin, { type: 'CACHE_DURATION_CHANGED', duration: 0 });
+
+    expect(response).toEqual({ success: false, error: 'Cache duration must be a positive integer' });
+  });
+
+  test('should answer with an error if the caches fail to initialize', async () => {
+    ready.mockRejectedValue(new Error('chrome.storage.sync not available'));
+
+    const response = await send(admin, { type: 'GET_CACHE_STATS' });
+
+    expect(response).toEqual({ success: false, error: 'chrome.storage.sync not available' });
+    expect(ratingsCache.getStats).not.toHaveBeenCalled();
+  });
+});
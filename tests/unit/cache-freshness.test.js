@@ -0,0 +1,326 @@
+/**
+ * Unit tests for CacheFreshness, and CacheManager honoring the freshness settings
+ * and expiry policy in every method (getSync, isStaleSync, getWithMeta, cleanup)
+ */
+
+// Mock chrome.storage API (in-memory; onChanged listeners are called by the tests)
+let syncData = {};
+let localData = {};
+let changeListeners = [];
+
+global.chrome = {
+  storage: {
+    sync: {
+      get: jest.fn(async keys => Object.fromEntries([].concat(keys).filter(key => key in syncData).map(key => [key, syncData[key]]))),
+      set: jest.fn(async (items) => { Object.assign(syncData, items); }),
+    },
+    local: {
+      get: jest.fn(async keys => (keys === null
+        ? { ...localData }
+        : Object.fromEntries([].concat(keys).filter(key => key in localData).map(key => [key, localData[key]])))),
+      set: jest.fn(async (items) => { Object.assign(localData, JSON.parse(JSON.stringify(items))); }),
+      remove: jest.fn(async (keys) => { [].concat(keys).forEach(key => delete localData[key]); }),
+    },
+    onChanged: {
+      addListener: jest.fn(listener => changeListeners.push(listener)),
+    },
+  },
+};
+
+const CacheFreshness = require('../../src/utils/cache-freshness').default;
+const CacheManager = require('../../src/utils/cache-manager').default;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Change sync settings the way the popup would, notifying every listener
+ * @param {Object} items - Settings to save
+ */
+function changeSettings(items) {
+  const changes = {};
+  Object.entries(items).forEach(([key, value]) => {
+    changes[key] = { oldValue: syncData[key], newValue: value };
+    syncData[key] = value;
+  });
+  changeListeners.forEach(listener => listener(changes, 'sync'));
+}
+
+describe('CacheFreshness', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    syncData = {};
+    localData = {};
+    changeListeners = [];
+  });
+
+  test('should use the defaults before loading', () => {
+    const freshness = new CacheFreshness('cacheDurationHours', 'negativeCacheHours');
+
+    expect(freshness.durationMs).toBe(24 * HOUR_MS);
+    expect(freshness.negativeDurationMs).toBe(6 * HOUR_MS);
+    expect(freshness.staleAfterMs).toBe(60 * MINUTE_MS);
+  });
+
+  test('should load the three settings', async () => {
+    syncData = { cacheDurationHours: 48, negativeCacheHours: 12, staleAfterMinutes: 15 };
+    const freshness = new CacheFreshness('cacheDurationHours', 'negativeCacheHours');
+
+    await freshness.load();
+
+    expect(freshness.durationMs).toBe(48 * HOUR_MS);
+    expect(freshness.negativeDurationMs).toBe(12 * HOUR_MS);
+    expect(freshness.staleAfterMs).toBe(15 * MINUTE_MS);
+  });
+
+  test('should follow setting changes and reset removed settings to their default', async () => {
+    const freshness = new CacheFreshness('cacheDurationHours', 'negativeCacheHours');
+    await freshness.load();
+    freshness.listen();
+
+    changeSettings({ staleAfterMinutes: 30, omdbApiKey: 'abc' });
+    expect(freshness.staleAfterMs).toBe(30 * MINUTE_MS);
+    expect(freshness.durationMs).toBe(24 * HOUR_MS);
+
+    changeSettings({ staleAfterMinutes: undefined });
+    expect(freshness.staleAfterMs).toBe(60 * MINUTE_MS);
+  });
+
+  test('should ignore changes in other storage areas', () => {
+    const freshness = new CacheFreshness('cacheDurationHours', 'negativeCacheHours');
+    freshness.listen();
+
+    changeListeners.forEach(listener => listener({ cacheDurationHours: { newValue: 1 } }, 'local'));
+
+    expect(freshness.durationMs).toBe(24 * HOUR_MS);
+  });
+
+  test('should never report negative entries as stale', () => {
+    const freshness = new CacheFreshness('cacheDurationHours', 'negativeCacheHours');
+    const now = Date.now();
+
+    expect(freshness.isStale({ timestamp: now - 2 * HOUR_MS }, now)).toBe(true);
+    expect(freshness.isStale({ timestamp: now - 2 * HOUR_MS, negative: true }, now)).toBe(false);
+    expect(freshness.isExpired({ timestamp: now - 7 * HOUR_MS, negative: true }, now)).toBe(true);
+  });
+
+  test('should only use entry TTLs under the adaptive policy, within its bounds', () => {
+    const freshness = new CacheFreshness('cacheDurationHours', 'negativeCacheHours');
+
+    expect(freshness.getTtlMs({ ttl: 100 * HOUR_MS })).toBe(24 * HOUR_MS);
+
+    freshness.apply({ cachePolicy: 'adaptive', adaptiveTtlMinHours: 12, adaptiveTtlMaxHours: 48 });
+
+    expect(freshness.getTtlMs({ ttl: 30 * HOUR_MS })).toBe(30 * HOUR_MS);
+    expect(freshness.getTtlMs({ ttl: 100 * HOUR_MS })).toBe(48 * HOUR_MS);
+    expect(freshness.getTtlMs({ ttl: 1 * HOUR_MS })).toBe(12 * HOUR_MS);
+    expect(freshness.getTtlMs({})).toBe(24 * HOUR_MS);
+    expect(freshness.getTtlMs({ ttl: 30 * HOUR_MS, negative: true })).toBe(6 * HOUR_MS);
+  });
+
+  test('should scale the stale threshold to each entry\'s TTL', () => {
+    const freshness = new CacheFreshness('cacheDurationHours', 'negativeCacheHours');
+    const now = Date.now();
+    const classic = { timestamp: now - 10 * HOUR_MS, ttl: 720 * HOUR_MS };
+
+    expect(freshness.isStale(classic, now)).toBe(true);
+
+    freshness.apply({ cachePolicy: 'adaptive' });
+
+    expect(freshness.getStaleAfterMs(classic)).toBe(30 * HOUR_MS);
+    expect(freshness.isStale(classic, now)).toBe(false);
+    expect(freshness.isStale({ ...classic, timestamp: now - 31 * HOUR_MS }, now)).toBe(true);
+    expect(freshness.isStale({ timestamp: now - 2 * HOUR_MS }, now)).toBe(true);
+  });
+
+  test('should fall back to the fixed policy for unknown values', () => {
+    const freshness = new CacheFreshness('cacheDurationHours', 'negativeCacheHours');
+
+    freshness.apply({ cachePolicy: 'sometimes' });
+
+    expect(freshness.policy).toBe('fixed');
+  });
+
+  test('should validate and save the expiry policy', async () => {
+    const freshness = new CacheFreshness('cacheDurationHours', 'negativeCacheHours');
+
+    await expect(freshness.setPolicy({ mode: 'sometimes' })).rejects.toThrow('Cache policy must be one of: fixed, adaptive');
+    await expect(freshness.setPolicy({ mode: 'adaptive', minHours: 0 })).rejects.toThrow('Adaptive TTL bounds must be positive integers');
+    await expect(freshness.setPolicy({ mode: 'adaptive', minHours: 48, maxHours: 12 })).rejects.toThrow('Adaptive TTL minimum must not exceed the maximum');
+    expect(syncData).toEqual({});
+
+    await freshness.setPolicy({ mode: 'adaptive', minHours: 2 });
+
+    expect(syncData).toEqual({ cachePolicy: 'adaptive', adaptiveTtlMinHours: 2, adaptiveTtlMaxHours: 720 });
+    expect(freshness.minTtlMs).toBe(2 * HOUR_MS);
+    expect(await freshness.getPolicy()).toEqual({ mode: 'adaptive', minHours: 2, maxHours: 720 });
+  });
+});
+
+describe('CacheManager freshness settings', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    syncData = { cacheBackend: 'chromeStorage' };
+    localData = {};
+    changeListeners = [];
+  });
+
+  test('getSync should honor a configured duration longer than 24 hours', async () => {
+    syncData.cacheDurationHours = 48;
+    const manager = new CacheManager();
+    await manager.init();
+
+    manager.memoryCache.set('old', { data: { imdb: '8.0' }, timestamp: Date.now() - 30 * HOUR_MS });
+
+    expect(manager.getSync('old')).toEqual({ imdb: '8.0' });
+  });
+
+  test('getSync and get should agree on a shorter duration', async () => {
+    syncData.cacheDurationHours = 1;
+    const manager = new CacheManager();
+    await manager.init();
+
+    jest.spyOn(Date, 'now').mockReturnValue(1000000000000);
+    try {
+      await manager.set('key', { imdb: '8.0' });
+      Date.now.mockReturnValue(1000000000000 + 2 * HOUR_MS);
+
+      expect((await manager.getDetailedInfo())[0].isExpired).toBe(true);
+      expect(manager.getSync('key')).toBeNull();
+      expect(await manager.get('key')).toBeNull();
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('isStaleSync and getWithMeta should use the configured stale threshold', async () => {
+    syncData.staleAfterMinutes = 15;
+    const manager = new CacheManager();
+    await manager.init();
+
+    jest.spyOn(Date, 'now').mockReturnValue(1000000000000);
+    try {
+      await manager.set('key', { imdb: '8.0' });
+      Date.now.mockReturnValue(1000000000000 + 20 * MINUTE_MS);
+
+      expect(manager.isStaleSync('key')).toBe(true);
+      expect((await manager.getWithMeta('key')).stale).toBe(true);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('should pick up settings changed after init', async () => {
+    const manager = new CacheManager();
+    await manager.init();
+    manager.memoryCache.set('old', { data: { imdb: '8.0' }, timestamp: Date.now() - 30 * HOUR_MS });
+    manager.memoryCache.set('recent', { data: { imdb: '7.0' }, timestamp: Date.now() - 20 * MINUTE_MS });
+
+    changeSettings({ cacheDurationHours: 72, staleAfterMinutes: 10 });
+
+    expect(manager.getSync('old')).toEqual({ imdb: '8.0' });
+    expect(manager.isStaleSync('recent')).toBe(true);
+  });
+
+  test('should expire entries in cleanup with the in-memory duration', async () => {
+    const manager = new CacheManager();
+    await manager.init();
+    manager.memoryCache.set('old', { data: {}, timestamp: Date.now() - 30 * HOUR_MS });
+
+    changeSettings({ cacheDurationHours: 48 });
+    expect(await manager.cleanupExpired()).toBe(0);
+
+    changeSettings({ cacheDurationHours: 12 });
+    expect(await manager.cleanupExpired()).toBe(1);
+  });
+
+  test('should validate, save and apply the stale threshold', async () => {
+    const manager = new CacheManager();
+    await manager.init();
+
+    await expect(manager.setStaleThreshold(0)).rejects.toThrow('Stale threshold must be a positive integer');
+    await expect(manager.setStaleThreshold(2.5)).rejects.toThrow('Stale threshold must be a positive integer');
+
+    await manager.setStaleThreshold(30);
+
+    expect(syncData.staleAfterMinutes).toBe(30);
+    expect(await manager.getStaleThreshold()).toBe(30);
+    expect(manager.freshness.staleAfterMs).toBe(30 * MINUTE_MS);
+    expect((await manager.getStats()).staleAfterMinutes).toBe(30);
+  });
+
+  test('should expire entries by their adaptive TTL', async () => {
+    syncData.cachePolicy = 'adaptive';
+    const manager = new CacheManager();
+    await manager.init();
+
+    const now = Date.UTC(2025, 5, 15);
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    try {
+      await manager.set('new', { imdb: { value: '7.0', votes: '850' }, matchedYear: '2025' });
+      await manager.set('classic', { imdb: { value: '9.3', votes: '2,900,000' }, matchedYear: '1994' });
+      Date.now.mockReturnValue(now + 7 * HOUR_MS);
+
+      expect(manager.getSync('new')).toBeNull();
+      expect(await manager.get('new')).toBeNull();
+      expect(await manager.get('classic')).not.toBeNull();
+
+      const info = await manager.getDetailedInfo();
+      expect(info.find(entry => entry.key === 'classic').ttlMs).toBe(720 * HOUR_MS);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('should not report long-lived adaptive entries as stale after the fixed threshold', async () => {
+    syncData.cachePolicy = 'adaptive';
+    const manager = new CacheManager();
+    await manager.init();
+
+    const now = Date.UTC(2025, 5, 15);
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    try {
+      await manager.set('classic', { imdb: { value: '9.3', votes: '2,900,000' }, matchedYear: '1994' });
+      Date.now.mockReturnValue(now + 10 * HOUR_MS);
+
+      expect(manager.isStaleSync('classic')).toBe(false);
+      expect((await manager.getWithMeta('classic')).stale).toBe(false);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('should count unchanged ratings across refreshes', async () => {
+    const manager = new CacheManager();
+    await manager.init();
+    const data = { imdb: { value: '8.0', votes: '50,000' }, matchedYear: '2005' };
+
+    await manager.set('key', data);
+    await manager.set('key', data);
+    manager.memoryCache.clear();
+    await manager.set('key', data);
+
+    const stored = (await manager.backend.getMany(['key']))[0];
+    expect(stored.stableChecks).toBe(2);
+    expect(stored.ttl).toBe(45 * 24 * HOUR_MS);
+  });
+
+  test('should report the expiry policy in stats', async () => {
+    const manager = new CacheManager();
+    await manager.init();
+
+    expect((await manager.getStats()).cachePolicy).toEqual({ mode: 'fixed', minHours: 6, maxHours: 720 });
+
+    await manager.setCachePolicy({ mode: 'adaptive', minHours: 12, maxHours: 168 });
+
+    expect(await manager.getCachePolicy()).toEqual({ mode: 'adaptive', minHours: 12, maxHours: 168 });
+    expect((await manager.getStats()).cachePolicy.mode).toBe('adaptive');
+  });
+
+  test('should default the stale threshold to 60 minutes', async () => {
+    const manager = new CacheManager();
+
+    expect(await manager.getStaleThreshold()).toBe(CacheManager.DEFAULT_STALE_AFTER_MINUTES);
+    expect(CacheManager.DEFAULT_STALE_AFTER_MINUTES).toBe(60);
+  });
+});
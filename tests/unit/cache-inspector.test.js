@@ -0,0 +1,81 @@
+/**
+ * Unit tests for CacheInspector - per-entry details, with and without entry data
+ */
+
+const CacheFreshness = require('../../src/utils/cache-freshness').default;
+const CacheInspector = require('../../src/utils/cache-inspector').default;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Create a backend stand-in holding the given entries
+ * @param {Object[]} entries - Entries { key, data, timestamp, negative?, ttl? }
+ * @returns {Object}
+ */
+function createBackend(entries) {
+  return {
+    list: jest.fn(async () => entries.map(({ data, ...meta }) => ({ ...meta, lastAccess: meta.timestamp, size: 10 }))),
+    getMany: jest.fn(async keys => entries.filter(entry => keys.includes(entry.key))),
+  };
+}
+
+describe('CacheInspector', () => {
+  const now = Date.now();
+  let freshness;
+
+  beforeEach(() => {
+    freshness = new CacheFreshness('cacheDurationHours', 'negativeCacheHours');
+  });
+
+  test('should describe an entry\'s age and expiry', () => {
+    const info = CacheInspector.describe({ key: 'netflix:1', timestamp: now - 2 * HOUR_MS, lastAccess: now - HOUR_MS }, freshness, now);
+
+    expect(info).toEqual({
+      key: 'netflix:1',
+      ageMs: 2 * HOUR_MS,
+      ageHours: 2,
+      isExpired: false,
+      isStale: true,
+      isNotFound: false,
+      ttlMs: 24 * HOUR_MS,
+      expiresInMs: 22 * HOUR_MS,
+      timestampMs: now - 2 * HOUR_MS,
+      lastAccessMs: now - HOUR_MS,
+    });
+  });
+
+  test('should describe expired entries with a negative time to expiry', () => {
+    const info = CacheInspector.describe({ key: 'netflix:2', timestamp: now - 8 * HOUR_MS, negative: true }, freshness, now);
+
+    expect(info).toMatchObject({ isExpired: true, isStale: false, isNotFound: true, expiresInMs: -2 * HOUR_MS });
+  });
+
+  test('should only read entry data when asked for', async () => {
+    const backend = createBackend([{ key: 'netflix:1', data: { imdb: { value: '8.0' } }, timestamp: now }]);
+
+    const [info] = await CacheInspector.list(backend, freshness);
+
+    expect(info.data).toBeUndefined();
+    expect(backend.getMany).not.toHaveBeenCalled();
+  });
+
+  test('should include every entry\'s data, in batches', async () => {
+    const entries = Array.from({ length: 150 }, (_, i) => ({ key: `netflix:${i}`, data: { imdb: { value: `${i}` } }, timestamp: now }));
+    const backend = createBackend(entries);
+
+    const infos = await CacheInspector.list(backend, freshness, { includeData: true });
+
+    expect(infos).toHaveLength(150);
+    expect(infos[149].data).toEqual({ imdb: { value: '149' } });
+    expect(backend.getMany).toHaveBeenCalledTimes(2);
+  });
+
+  test('should leave data null for entries removed while listing', async () => {
+    const backend = createBackend([{ key: 'netflix:1', data: { imdb: { value: '8.0' } }, timestamp: now }]);
+    backend.getMany.mockResolvedValue([]);
+
+    const [info] = await CacheInspector.list(backend, freshness, { includeData: true });
+
+    expect(info).toMatchObject({ key: 'netflix:1', data: null });
+  });
+});
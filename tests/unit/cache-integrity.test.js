@@ -0,0 +1,242 @@
+/**
+ * Unit tests for CacheIntegrity - finding malformed entries, removing and quarantining them,
+ * and CacheManager checking on init and on demand (chrome.storage.local backend)
+ */
+
+const { createArea } = require('../helpers/chrome-storage');
+
+// Mock chrome.storage API (in-memory areas)
+let syncData = {};
+let localData = {};
+
+global.chrome = {
+  storage: {
+    sync: createArea(() => syncData),
+    local: createArea(() => localData),
+    onChanged: {
+      addListener: jest.fn(),
+    },
+  },
+};
+
+const CacheManager = require('../../src/utils/cache-manager').default;
+const CacheIntegrity = require('../../src/utils/cache-integrity').default;
+const ChromeStorageBackend = require('../../src/utils/chrome-storage-backend').default;
+
+const RATINGS = { imdb: { value: '8.0', votes: '1,000' }, imdbID: 'tt0000001' };
+
+/**
+ * Seed the ratings cache directly, as a cut-short write or an old bug could have left it
+ * @param {Object[]} entries - Entries { key, ... }, written as given
+ * @returns {Promise<ChromeStorageBackend>}
+ */
+async function seed(entries) {
+  const backend = new ChromeStorageBackend('netflix_ratings_cache');
+  await backend.init();
+  for (const entry of entries) {
+    await backend.put(entry);
+  }
+  return backend;
+}
+
+describe('CacheIntegrity', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    syncData = { cacheBackend: 'chromeStorage' };
+    localData = {};
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('problemOf', () => {
+    const now = Date.now();
+
+    test('should accept well-formed entries', () => {
+      expect(CacheIntegrity.problemOf({ data: RATINGS, timestamp: now }, now)).toBeNull();
+      expect(CacheIntegrity.problemOf({ data: { notFound: true }, timestamp: now, negative: true, ttl: 3600000 }, now)).toBeNull();
+    });
+
+    test('should reject missing, non-numeric and far-future timestamps', () => {
+      expect(CacheIntegrity.problemOf({ data: RATINGS }, now)).toBe('invalidTimestamp');
+      expect(CacheIntegrity.problemOf({ data: RATINGS, timestamp: '2024-01-01' }, now)).toBe('invalidTimestamp');
+      expect(CacheIntegrity.problemOf({ data: RATINGS, timestamp: NaN }, now)).toBe('invalidTimestamp');
+      expect(CacheIntegrity.problemOf({ data: RATINGS, timestamp: now + 2 * 24 * 60 * 60 * 1000 }, now)).toBe('invalidTimestamp');
+    });
+
+    test('should allow a timestamp slightly ahead, from a clock that is off', () => {
+      expect(CacheIntegrity.problemOf({ data: RATINGS, timestamp: now + 60 * 1000 }, now)).toBeNull();
+    });
+
+    test('should reject entries without data, and entries that are not objects', () => {
+      expect(CacheIntegrity.problemOf({ timestamp: now }, now)).toBe('invalidData');
+      expect(CacheIntegrity.problemOf({ data: null, timestamp: now }, now)).toBe('invalidData');
+      expect(CacheIntegrity.problemOf('N/A', now)).toBe('invalidData');
+    });
+
+    test('should reject adaptive TTLs that are not positive numbers', () => {
+      expect(CacheIntegrity.problemOf({ data: RATINGS, timestamp: now, ttl: 0 }, now)).toBe('invalidTtl');
+      expect(CacheIntegrity.problemOf({ data: RATINGS, timestamp: now, ttl: 'long' }, now)).toBe('invalidTtl');
+    });
+
+    test('should check metadata without data', () => {
+      expect(CacheIntegrity.metaProblemOf({ key: 'good', timestamp: now, size: 10 }, now)).toBeNull();
+      expect(CacheIntegrity.metaProblemOf({ key: 'noTimestamp', size: 10 }, now)).toBe('invalidTimestamp');
+      expect(CacheIntegrity.metaProblemOf({ key: 'badTtl', timestamp: now, ttl: -1 }, now)).toBe('invalidTtl');
+    });
+  });
+
+  describe('verify', () => {
+    test('should remove malformed entries, quarantine them and report the counts', async () => {
+      const backend = await seed([
+        { key: 'good', data: RATINGS, timestamp: Date.now() },
+        { key: 'noTimestamp', data: RATINGS },
+        { key: 'noData', timestamp: Date.now() },
+        { key: 'badTtl', data: RATINGS, timestamp: Date.now(), ttl: -1 },
+      ]);
+      const integrity = new CacheIntegrity('netflix_ratings_cache');
+
+      const { report, removedKeys } = await integrity.verify(backend);
+
+      expect(removedKeys.sort()).toEqual(['badTtl', 'noData', 'noTimestamp']);
+      expect(report).toMatchObject({
+        checked: 4,
+        quarantined: 3,
+        dropped: 0,
+        problems: { invalidTimestamp: 1, invalidData: 1, invalidTtl: 1, unreadable: 0 },
+      });
+      expect((await backend.list()).map(meta => meta.key)).toEqual(['good']);
+
+      const quarantine = localData.netflix_ratings_cache_quarantine;
+      expect(quarantine.map(record => [record.key, record.reason]).sort()).toEqual([
+        ['badTtl', 'invalidTtl'],
+        ['noData', 'invalidData'],
+        ['noTimestamp', 'invalidTimestamp'],
+      ]);
+      expect(quarantine.find(record => record.key === 'noTimestamp').entry.data).toEqual(RATINGS);
+    });
+
+    test('should drop entries that are indexed but were never written', async () => {
+      const backend = await seed([{ key: 'partial', data: RATINGS, timestamp: Date.now() }]);
+      const entryKey = Object.keys(localData).find(key => key.startsWith('nr:') && key !== 'nr:index');
+      delete localData[entryKey];
+
+      const { report } = await new CacheIntegrity('netflix_ratings_cache').verify(backend);
+
+      expect(report).toMatchObject({ checked: 1, quarantined: 0, dropped: 1, problems: { unreadable: 1 } });
+      expect(await backend.list()).toEqual([]);
+      expect(localData.netflix_ratings_cache_quarantine).toBeUndefined();
+    });
+
+    test('should remove entries whose index record lost its key on load', async () => {
+      await seed([
+        { key: 'good', data: RATINGS, timestamp: Date.now() },
+        { key: 'orphan', data: RATINGS, timestamp: Date.now() },
+      ]);
+      const orphanKey = `nr:${ChromeStorageBackend.hashKey('orphan')}`;
+      delete localData['nr:index'][ChromeStorageBackend.hashKey('orphan')].key;
+
+      const backend = new ChromeStorageBackend('netflix_ratings_cache');
+      await backend.init();
+
+      expect((await backend.list()).map(meta => meta.key)).toEqual(['good']);
+      expect(localData[orphanKey]).toBeUndefined();
+      expect(Object.keys(localData['nr:index'])).toEqual([ChromeStorageBackend.hashKey('good')]);
+    });
+
+    test('should keep only the newest quarantined entries', async () => {
+      const entries = Array.from({ length: CacheIntegrity.MAX_QUARANTINED + 5 }, (_, i) => ({ key: `broken_${i}`, data: RATINGS }));
+      const backend = await seed(entries);
+
+      await new CacheIntegrity('netflix_ratings_cache').verify(backend);
+
+      expect(localData.netflix_ratings_cache_quarantine).toHaveLength(CacheIntegrity.MAX_QUARANTINED);
+    });
+
+    test('should only read entries whose metadata fails in a quick check', async () => {
+      const backend = await seed([
+        { key: 'good', data: RATINGS, timestamp: Date.now() },
+        { key: 'noTimestamp', data: RATINGS },
+        { key: 'noData', timestamp: Date.now() },
+      ]);
+      const getMany = jest.spyOn(backend, 'getMany');
+
+      const { report, removedKeys } = await new CacheIntegrity('netflix_ratings_cache').verify(backend, { deep: false });
+
+      expect(getMany).toHaveBeenCalledWith(['noTimestamp']);
+      expect(removedKeys).toEqual(['noTimestamp']);
+      expect(report).toMatchObject({ checked: 3, quarantined: 1, deepCheckedAt: null });
+    });
+
+    test('should save the report for later sessions', async () => {
+      const backend = await seed([{ key: 'good', data: RATINGS, timestamp: Date.now() }]);
+      await new CacheIntegrity('netflix_ratings_cache').verify(backend);
+
+      const later = new CacheIntegrity('netflix_ratings_cache');
+
+      expect(await later.isDue()).toBe(false);
+      expect(later.getReport()).toMatchObject({ checked: 1, quarantined: 0, dropped: 0 });
+      expect(await later.isDue(Date.now() + CacheIntegrity.VERIFY_INTERVAL_MS)).toBe(true);
+
+      await later.verify(backend, { deep: false });
+      expect(await later.isDue()).toBe(false);
+    });
+  });
+
+  describe('CacheManager', () => {
+    test('should remove malformed entries on init, before warming the memory cache', async () => {
+      await seed([
+        { key: 'good', data: RATINGS, timestamp: Date.now() },
+        { key: 'noTimestamp', data: RATINGS },
+      ]);
+      const manager = new CacheManager();
+
+      await manager.init();
+
+      expect(manager.memoryCache.has('noTimestamp')).toBe(false);
+      expect(manager.getSync('good')).toEqual(RATINGS);
+      expect((await manager.backend.list()).map(meta => meta.key)).toEqual(['good']);
+      expect((await manager.getStats()).integrity).toMatchObject({ checked: 2, quarantined: 1 });
+    });
+
+    test('should remove entries broken between two inits, reading every entry once a day', async () => {
+      await seed([{ key: 'good', data: RATINGS, timestamp: Date.now() }]);
+      await new CacheManager().init();
+      await seed([{ key: 'noTimestamp', data: RATINGS }, { key: 'noData', timestamp: Date.now() }]);
+
+      const manager = new CacheManager();
+      await manager.init();
+
+      expect((await manager.backend.list()).map(meta => meta.key).sort()).toEqual(['good', 'noData']);
+      expect(localData.netflix_ratings_cache_quarantine.map(record => record.key)).toEqual(['noTimestamp']);
+
+      const report = await manager.verify();
+      expect(report).toMatchObject({ checked: 2, quarantined: 1, problems: { invalidData: 1 } });
+      expect((await manager.backend.list()).map(meta => meta.key)).toEqual(['good']);
+    });
+
+    test('should treat malformed entries as misses until they are removed', async () => {
+      const manager = new CacheManager();
+      await manager.init();
+      await manager.backend.put({ key: 'noTimestamp', data: RATINGS });
+      manager.memoryCache.set('noTimestamp', { data: RATINGS });
+
+      expect(manager.getSync('noTimestamp')).toBeNull();
+      expect(await manager.get('noTimestamp')).toBeNull();
+    });
+
+    test('should expire malformed entries in cleanup and report them in detailed info', async () => {
+      const manager = new CacheManager();
+      await manager.init();
+      await manager.backend.put({ key: 'noTimestamp', data: RATINGS });
+
+      const [info] = await manager.getDetailedInfo();
+      expect(info).toMatchObject({ key: 'noTimestamp', isExpired: true });
+
+      expect(await manager.cleanupExpired()).toBe(1);
+    });
+  });
+});
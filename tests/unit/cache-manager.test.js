@@ -13,17 +13,61 @@ global.chrome = {
     local: {
       get: jest.fn(),
       set: jest.fn(),
+      remove: jest.fn(),
     },
   },
 };
 
 // Import CacheManager
-const CacheManager = require('../../src/utils/cache-manager');
+const CacheManager = require('../../src/utils/cache-manager').default;
+const ChromeStorageBackend = require('../../src/utils/chrome-storage-backend').default;
+const CacheBackends = require('../../src/utils/cache-backends').default;
+
+// In-memory contents of chrome.storage.local
+let localData = {};
+
+/**
+ * Back the chrome.storage.local mocks with an in-memory store
+ * Seeding the old single-object format ({ netflix_ratings_cache: {...} }) goes through
+ * the migration in init(), like an upgraded install would.
+ * @param {Object} initial - Initial storage contents
+ */
+function useLocalStorage(initial = {}) {
+  localData = JSON.parse(JSON.stringify(initial));
+
+  chrome.storage.local.get.mockImplementation(async (keys) => {
+    if (keys === null) {
+      return { ...localData };
+    }
+    const result = {};
+    [].concat(keys).forEach((key) => {
+      if (key in localData) {
+        result[key] = JSON.parse(JSON.stringify(localData[key]));
+      }
+    });
+    return result;
+  });
+  chrome.storage.local.set.mockImplementation(async (items) => {
+    Object.assign(localData, JSON.parse(JSON.stringify(items)));
+  });
+  chrome.storage.local.remove.mockImplementation(async (keys) => {
+    [].concat(keys).forEach(key => delete localData[key]);
+  });
+}
+
+/**
+ * @param {string} key - Cache key
+ * @returns {string} chrome.storage.local key of a ratings cache entry
+ */
+function entryKeyFor(key) {
+  return `nr:${ChromeStorageBackend.hashKey(key)}`;
+}
 
 describe('CacheManager', () => {
   beforeEach(() => {
     // Clear all mocks before each test
     jest.clearAllMocks();
+    useLocalStorage();
     // Reset Date.now()
     jest.useRealTimers();
   });
@@ -65,6 +109,39 @@ describe('CacheManager', () => {
 
       global.chrome.storage = originalStorage;
     });
+
+    test('should share one run between concurrent init() calls', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({});
+      const open = jest.spyOn(CacheBackends, 'open');
+
+      try {
+        await Promise.all([manager.init(), manager.init(), manager.get('key')]);
+        await manager.init();
+
+        expect(open).toHaveBeenCalledTimes(1);
+      } finally {
+        open.mockRestore();
+      }
+    });
+
+    test('should stay uninitialized after a failed init() and retry on the next call', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({});
+      const open = jest.spyOn(CacheBackends, 'open').mockRejectedValueOnce(new Error('Backend unavailable'));
+
+      try {
+        await expect(manager.init()).rejects.toThrow('Backend unavailable');
+        expect(manager.initialized).toBe(false);
+
+        await manager.init();
+
+        expect(manager.initialized).toBe(true);
+        expect(open).toHaveBeenCalledTimes(2);
+      } finally {
+        open.mockRestore();
+      }
+    });
   });
 
   describe('Cache Duration Management', () => {
@@ -115,8 +192,6 @@ describe('CacheManager', () => {
     test('should set item in memory cache', async () => {
       const manager = new CacheManager();
       chrome.storage.sync.get.mockResolvedValue({});
-      chrome.storage.local.get.mockResolvedValue({});
-      chrome.storage.local.set.mockResolvedValue(undefined);
 
       await manager.init();
       await manager.set('test_key', { title: 'Breaking Bad', rating: 9.5 });
@@ -130,16 +205,15 @@ describe('CacheManager', () => {
     test('should set item in persistent cache', async () => {
       const manager = new CacheManager();
       chrome.storage.sync.get.mockResolvedValue({});
-      chrome.storage.local.get.mockResolvedValue({});
-      chrome.storage.local.set.mockResolvedValue(undefined);
 
       await manager.init();
       await manager.set('test_key', { title: 'Breaking Bad', rating: 9.5 });
 
-      expect(chrome.storage.local.set).toHaveBeenCalled();
-      const callArgs = chrome.storage.local.set.mock.calls[0][0];
-      expect(callArgs.netflix_ratings_cache).toBeDefined();
-      expect(callArgs.netflix_ratings_cache.test_key).toBeDefined();
+      expect(localData[entryKeyFor('test_key')]).toMatchObject({
+        key: 'test_key',
+        data: { title: 'Breaking Bad', rating: 9.5 },
+      });
+      expect(localData['nr:index'][ChromeStorageBackend.hashKey('test_key')].key).toBe('test_key');
     });
 
     test('should get item from cache (valid entry)', async () => {
@@ -149,7 +223,7 @@ describe('CacheManager', () => {
       const cachedEntry = { data: testData, timestamp };
 
       chrome.storage.sync.get.mockResolvedValue({});
-      chrome.storage.local.get.mockResolvedValue({
+      useLocalStorage({
         netflix_ratings_cache: { test_key: cachedEntry },
       });
 
@@ -166,10 +240,9 @@ describe('CacheManager', () => {
       const cachedEntry = { data: testData, timestamp: oldTimestamp };
 
       chrome.storage.sync.get.mockResolvedValue({ cacheDurationHours: 24 });
-      chrome.storage.local.get.mockResolvedValue({
+      useLocalStorage({
         netflix_ratings_cache: { test_key: cachedEntry },
       });
-      chrome.storage.local.set.mockResolvedValue(undefined);
 
       await manager.init();
       const result = await manager.get('test_key');
@@ -180,7 +253,7 @@ describe('CacheManager', () => {
     test('should return null for missing cache entry', async () => {
       const manager = new CacheManager();
       chrome.storage.sync.get.mockResolvedValue({});
-      chrome.storage.local.get.mockResolvedValue({
+      useLocalStorage({
         netflix_ratings_cache: {},
       });
 
@@ -210,8 +283,6 @@ describe('CacheManager', () => {
     test('should clear memory cache', async () => {
       const manager = new CacheManager();
       chrome.storage.sync.get.mockResolvedValue({});
-      chrome.storage.local.get.mockResolvedValue({});
-      chrome.storage.local.set.mockResolvedValue(undefined);
 
       await manager.init();
       manager.memoryCache.set('key1', { data: 'value1', timestamp: Date.now() });
@@ -225,15 +296,290 @@ describe('CacheManager', () => {
     test('should clear persistent cache', async () => {
       const manager = new CacheManager();
       chrome.storage.sync.get.mockResolvedValue({});
-      chrome.storage.local.get.mockResolvedValue({});
-      chrome.storage.local.set.mockResolvedValue(undefined);
 
       await manager.init();
+      await manager.set('key1', { title: 'Breaking Bad' });
+      localData.cacheDurationHours = 24; // Unrelated keys survive
       await manager.clear();
 
-      expect(chrome.storage.local.set).toHaveBeenCalledWith({
-        netflix_ratings_cache: {},
+      // The integrity report isn't an entry - it describes the last check
+      expect(Object.keys(localData).sort()).toEqual(['cacheDurationHours', 'netflix_ratings_cache_integrity']);
+      expect((await manager.getStats()).persistentItems).toBe(0);
+    });
+  });
+
+  describe('Cache Delete Operation', () => {
+    test('should delete a single entry from memory and persistent cache', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({});
+      useLocalStorage({
+        netflix_ratings_cache: {
+          key1: { data: 'value1', timestamp: Date.now() },
+          key2: { data: 'value2', timestamp: Date.now() },
+        },
+      });
+
+      await manager.init();
+      manager.memoryCache.set('key1', { data: 'value1', timestamp: Date.now() });
+      const deleted = await manager.delete('key1');
+
+      expect(deleted).toBe(true);
+      expect(manager.memoryCache.has('key1')).toBe(false);
+      expect(localData[entryKeyFor('key1')]).toBeUndefined();
+      expect(localData[entryKeyFor('key2')]).toBeDefined();
+      expect(Object.values(localData['nr:index']).map(entry => entry.key)).toEqual(['key2']);
+    });
+
+    test('should return false when the key does not exist', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({});
+      await manager.init();
+      const deleted = await manager.delete('missing');
+
+      expect(deleted).toBe(false);
+      expect(chrome.storage.local.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Per-key storage', () => {
+    test('should read a single entry key on get()', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({});
+
+      await manager.init();
+      await manager.set('show:2020:series', { imdb: '8.1' });
+      manager.memoryCache.clear();
+      chrome.storage.local.get.mockClear();
+
+      expect(await manager.get('show:2020:series')).toEqual({ imdb: '8.1' });
+      expect(chrome.storage.local.get).toHaveBeenCalledTimes(1);
+      expect(chrome.storage.local.get).toHaveBeenCalledWith([entryKeyFor('show:2020:series')]);
+    });
+
+    test('should migrate the old single-object cache on init', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({});
+      useLocalStorage({
+        netflix_ratings_cache: {
+          key1: { data: { imdb: '9.5' }, timestamp: Date.now() },
+          key2: { data: { notFound: true }, negative: true, timestamp: Date.now() },
+          broken: null,
+        },
+      });
+
+      await manager.init();
+
+      expect(localData.netflix_ratings_cache).toBeUndefined();
+      expect(localData[entryKeyFor('key1')]).toMatchObject({ key: 'key1', data: { imdb: '9.5' } });
+      expect(localData[entryKeyFor('key2')]).toMatchObject({ key: 'key2', negative: true });
+      expect(Object.keys(localData['nr:index']).length).toBe(2);
+      expect(await manager.get('key1')).toEqual({ imdb: '9.5' });
+    });
+
+    test('should keep newer per-key entries over old-format ones during migration', async () => {
+      const manager = new CacheManager();
+      const hash = ChromeStorageBackend.hashKey('key1');
+      chrome.storage.sync.get.mockResolvedValue({});
+      useLocalStorage({
+        netflix_ratings_cache: { key1: { data: { imdb: 'old' }, timestamp: Date.now() - 1000 } },
+        [`nr:${hash}`]: { key: 'key1', data: { imdb: 'new' }, timestamp: Date.now() },
+        'nr:index': { [hash]: { key: 'key1', timestamp: Date.now(), size: 10 } },
+      });
+
+      await manager.init();
+
+      expect(await manager.get('key1')).toEqual({ imdb: 'new' });
+    });
+
+    test('should not lose entries when set() is called concurrently', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({});
+
+      // Make every storage call yield, so unsynchronized writers would interleave
+      const setImpl = chrome.storage.local.set.getMockImplementation();
+      chrome.storage.local.set.mockImplementation(async (items) => {
+        await new Promise(resolve => setImmediate(resolve));
+        return setImpl(items);
+      });
+
+      await manager.init();
+      const keys = Array.from({ length: 20 }, (_, i) => `title_${i}`);
+      await Promise.all(keys.map(key => manager.set(key, { imdb: key })));
+
+      // A fresh manager sees only what reached storage
+      const reloaded = new CacheManager();
+      await reloaded.init();
+
+      expect(Object.keys(localData['nr:index']).length).toBe(20);
+      expect((await reloaded.getStats()).persistentItems).toBe(20);
+      for (const key of keys) {
+        expect(await reloaded.get(key)).toEqual({ imdb: key });
+      }
+    });
+
+    test('should ignore an entry stored under the same hash for a different key', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({});
+      useLocalStorage({
+        [entryKeyFor('key1')]: { key: 'other', data: { imdb: '1.0' }, timestamp: Date.now() },
+      });
+
+      await manager.init();
+
+      expect(await manager.get('key1')).toBeNull();
+    });
+
+    test('should prefix entries of other caches with their own prefix', async () => {
+      const manager = new CacheManager('omdb_response_cache', 'cacheDurationHours');
+      chrome.storage.sync.get.mockResolvedValue({});
+
+      await manager.init();
+      await manager.set('id:tt0903747', { Title: 'Breaking Bad' });
+
+      expect(localData[`omdb:${ChromeStorageBackend.hashKey('id:tt0903747')}`]).toBeDefined();
+      expect(localData['omdb:index']).toBeDefined();
+    });
+  });
+
+  describe('getWithMeta() (stale-while-revalidate)', () => {
+    const HOUR_MS = 60 * 60 * 1000;
+
+    /**
+     * Create an initialized manager whose persistent cache holds the given entries
+     * @param {Object} entries - Persistent cache contents
+     * @returns {Promise<CacheManager>}
+     */
+    async function createManagerWith(entries) {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({ cacheDurationHours: 24, negativeCacheHours: 6 });
+      useLocalStorage({ netflix_ratings_cache: entries });
+      await manager.init();
+      return manager;
+    }
+
+    test('should return fresh entries with their age', async () => {
+      const timestamp = Date.now() - 30 * 60 * 1000;
+      const manager = await createManagerWith({ fresh: { data: { imdb: '8.5' }, timestamp } });
+
+      const result = await manager.getWithMeta('fresh');
+
+      expect(result).toMatchObject({ data: { imdb: '8.5' }, timestamp, stale: false, negative: false });
+      expect(result.ageMs).toBeGreaterThanOrEqual(30 * 60 * 1000);
+    });
+
+    test('should flag valid entries older than the stale threshold', async () => {
+      const manager = await createManagerWith({ old: { data: { imdb: '8.5' }, timestamp: Date.now() - 3 * HOUR_MS } });
+
+      const result = await manager.getWithMeta('old');
+
+      expect(result.stale).toBe(true);
+      expect(result.data).toEqual({ imdb: '8.5' });
+      expect(CacheManager.DEFAULT_STALE_AFTER_MINUTES).toBe(60);
+    });
+
+    test('should never flag negative entries as stale', async () => {
+      const manager = await createManagerWith({
+        missing: { data: { notFound: true }, negative: true, timestamp: Date.now() - 3 * HOUR_MS },
+      });
+
+      const result = await manager.getWithMeta('missing');
+
+      expect(result).toMatchObject({ data: { notFound: true }, stale: false, negative: true });
+    });
+
+    test('should return null for expired or missing entries', async () => {
+      const manager = await createManagerWith({ expired: { data: { imdb: '8.5' }, timestamp: Date.now() - 25 * HOUR_MS } });
+
+      expect(await manager.getWithMeta('expired')).toBeNull();
+      expect(await manager.getWithMeta('missing')).toBeNull();
+    });
+  });
+
+  describe('Negative Cache (not found entries)', () => {
+    const HOUR_MS = 60 * 60 * 1000;
+
+    test('should store a not-found marker flagged as negative', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({});
+
+      await manager.init();
+      await manager.setNotFound('special:2023:');
+
+      const saved = localData[entryKeyFor('special:2023:')];
+      expect(saved.data).toEqual({ notFound: true });
+      expect(saved.negative).toBe(true);
+      expect(CacheManager.isNotFound(manager.getSync('special:2023:'))).toBe(true);
+    });
+
+    test('should return the not-found marker while within the negative duration', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({ cacheDurationHours: 24, negativeCacheHours: 6 });
+      useLocalStorage({
+        netflix_ratings_cache: {
+          special: { data: { notFound: true }, negative: true, timestamp: Date.now() - 5 * HOUR_MS },
+        },
+      });
+
+      await manager.init();
+      const result = await manager.get('special');
+
+      expect(CacheManager.isNotFound(result)).toBe(true);
+    });
+
+    test('should expire negative entries after the shorter negative duration', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({ cacheDurationHours: 24, negativeCacheHours: 6 });
+      useLocalStorage({
+        netflix_ratings_cache: {
+          special: { data: { notFound: true }, negative: true, timestamp: Date.now() - 7 * HOUR_MS },
+          movie: { data: { imdb: { value: '8.0' } }, timestamp: Date.now() - 7 * HOUR_MS },
+        },
       });
+
+      await manager.init();
+
+      expect(await manager.get('special')).toBeNull();
+      expect(await manager.get('movie')).toEqual({ imdb: { value: '8.0' } });
+    });
+
+    test('should default the negative duration to 6 hours', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({});
+
+      expect(await manager.getNegativeCacheDuration()).toBe(CacheManager.DEFAULT_NEGATIVE_CACHE_HOURS);
+      expect(CacheManager.DEFAULT_NEGATIVE_CACHE_HOURS).toBe(6);
+    });
+
+    test('should validate and save the negative duration', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.set.mockResolvedValue(undefined);
+
+      await manager.setNegativeCacheDuration(12);
+      expect(chrome.storage.sync.set).toHaveBeenCalledWith({ negativeCacheHours: 12 });
+
+      await expect(manager.setNegativeCacheDuration(0)).rejects.toThrow('positive integer');
+    });
+
+    test('should count not-found entries in stats', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({});
+      useLocalStorage({
+        netflix_ratings_cache: {
+          special: { data: { notFound: true }, negative: true, timestamp: Date.now() },
+          movie: { data: { imdb: { value: '8.0' } }, timestamp: Date.now() },
+        },
+      });
+
+      await manager.init();
+      const stats = await manager.getStats();
+
+      expect(stats.notFoundItems).toBe(1);
+      expect(stats.negativeCacheHours).toBe(6);
+    });
+
+    test('should not treat regular data as not found', () => {
+      expect(CacheManager.isNotFound({ imdb: null })).toBe(false);
+      expect(CacheManager.isNotFound(null)).toBe(false);
     });
   });
 
@@ -248,7 +594,7 @@ describe('CacheManager', () => {
       };
 
       chrome.storage.sync.get.mockResolvedValue({ cacheDurationHours: 24 });
-      chrome.storage.local.get.mockResolvedValue(cacheData);
+      useLocalStorage(cacheData);
 
       await manager.init();
       const stats = await manager.getStats();
@@ -263,7 +609,7 @@ describe('CacheManager', () => {
     test('should handle stats calculation with empty cache', async () => {
       const manager = new CacheManager();
       chrome.storage.sync.get.mockResolvedValue({ cacheDurationHours: 24 });
-      chrome.storage.local.get.mockResolvedValue({ netflix_ratings_cache: {} });
+      useLocalStorage({ netflix_ratings_cache: {} });
 
       await manager.init();
       const stats = await manager.getStats();
@@ -289,8 +635,7 @@ describe('CacheManager', () => {
       };
 
       chrome.storage.sync.get.mockResolvedValue({ cacheDurationHours: 24 });
-      chrome.storage.local.get.mockResolvedValue(cacheData);
-      chrome.storage.local.set.mockResolvedValue(undefined);
+      useLocalStorage(cacheData);
 
       await manager.init();
       const removed = await manager.cleanupExpired();
@@ -301,30 +646,177 @@ describe('CacheManager', () => {
     test('should limit cache size to 500 items', async () => {
       const manager = new CacheManager();
       chrome.storage.sync.get.mockResolvedValue({});
-      chrome.storage.local.get.mockResolvedValue({});
-      chrome.storage.local.set.mockResolvedValue(undefined);
 
-      await manager.init();
-
-      // Create a large cache to trigger cleanup
+      // Fill the cache to the chrome.storage.local maximum
       let largeCache = {};
-      for (let i = 0; i < 501; i++) {
+      for (let i = 0; i < 500; i++) {
         largeCache[`key_${i}`] = {
           data: { title: `Show ${i}` },
           timestamp: Date.now() - i * 1000, // older timestamps for higher indices
         };
       }
 
-      chrome.storage.local.get.mockResolvedValue({
+      useLocalStorage({
         netflix_ratings_cache: largeCache,
       });
 
+      await manager.init();
       await manager.set(`key_new`, { title: 'New Show' });
 
-      // Verify that cleanup was called and cache is limited
-      const lastSetCall = chrome.storage.local.set.mock.calls[chrome.storage.local.set.mock.calls.length - 1];
-      const savedCache = lastSetCall[0].netflix_ratings_cache;
-      expect(Object.keys(savedCache).length).toBeLessThanOrEqual(501);
+      // Only the least recently used entry is removed from the index and from storage
+      const entryKeys = Object.keys(localData).filter(key => !['nr:index', 'netflix_ratings_cache_evictions', 'netflix_ratings_cache_integrity'].includes(key));
+      expect(Object.keys(localData['nr:index']).length).toBe(500);
+      expect(entryKeys.length).toBe(500);
+      expect(localData[entryKeyFor('key_new')]).toBeDefined();
+      expect(localData[entryKeyFor('key_0')]).toBeDefined();
+      expect(localData[entryKeyFor('key_499')]).toBeUndefined();
+    });
+  });
+
+  describe('LRU eviction', () => {
+    /**
+     * Run a step with Date.now() fixed
+     * @param {number} time - Value for Date.now()
+     * @param {Function} step - Async step
+     */
+    async function at(time, step) {
+      jest.spyOn(Date, 'now').mockReturnValue(time);
+      try {
+        await step();
+      } finally {
+        Date.now.mockRestore();
+      }
+    }
+
+    test('should record the last access on get()', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({});
+      const now = Date.now();
+
+      await manager.init();
+      await at(now, () => manager.set('key_a', { title: 'A' }));
+      manager.memoryCache.clear();
+      await at(now + 5000, () => manager.get('key_a'));
+
+      const [listed] = await manager.backend.list();
+      expect(listed.lastAccess).toBe(now + 5000);
+      expect(listed.timestamp).toBe(now);
+    });
+
+    test('should evict the least recently used entry, not the oldest written', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({ cacheSizeLimit: 2, cacheSizeLimitUnit: 'items' });
+      const now = Date.now();
+
+      await manager.init();
+      await at(now, () => manager.set('key_a', { title: 'A' }));
+      await at(now + 1000, () => manager.set('key_b', { title: 'B' }));
+      manager.memoryCache.clear();
+      await at(now + 2000, () => manager.get('key_a'));
+      await at(now + 3000, () => manager.set('key_c', { title: 'C' }));
+
+      const keys = (await manager.backend.list()).map(entry => entry.key).sort();
+      expect(keys).toEqual(['key_a', 'key_c']);
+      expect(manager.memoryCache.has('key_b')).toBe(false);
+    });
+
+    test('should evict down to a limit in KB', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({ cacheSizeLimit: 1, cacheSizeLimitUnit: 'kb' });
+      const now = Date.now();
+
+      await manager.init();
+      for (let i = 0; i < 4; i++) {
+        await at(now + i, () => manager.set(`key_${i}`, { plot: 'x'.repeat(400) }));
+      }
+
+      const listed = await manager.backend.list();
+      const bytes = listed.reduce((total, entry) => total + entry.size, 0);
+      expect(bytes).toBeLessThanOrEqual(1024);
+      expect(listed.map(entry => entry.key).sort()).toEqual(['key_2', 'key_3']);
+    });
+
+    test('should only list the backend on writes that outgrow the limit', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({ cacheSizeLimit: 2, cacheSizeLimitUnit: 'items' });
+      const now = Date.now();
+
+      await manager.init();
+      const list = jest.spyOn(manager.backend, 'list');
+      await at(now, () => manager.set('key_a', { title: 'A' }));
+      await at(now + 1000, () => manager.set('key_b', { title: 'B' }));
+      await manager.delete('key_a');
+      await at(now + 2000, () => manager.set('key_c', { title: 'C' }));
+      await at(now + 3000, () => manager.set('key_b', { title: 'B2' }));
+
+      expect(list).not.toHaveBeenCalled();
+
+      await at(now + 4000, () => manager.set('key_d', { title: 'D' }));
+
+      expect(list).toHaveBeenCalledTimes(1);
+      expect((await manager.backend.list()).map(entry => entry.key).sort()).toEqual(['key_b', 'key_d']);
+    });
+
+    test('should evict immediately when the limit is lowered', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({});
+      const now = Date.now();
+
+      await manager.init();
+      for (let i = 0; i < 3; i++) {
+        await at(now + i, () => manager.set(`key_${i}`, { title: `Show ${i}` }));
+      }
+
+      chrome.storage.sync.get.mockResolvedValue({ cacheSizeLimit: 1, cacheSizeLimitUnit: 'items' });
+      const evicted = await manager.setSizeLimit(1, 'items');
+
+      expect(chrome.storage.sync.set).toHaveBeenCalledWith({ cacheSizeLimit: 1, cacheSizeLimitUnit: 'items' });
+      expect(evicted).toBe(2);
+      expect((await manager.backend.list()).map(entry => entry.key)).toEqual(['key_2']);
+    });
+
+    test('should leave the OMDB response cache to the backend maximum', async () => {
+      const manager = new CacheManager('omdb_response_cache');
+      chrome.storage.sync.get.mockResolvedValue({ cacheSizeLimit: 1, cacheSizeLimitUnit: 'items' });
+
+      await manager.init();
+      await manager.set('key_a', { title: 'A' });
+      await manager.set('key_b', { title: 'B' });
+
+      expect(await manager.getSizeLimit()).toEqual({ value: null, unit: 'items' });
+      expect(await manager.backend.list()).toHaveLength(2);
+      await expect(manager.setSizeLimit(1, 'items')).rejects.toThrow('only applies to the ratings cache');
+    });
+
+    test('should reject invalid limits', async () => {
+      const manager = new CacheManager();
+
+      await expect(manager.setSizeLimit(0, 'items')).rejects.toThrow('Cache size limit must be a positive integer');
+      await expect(manager.setSizeLimit(1.5, 'kb')).rejects.toThrow('Cache size limit must be a positive integer');
+      await expect(manager.setSizeLimit(10, 'mb')).rejects.toThrow('Cache size limit unit must be one of');
+      expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+    });
+
+    test('should report and persist eviction counts in stats', async () => {
+      const manager = new CacheManager();
+      chrome.storage.sync.get.mockResolvedValue({ cacheSizeLimit: 1, cacheSizeLimitUnit: 'items' });
+
+      await manager.init();
+      await manager.set('key_a', { title: 'A' });
+      await manager.set('key_b', { title: 'B' });
+      await manager.set('key_c', { title: 'C' });
+
+      const stats = await manager.getStats();
+      expect(stats.sizeLimit).toEqual({ value: 1, unit: 'items', maxItems: 500 });
+      expect(stats.evictions.count).toBe(2);
+      expect(stats.evictions.bytes).toBeGreaterThan(0);
+      expect(stats.evictions.lastEvictedAt).toEqual(expect.any(Number));
+      expect(localData.netflix_ratings_cache_evictions.count).toBe(2);
+
+      // A new service worker picks the counts up again
+      const restarted = new CacheManager();
+      await restarted.init();
+      expect((await restarted.getStats()).evictions.count).toBe(2);
     });
   });
 
@@ -341,7 +833,7 @@ describe('CacheManager', () => {
       };
 
       chrome.storage.sync.get.mockResolvedValue({ cacheDurationHours: 24 });
-      chrome.storage.local.get.mockResolvedValue(cacheData);
+      useLocalStorage(cacheData);
 
       await manager.init();
       const info = await manager.getDetailedInfo();
@@ -352,6 +844,25 @@ describe('CacheManager', () => {
       expect(info[0].isExpired).toBe(false);
       expect(info[0].ageMs).toBeGreaterThan(0);
     });
+
+    test('should include entry data when asked for, and peek at expired entries', async () => {
+      const manager = new CacheManager();
+      const twoDaysAgo = Date.now() - 48 * 60 * 60 * 1000;
+
+      chrome.storage.sync.get.mockResolvedValue({ cacheDurationHours: 24 });
+      useLocalStorage({
+        netflix_ratings_cache: {
+          key1: { data: { title: 'Breaking Bad' }, timestamp: twoDaysAgo },
+        },
+      });
+
+      await manager.init();
+      const [info] = await manager.getDetailedInfo({ includeData: true });
+
+      expect(info).toMatchObject({ key: 'key1', isExpired: true, data: { title: 'Breaking Bad' } });
+      expect(await manager.peek('key1')).toMatchObject({ key: 'key1', data: { title: 'Breaking Bad' }, timestamp: twoDaysAgo });
+      expect(await manager.peek('missing')).toBeNull();
+    });
   });
 
   describe('Error Handling', () => {
@@ -369,7 +880,6 @@ describe('CacheManager', () => {
     test('should handle chrome.storage errors gracefully in set()', async () => {
       const manager = new CacheManager();
       chrome.storage.sync.get.mockResolvedValue({});
-      chrome.storage.local.get.mockResolvedValue({});
       chrome.storage.local.set.mockRejectedValue(new Error('Storage error'));
 
       await manager.init();
@@ -382,7 +892,7 @@ describe('CacheManager', () => {
     test('should handle chrome.storage errors gracefully in clear()', async () => {
       const manager = new CacheManager();
       chrome.storage.sync.get.mockResolvedValue({});
-      chrome.storage.local.set.mockRejectedValue(new Error('Storage error'));
+      chrome.storage.local.remove.mockRejectedValue(new Error('Storage error'));
 
       await manager.init();
       await manager.clear(); // Should not throw
@@ -473,6 +983,18 @@ describe('CacheManager', () => {
       expect(result).toBe(true);
     });
 
+    test('isStaleSync should never report negative entries as stale', () => {
+      const manager = new CacheManager();
+
+      manager.memoryCache.set('missing_key', {
+        data: { notFound: true },
+        negative: true,
+        timestamp: Date.now() - (3 * 60 * 60 * 1000), // 3 hours ago
+      });
+
+      expect(manager.isStaleSync('missing_key')).toBe(false);
+    });
+
     test('getSync should handle errors gracefully', () => {
       const manager = new CacheManager();
       // Simulate corrupted cache entry
@@ -487,7 +1009,6 @@ describe('CacheManager', () => {
     test('should auto-initialize if not initialized before get()', async () => {
       const manager = new CacheManager();
       chrome.storage.sync.get.mockResolvedValue({});
-      chrome.storage.local.get.mockResolvedValue({});
 
       expect(manager.initialized).toBe(false);
       await manager.get('test_key');
@@ -497,8 +1018,6 @@ describe('CacheManager', () => {
     test('should auto-initialize if not initialized before set()', async () => {
       const manager = new CacheManager();
       chrome.storage.sync.get.mockResolvedValue({});
-      chrome.storage.local.get.mockResolvedValue({});
-      chrome.storage.local.set.mockResolvedValue(undefined);
 
       expect(manager.initialized).toBe(false);
       await manager.set('test_key', { title: 'Test' });
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for CacheMigrations - entry and settings schema versions, the update run,
+ * and CacheManager migrating old entries on read (chrome.storage.local backend)
+ */
+
+const { createArea } = require('../helpers/chrome-storage');
+
+// Mock chrome.storage API (in-memory areas)
+let syncData = {};
+let localData = {};
+
+global.chrome = {
+  storage: {
+    sync: createArea(() => syncData),
+    local: createArea(() => localData),
+    onChanged: {
+      addListener: jest.fn(),
+    },
+  },
+};
+
+const CacheManager = require('../../src/utils/cache-manager').default;
+const CacheMigrations = require('../../src/utils/cache-migrations').default;
+const ChromeStorageBackend = require('../../src/utils/chrome-storage-backend').default;
+
+const RATINGS = { imdb: { value: '8.0', votes: '1,000' }, imdbID: 'tt0000001' };
+
+/**
+ * Seed a cache directly, as an older version of the extension would have left it
+ * @param {string} storageKey - Cache name
+ * @param {Object[]} entries - [{ key, data, negative?, schemaVersion?, lastAccess? }]
+ * @returns {Promise<ChromeStorageBackend>}
+ */
+async function seed(storageKey, entries) {
+  const backend = new ChromeStorageBackend(storageKey);
+  await backend.init();
+  for (const { lastAccess, ...entry } of entries) {
+    await backend.put({ timestamp: Date.now(), ...entry }, lastAccess);
+  }
+  return backend;
+}
+
+describe('CacheMigrations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    syncData = { cacheBackend: 'chromeStorage' };
+    localData = {};
+  });
+
+  describe('upgradeEntry', () => {
+    test('should treat unversioned entries as version 1', () => {
+      expect(CacheMigrations.versionOf({ data: RATINGS })).toBe(1);
+      expect(CacheMigrations.isCurrent({ data: RATINGS, schemaVersion: CacheMigrations.ENTRY_VERSION })).toBe(true);
+    });
+
+    test('should stamp migrated entries with the current version, leaving the original alone', () => {
+      const entry = { data: RATINGS, timestamp: 1 };
+
+      expect(CacheMigrations.upgradeEntry(entry, 'netflix_ratings_cache'))
+        .toEqual({ data: RATINGS, timestamp: 1, schemaVersion: CacheMigrations.ENTRY_VERSION });
+      expect(entry.schemaVersion).toBeUndefined();
+    });
+
+    test('should keep ratings records from before IMDb IDs were stored', () => {
+      expect(CacheMigrations.upgradeEntry({ data: { imdb: { value: '7.0' } }, timestamp: 1 }, 'netflix_ratings_cache')).not.toBeNull();
+    });
+
+    test('should reject ratings data that badges cannot show', () => {
+      const upgrade = entry => CacheMigrations.upgradeEntry({ timestamp: 1, ...entry }, 'netflix_ratings_cache');
+
+      expect(upgrade({ data: '8.0' })).toBeNull();
+      expect(upgrade({ data: null })).toBeNull();
+      expect(upgrade({ data: ['8.0'] })).toBeNull();
+      expect(upgrade({ data: { imdb: null }, negative: true })).toBeNull();
+      expect(upgrade({ data: { notFound: true }, negative: true })).not.toBeNull();
+    });
+
+    test('should leave other caches\' data alone', () => {
+      expect(CacheMigrations.upgradeEntry({ data: 'raw', timestamp: 1 }, 'omdb_response_cache')).not.toBeNull();
+    });
+
+    test('should reject entries written by a newer version', () => {
+      expect(CacheMigrations.upgradeEntry({ data: RATINGS, schemaVersion: CacheMigrations.ENTRY_VERSION + 1 }, 'netflix_ratings_cache')).toBeNull();
+    });
+  });
+
+  describe('migrateSettings', () => {
+    test('should turn numeric text into numbers and remove invalid values', async () => {
+      syncData = {
+        omdbApiKey: 'abc',
+        cacheDurationHours: '48',
+        staleAfterMinutes: 'soon',
+        negativeCacheHours: 6,
+        cacheSizeLimit: null,
+        maxConcurrentRequests: -2,
+      };
+
+      expect(await CacheMigrations.migrateSettings()).toEqual({ from: 1, to: CacheMigrations.SETTINGS_VERSION });
+
+      expect(syncData).toEqual({
+        omdbApiKey: 'abc',
+        cacheDurationHours: 48,
+        negativeCacheHours: 6,
+        cacheSizeLimit: null,
+        settingsSchemaVersion: CacheMigrations.SETTINGS_VERSION,
+      });
+    });
+
+    test('should do nothing when settings are current', async () => {
+      syncData = { cacheDurationHours: '48', settingsSchemaVersion: CacheMigrations.SETTINGS_VERSION };
+
+      await CacheMigrations.migrateSettings();
+
+      expect(syncData.cacheDurationHours).toBe('48');
+      expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('run', () => {
+    test('should migrate old entries in place and remove the ones that cannot be migrated', async () => {
+      await seed('netflix_ratings_cache', [
+        { key: 'good', data: RATINGS, lastAccess: 1234 },
+        { key: 'broken', data: 'N/A' },
+        { key: 'current', data: RATINGS, schemaVersion: CacheMigrations.ENTRY_VERSION },
+      ]);
+      const manager = new CacheManager();
+
+      const results = await CacheMigrations.run([manager]);
+
+      expect(results.caches.netflix_ratings_cache).toEqual({ migrated: 1, removed: 1 });
+      expect(results.settings.to).toBe(CacheMigrations.SETTINGS_VERSION);
+
+      const backend = manager.backend;
+      expect((await backend.getMany(['good']))[0].schemaVersion).toBe(CacheMigrations.ENTRY_VERSION);
+      expect((await backend.list()).find(meta => meta.key === 'good').lastAccess).toBe(1234);
+      expect(await backend.getMany(['broken'])).toEqual([]);
+      expect(manager.memoryCache.has('broken')).toBe(false);
+    });
+
+    test('should keep migrating other caches when one fails', async () => {
+      const failing = { storageKey: 'failing', migrate: jest.fn(async () => { throw new Error('boom'); }) };
+      const working = { storageKey: 'working', migrate: jest.fn(async () => ({ migrated: 0, removed: 0 })) };
+
+      const results = await CacheMigrations.run([failing, working]);
+
+      expect(results.caches).toEqual({ failing: { error: 'boom' }, working: { migrated: 0, removed: 0 } });
+    });
+  });
+
+  describe('CacheManager', () => {
+    test('should version the entries it writes', async () => {
+      const manager = new CacheManager();
+      await manager.init();
+
+      await manager.set('key', RATINGS);
+
+      expect((await manager.backend.getMany(['key']))[0].schemaVersion).toBe(CacheMigrations.ENTRY_VERSION);
+    });
+
+    test('should serve old entries migrated before the update run', async () => {
+      await seed('netflix_ratings_cache', [{ key: 'old', data: RATINGS }]);
+      const manager = new CacheManager();
+      await manager.init();
+
+      expect(manager.getSync('old')).toEqual(RATINGS);
+      manager.memoryCache.clear();
+      expect(await manager.get('old')).toEqual(RATINGS);
+    });
+
+    test('should treat entries that cannot be migrated as misses, so they are re-fetched', async () => {
+      await seed('netflix_ratings_cache', [{ key: 'broken', data: 'N/A' }]);
+      const manager = new CacheManager();
+      await manager.init();
+
+      expect(manager.getSync('broken')).toBeNull();
+      expect(await manager.get('broken')).toBeNull();
+      expect(await manager.backend.getMany(['broken'])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Unit tests for IndexedDbBackend, and CacheManager's choice of storage backend
+ * Runs against fake-indexeddb (a fresh database per test)
+ */
+
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+// Mock chrome.storage API (in-memory)
+let syncData = {};
+let localData = {};
+
+global.chrome = {
+  storage: {
+    sync: {
+      get: jest.fn(async keys => Object.fromEntries([].concat(keys).filter(key => key in syncData).map(key => [key, syncData[key]]))),
+      set: jest.fn(async (items) => { Object.assign(syncData, items); }),
+    },
+    local: {
+      get: jest.fn(async keys => (keys === null
+        ? { ...localData }
+        : Object.fromEntries([].concat(keys).filter(key => key in localData).map(key => [key, localData[key]])))),
+      set: jest.fn(async (items) => { Object.assign(localData, JSON.parse(JSON.stringify(items))); }),
+      remove: jest.fn(async (keys) => { [].concat(keys).forEach(key => delete localData[key]); }),
+    },
+  },
+};
+
+const IndexedDbBackend = require('../../src/utils/indexeddb-backend').default;
+const CacheManager = require('../../src/utils/cache-manager').default;
+
+// chrome.storage.local keys other than the integrity report (see CacheIntegrity)
+const localCacheKeys = () => Object.keys(localData).filter(key => key !== 'netflix_ratings_cache_integrity');
+
+describe('IndexedDbBackend', () => {
+  let backend;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.indexedDB = new IDBFactory();
+    global.IDBKeyRange = IDBKeyRange;
+    syncData = {};
+    localData = {};
+    backend = new IndexedDbBackend('netflix_ratings_cache');
+  });
+
+  afterEach(() => {
+    backend.close();
+  });
+
+  test('should create the entries store with timestamp, lastAccess and imdbID indexes', async () => {
+    await backend.init();
+
+    const store = backend.db.transaction('entries', 'readonly').objectStore('entries');
+    expect(Array.from(store.indexNames).sort()).toEqual(['cache', 'imdbID', 'lastAccess', 'timestamp']);
+    expect(store.keyPath).toEqual(['cache', 'key']);
+  });
+
+  test('should open the database once for concurrent calls', async () => {
+    const open = jest.spyOn(indexedDB, 'open');
+
+    await Promise.all([backend.init(), backend.init(), backend.put({ key: 'netflix:1', data: {}, timestamp: 1000 })]);
+    const { db } = backend;
+    await backend.init();
+
+    expect(open).toHaveBeenCalledTimes(1);
+    expect(backend.db).toBe(db);
+  });
+
+  test('should round-trip entries and return null for missing keys', async () => {
+    const timestamp = Date.now();
+    await backend.put({ key: 'netflix:1', data: { imdb: '9.5', imdbID: 'tt0903747' }, timestamp });
+    await backend.put({ key: 'missing', data: { notFound: true }, timestamp, negative: true });
+
+    expect(await backend.get('netflix:1')).toEqual({ key: 'netflix:1', data: { imdb: '9.5', imdbID: 'tt0903747' }, timestamp });
+    expect(await backend.get('missing')).toEqual({ key: 'missing', data: { notFound: true }, timestamp, negative: true });
+    expect(await backend.get('other')).toBeNull();
+  });
+
+  test('should record the last access on reads', async () => {
+    await backend.put({ key: 'netflix:1', data: {}, timestamp: 1000 });
+    const [before] = await backend.list();
+
+    const later = before.lastAccess + 5000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    try {
+      await backend.get('netflix:1');
+    } finally {
+      Date.now.mockRestore();
+    }
+
+    const [after] = await backend.list();
+    expect(after.lastAccess).toBe(later);
+    expect(after.timestamp).toBe(1000);
+  });
+
+  test('should list metadata without entry data', async () => {
+    await backend.put({ key: 'netflix:1', data: { imdbID: 'tt0903747' }, timestamp: 1000 });
+
+    const [listed] = await backend.list();
+
+    expect(listed).toMatchObject({ key: 'netflix:1', timestamp: 1000, imdbID: 'tt0903747' });
+    expect(listed.size).toBeGreaterThan(0);
+    expect(listed.data).toBeUndefined();
+  });
+
+  test('should find keys by IMDb ID', async () => {
+    await backend.put({ key: 'netflix:1', data: { imdbID: 'tt0903747' }, timestamp: 1000 });
+    await backend.put({ key: 'Breaking Bad:2008:series', data: { imdbID: 'tt0903747' }, timestamp: 1000 });
+    await backend.put({ key: 'netflix:2', data: { imdbID: 'tt0386676' }, timestamp: 1000 });
+
+    expect((await backend.findKeysByImdbId('tt0903747')).sort()).toEqual(['Breaking Bad:2008:series', 'netflix:1']);
+  });
+
+  test('should index OMDB responses wrapped by OmdbService by IMDb ID', async () => {
+    const responses = new IndexedDbBackend('omdb_response_cache');
+    await responses.put({ key: 'omdb:i:tt0903747', data: { data: { Title: 'Breaking Bad', imdbID: 'tt0903747' }, timestamp: 1000 }, timestamp: 1000 });
+
+    expect(await responses.findKeysByImdbId('tt0903747')).toEqual(['omdb:i:tt0903747']);
+    expect(await backend.findKeysByImdbId('tt0903747')).toEqual([]);
+    responses.close();
+  });
+
+  test('should remove entries and report how many existed', async () => {
+    await backend.put({ key: 'a', data: {}, timestamp: 1000 });
+    await backend.put({ key: 'b', data: {}, timestamp: 1000 });
+
+    expect(await backend.remove(['a', 'unknown'])).toBe(1);
+    expect(await backend.get('a')).toBeNull();
+    expect(await backend.get('b')).not.toBeNull();
+  });
+
+  test('should keep caches apart and clear only its own entries', async () => {
+    const other = new IndexedDbBackend('omdb_response_cache');
+    await backend.put({ key: 'same', data: { from: 'ratings' }, timestamp: 1000 });
+    await other.put({ key: 'same', data: { from: 'omdb' }, timestamp: 1000 });
+
+    expect((await backend.get('same')).data).toEqual({ from: 'ratings' });
+
+    await backend.clear();
+
+    expect(await backend.list()).toEqual([]);
+    expect((await other.get('same')).data).toEqual({ from: 'omdb' });
+    other.close();
+  });
+
+  test('should keep a given last access on put', async () => {
+    await backend.put({ key: 'netflix:1', data: {}, timestamp: 1000 }, 2000);
+
+    const [listed] = await backend.list();
+    expect(listed.lastAccess).toBe(2000);
+  });
+
+  test('should load entry metadata when reopened', async () => {
+    await backend.put({ key: 'netflix:1', data: { imdbID: 'tt0903747' }, timestamp: 1000 }, 2000);
+    backend.close();
+
+    const reopened = new IndexedDbBackend('netflix_ratings_cache');
+    await reopened.init();
+
+    expect(await reopened.list()).toEqual([expect.objectContaining({ key: 'netflix:1', timestamp: 1000, lastAccess: 2000, imdbID: 'tt0903747' })]);
+    reopened.close();
+  });
+});
+
+describe('CacheManager storage backends', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.indexedDB = new IDBFactory();
+    global.IDBKeyRange = IDBKeyRange;
+    syncData = {};
+    localData = {};
+  });
+
+  test('should use IndexedDB by default', async () => {
+    const manager = new CacheManager();
+
+    await manager.init();
+    await manager.set('netflix:1', { imdb: '9.5' });
+
+    expect(manager.backend.name).toBe('indexedDB');
+    expect((await manager.getStats()).backend).toBe('indexedDB');
+    expect(localCacheKeys()).toEqual([]);
+    manager.memoryCache.clear();
+    expect(await manager.get('netflix:1')).toEqual({ imdb: '9.5' });
+  });
+
+  test('should use chrome.storage.local when selected in settings', async () => {
+    syncData.cacheBackend = 'chromeStorage';
+    const manager = new CacheManager();
+
+    await manager.init();
+    await manager.set('netflix:1', { imdb: '9.5' });
+
+    expect(manager.backend.name).toBe('chromeStorage');
+    expect(localData['nr:index']).toBeDefined();
+  });
+
+  test('should fall back to chrome.storage.local when IndexedDB is unavailable', async () => {
+    delete global.indexedDB;
+    const manager = new CacheManager();
+
+    await manager.init();
+
+    expect(manager.backend.name).toBe('chromeStorage');
+  });
+
+  test('should import entries left in chrome.storage.local into IndexedDB', async () => {
+    localData.netflix_ratings_cache = {
+      'netflix:1': { data: { imdb: '9.5' }, timestamp: Date.now() },
+    };
+    const manager = new CacheManager();
+
+    await manager.init();
+
+    expect(manager.backend.name).toBe('indexedDB');
+    expect(await manager.backend.get('netflix:1')).toMatchObject({ data: { imdb: '9.5' } });
+    expect(localCacheKeys()).toEqual([]);
+  });
+
+  test('should copy entries across when switching backends', async () => {
+    const manager = new CacheManager();
+    await manager.init();
+    await manager.set('netflix:1', { imdb: '9.5' });
+
+    expect(await manager.switchBackend('chromeStorage')).toBe('chromeStorage');
+    manager.memoryCache.clear();
+
+    expect(await manager.get('netflix:1')).toEqual({ imdb: '9.5' });
+    expect((await manager.getStats()).persistentItems).toBe(1);
+
+    await manager.switchBackend('indexedDB');
+    expect(manager.backend.name).toBe('indexedDB');
+    expect(await manager.get('netflix:1')).toEqual({ imdb: '9.5' });
+    expect(localCacheKeys()).toEqual([]);
+  });
+
+  test('should keep last-access order when switching backends', async () => {
+    const manager = new CacheManager();
+    await manager.init();
+    await manager.backend.put({ key: 'a', data: {}, timestamp: 1000 }, 5000);
+    await manager.backend.put({ key: 'b', data: {}, timestamp: 2000 }, 3000);
+
+    await manager.switchBackend('chromeStorage');
+
+    const lastAccess = Object.fromEntries((await manager.backend.list()).map(entry => [entry.key, entry.lastAccess]));
+    expect(lastAccess).toEqual({ a: 5000, b: 3000 });
+  });
+
+  test('should reject unknown backends', async () => {
+    const manager = new CacheManager();
+
+    await expect(manager.switchBackend('localStorage')).rejects.toThrow('Cache backend must be one of');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for MatchOverrides
+ * Tests override keys, lookup precedence, and chrome.storage.sync persistence
+ */
+
+const { createArea } = require('../helpers/chrome-storage');
+
+// Mock chrome.storage.sync backed by an in-memory object
+const mockSyncStorage = {};
+
+global.chrome = {
+  storage: {
+    sync: createArea(() => mockSyncStorage),
+  },
+};
+
+const MatchOverrides = require('../../src/background/match-overrides').default;
+
+describe('MatchOverrides', () => {
+  const DOCUMENTARY = { imdbID: 'tt9000001', Title: 'Dark', Year: '2005', Type: 'movie', Plot: 'A documentary.' };
+  const SERIES = { imdbID: 'tt5753856', Title: 'Dark', Year: '2017–2020', Type: 'series', Plot: 'A family saga.' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockSyncStorage).forEach(key => delete mockSyncStorage[key]);
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getStorageKeys()', () => {
+    test('should list the Netflix ID key before the normalized title key', () => {
+      expect(MatchOverrides.getStorageKeys({ title: 'The Office', netflixId: '70136120' })).toEqual([
+        'matchOverride:netflix:70136120',
+        'matchOverride:title:office:any:any',
+      ]);
+    });
+
+    test('should only use the title key without a Netflix ID', () => {
+      expect(MatchOverrides.getStorageKeys({ title: 'Amélie' })).toEqual(['matchOverride:title:amelie:any:any']);
+    });
+
+    test('should include the year and type in the title key', () => {
+      expect(MatchOverrides.getStorageKeys({ title: 'Dune', year: 2021, type: 'movie' })).toEqual(['matchOverride:title:dune:2021:movie']);
+    });
+  });
+
+  test('should store an override under the most specific key', async () => {
+    const overrides = new MatchOverrides();
+    await overrides.set({ title: 'Dark', netflixId: '80100172' }, SERIES);
+
+    expect(mockSyncStorage['matchOverride:netflix:80100172']).toEqual({
+      imdbID: 'tt5753856',
+      title: 'Dark',
+      year: '2017–2020',
+      type: 'series',
+    });
+    expect(mockSyncStorage['matchOverride:title:dark:any:any']).toBeUndefined();
+  });
+
+  test('should keep overrides for same-named titles of another year or type apart', async () => {
+    const overrides = new MatchOverrides();
+    await overrides.set({ title: 'Dark', year: 2005, type: 'movie' }, DOCUMENTARY);
+
+    expect((await overrides.get({ title: 'Dark', year: 2005, type: 'movie' })).imdbID).toBe('tt9000001');
+    expect(await overrides.get({ title: 'Dark', year: 2017, type: 'series' })).toBeNull();
+    expect(await overrides.get({ title: 'Dark' })).toBeNull();
+  });
+
+  test('should return the override for the same title with different punctuation', async () => {
+    const overrides = new MatchOverrides();
+    await overrides.set({ title: 'Dark' }, SERIES);
+
+    expect((await overrides.get({ title: 'DARK!' })).imdbID).toBe('tt5753856');
+  });
+
+  test('should prefer the Netflix ID override over the title override', async () => {
+    const overrides = new MatchOverrides();
+    await overrides.set({ title: 'Dark' }, DOCUMENTARY);
+    await overrides.set({ title: 'Dark', netflixId: '80100172' }, SERIES);
+
+    expect((await overrides.get({ title: 'Dark', netflixId: '80100172' })).imdbID).toBe('tt5753856');
+    expect((await overrides.get({ title: 'Dark', netflixId: '99999999' })).imdbID).toBe('tt9000001');
+  });
+
+  test('should return null when no override exists', async () => {
+    const overrides = new MatchOverrides();
+
+    expect(await overrides.get({ title: 'Dark' })).toBeNull();
+  });
+
+  test('should remove every override for a title', async () => {
+    const overrides = new MatchOverrides();
+    await overrides.set({ title: 'Dark' }, DOCUMENTARY);
+    await overrides.set({ title: 'Dark', netflixId: '80100172' }, SERIES);
+
+    await overrides.remove({ title: 'Dark', netflixId: '80100172' });
+
+    expect(await overrides.get({ title: 'Dark', netflixId: '80100172' })).toBeNull();
+  });
+
+  test('should reject overrides without an IMDb ID', async () => {
+    const overrides = new MatchOverrides();
+
+    await expect(overrides.set({ title: 'Dark' }, {})).rejects.toThrow('IMDb ID is required');
+  });
+
+  test('should explain a full sync storage instead of the raw quota error', async () => {
+    chrome.storage.sync.set.mockRejectedValueOnce(new Error('QUOTA_BYTES quota exceeded'));
+
+    const overrides = new MatchOverrides();
+
+    await expect(overrides.set({ title: 'Dark' }, SERIES)).rejects.toThrow('Too many saved matches to sync');
+  });
+
+  test('should fall back to no override if storage fails', async () => {
+    chrome.storage.sync.get.mockRejectedValueOnce(new Error('Storage error'));
+
+    const overrides = new MatchOverrides();
+
+    expect(await overrides.get({ title: 'Dark' })).toBeNull();
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Unit tests for MemoryCacheSync - memory cache hydration, session mirror and
+ * cross-context updates - through CacheManager (chrome.storage.local backend)
+ */
+
+const { createArea } = require('../helpers/chrome-storage');
+
+// Mock chrome.storage API (in-memory areas; onChanged listeners are called by the tests)
+let syncData = {};
+let localData = {};
+let sessionData = {};
+let changeListeners = [];
+
+global.chrome = {
+  storage: {
+    sync: createArea(() => syncData),
+    local: createArea(() => localData),
+    session: createArea(() => sessionData),
+    onChanged: {
+      addListener: jest.fn(listener => changeListeners.push(listener)),
+    },
+  },
+};
+
+const CacheManager = require('../../src/utils/cache-manager').default;
+const ChromeStorageBackend = require('../../src/utils/chrome-storage-backend').default;
+const MemoryCacheSync = require('../../src/utils/memory-cache-sync').default;
+
+/**
+ * Let background session mirror writes finish
+ * @returns {Promise<void>}
+ */
+function flushMirror() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Deliver a change to every chrome.storage.onChanged listener
+ * @param {Object} changes - { storageKey: { oldValue?, newValue? } }
+ * @param {string} areaName - 'session' or 'local'
+ */
+function emitChange(changes, areaName) {
+  changeListeners.forEach(listener => listener(changes, areaName));
+}
+
+describe('MemoryCacheSync', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    syncData = { cacheBackend: 'chromeStorage' };
+    localData = {};
+    sessionData = {};
+    changeListeners = [];
+  });
+
+  /**
+   * Seed the persistent cache directly, as an earlier browser session would have left it
+   * @param {Object[]} entries - [{ key, data, timestamp?, lastAccess? }]
+   * @returns {Promise<void>}
+   */
+  async function seedPersistent(entries) {
+    const backend = new ChromeStorageBackend('netflix_ratings_cache');
+    await backend.init();
+    for (const { key, data, timestamp = Date.now(), lastAccess } of entries) {
+      await backend.put({ key, data, timestamp }, lastAccess);
+    }
+  }
+
+  describe('Hydration', () => {
+    test('should warm the memory cache on init so getSync hits', async () => {
+      await seedPersistent([{ key: 'netflix:1', data: { imdb: '9.5' } }]);
+      const manager = new CacheManager();
+
+      await manager.init();
+
+      expect(manager.getSync('netflix:1')).toEqual({ imdb: '9.5' });
+    });
+
+    test('should load the most recently used entries up to the limit, skipping expired ones', async () => {
+      const now = Date.now();
+      await seedPersistent([
+        { key: 'old', data: {}, lastAccess: now - 3000 },
+        { key: 'recent', data: {}, lastAccess: now - 1000 },
+        { key: 'middle', data: {}, lastAccess: now - 2000 },
+        { key: 'expired', data: {}, timestamp: now - 48 * 60 * 60 * 1000, lastAccess: now },
+      ]);
+      const manager = new CacheManager();
+      manager.memorySync.limit = 2;
+
+      await manager.init();
+
+      expect(Array.from(manager.memoryCache.keys())).toEqual(['middle', 'recent']);
+    });
+
+    test('should not count hydration as access', async () => {
+      await seedPersistent([{ key: 'netflix:1', data: {}, lastAccess: 1000 }]);
+      const manager = new CacheManager();
+
+      await manager.init();
+
+      const [listed] = await manager.backend.list();
+      expect(listed.lastAccess).toBe(1000);
+    });
+
+    test('should hydrate from the session mirror after a service worker restart', async () => {
+      const first = new CacheManager();
+      await first.init();
+      await first.set('netflix:1', { imdb: '9.5' });
+      await flushMirror();
+
+      expect(sessionData['mem:netflix_ratings_cache:netflix:1']).toMatchObject({ data: { imdb: '9.5' } });
+
+      // The worker restarts; only the session mirror is read to warm memory
+      const restarted = new CacheManager();
+      const backendGetMany = jest.spyOn(ChromeStorageBackend.prototype, 'getMany');
+      let readCount;
+      try {
+        await restarted.init();
+        readCount = backendGetMany.mock.calls.length;
+      } finally {
+        backendGetMany.mockRestore();
+      }
+
+      expect(readCount).toBe(0);
+      expect(restarted.getSync('netflix:1')).toEqual({ imdb: '9.5' });
+    });
+
+    test('should merge the session mirror with newer and unmirrored backend entries', async () => {
+      const now = Date.now();
+      const first = new CacheManager();
+      await first.init();
+      await first.set('netflix:1', { imdb: '9.5' });
+      await first.set('netflix:2', { imdb: '7.0' });
+      await flushMirror();
+
+      // Written by another context whose writes the mirror didn't see
+      await seedPersistent([
+        { key: 'netflix:2', data: { imdb: '7.2' }, timestamp: now + 1000 },
+        { key: 'netflix:3', data: { imdb: '6.1' }, timestamp: now + 1000 },
+      ]);
+
+      const restarted = new CacheManager();
+      const backendGetMany = jest.spyOn(ChromeStorageBackend.prototype, 'getMany');
+      let readKeys;
+      try {
+        await restarted.init();
+        readKeys = backendGetMany.mock.calls.map(([keys]) => [...keys].sort());
+      } finally {
+        backendGetMany.mockRestore();
+      }
+      await flushMirror();
+
+      expect(readKeys).toEqual([['netflix:2', 'netflix:3']]);
+      expect(restarted.getSync('netflix:1')).toEqual({ imdb: '9.5' });
+      expect(restarted.getSync('netflix:2')).toEqual({ imdb: '7.2' });
+      expect(restarted.getSync('netflix:3')).toEqual({ imdb: '6.1' });
+      expect(sessionData['mem:netflix_ratings_cache:netflix:3']).toMatchObject({ data: { imdb: '6.1' } });
+    });
+
+    test('should work without chrome.storage.session', async () => {
+      const session = chrome.storage.session;
+      delete chrome.storage.session;
+      try {
+        await seedPersistent([{ key: 'netflix:1', data: { imdb: '9.5' } }]);
+        const manager = new CacheManager();
+
+        await manager.init();
+
+        expect(manager.getSync('netflix:1')).toEqual({ imdb: '9.5' });
+      } finally {
+        chrome.storage.session = session;
+      }
+    });
+  });
+
+  describe('Session mirror', () => {
+    test('should remove deleted and cleared entries from the mirror', async () => {
+      const manager = new CacheManager();
+      await manager.init();
+      await manager.set('a', { title: 'A' });
+      await manager.set('b', { title: 'B' });
+      await flushMirror();
+
+      await manager.delete('a');
+      await flushMirror();
+      expect(Object.keys(sessionData)).toEqual(['mem:netflix_ratings_cache:b']);
+
+      await manager.clear();
+      expect(sessionData).toEqual({});
+    });
+
+    test('should keep caches apart', async () => {
+      const ratings = new CacheManager();
+      const omdb = new CacheManager('omdb_response_cache');
+      await ratings.init();
+      await omdb.init();
+
+      await omdb.set('same', { from: 'omdb' });
+      await ratings.clear();
+      await flushMirror();
+
+      expect(Object.keys(sessionData)).toEqual(['mem:omdb_response_cache:same']);
+    });
+
+    test('should drop the least recently used entries past the memory limit', async () => {
+      const manager = new CacheManager();
+      await manager.init();
+      manager.memorySync.limit = 2;
+
+      await manager.set('a', {});
+      await manager.set('b', {});
+      await manager.get('a'); // now most recently used
+      await manager.set('c', {});
+      await flushMirror();
+
+      expect(Array.from(manager.memoryCache.keys())).toEqual(['a', 'c']);
+      expect(Object.keys(sessionData).sort()).toEqual(['mem:netflix_ratings_cache:a', 'mem:netflix_ratings_cache:c']);
+    });
+  });
+
+  describe('Changes from other contexts', () => {
+    test('should apply session mirror changes', async () => {
+      const manager = new CacheManager();
+      await manager.init();
+
+      emitChange({ 'mem:netflix_ratings_cache:netflix:2': { newValue: { data: { imdb: '8.0' }, timestamp: Date.now() } } }, 'session');
+      expect(manager.getSync('netflix:2')).toEqual({ imdb: '8.0' });
+
+      emitChange({ 'mem:netflix_ratings_cache:netflix:2': { oldValue: { data: { imdb: '8.0' }, timestamp: Date.now() } } }, 'session');
+      expect(manager.memoryCache.has('netflix:2')).toBe(false);
+    });
+
+    test('should ignore mirror changes of other caches', async () => {
+      const manager = new CacheManager();
+      await manager.init();
+
+      emitChange({ 'mem:omdb_response_cache:netflix:2': { newValue: { data: {}, timestamp: Date.now() } } }, 'session');
+
+      expect(manager.memoryCache.has('netflix:2')).toBe(false);
+    });
+
+    test('should apply chrome.storage.local entry writes and removals without a session mirror', async () => {
+      const session = chrome.storage.session;
+      delete chrome.storage.session;
+      try {
+        const manager = new CacheManager();
+        await manager.init();
+        const storageKey = `nr:${ChromeStorageBackend.hashKey('netflix:3')}`;
+        const entry = { key: 'netflix:3', data: { imdb: '7.1' }, timestamp: Date.now() };
+
+        emitChange({ [storageKey]: { newValue: entry }, 'nr:index': { newValue: {} } }, 'local');
+        expect(manager.getSync('netflix:3')).toEqual({ imdb: '7.1' });
+
+        emitChange({ [storageKey]: { oldValue: entry } }, 'local');
+        expect(manager.memoryCache.has('netflix:3')).toBe(false);
+      } finally {
+        chrome.storage.session = session;
+      }
+    });
+
+    test('should leave chrome.storage.local changes to the session mirror when it exists', async () => {
+      const manager = new CacheManager();
+      await manager.init();
+      const entry = { key: 'netflix:3', data: { imdb: '7.1' }, timestamp: Date.now() };
+
+      emitChange({ [`nr:${ChromeStorageBackend.hashKey('netflix:3')}`]: { newValue: entry } }, 'local');
+
+      expect(manager.memoryCache.has('netflix:3')).toBe(false);
+    });
+
+    test('should register its listeners only once', async () => {
+      const manager = new CacheManager();
+
+      await manager.init();
+      const registered = chrome.storage.onChanged.addListener.mock.calls.length;
+      await manager.init();
+
+      expect(chrome.storage.onChanged.addListener).toHaveBeenCalledTimes(registered);
+      expect(MemoryCacheSync.MEMORY_CACHE_LIMIT).toBe(500);
+    });
+  });
+});
@@ -9,7 +9,7 @@
  * - Rating extraction
  */
 
-const OmdbService = require('../../src/services/omdb-service');
+const OmdbService = require('../../src/services/omdb-service').default;
 
 // Mock fetch globally
 global.fetch = jest.fn();
@@ -225,6 +225,20 @@ describe('OmdbService', () => {
       expect(result2).toEqual(result1);
     });
 
+    test('should skip the cache and refresh it when bypassCache is set', async () => {
+      fetch
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => mockMovieResponse })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ ...mockMovieResponse, imdbRating: '9.4' }) });
+
+      await omdbService.getById('tt0111161');
+      const refreshed = await omdbService.getById('tt0111161', { bypassCache: true });
+      const cached = await omdbService.getById('tt0111161');
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(refreshed.imdbRating).toBe('9.4');
+      expect(cached.imdbRating).toBe('9.4');
+    });
+
     test('should include plot parameter', async () => {
       fetch.mockResolvedValueOnce({
         ok: true,
@@ -532,6 +546,226 @@ describe('OmdbService', () => {
     });
   });
 
+  // ==========================================================================
+  // Pluggable Cache Backend Tests
+  // ==========================================================================
+
+  describe('Pluggable Cache Backend', () => {
+    const createAsyncBackend = () => {
+      const store = new Map();
+      return {
+        store,
+        get: jest.fn(async key => store.get(key) || null),
+        set: jest.fn(async (key, value) => { store.set(key, value); }),
+        delete: jest.fn(async key => store.delete(key)),
+        clear: jest.fn(async () => store.clear()),
+      };
+    };
+
+    test('should use the provided cache backend instead of a Map', () => {
+      const backend = createAsyncBackend();
+      const service = new OmdbService(TEST_API_KEY, { cache: backend });
+      expect(service.cache).toBe(backend);
+    });
+
+    test('should read and write responses through an async backend', async () => {
+      const backend = createAsyncBackend();
+      const service = new OmdbService(TEST_API_KEY, { cache: backend });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => ({ Response: 'True', Title: 'Inception', imdbID: 'tt1375666' }),
+      });
+
+      const first = await service.getByTitle('Inception');
+      const second = await service.getByTitle('Inception');
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(backend.set).toHaveBeenCalledTimes(1);
+      expect(second).toEqual(first);
+    });
+
+    test('should delete expired entries from the backend', async () => {
+      const backend = createAsyncBackend();
+      backend.store.set('id:tt0111161:short', {
+        data: { Title: 'Old' },
+        timestamp: Date.now() - 25 * 60 * 60 * 1000,
+      });
+      const service = new OmdbService(TEST_API_KEY, { cache: backend });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => ({ Response: 'True', Title: 'New' }),
+      });
+
+      const result = await service.getById('tt0111161');
+
+      expect(backend.delete).toHaveBeenCalledWith('id:tt0111161:short');
+      expect(result.Title).toBe('New');
+    });
+
+    test('should follow the configured cache duration', async () => {
+      const backend = createAsyncBackend();
+      backend.store.set('id:tt0111161:short', {
+        data: { Title: 'Cached' },
+        timestamp: Date.now() - 25 * 60 * 60 * 1000,
+      });
+      const service = new OmdbService(TEST_API_KEY, { cache: backend, getCacheDurationMs: () => 48 * 60 * 60 * 1000 });
+
+      const result = await service.getById('tt0111161');
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(result.Title).toBe('Cached');
+    });
+
+    test('should still return data when the backend fails', async () => {
+      const backend = createAsyncBackend();
+      backend.get.mockRejectedValue(new Error('Storage error'));
+      backend.set.mockRejectedValue(new Error('Storage error'));
+      const service = new OmdbService(TEST_API_KEY, { cache: backend });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => ({ Response: 'True', Title: 'Inception' }),
+      });
+
+      const result = await service.getByTitle('Inception');
+
+      expect(result.Title).toBe('Inception');
+    });
+  });
+
+  // ==========================================================================
+  // Error Code Tests
+  // ==========================================================================
+
+  describe('Error codes', () => {
+    test('should tag "not found" responses with NOT_FOUND', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => ({ Response: 'False', Error: 'Movie not found!' }),
+      });
+
+      await expect(omdbService.getByTitle('Nothing')).rejects.toMatchObject({
+        code: OmdbService.ERROR_CODES.NOT_FOUND,
+        omdbError: 'Movie not found!',
+      });
+    });
+
+    test('should tag other API errors with API_ERROR', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => ({ Response: 'False', Error: 'Something went wrong.' }),
+      });
+
+      await expect(omdbService.getByTitle('Anything')).rejects.toMatchObject({
+        code: OmdbService.ERROR_CODES.API_ERROR,
+      });
+    });
+  });
+
+  // ==========================================================================
+  // Quota Integration Tests
+  // ==========================================================================
+
+  describe('Quota tracking', () => {
+    const createQuota = (availability = { allowed: true, reason: null, resetAt: null }) => ({
+      checkAvailability: jest.fn(async () => availability),
+      recordRequest: jest.fn(async () => 1),
+      openCircuit: jest.fn(async () => {}),
+    });
+
+    test('should record each outgoing request', async () => {
+      const quota = createQuota();
+      const service = new OmdbService(TEST_API_KEY, { quota });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => ({ Response: 'True', Title: 'Inception' }),
+      });
+
+      await service.getByTitle('Inception');
+
+      expect(quota.checkAvailability).toHaveBeenCalledWith(TEST_API_KEY);
+      expect(quota.recordRequest).toHaveBeenCalledWith(TEST_API_KEY);
+    });
+
+    test('should not call OMDB while the circuit is open', async () => {
+      const quota = createQuota({ allowed: false, reason: 'OMDB_LIMIT_REACHED', resetAt: 123 });
+      const service = new OmdbService(TEST_API_KEY, { quota });
+
+      await expect(service.getByTitle('Inception')).rejects.toMatchObject({
+        code: OmdbService.ERROR_CODES.CIRCUIT_OPEN,
+        resetAt: 123,
+      });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should open the circuit without retrying when the limit is reached', async () => {
+      const quota = createQuota();
+      const service = new OmdbService(TEST_API_KEY, { quota });
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+        json: async () => ({ Response: 'False', Error: 'Request limit reached!' }),
+      });
+
+      await expect(service.getByTitle('Inception')).rejects.toMatchObject({
+        code: OmdbService.ERROR_CODES.LIMIT_REACHED,
+      });
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(quota.openCircuit).toHaveBeenCalledWith(TEST_API_KEY, OmdbService.ERROR_CODES.LIMIT_REACHED);
+    });
+
+    test('should open the circuit for an invalid API key', async () => {
+      const quota = createQuota();
+      const service = new OmdbService(TEST_API_KEY, { quota });
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+        json: async () => ({ Response: 'False', Error: 'Invalid API key!' }),
+      });
+
+      await expect(service.getById('tt0111161')).rejects.toMatchObject({
+        code: OmdbService.ERROR_CODES.INVALID_KEY,
+      });
+      expect(quota.openCircuit).toHaveBeenCalledWith(TEST_API_KEY, OmdbService.ERROR_CODES.INVALID_KEY);
+    });
+
+    test('should detect the limit in a 200 response too', async () => {
+      const quota = createQuota();
+      const service = new OmdbService(TEST_API_KEY, { quota });
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => ({ Response: 'False', Error: 'Request limit reached!' }),
+      });
+
+      await expect(service.search('Batman')).rejects.toMatchObject({
+        code: OmdbService.ERROR_CODES.LIMIT_REACHED,
+      });
+      expect(quota.openCircuit).toHaveBeenCalled();
+    });
+
+    test('should treat a 401 without a body as an invalid key', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+        json: async () => { throw new Error('Unexpected end of JSON input'); },
+      });
+
+      await expect(omdbService.getById('tt0111161')).rejects.toMatchObject({
+        code: OmdbService.ERROR_CODES.INVALID_KEY,
+      });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
   // ==========================================================================
   // Retry Logic Tests
   // ==========================================================================
@@ -0,0 +1,186 @@
+/**
+ * Unit tests for QuotaTracker
+ * Tests per-key daily counting, UTC day rollover, and circuit breaker behavior
+ */
+
+const { createArea } = require('../helpers/chrome-storage');
+
+// Mock chrome.storage API backed by an in-memory object
+const mockLocalStorage = {};
+
+global.chrome = {
+  storage: {
+    local: createArea(() => mockLocalStorage),
+  },
+};
+
+const QuotaTracker = require('../../src/background/quota-tracker').default;
+
+describe('QuotaTracker', () => {
+  const API_KEY = 'key_one';
+  const OTHER_KEY = 'key_two';
+  const NOON_UTC = Date.UTC(2024, 4, 10, 12, 0, 0);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockLocalStorage).forEach(key => delete mockLocalStorage[key]);
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(Date, 'now').mockReturnValue(NOON_UTC);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Request counting', () => {
+    test('should count requests per API key', async () => {
+      const tracker = new QuotaTracker();
+      await tracker.init();
+
+      await tracker.recordRequest(API_KEY);
+      await tracker.recordRequest(API_KEY);
+      await tracker.recordRequest(OTHER_KEY);
+
+      expect((await tracker.getStatus(API_KEY)).used).toBe(2);
+      expect((await tracker.getStatus(OTHER_KEY)).used).toBe(1);
+    });
+
+    test('should report remaining requests against the daily limit', async () => {
+      const tracker = new QuotaTracker('omdb_quota', 10);
+      await tracker.init();
+
+      await tracker.recordRequest(API_KEY);
+      const status = await tracker.getStatus(API_KEY);
+
+      expect(status.limit).toBe(10);
+      expect(status.remaining).toBe(9);
+      expect(status.day).toBe('2024-05-10');
+    });
+
+    test('should persist counts across instances', async () => {
+      const first = new QuotaTracker();
+      await first.init();
+      await first.recordRequest(API_KEY);
+
+      const second = new QuotaTracker();
+      await second.init();
+
+      expect((await second.getStatus(API_KEY)).used).toBe(1);
+    });
+
+    test('should reset counts on a new UTC day', async () => {
+      const tracker = new QuotaTracker();
+      await tracker.init();
+      await tracker.recordRequest(API_KEY);
+
+      Date.now.mockReturnValue(Date.UTC(2024, 4, 11, 0, 0, 1));
+
+      const status = await tracker.getStatus(API_KEY);
+      expect(status.used).toBe(0);
+      expect(status.day).toBe('2024-05-11');
+    });
+  });
+
+  describe('Circuit breaker', () => {
+    test('should allow requests while the circuit is closed', async () => {
+      const tracker = new QuotaTracker();
+      const availability = await tracker.checkAvailability(API_KEY);
+
+      expect(availability.allowed).toBe(true);
+    });
+
+    test('should block a key until next UTC midnight after the limit is reached', async () => {
+      const tracker = new QuotaTracker();
+      await tracker.openCircuit(API_KEY, QuotaTracker.BREAKER_REASONS.LIMIT_REACHED);
+
+      const availability = await tracker.checkAvailability(API_KEY);
+      expect(availability.allowed).toBe(false);
+      expect(availability.reason).toBe(QuotaTracker.BREAKER_REASONS.LIMIT_REACHED);
+      expect(availability.resetAt).toBe(Date.UTC(2024, 4, 11));
+
+      // Other keys are unaffected
+      expect((await tracker.checkAvailability(OTHER_KEY)).allowed).toBe(true);
+    });
+
+    test('should close the limit circuit after the reset time', async () => {
+      const tracker = new QuotaTracker();
+      await tracker.openCircuit(API_KEY, QuotaTracker.BREAKER_REASONS.LIMIT_REACHED);
+
+      Date.now.mockReturnValue(Date.UTC(2024, 4, 11, 0, 0, 1));
+
+      expect((await tracker.checkAvailability(API_KEY)).allowed).toBe(true);
+    });
+
+    test('should keep an invalid key blocked across days', async () => {
+      const tracker = new QuotaTracker();
+      await tracker.openCircuit(API_KEY, QuotaTracker.BREAKER_REASONS.INVALID_KEY);
+
+      Date.now.mockReturnValue(Date.UTC(2024, 4, 14, 12, 0, 0));
+
+      const availability = await tracker.checkAvailability(API_KEY);
+      expect(availability.allowed).toBe(false);
+      expect(availability.resetAt).toBeNull();
+    });
+
+    test('should block a key locally once it has used the daily limit', async () => {
+      const tracker = new QuotaTracker('omdb_quota', 2);
+      await tracker.recordRequest(API_KEY);
+      expect((await tracker.checkAvailability(API_KEY)).allowed).toBe(true);
+
+      await tracker.recordRequest(API_KEY);
+      const availability = await tracker.checkAvailability(API_KEY);
+
+      expect(availability).toEqual({ allowed: false, reason: QuotaTracker.BREAKER_REASONS.LIMIT_REACHED, resetAt: Date.UTC(2024, 4, 11) });
+      expect((await tracker.getStatus(API_KEY)).breakerOpen).toBe(true);
+      expect((await tracker.checkAvailability(OTHER_KEY)).allowed).toBe(true);
+
+      Date.now.mockReturnValue(Date.UTC(2024, 4, 11, 0, 0, 1));
+      expect((await tracker.checkAvailability(API_KEY)).allowed).toBe(true);
+    });
+
+    test('should unblock an invalid key once its circuit is closed', async () => {
+      const tracker = new QuotaTracker();
+      await tracker.openCircuit(API_KEY, QuotaTracker.BREAKER_REASONS.INVALID_KEY);
+
+      expect(await tracker.closeCircuit(API_KEY)).toBe(true);
+      expect((await tracker.checkAvailability(API_KEY)).allowed).toBe(true);
+      expect(await tracker.closeCircuit(API_KEY)).toBe(false);
+
+      const later = new QuotaTracker();
+      expect((await later.getStatus(API_KEY)).breakerOpen).toBe(false);
+    });
+
+    test('should block a key over the limit again after its circuit is closed', async () => {
+      const tracker = new QuotaTracker('omdb_quota', 1);
+      await tracker.recordRequest(API_KEY);
+      await tracker.checkAvailability(API_KEY);
+
+      await tracker.closeCircuit(API_KEY);
+
+      expect((await tracker.checkAvailability(API_KEY)).allowed).toBe(false);
+    });
+
+    test('should expose breaker state in status', async () => {
+      const tracker = new QuotaTracker();
+      await tracker.openCircuit(API_KEY, QuotaTracker.BREAKER_REASONS.LIMIT_REACHED);
+
+      const status = await tracker.getStatus(API_KEY);
+      expect(status.breakerOpen).toBe(true);
+      expect(status.reason).toBe(QuotaTracker.BREAKER_REASONS.LIMIT_REACHED);
+    });
+  });
+
+  describe('Error handling', () => {
+    test('should keep counting in memory if storage fails', async () => {
+      chrome.storage.local.get.mockRejectedValueOnce(new Error('Storage error'));
+      chrome.storage.local.set.mockRejectedValueOnce(new Error('Storage error'));
+
+      const tracker = new QuotaTracker();
+      await tracker.init();
+      await tracker.recordRequest(API_KEY);
+
+      expect((await tracker.getStatus(API_KEY)).used).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for RatingsPortClient
+ * Tests request batching, streamed results and reconnecting after the worker restarts
+ */
+
+const RatingsPortClient = require('../../src/content/ratings-port-client');
+
+/**
+ * Create a port stand-in that records posted messages and lets tests answer them
+ * @returns {Object} Port-like object
+ */
+function createPort() {
+  const port = {
+    posted: [],
+    listeners: { message: [], disconnect: [] },
+    onMessage: { addListener: listener => port.listeners.message.push(listener) },
+    onDisconnect: { addListener: listener => port.listeners.disconnect.push(listener) },
+    postMessage: jest.fn(message => port.posted.push(message)),
+    disconnect: jest.fn(),
+    respond: message => port.listeners.message.forEach(listener => listener({ type: 'RATINGS_RESULT', ...message })),
+    drop: () => port.listeners.disconnect.forEach(listener => listener()),
+  };
+
+  return port;
+}
+
+/**
+ * Let the batch timer and promise callbacks run
+ */
+function flush() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('RatingsPortClient', () => {
+  let ports;
+  let client;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    ports = [];
+    global.chrome = {
+      runtime: {
+        connect: jest.fn(() => {
+          const port = createPort();
+          ports.push(port);
+          return port;
+        }),
+      },
+    };
+
+    client = new RatingsPortClient({ batchDelayMs: 0 });
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+    jest.restoreAllMocks();
+  });
+
+  test('should send requests made together as one batch over one port', async () => {
+    client.request({ title: 'Dark' }, { priority: 'modal' });
+    client.request({ title: 'Ozark' });
+    await flush();
+
+    expect(chrome.runtime.connect).toHaveBeenCalledWith({ name: 'netflix-ratings' });
+    expect(ports).toHaveLength(1);
+    expect(ports[0].posted).toEqual([{
+      type: 'FETCH_RATINGS_BATCH',
+      requests: [
+        { id: 1, titleInfo: { title: 'Dark' }, priority: 'modal' },
+        { id: 2, titleInfo: { title: 'Ozark' }, priority: undefined },
+      ],
+    }]);
+
+    client.request({ title: 'Narcos' });
+    await flush();
+
+    expect(chrome.runtime.connect).toHaveBeenCalledTimes(1);
+    expect(ports[0].posted).toHaveLength(2);
+  });
+
+  test('should resolve each request with its final result', async () => {
+    const dark = client.request({ title: 'Dark' });
+    const ozark = client.request({ title: 'Ozark' });
+    await flush();
+
+    ports[0].respond({ id: 2, ratings: { imdb: { score: '8.5' } }, source: 'omdb', final: true });
+    ports[0].respond({ id: 1, ratings: null, source: null, final: true, error: 'OMDB down' });
+
+    await expect(ozark).resolves.toEqual({ imdb: { score: '8.5' } });
+    await expect(dark).resolves.toBeNull();
+    expect(client.pending.size).toBe(0);
+  });
+
+  test('should call onResult for every streamed result', async () => {
+    const onResult = jest.fn();
+    const request = client.request({ title: 'Dark' }, { onResult });
+    await flush();
+
+    ports[0].respond({ id: 1, ratings: { imdb: { score: '8.6' } }, source: 'cache', final: false });
+    ports[0].respond({ id: 1, ratings: { imdb: { score: '8.7' } }, source: 'omdb', final: true });
+
+    await expect(request).resolves.toEqual({ imdb: { score: '8.7' } });
+    expect(onResult.mock.calls).toEqual([
+      [{ imdb: { score: '8.6' } }, 'cache'],
+      [{ imdb: { score: '8.7' } }, 'omdb'],
+    ]);
+  });
+
+  test('should ignore results for unknown requests', async () => {
+    client.request({ title: 'Dark' });
+    await flush();
+
+    expect(() => ports[0].respond({ id: 99, ratings: {}, final: true })).not.toThrow();
+    expect(client.pending.size).toBe(1);
+  });
+
+  test('should resend unanswered requests on a new port after a disconnect', async () => {
+    const request = client.request({ title: 'Dark' });
+    await flush();
+
+    ports[0].drop();
+    await flush();
+
+    expect(ports).toHaveLength(2);
+    expect(ports[1].posted[0].requests).toEqual([{ id: 1, titleInfo: { title: 'Dark' }, priority: undefined }]);
+
+    ports[1].respond({ id: 1, ratings: { imdb: null }, source: 'omdb', final: true });
+    await expect(request).resolves.toEqual({ imdb: null });
+  });
+
+  test('should give up on a request after repeated disconnects', async () => {
+    const request = client.request({ title: 'Dark' });
+    await flush();
+
+    ports[0].drop();
+    await flush();
+    ports[1].drop();
+
+    await expect(request).resolves.toBeNull();
+    expect(client.pending.size).toBe(0);
+  });
+
+  test('should resolve requests with null when the extension context is gone', async () => {
+    chrome.runtime.connect.mockImplementation(() => {
+      throw new Error('Extension context invalidated.');
+    });
+
+    const request = client.request({ title: 'Dark' });
+    await flush();
+
+    await expect(request).resolves.toBeNull();
+  });
+
+  test('should resolve outstanding requests with null on disconnect()', async () => {
+    const request = client.request({ title: 'Dark' });
+    await flush();
+
+    client.disconnect();
+
+    await expect(request).resolves.toBeNull();
+    expect(ports[0].disconnect).toHaveBeenCalled();
+    expect(client.port).toBeNull();
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for RatingsPortServer
+ * Tests batch handling, streamed per-title results, stale-while-revalidate and disconnected ports
+ */
+
+const RatingsPortServer = require('../../src/background/ratings-port').default;
+
+/**
+ * Create a port stand-in that records posted messages and exposes its listeners
+ * @param {string} name - Port name
+ * @returns {Object} Port-like object
+ */
+function createPort(name = RatingsPortServer.PORT_NAME) {
+  const port = {
+    name,
+    sender: { tab: { id: 7 } },
+    posted: [],
+    listeners: { message: [], disconnect: [] },
+    onMessage: { addListener: jest.fn(listener => port.listeners.message.push(listener)) },
+    onDisconnect: { addListener: jest.fn(listener => port.listeners.disconnect.push(listener)) },
+    postMessage: jest.fn(message => port.posted.push(message)),
+  };
+
+  return port;
+}
+
+describe('RatingsPortServer', () => {
+  let getCached;
+  let fetchRatings;
+  let revalidate;
+  let server;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    getCached = jest.fn(async () => null);
+    fetchRatings = jest.fn(async titleInfo => ({ imdb: { score: '8.0' }, title: titleInfo.title }));
+    revalidate = jest.fn(async () => ({ imdb: { score: '9.0' } }));
+    server = new RatingsPortServer({ getCached, fetchRatings, revalidate });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should require every handler', () => {
+    expect(() => new RatingsPortServer({ getCached, fetchRatings }))
+      .toThrow('RatingsPortServer requires getCached, fetchRatings and revalidate handlers');
+  });
+
+  describe('attach()', () => {
+    test('should ignore ports with another name', () => {
+      const port = createPort('something-else');
+
+      expect(server.attach(port)).toBe(false);
+      expect(port.onMessage.addListener).not.toHaveBeenCalled();
+    });
+
+    test('should handle batch messages posted on the port', async () => {
+      const port = createPort();
+      server.attach(port);
+      const handleBatch = jest.spyOn(server, 'handleBatch');
+
+      port.listeners.message[0]({ type: 'FETCH_RATINGS_BATCH', requests: [{ id: 1, titleInfo: { title: 'Dark' } }] });
+      port.listeners.message[0]({ type: 'SOMETHING_ELSE' });
+
+      expect(handleBatch).toHaveBeenCalledTimes(1);
+      expect(handleBatch).toHaveBeenCalledWith(port, [{ id: 1, titleInfo: { title: 'Dark' } }]);
+    });
+  });
+
+  describe('handleBatch()', () => {
+    test('should answer fresh cache hits without fetching or refreshing', async () => {
+      const port = createPort();
+      getCached.mockResolvedValue({ ratings: { imdb: { score: '8.7' } }, stale: false });
+
+      await server.handleBatch(port, [{ id: 1, titleInfo: { title: 'Dark' } }]);
+
+      expect(fetchRatings).not.toHaveBeenCalled();
+      expect(revalidate).not.toHaveBeenCalled();
+      expect(port.posted).toEqual([
+        { type: 'RATINGS_RESULT', id: 1, ratings: { imdb: { score: '8.7' } }, source: 'cache', final: true },
+      ]);
+    });
+
+    test('should fetch cache misses with the request priority', async () => {
+      const port = createPort();
+
+      await server.handleBatch(port, [{ id: 2, titleInfo: { title: 'Ozark' }, priority: 'modal' }]);
+
+      expect(fetchRatings).toHaveBeenCalledWith({ title: 'Ozark' }, 'modal');
+      expect(port.posted[0]).toMatchObject({ id: 2, source: 'omdb', final: true, ratings: { title: 'Ozark' } });
+    });
+
+    test('should stream each result as soon as it resolves', async () => {
+      const port = createPort();
+      let releaseSlow;
+      getCached.mockImplementation(async titleInfo => (titleInfo.title === 'Cached' ? { ratings: { imdb: null }, stale: false } : null));
+      fetchRatings.mockImplementation(() => new Promise((resolve) => { releaseSlow = resolve; }));
+
+      const batch = server.handleBatch(port, [
+        { id: 1, titleInfo: { title: 'Slow' } },
+        { id: 2, titleInfo: { title: 'Cached' } },
+      ]);
+
+      await new Promise(resolve => setImmediate(resolve));
+      expect(port.posted.map(message => message.id)).toEqual([2]);
+
+      releaseSlow({ imdb: { score: '7.0' } });
+      await batch;
+      expect(port.posted.map(message => message.id)).toEqual([2, 1]);
+    });
+
+    test('should answer stale hits right away and push the refreshed ratings', async () => {
+      const port = createPort();
+      const staleRatings = { imdb: { score: '8.7' }, imdbID: 'tt5753856' };
+      getCached.mockResolvedValue({ ratings: staleRatings, stale: true });
+
+      await server.handleBatch(port, [{ id: 1, titleInfo: { title: 'Dark' } }]);
+
+      expect(revalidate).toHaveBeenCalledWith({ title: 'Dark' }, staleRatings);
+      expect(fetchRatings).not.toHaveBeenCalled();
+      expect(port.posted).toEqual([
+        { type: 'RATINGS_RESULT', id: 1, ratings: staleRatings, source: 'cache', stale: true, final: false },
+        { type: 'RATINGS_RESULT', id: 1, ratings: { imdb: { score: '9.0' } }, source: 'omdb', final: true },
+      ]);
+    });
+
+    test('should keep the stale ratings when the refresh fails', async () => {
+      const port = createPort();
+      const staleRatings = { imdb: { score: '8.7' } };
+      getCached.mockResolvedValue({ ratings: staleRatings, stale: true });
+      revalidate.mockRejectedValue(new Error('Daily limit reached'));
+
+      await server.handleBatch(port, [{ id: 1, titleInfo: { title: 'Dark' } }]);
+
+      expect(port.posted[1]).toEqual({
+        type: 'RATINGS_RESULT',
+        id: 1,
+        ratings: staleRatings,
+        source: 'cache',
+        stale: true,
+        final: true,
+        error: 'Daily limit reached',
+      });
+    });
+
+    test('should report per-title errors without failing the batch', async () => {
+      const port = createPort();
+      fetchRatings.mockImplementation(async (titleInfo) => {
+        if (titleInfo.title === 'Broken') {
+          throw new Error('OMDB down');
+        }
+        return { imdb: null };
+      });
+
+      await server.handleBatch(port, [
+        { id: 1, titleInfo: { title: 'Broken' } },
+        { id: 2, titleInfo: { title: 'Fine' } },
+        { id: 3, titleInfo: {} },
+      ]);
+
+      expect(port.posted).toEqual(expect.arrayContaining([
+        { type: 'RATINGS_RESULT', id: 1, ratings: null, source: null, final: true, error: 'OMDB down' },
+        expect.objectContaining({ id: 2, source: 'omdb', final: true }),
+        { type: 'RATINGS_RESULT', id: 3, ratings: null, source: null, final: true, error: 'Title is required' },
+      ]));
+    });
+
+    test('should ignore empty or malformed batches', async () => {
+      const port = createPort();
+
+      await server.handleBatch(port, undefined);
+      await server.handleBatch(port, []);
+
+      expect(port.postMessage).not.toHaveBeenCalled();
+    });
+
+    test('should drop results for disconnected ports', async () => {
+      const port = createPort();
+      server.attach(port);
+      port.listeners.disconnect[0]();
+
+      await server.handleBatch(port, [{ id: 1, titleInfo: { title: 'Dark' } }]);
+
+      expect(port.postMessage).not.toHaveBeenCalled();
+    });
+
+    test('should stop posting once postMessage throws', async () => {
+      const port = createPort();
+      port.postMessage.mockImplementation(() => {
+        throw new Error('Attempting to use a disconnected port object');
+      });
+
+      await server.handleBatch(port, [
+        { id: 1, titleInfo: { title: 'A' } },
+        { id: 2, titleInfo: { title: 'B' } },
+      ]);
+
+      expect(port.postMessage).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Unit tests for RequestQueue
+ * Tests priority ordering, concurrency limits, promotion and stats
+ */
+
+const RequestQueue = require('../../src/background/request-queue').default;
+
+/**
+ * Let queued promise callbacks run
+ */
+function flushPromises() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Create a task that stays pending until released
+ * @param {string} name - Label recorded when the task starts
+ * @param {string[]} started - Start order log
+ * @returns {Object} { task, release(value), fail(error) }
+ */
+function createDeferredTask(name, started) {
+  let resolveTask;
+  let rejectTask;
+
+  return {
+    task: jest.fn(() => {
+      started.push(name);
+      return new Promise((resolve, reject) => {
+        resolveTask = resolve;
+        rejectTask = reject;
+      });
+    }),
+    release: value => resolveTask(value),
+    fail: error => rejectTask(error),
+  };
+}
+
+describe('RequestQueue', () => {
+  let started;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    started = [];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('constructor / setMaxConcurrent()', () => {
+    test('should default to 3 concurrent requests', () => {
+      expect(new RequestQueue().maxConcurrent).toBe(RequestQueue.DEFAULT_MAX_CONCURRENT);
+      expect(RequestQueue.DEFAULT_MAX_CONCURRENT).toBe(3);
+    });
+
+    test('should reject invalid limits', () => {
+      expect(() => new RequestQueue(0)).toThrow('Max concurrent requests must be an integer between 1 and 10');
+      expect(() => new RequestQueue(2.5)).toThrow();
+      expect(() => new RequestQueue(11)).toThrow();
+      expect(() => new RequestQueue(1).setMaxConcurrent('4')).toThrow();
+    });
+
+    test('should start waiting requests when the limit is raised', async () => {
+      const queue = new RequestQueue(1);
+      const tasks = ['a', 'b', 'c'].map(name => createDeferredTask(name, started));
+      tasks.forEach((t, i) => queue.run(`k${i}`, t.task));
+      await flushPromises();
+      expect(started).toEqual(['a']);
+
+      queue.setMaxConcurrent(3);
+      await flushPromises();
+      expect(started).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('run()', () => {
+    test('should resolve with the task result', async () => {
+      const queue = new RequestQueue();
+      await expect(queue.run('k', async () => 'result')).resolves.toBe('result');
+    });
+
+    test('should reject with the task error and keep going', async () => {
+      const queue = new RequestQueue(1);
+      const failing = queue.run('a', async () => { throw new Error('boom'); });
+      const next = queue.run('b', async () => 'ok');
+
+      await expect(failing).rejects.toThrow('boom');
+      await expect(next).resolves.toBe('ok');
+      expect(queue.active).toBe(0);
+    });
+
+    test('should never run more than maxConcurrent tasks', async () => {
+      const queue = new RequestQueue(2);
+      const tasks = ['a', 'b', 'c', 'd'].map(name => createDeferredTask(name, started));
+      tasks.forEach((t, i) => queue.run(`k${i}`, t.task));
+
+      await flushPromises();
+      expect(started).toEqual(['a', 'b']);
+      expect(queue.depth).toBe(2);
+
+      tasks[1].release();
+      await flushPromises();
+      expect(started).toEqual(['a', 'b', 'c']);
+      expect(queue.active).toBe(2);
+    });
+
+    test('should run higher priorities first, in arrival order within a priority', async () => {
+      const queue = new RequestQueue(1);
+      const blocker = createDeferredTask('blocker', started);
+      queue.run('blocker', blocker.task);
+      await flushPromises();
+
+      queue.run('p1', async () => started.push('prefetch-1'), 'prefetch');
+      queue.run('v1', async () => started.push('visible-1'), 'visible');
+      queue.run('h1', async () => started.push('hover-1'), 'hover');
+      queue.run('v2', async () => started.push('visible-2'), 'visible');
+      queue.run('m1', async () => started.push('modal-1'), 'modal');
+
+      blocker.release();
+      await flushPromises();
+
+      expect(started).toEqual(['blocker', 'modal-1', 'hover-1', 'visible-1', 'visible-2', 'prefetch-1']);
+    });
+
+    test('should treat unknown priorities as visible', async () => {
+      expect(RequestQueue.normalizePriority('urgent')).toBe('visible');
+      expect(RequestQueue.normalizePriority(undefined)).toBe('visible');
+      expect(RequestQueue.normalizePriority('hover')).toBe('hover');
+    });
+
+    test('should share a queued request with the same key', async () => {
+      const queue = new RequestQueue(1);
+      const blocker = createDeferredTask('blocker', started);
+      queue.run('blocker', blocker.task);
+
+      const task = jest.fn(async () => 'ratings');
+      const first = queue.run('k', task);
+      const second = queue.run('k', task);
+
+      expect(second).toBe(first);
+
+      await flushPromises();
+      blocker.release();
+      await expect(second).resolves.toBe('ratings');
+      expect(task).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('promote()', () => {
+    test('should move a queued request ahead of lower priorities', async () => {
+      const queue = new RequestQueue(1);
+      const blocker = createDeferredTask('blocker', started);
+      queue.run('blocker', blocker.task);
+
+      queue.run('a', async () => started.push('a'), 'visible');
+      queue.run('b', async () => started.push('b'), 'prefetch');
+
+      expect(queue.promote('b', 'modal')).toBe(true);
+
+      await flushPromises();
+      blocker.release();
+      await flushPromises();
+      expect(started).toEqual(['blocker', 'b', 'a']);
+    });
+
+    test('should never lower a priority or promote unknown keys', () => {
+      const queue = new RequestQueue(1);
+      queue.run('blocker', () => new Promise(() => {}));
+      queue.run('a', async () => {}, 'hover');
+
+      expect(queue.promote('a', 'prefetch')).toBe(false);
+      expect(queue.promote('missing', 'modal')).toBe(false);
+      expect(queue.getStats().byPriority.hover).toBe(1);
+    });
+  });
+
+  describe('getStats()', () => {
+    test('should report queue depth by priority', async () => {
+      const queue = new RequestQueue(1);
+      queue.run('blocker', () => new Promise(() => {}));
+      queue.run('a', async () => {}, 'modal');
+      queue.run('b', async () => {}, 'prefetch');
+      queue.run('c', async () => {}, 'prefetch');
+      await flushPromises();
+
+      expect(queue.getStats()).toEqual({
+        queued: 3,
+        active: 1,
+        maxConcurrent: 1,
+        byPriority: { modal: 1, hover: 0, visible: 0, prefetch: 2 },
+      });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for TitleIdMap
+ * Tests persistence of Netflix video ID → IMDb ID mappings
+ */
+
+const { createArea } = require('../helpers/chrome-storage');
+
+// Mock chrome.storage API backed by an in-memory object
+const mockLocalStorage = {};
+
+global.chrome = {
+  storage: {
+    local: createArea(() => mockLocalStorage),
+  },
+};
+
+const TitleIdMap = require('../../src/background/title-id-map').default;
+
+describe('TitleIdMap', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockLocalStorage).forEach(key => delete mockLocalStorage[key]);
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return null for unknown or missing IDs', async () => {
+    const map = new TitleIdMap();
+
+    expect(await map.get('80057281')).toBeNull();
+    expect(await map.get(null)).toBeNull();
+  });
+
+  test('should store and return a mapping', async () => {
+    const map = new TitleIdMap();
+    await map.set('80057281', { imdbID: 'tt4574334', confidence: 0.92, strategy: 'search' });
+
+    const mapping = await map.get('80057281');
+    expect(mapping.imdbID).toBe('tt4574334');
+    expect(mapping.confidence).toBe(0.92);
+    expect(mapping.strategy).toBe('search');
+  });
+
+  test('should store each mapping under its own key', async () => {
+    const map = new TitleIdMap();
+    await map.set('80057281', { imdbID: 'tt4574334', confidence: 1 });
+    await map.set('70136120', { imdbID: 'tt0386676', confidence: 1 });
+
+    expect(chrome.storage.local.set).toHaveBeenLastCalledWith({
+      'nid:70136120': expect.objectContaining({ imdbID: 'tt0386676' }),
+    });
+    expect(Object.keys(mockLocalStorage).sort()).toEqual(['nid:70136120', 'nid:80057281']);
+  });
+
+  test('should persist mappings across instances', async () => {
+    const first = new TitleIdMap();
+    await first.set('80057281', { imdbID: 'tt4574334', confidence: 1 });
+
+    const second = new TitleIdMap();
+
+    expect((await second.get('80057281')).imdbID).toBe('tt4574334');
+  });
+
+  test('should not rewrite storage for an unchanged mapping', async () => {
+    const map = new TitleIdMap();
+    await map.set('80057281', { imdbID: 'tt4574334', confidence: 1 });
+    await map.set('80057281', { imdbID: 'tt4574334', confidence: 1 });
+
+    expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject mappings without an IMDb ID', async () => {
+    const map = new TitleIdMap();
+
+    await expect(map.set('80057281', {})).rejects.toThrow('Netflix ID and IMDb ID are required');
+  });
+
+  test('should delete a mapping', async () => {
+    const map = new TitleIdMap();
+    await map.set('80057281', { imdbID: 'tt4574334' });
+
+    expect(await map.delete('80057281')).toBe(true);
+    expect(await map.delete('80057281')).toBe(false);
+    expect(await map.get('80057281')).toBeNull();
+    expect(mockLocalStorage).toEqual({});
+  });
+
+  test('should keep working in memory if storage fails', async () => {
+    chrome.storage.local.get.mockRejectedValueOnce(new Error('Storage error'));
+    chrome.storage.local.set.mockRejectedValueOnce(new Error('Storage error'));
+
+    const map = new TitleIdMap();
+    await map.set('80057281', { imdbID: 'tt4574334' });
+
+    expect((await map.get('80057281')).imdbID).toBe('tt4574334');
+  });
+});
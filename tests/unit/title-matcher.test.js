@@ -0,0 +1,244 @@
+/**
+ * Unit tests for TitleMatcher
+ * Tests title normalization, candidate scoring, and the exact-then-search match flow
+ */
+
+const TitleMatcher = require('../../src/services/title-matcher').default;
+const OmdbService = require('../../src/services/omdb-service').default;
+
+/**
+ * Build an OmdbService-shaped mock
+ * @param {Object} overrides - Method implementations
+ * @returns {Object} Mock service
+ */
+function createOmdbMock(overrides = {}) {
+  return {
+    getByTitle: jest.fn(async () => {
+      const error = new Error('OMDB API Error: Movie not found!');
+      error.code = OmdbService.ERROR_CODES.NOT_FOUND;
+      throw error;
+    }),
+    search: jest.fn(async () => ({ success: false, error: 'Movie not found!', results: [] })),
+    getById: jest.fn(async imdbId => ({ imdbID: imdbId, Title: 'By ID', Year: '2000', Type: 'movie' })),
+    ...overrides,
+  };
+}
+
+describe('TitleMatcher', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeTitle()', () => {
+    test('should lowercase and strip punctuation', () => {
+      expect(TitleMatcher.normalizeTitle('Mission: Impossible – Dead Reckoning')).toBe('mission impossible dead reckoning');
+    });
+
+    test('should drop a leading article', () => {
+      expect(TitleMatcher.normalizeTitle('The Witcher')).toBe('witcher');
+      expect(TitleMatcher.normalizeTitle('A Quiet Place')).toBe('quiet place');
+    });
+
+    test('should strip accents and spell out ampersands', () => {
+      expect(TitleMatcher.normalizeTitle('Amélie')).toBe('amelie');
+      expect(TitleMatcher.normalizeTitle('Love & Death')).toBe('love and death');
+    });
+
+    test('should ignore apostrophes', () => {
+      expect(TitleMatcher.normalizeTitle("Schindler's List")).toBe('schindlers list');
+    });
+  });
+
+  describe('titleSimilarity()', () => {
+    test('should treat punctuation and article differences as identical', () => {
+      expect(TitleMatcher.titleSimilarity('The Office', 'Office')).toBe(1);
+      expect(TitleMatcher.titleSimilarity('Spider-Man: No Way Home', 'Spider Man No Way Home')).toBe(1);
+    });
+
+    test('should score unrelated titles low', () => {
+      expect(TitleMatcher.titleSimilarity('Inception', 'Breaking Bad')).toBeLessThan(0.3);
+    });
+
+    test('should score near matches high', () => {
+      expect(TitleMatcher.titleSimilarity('Stranger Things', 'Stranger Thing')).toBeGreaterThan(0.9);
+    });
+
+    test('should return 0 for empty titles', () => {
+      expect(TitleMatcher.titleSimilarity('', 'Dark')).toBe(0);
+    });
+  });
+
+  describe('yearScore()', () => {
+    test('should score an exact year as 1', () => {
+      expect(TitleMatcher.yearScore('2010', '2010')).toBe(1);
+    });
+
+    test('should tolerate off-by-one years', () => {
+      expect(TitleMatcher.yearScore('2011', '2010')).toBe(0.8);
+      expect(TitleMatcher.yearScore('2012', '2010')).toBe(0.5);
+      expect(TitleMatcher.yearScore('2015', '2010')).toBe(0);
+    });
+
+    test('should accept any year within a series range', () => {
+      expect(TitleMatcher.yearScore('2019', '2016–2025')).toBe(1);
+      expect(TitleMatcher.yearScore('2024', '2019–')).toBe(1);
+      expect(TitleMatcher.yearScore('2015', '2016–2025')).toBe(0.8);
+    });
+
+    test('should score unparseable years as 0', () => {
+      expect(TitleMatcher.yearScore('2010', 'N/A')).toBe(0);
+    });
+  });
+
+  describe('isLowConfidenceYear()', () => {
+    test('should flag years below the confidence threshold', () => {
+      expect(TitleMatcher.isLowConfidenceYear({ year: '2023', yearConfidence: 0.4 })).toBe(true);
+      expect(TitleMatcher.isLowConfidenceYear({ year: '2023', yearConfidence: 0.95 })).toBe(false);
+    });
+
+    test('should trust years without a confidence and ignore missing years', () => {
+      expect(TitleMatcher.isLowConfidenceYear({ year: '2023' })).toBe(false);
+      expect(TitleMatcher.isLowConfidenceYear({ year: null, yearConfidence: 0.1 })).toBe(false);
+    });
+  });
+
+  describe('scoreCandidate()', () => {
+    test('should only use title similarity when year and type are unknown', () => {
+      const score = TitleMatcher.scoreCandidate({ title: 'Dark' }, { Title: 'Dark', Year: '2017', Type: 'series' });
+      expect(score).toBe(1);
+    });
+
+    test('should penalize year and type mismatches', () => {
+      const titleInfo = { title: 'The Lion King', year: '2019', type: 'movie' };
+      const remake = TitleMatcher.scoreCandidate(titleInfo, { Title: 'The Lion King', Year: '2019', Type: 'movie' });
+      const original = TitleMatcher.scoreCandidate(titleInfo, { Title: 'The Lion King', Year: '1994', Type: 'movie' });
+      const series = TitleMatcher.scoreCandidate(titleInfo, { Title: 'The Lion King', Year: '2019', Type: 'series' });
+
+      expect(remake).toBe(1);
+      expect(original).toBeLessThan(remake);
+      expect(series).toBeLessThan(remake);
+    });
+  });
+
+  describe('match()', () => {
+    test('should accept a confident exact-title hit without searching', async () => {
+      const exact = { Title: 'Inception', Year: '2010', Type: 'movie', imdbID: 'tt1375666' };
+      const omdb = createOmdbMock({ getByTitle: jest.fn(async () => exact) });
+
+      const result = await new TitleMatcher(omdb).match({ title: 'Inception', year: '2010' });
+
+      expect(result).toEqual({ data: exact, confidence: 1, strategy: 'exact', yearUsed: '2010' });
+      expect(omdb.search).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to search when the exact lookup misses', async () => {
+      const omdb = createOmdbMock({
+        search: jest.fn(async () => ({
+          success: true,
+          results: [
+            { Title: 'Mission: Impossible - Fallout', Year: '2018', Type: 'movie', imdbID: 'tt4912910' },
+            { Title: 'Mission: Impossible - Dead Reckoning Part One', Year: '2023', Type: 'movie', imdbID: 'tt9603212' },
+          ],
+        })),
+      });
+
+      const result = await new TitleMatcher(omdb).match({ title: 'Mission: Impossible – Dead Reckoning', year: '2023' });
+
+      expect(result.strategy).toBe('search');
+      expect(omdb.getById).toHaveBeenCalledWith('tt9603212');
+      expect(result.confidence).toBeGreaterThanOrEqual(TitleMatcher.MIN_CONFIDENCE);
+    });
+
+    test('should prefer a better search candidate over a poor exact hit', async () => {
+      const wrongYear = { Title: 'The Lion King', Year: '1994', Type: 'movie', imdbID: 'tt0110357' };
+      const omdb = createOmdbMock({
+        getByTitle: jest.fn(async () => wrongYear),
+        search: jest.fn(async () => ({
+          success: true,
+          results: [
+            wrongYear,
+            { Title: 'The Lion King', Year: '2019', Type: 'movie', imdbID: 'tt6105098' },
+          ],
+        })),
+      });
+
+      const result = await new TitleMatcher(omdb).match({ title: 'The Lion King', year: '2019', type: 'movie' });
+
+      expect(omdb.getById).toHaveBeenCalledWith('tt6105098');
+      expect(result.confidence).toBe(1);
+    });
+
+    test('should retry the search with a simplified query', async () => {
+      const omdb = createOmdbMock({
+        search: jest.fn()
+          .mockResolvedValueOnce({ success: false, results: [] })
+          .mockResolvedValueOnce({
+            success: true,
+            results: [{ Title: 'Marvel\'s Daredevil', Year: '2015–2018', Type: 'series', imdbID: 'tt3322312' }],
+          }),
+      });
+
+      await new TitleMatcher(omdb).match({ title: 'Marvel’s Daredevil!' });
+
+      expect(omdb.search).toHaveBeenCalledTimes(2);
+      expect(omdb.search.mock.calls[1][0]).toBe('marvels daredevil');
+    });
+
+    test('should return null when nothing is similar enough', async () => {
+      const omdb = createOmdbMock({
+        search: jest.fn(async () => ({
+          success: true,
+          results: [{ Title: 'Completely Different', Year: '1990', Type: 'movie', imdbID: 'tt0000001' }],
+        })),
+      });
+
+      const result = await new TitleMatcher(omdb).match({ title: 'Stand-Up Special', year: '2023' });
+
+      expect(result).toBeNull();
+      expect(omdb.getById).not.toHaveBeenCalled();
+    });
+
+    test('should retry without a low-confidence year that caused a miss', async () => {
+      const dark = { Title: 'Dark', Year: '2017–2020', Type: 'series', imdbID: 'tt5753856' };
+      const omdb = createOmdbMock({
+        getByTitle: jest.fn(async (title, options) => {
+          if (!options.year) return dark;
+          const error = new Error('OMDB API Error: Movie not found!');
+          error.code = OmdbService.ERROR_CODES.NOT_FOUND;
+          throw error;
+        }),
+      });
+
+      const result = await new TitleMatcher(omdb).match({ title: 'Dark', year: '2023', yearConfidence: 0.4 });
+
+      expect(result.data).toBe(dark);
+      expect(result.yearUsed).toBeNull();
+      expect(omdb.getByTitle).toHaveBeenLastCalledWith('Dark', { year: null, type: undefined });
+    });
+
+    test('should not retry without a confident year', async () => {
+      const omdb = createOmdbMock();
+
+      const result = await new TitleMatcher(omdb).match({ title: 'Dark', year: '2017', yearConfidence: 0.95 });
+
+      expect(result).toBeNull();
+      expect(omdb.getByTitle).toHaveBeenCalledTimes(1);
+    });
+
+    test('should propagate errors other than "not found"', async () => {
+      const omdb = createOmdbMock({
+        getByTitle: jest.fn(async () => {
+          const error = new Error('OMDB requests paused');
+          error.code = OmdbService.ERROR_CODES.CIRCUIT_OPEN;
+          throw error;
+        }),
+      });
+
+      await expect(new TitleMatcher(omdb).match({ title: 'Dark' })).rejects.toThrow('OMDB requests paused');
+    });
+  });
+});
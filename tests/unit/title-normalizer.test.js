@@ -0,0 +1,115 @@
+/**
+ * Unit tests for TitleNormalizer
+ * Tests season/episode suffix stripping against the Netflix DOM samples and known edge cases
+ */
+
+const TitleNormalizer = require('../../src/content/title-normalizer');
+const domSamples = require('../../test_data/netflix-dom-samples.json');
+
+/**
+ * Pull the raw title text out of a DOM sample the way the content script sees it:
+ * text of the video-title element, else the first aria-label/alt attribute
+ * @param {string} html - Sample HTML
+ * @returns {string|null} Raw title text
+ */
+function extractRawTitle(html) {
+  const titleIndex = html.indexOf('data-uia="video-title"');
+  if (titleIndex !== -1) {
+    const textMatch = html.slice(titleIndex).match(/>([^<>]*[^\s<>][^<>]*)</);
+    if (textMatch) {
+      return textMatch[1];
+    }
+  }
+
+  const attributeMatch = html.match(/(?:aria-label|alt)="([^"]+)"/);
+  return attributeMatch ? attributeMatch[1] : null;
+}
+
+describe('TitleNormalizer', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Netflix DOM sample corpus', () => {
+    test.each(Object.entries(domSamples))('%s', (name, sample) => {
+      const rawTitle = extractRawTitle(sample.html);
+
+      expect(rawTitle).not.toBeNull();
+      expect(TitleNormalizer.normalize(rawTitle, { type: sample.type })).toBe(sample.titleText);
+    });
+  });
+
+  describe('Season and episode suffixes', () => {
+    test.each([
+      ['Stranger Things: Season 1: Chapter One: The Vanishing of Will Byers', 'Stranger Things'],
+      ['The Crown: Season 4', 'The Crown'],
+      ['Stranger Things Season 2', 'Stranger Things'],
+      ['Bridgerton: Episode 5', 'Bridgerton'],
+      ['Narcos: S2:E4', 'Narcos'],
+      ['Narcos | S02E04', 'Narcos'],
+      ['The Witcher – Season 3', 'The Witcher'],
+      ['Wednesday - Season 1', 'Wednesday'],
+      ['La Casa de Papel: Temporada 2', 'La Casa de Papel'],
+      ['Lupin: Saison 3', 'Lupin'],
+      ['Suburra: Stagione 2', 'Suburra'],
+      ['Beef (Limited Series)', 'Beef'],
+      ['Midnight Mass Limited Series', 'Midnight Mass'],
+      ['Black Mirror: 2nd Season', 'Black Mirror'],
+    ])('should normalize "%s" to "%s"', (raw, expected) => {
+      expect(TitleNormalizer.normalize(raw)).toBe(expected);
+    });
+  });
+
+  describe('Legitimate colons and subtitles', () => {
+    test.each([
+      'Mission: Impossible – Dead Reckoning',
+      'Star Wars: The Clone Wars',
+      'Spider-Man: Across the Spider-Verse',
+      'Star Wars: Episode IV - A New Hope',
+      'Dune: Part Two',
+      'John Wick: Chapter 4',
+      'Kill Bill: Vol. 1',
+      'Harry Potter and the Deathly Hallows: Part 2',
+      'Avatar: The Last Airbender',
+    ])('should keep "%s"', (title) => {
+      expect(TitleNormalizer.normalize(title)).toBe(title);
+    });
+  });
+
+  describe('Ambiguous "Part"/"Volume" markers', () => {
+    test('should strip a part marker on a known series', () => {
+      expect(TitleNormalizer.normalize('Money Heist: Part 3', { type: 'series' })).toBe('Money Heist');
+    });
+
+    test('should strip a part marker followed by an episode title on a known series', () => {
+      expect(TitleNormalizer.normalize('Love, Death & Robots: Volume 2: Snow in the Desert', { type: 'series' })).toBe('Love, Death & Robots');
+    });
+
+    test('should keep a part marker followed by another segment when the type is unknown', () => {
+      expect(TitleNormalizer.normalize('Dune: Part One – IMAX Enhanced')).toBe('Dune: Part One – IMAX Enhanced');
+    });
+
+    test('should keep a part marker on a known movie even with a subtitle after it', () => {
+      expect(TitleNormalizer.normalize('Dune: Part Two: IMAX', { type: 'movie' })).toBe('Dune: Part Two: IMAX');
+    });
+  });
+
+  describe('Input handling', () => {
+    test('should collapse whitespace', () => {
+      expect(TitleNormalizer.normalize('  The   Crown  ')).toBe('The Crown');
+    });
+
+    test('should keep a title that is only a marker', () => {
+      expect(TitleNormalizer.normalize('Season 2')).toBe('Season 2');
+    });
+
+    test('should return an empty string for empty input', () => {
+      expect(TitleNormalizer.normalize('')).toBe('');
+      expect(TitleNormalizer.normalize(null)).toBe('');
+    });
+  });
+});
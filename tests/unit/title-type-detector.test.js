@@ -0,0 +1,86 @@
+/**
+ * Unit tests for TitleTypeDetector
+ * Tests movie/series detection from Netflix card text and DOM signals
+ */
+
+const TitleTypeDetector = require('../../src/content/title-type-detector');
+
+/**
+ * Build a minimal card stand-in exposing what the detector reads
+ * @param {Object} options - { text, selectors?, headings? }
+ * @returns {Object} Card-like object
+ */
+function createCard({ text = '', selectors = [], headings = [] } = {}) {
+  return {
+    textContent: text,
+    querySelector: jest.fn(selector => (selectors.includes(selector) ? {} : null)),
+    querySelectorAll: jest.fn(() => headings.map(heading => ({ textContent: heading }))),
+  };
+}
+
+describe('TitleTypeDetector', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('detectFromText()', () => {
+    test.each([
+      ['2022 | 4 Seasons | TV-MA', 'series'],
+      ['1 Season', 'series'],
+      ['Limited Series | Drama', 'series'],
+      ['2021 3 Staffeln', 'series'],
+      ['2 Temporadas', 'series'],
+      ['Docuseries', 'series'],
+      ['8 Episodes', 'series'],
+    ])('should detect series from "%s"', (text, expected) => {
+      expect(TitleTypeDetector.detectFromText(text)).toBe(expected);
+    });
+
+    test.each([
+      ['2010 | 2h 28m | PG-13', 'movie'],
+      ['1h 45m', 'movie'],
+      ['2h', 'movie'],
+      ['1 h 52 min', 'movie'],
+    ])('should detect movie from "%s"', (text, expected) => {
+      expect(TitleTypeDetector.detectFromText(text)).toBe(expected);
+    });
+
+    test('should prefer series signals over episode runtimes', () => {
+      expect(TitleTypeDetector.detectFromText('3 Seasons Episode 1 1h 2m')).toBe('series');
+    });
+
+    test('should return null without a clear signal', () => {
+      expect(TitleTypeDetector.detectFromText('Stranger Things')).toBeNull();
+      expect(TitleTypeDetector.detectFromText('Top 10 in TV Shows Today 2023')).toBeNull();
+      expect(TitleTypeDetector.detectFromText('')).toBeNull();
+    });
+
+    test('should not mistake "Part Two" in a movie title for a series', () => {
+      expect(TitleTypeDetector.detectFromText('Dune: Part Two 2h 46m')).toBe('movie');
+    });
+  });
+
+  describe('detect()', () => {
+    test('should detect series from the episode section of a detail modal', () => {
+      const card = createCard({ text: 'Stranger Things', selectors: ['.episodeSelector'] });
+
+      expect(TitleTypeDetector.detect(card)).toBe('series');
+    });
+
+    test('should detect series from an "Episodes" heading', () => {
+      const card = createCard({ text: 'Episodes 52m', headings: ['Episodes'] });
+
+      expect(TitleTypeDetector.detect(card)).toBe('series');
+    });
+
+    test('should fall back to card text', () => {
+      const card = createCard({ text: 'Inception2010 2h 28m' });
+
+      expect(TitleTypeDetector.detect(card)).toBe('movie');
+    });
+  });
+});
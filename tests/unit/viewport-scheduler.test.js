@@ -0,0 +1,245 @@
+/**
+ * Unit tests for ViewportScheduler
+ * Tests viewport-driven ordering, concurrency limits and cancellation of rating requests
+ */
+
+const ViewportScheduler = require('../../src/content/viewport-scheduler');
+
+/**
+ * Minimal IntersectionObserver stand-in that lets tests fire intersection changes
+ */
+class FakeIntersectionObserver {
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.observed = new Set();
+    FakeIntersectionObserver.instance = this;
+  }
+
+  observe(target) {
+    this.observed.add(target);
+  }
+
+  unobserve(target) {
+    this.observed.delete(target);
+  }
+
+  disconnect() {
+    this.observed.clear();
+  }
+
+  /**
+   * @param {Object[]} cards - Cards whose visibility changed
+   * @param {boolean} isIntersecting - Whether they are now near the viewport
+   */
+  fire(cards, isIntersecting = true) {
+    this.callback(cards.map(target => ({ target, isIntersecting })));
+  }
+}
+
+/**
+ * @param {string} name - Card label for assertions
+ * @returns {Object} Card-like object
+ */
+function createCard(name) {
+  return { name, isConnected: true };
+}
+
+/**
+ * Let queued promise callbacks run
+ */
+function flushPromises() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('ViewportScheduler', () => {
+  let onRequest;
+  let requested;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    global.IntersectionObserver = FakeIntersectionObserver;
+    requested = [];
+    onRequest = jest.fn(card => {
+      requested.push(card.name);
+      return Promise.resolve();
+    });
+  });
+
+  afterEach(() => {
+    delete global.IntersectionObserver;
+    jest.restoreAllMocks();
+  });
+
+  test('should require an onRequest callback', () => {
+    expect(() => new ViewportScheduler()).toThrow('ViewportScheduler requires an onRequest callback');
+  });
+
+  test('should pass the root margin to the observer', () => {
+    new ViewportScheduler({ onRequest, rootMargin: '400px' });
+    expect(FakeIntersectionObserver.instance.options).toEqual({ rootMargin: '400px' });
+  });
+
+  test('should not request cards until they are near the viewport', async () => {
+    const scheduler = new ViewportScheduler({ onRequest });
+    const card = createCard('a');
+
+    scheduler.observe(card, { title: 'A' });
+    await flushPromises();
+
+    expect(onRequest).not.toHaveBeenCalled();
+    expect(scheduler.pendingCount).toBe(1);
+
+    FakeIntersectionObserver.instance.fire([card]);
+    await flushPromises();
+
+    expect(onRequest).toHaveBeenCalledWith(card, { title: 'A' });
+    expect(scheduler.pendingCount).toBe(0);
+    expect(FakeIntersectionObserver.instance.observed.has(card)).toBe(false);
+  });
+
+  test('should respect the concurrency limit', async () => {
+    const resolvers = [];
+    onRequest = jest.fn(card => {
+      requested.push(card.name);
+      return new Promise(resolve => resolvers.push(resolve));
+    });
+    const scheduler = new ViewportScheduler({ onRequest, maxConcurrent: 2 });
+    const cards = ['a', 'b', 'c'].map(createCard);
+    cards.forEach(card => scheduler.observe(card, {}));
+
+    FakeIntersectionObserver.instance.fire(cards);
+    await flushPromises();
+    expect(onRequest).toHaveBeenCalledTimes(2);
+
+    resolvers[0]();
+    await flushPromises();
+    expect(onRequest).toHaveBeenCalledTimes(3);
+  });
+
+  test('should move cards that scroll into view to the front of the queue', async () => {
+    let release;
+    onRequest = jest.fn(card => {
+      requested.push(card.name);
+      return card.name === 'blocker' ? new Promise(resolve => { release = resolve; }) : Promise.resolve();
+    });
+    const scheduler = new ViewportScheduler({ onRequest, maxConcurrent: 1 });
+    const blocker = createCard('blocker');
+    const [a, b, c] = ['a', 'b', 'c'].map(createCard);
+    [blocker, a, b, c].forEach(card => scheduler.observe(card, {}));
+
+    FakeIntersectionObserver.instance.fire([blocker]);
+    FakeIntersectionObserver.instance.fire([a]);
+    FakeIntersectionObserver.instance.fire([b]);
+    FakeIntersectionObserver.instance.fire([c]);
+    await flushPromises();
+
+    release();
+    await flushPromises();
+
+    expect(requested).toEqual(['blocker', 'c', 'b', 'a']);
+  });
+
+  test('should drop queued cards that leave the viewport', async () => {
+    let release;
+    onRequest = jest.fn(card => {
+      requested.push(card.name);
+      return card.name === 'blocker' ? new Promise(resolve => { release = resolve; }) : Promise.resolve();
+    });
+    const scheduler = new ViewportScheduler({ onRequest, maxConcurrent: 1 });
+    const blocker = createCard('blocker');
+    const card = createCard('a');
+    [blocker, card].forEach(c => scheduler.observe(c, {}));
+
+    FakeIntersectionObserver.instance.fire([blocker]);
+    FakeIntersectionObserver.instance.fire([card]);
+    FakeIntersectionObserver.instance.fire([card], false);
+    await flushPromises();
+
+    release();
+    await flushPromises();
+
+    expect(requested).toEqual(['blocker']);
+    expect(scheduler.pendingCount).toBe(1);
+
+    // Still watched, so it is requested once it comes back
+    FakeIntersectionObserver.instance.fire([card]);
+    await flushPromises();
+    expect(requested).toEqual(['blocker', 'a']);
+  });
+
+  test('should cancel a pending card', async () => {
+    const scheduler = new ViewportScheduler({ onRequest });
+    const card = createCard('a');
+    scheduler.observe(card, {});
+
+    expect(scheduler.cancel(card)).toBe(true);
+    expect(scheduler.cancel(card)).toBe(false);
+
+    FakeIntersectionObserver.instance.fire([card]);
+    await flushPromises();
+    expect(onRequest).not.toHaveBeenCalled();
+  });
+
+  test('should cancel cards removed from the document', () => {
+    const scheduler = new ViewportScheduler({ onRequest });
+    const kept = createCard('kept');
+    const removed = createCard('removed');
+    [kept, removed].forEach(card => scheduler.observe(card, {}));
+
+    removed.isConnected = false;
+
+    expect(scheduler.cancelDetached()).toBe(1);
+    expect(scheduler.pendingCount).toBe(1);
+    expect(FakeIntersectionObserver.instance.observed.has(removed)).toBe(false);
+  });
+
+  test('should skip queued cards removed before their request is sent', async () => {
+    let release;
+    onRequest = jest.fn(card => {
+      requested.push(card.name);
+      return card.name === 'blocker' ? new Promise(resolve => { release = resolve; }) : Promise.resolve();
+    });
+    const scheduler = new ViewportScheduler({ onRequest, maxConcurrent: 1 });
+    const blocker = createCard('blocker');
+    const card = createCard('a');
+    [blocker, card].forEach(c => scheduler.observe(c, {}));
+
+    FakeIntersectionObserver.instance.fire([blocker]);
+    FakeIntersectionObserver.instance.fire([card]);
+    card.isConnected = false;
+    await flushPromises();
+
+    release();
+    await flushPromises();
+
+    expect(requested).toEqual(['blocker']);
+  });
+
+  test('should keep pumping after a request fails', async () => {
+    onRequest = jest.fn(card => {
+      requested.push(card.name);
+      return card.name === 'a' ? Promise.reject(new Error('boom')) : Promise.resolve();
+    });
+    const scheduler = new ViewportScheduler({ onRequest, maxConcurrent: 1 });
+    const cards = ['a', 'b'].map(createCard);
+    cards.forEach(card => scheduler.observe(card, {}));
+
+    FakeIntersectionObserver.instance.fire(cards);
+    await flushPromises();
+
+    expect(requested).toEqual(['b', 'a']);
+    expect(scheduler.inFlight).toBe(0);
+  });
+
+  test('should forget pending cards on reset', () => {
+    const scheduler = new ViewportScheduler({ onRequest });
+    scheduler.observe(createCard('a'), {});
+
+    scheduler.reset();
+
+    expect(scheduler.pendingCount).toBe(0);
+    expect(FakeIntersectionObserver.instance.observed.size).toBe(0);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for YearExtractor
+ * Tests year candidate collection, confidence ranking, and noise detection
+ */
+
+const YearExtractor = require('../../src/content/year-extractor');
+
+/**
+ * Build a minimal card stand-in exposing what the extractor reads
+ * @param {Object} options - { text, elements? } - elements maps selector → text
+ * @returns {Object} Card-like object
+ */
+function createCard({ text = '', elements = {}, metadata = [] } = {}) {
+  return {
+    textContent: text,
+    querySelector: jest.fn(selector => (
+      elements[selector] !== undefined ? { textContent: elements[selector] } : null
+    )),
+    querySelectorAll: jest.fn(() => metadata.map(line => ({ textContent: line }))),
+  };
+}
+
+describe('YearExtractor', () => {
+  describe('candidatesFromText()', () => {
+    test('should find every year in the text with low confidence', () => {
+      const candidates = YearExtractor.candidatesFromText('Released 1994, remastered 2019');
+
+      expect(candidates.map(c => c.year)).toEqual(['1994', '2019']);
+      candidates.forEach(c => expect(c.confidence).toBe(YearExtractor.CONFIDENCE.text));
+    });
+
+    test('should mark years next to "Top 10" or award wording as noise', () => {
+      const [candidate] = YearExtractor.candidatesFromText('#3 in Top 10 TV Shows in 2023');
+
+      expect(candidate.source).toBe('text-near-noise');
+      expect(candidate.confidence).toBe(YearExtractor.CONFIDENCE.textNearNoise);
+    });
+
+    test('should mark Emmy lines as noise', () => {
+      const [candidate] = YearExtractor.candidatesFromText('Emmy Award Winner 2019');
+
+      expect(candidate.source).toBe('text-near-noise');
+    });
+
+    test('should ignore numbers that are not years', () => {
+      expect(YearExtractor.candidatesFromText('Season 3 of 12345 and 1850')).toEqual([]);
+    });
+  });
+
+  describe('rankCandidates()', () => {
+    test('should keep the most confident source per year and sort best first', () => {
+      const ranked = YearExtractor.rankCandidates([
+        { year: '2023', source: 'text-near-noise', confidence: 0.15 },
+        { year: '2016', source: 'text', confidence: 0.4 },
+        { year: '2016', source: 'metadata', confidence: 0.8 },
+      ]);
+
+      expect(ranked).toEqual([
+        { year: '2016', source: 'metadata', confidence: 0.8 },
+        { year: '2023', source: 'text-near-noise', confidence: 0.15 },
+      ]);
+    });
+  });
+
+  describe('extractCandidates()', () => {
+    test('should rank a dedicated year element above a synopsis year', () => {
+      const card = createCard({
+        text: 'The Shawshank Redemption 1994 Set in 1947, a banker...',
+        elements: { '.year': '1994' },
+      });
+
+      const [best] = YearExtractor.extractCandidates(card);
+
+      expect(best).toEqual({ year: '1994', source: 'selector:.year', confidence: YearExtractor.CONFIDENCE.selector });
+    });
+
+    test('should use the metadata line when there is no year element', () => {
+      const card = createCard({
+        text: 'Top 10 in 2023 2016 | 4 Seasons | TV-14',
+        metadata: ['Top 10 in 2023', '2016 | 4 Seasons | TV-14'],
+      });
+
+      const [best] = YearExtractor.extractCandidates(card);
+
+      expect(best.year).toBe('2016');
+      expect(best.source).toBe('metadata');
+    });
+
+    test('should not take a year from the title itself', () => {
+      expect(YearExtractor.extractCandidates(createCard({ text: '1917 Drama' }), '1917')).toEqual([]);
+      expect(YearExtractor.extractCandidates(createCard({ text: 'Blade Runner 2049' }), 'Blade Runner 2049')).toEqual([]);
+
+      const [best] = YearExtractor.extractCandidates(createCard({ text: '2012 Released 2009' }), '2012');
+      expect(best.year).toBe('2009');
+    });
+
+    test('should return an empty list when the card has no year', () => {
+      expect(YearExtractor.extractCandidates(createCard({ text: 'Stranger Things' }))).toEqual([]);
+    });
+  });
+
+  describe('extractYearFromText()', () => {
+    test('should extract the first 4-digit year', () => {
+      expect(YearExtractor.extractYearFromText('Released in 2019 (US)')).toBe('2019');
+      expect(YearExtractor.extractYearFromText('N/A')).toBeNull();
+    });
+  });
+});